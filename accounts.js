@@ -0,0 +1,300 @@
+// =============================================
+// SmartPark - Operator Accounts
+// Description: Local operator accounts with roles (admin, attendant,
+//              viewer) and the permissions each role grants. Passwords
+//              are stored only as salted PBKDF2-SHA256 hashes.
+// Accounts live in this browser's localStorage, apart from the lot
+// state, so they are never exported with it. They keep each operator
+// at a shared desk to their role; they don't protect the data from
+// someone who can open the browser's developer tools.
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const ACCOUNTS_KEY = 'smartpark_accounts'; // localStorage document
+  const ACCOUNTS_VERSION = 1;
+  const HASH_ITERATIONS = 100000;
+  const MIN_PASSWORD_LENGTH = 8;
+
+  /**
+   * What an operator may do; each role grants a set of these
+   */
+  const PERMISSIONS = {
+    reserve:   'Insert reservations and add to the queue',
+    checkout:  'Check vehicles in and out and answer slot offers',
+    delete:    'Delete reservations',
+    move:      'Move reservations to other slots',
+    reorder:   'Sort and reorder the ArrayList',
+    undo:      'Undo and redo changes',
+    configure: 'Change the lot layout, rates, queue policy and plate formats',
+    block:     'Take slots out of service for maintenance or events',
+    export:    'Export data',
+    import:    'Import data',
+    accounts:  'Manage operator accounts',
+    simulate:  'Run the simulation on a throwaway copy of the lot',
+    console:   'Use window.SP from the browser console'
+  };
+
+  /**
+   * Operator roles, most powerful first
+   */
+  const ROLES = {
+    admin:     {label: 'Admin',     permissions: Object.keys(PERMISSIONS)},
+    attendant: {label: 'Attendant', permissions: ['reserve', 'checkout', 'delete', 'move', 'reorder', 'undo', 'export']},
+    viewer:    {label: 'Viewer',    permissions: []}
+  };
+
+  /**
+   * Thrown for account changes that break a rule
+   * message is ready to show to an operator
+   */
+  class AccountError extends Error {
+    constructor(message){
+      super(message);
+      this.name = this.constructor.name;
+    }
+  }
+
+  /**
+   * Whether a role grants a permission
+   * @param {string} role - Key of ROLES
+   * @param {string} permission - Key of PERMISSIONS
+   * @returns {boolean}
+   */
+  const can = (role, permission) => !!ROLES[role] && ROLES[role].permissions.includes(permission);
+
+  /**
+   * User names are compared and stored in lower case
+   * @param {string} name
+   * @returns {string}
+   */
+  const normalizeUsername = name => String(name || '').trim().toLowerCase();
+
+  /**
+   * Checks a new account's user name
+   * @param {string} name - Already normalized
+   * @returns {string|null} Problem to show, or null if valid
+   */
+  function usernameError(name){
+    if(!/^[a-z0-9._-]{3,32}$/.test(name)) return 'User names are 3-32 letters, digits, dots, hyphens or underscores';
+    return null;
+  }
+
+  /**
+   * Checks a new password
+   * @param {string} password
+   * @returns {string|null} Problem to show, or null if valid
+   */
+  function passwordError(password){
+    if(typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH){
+      return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // ============================================
+  // Password hashing
+  // ============================================
+
+  const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  const fromHex = hex => Uint8Array.from(hex.match(/../g) || [], h => parseInt(h, 16));
+
+  /**
+   * Hashes a password with PBKDF2-SHA256
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {string} [options.salt] - Hex salt (a new random one by default)
+   * @param {number} [options.iterations] - Default HASH_ITERATIONS
+   * @returns {Promise<{salt: string, hash: string, iterations: number}>} Hex salt and hash
+   */
+  function hashPassword(password, options){
+    const salt = (options && options.salt) || toHex(root.crypto.getRandomValues(new Uint8Array(16)));
+    const iterations = (options && options.iterations) || HASH_ITERATIONS;
+    return root.crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+      .then(key => root.crypto.subtle.deriveBits({name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations}, key, 256))
+      .then(bits => ({salt, hash: toHex(new Uint8Array(bits)), iterations}));
+  }
+
+  /**
+   * Checks a password against a stored hash
+   * Compares every character so the time taken doesn't reveal how much matched
+   * @param {string} password
+   * @param {{salt: string, hash: string, iterations: number}} account
+   * @returns {Promise<boolean>}
+   */
+  function verifyPassword(password, account){
+    return hashPassword(String(password), {salt: account.salt, iterations: account.iterations}).then(({hash}) => {
+      if(hash.length !== account.hash.length) return false;
+      let diff = 0;
+      for(let i=0; i<hash.length; i++) diff |= hash.charCodeAt(i) ^ account.hash.charCodeAt(i);
+      return diff === 0;
+    });
+  }
+
+  // ============================================
+  // Account store
+  // ============================================
+
+  /**
+   * Account details that are safe to show (no hash or salt)
+   */
+  const publicAccount = a => ({username: a.username, role: a.role, createdAt: a.createdAt});
+
+  /**
+   * Creates the store of operator accounts
+   * Structure of the saved document: {version, accounts: [{username, role, salt, hash, iterations, createdAt}]}
+   * @param {Storage} [storage] - Where accounts are kept (default localStorage)
+   * @returns {Object} Account store API
+   */
+  function createAccountStore(storage){
+    const target = storage || root.localStorage;
+
+    /**
+     * Reads every account; a missing or unreadable document has none
+     * @returns {Object[]}
+     */
+    function read(){
+      try {
+        const doc = JSON.parse(target.getItem(ACCOUNTS_KEY));
+        return doc && Array.isArray(doc.accounts) ? doc.accounts : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    const write = accounts => target.setItem(ACCOUNTS_KEY, JSON.stringify({version: ACCOUNTS_VERSION, accounts}));
+
+    /**
+     * Finds an account by user name
+     * @throws {AccountError}
+     */
+    function existing(accounts, username){
+      const account = accounts.find(a => a.username === normalizeUsername(username));
+      if(!account) throw new AccountError(`There is no account "${normalizeUsername(username)}"`);
+      return account;
+    }
+
+    /**
+     * Rejects a change that would leave the lot without an admin
+     * @throws {AccountError}
+     */
+    function keepAnAdmin(accounts){
+      if(!accounts.some(a => a.role === 'admin')) throw new AccountError('At least one admin account must remain');
+    }
+
+    /**
+     * Every account, without password hashes
+     * @returns {Array<{username: string, role: string, createdAt: number}>}
+     */
+    const list = () => read().map(publicAccount);
+
+    /**
+     * Looks up an account
+     * @param {string} username
+     * @returns {{username: string, role: string, createdAt: number}|null}
+     */
+    function find(username){
+      const account = read().find(a => a.username === normalizeUsername(username));
+      return account ? publicAccount(account) : null;
+    }
+
+    /**
+     * Creates an account
+     * The first account must be an admin, so the lot can always be managed
+     * @param {string} username
+     * @param {string} password
+     * @param {string} role - Key of ROLES
+     * @returns {Promise<Object>} The new account (without its hash)
+     */
+    function add(username, password, role){
+      const name = normalizeUsername(username);
+      const problem = usernameError(name) || passwordError(password) || (ROLES[role] ? null : `Unknown role "${role}"`);
+      if(problem) return Promise.reject(new AccountError(problem));
+      if(read().some(a => a.username === name)) return Promise.reject(new AccountError(`The user name "${name}" is taken`));
+      if(read().length === 0 && role !== 'admin') return Promise.reject(new AccountError('The first account must be an admin'));
+
+      return hashPassword(password).then(secret => {
+        // Read again: another tab may have changed the accounts while hashing
+        const accounts = read();
+        if(accounts.some(a => a.username === name)) throw new AccountError(`The user name "${name}" is taken`);
+        const account = {username: name, role, ...secret, createdAt: Date.now()};
+        write(accounts.concat(account));
+        return publicAccount(account);
+      });
+    }
+
+    /**
+     * Changes an account's role
+     * @param {string} username
+     * @param {string} role - Key of ROLES
+     * @returns {Object} The account (without its hash)
+     * @throws {AccountError}
+     */
+    function setRole(username, role){
+      if(!ROLES[role]) throw new AccountError(`Unknown role "${role}"`);
+      const accounts = read();
+      const account = existing(accounts, username);
+      account.role = role;
+      keepAnAdmin(accounts);
+      write(accounts);
+      return publicAccount(account);
+    }
+
+    /**
+     * Replaces an account's password
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<void>}
+     */
+    function setPassword(username, password){
+      const problem = passwordError(password);
+      if(problem) return Promise.reject(new AccountError(problem));
+      try {
+        existing(read(), username);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+      return hashPassword(password).then(secret => {
+        const accounts = read();
+        Object.assign(existing(accounts, username), secret);
+        write(accounts);
+      });
+    }
+
+    /**
+     * Deletes an account
+     * @param {string} username
+     * @throws {AccountError}
+     */
+    function remove(username){
+      const accounts = read();
+      const account = existing(accounts, username);
+      const rest = accounts.filter(a => a !== account);
+      keepAnAdmin(rest);
+      write(rest);
+    }
+
+    /**
+     * Checks a user name and password
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<Object|null>} The account (without its hash), or null if either is wrong
+     */
+    function authenticate(username, password){
+      const account = read().find(a => a.username === normalizeUsername(username));
+      // Unknown names take as long as wrong passwords
+      const check = account || {salt: '00', hash: '', iterations: HASH_ITERATIONS};
+      return verifyPassword(password, check).then(ok => ok && account ? publicAccount(account) : null);
+    }
+
+    return {list, find, add, setRole, setPassword, remove, authenticate, get isEmpty(){ return read().length === 0; }};
+  }
+
+  const api = {ACCOUNTS_KEY, PERMISSIONS, ROLES, AccountError, can, normalizeUsername, hashPassword, verifyPassword, createAccountStore};
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkAccounts = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
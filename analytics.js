@@ -0,0 +1,198 @@
+// =============================================
+// SmartPark - Occupancy Analytics
+// Description: Occupancy curves, peak times, stay lengths, queue waits
+//              and slot turnover, computed from the recorded sessions
+//              (check-out history and stays in progress) and the queue
+//              history. Pure functions - no DOM, usable under Node.
+// =============================================
+
+(function(root){
+  const Time = typeof module !== 'undefined' && module.exports ? require('./time-format.js') : root.SmartParkTime;
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  /**
+   * Queue wait-time buckets (minutes, upper bound exclusive)
+   */
+  const WAIT_BUCKETS = [
+    {label: '< 5 min',   min: 0,   max: 5},
+    {label: '5-15 min',  min: 5,   max: 15},
+    {label: '15-30 min', min: 15,  max: 30},
+    {label: '30-60 min', min: 30,  max: 60},
+    {label: '1-2 h',     min: 60,  max: 120},
+    {label: '> 2 h',     min: 120, max: Infinity}
+  ];
+
+  // Hours and days of the browser's time zone, unless a clock is given
+  const localClock = Time.createClock();
+
+  /**
+   * Every stay that has actually happened: checked-out sessions plus
+   * reservations that have started, cut off at `now`
+   * @param {Object} state - {history, arrayList}
+   * @param {number} now - Epoch ms
+   * @returns {Array<{slot: number, start: number, end: number}>}
+   */
+  function recordedStays(state, now){
+    const stays = state.history.map(h => ({slot: h.slot, start: h.start, end: h.exit}));
+    state.arrayList
+      .filter(r => r.start < now)
+      .forEach(r => stays.push({slot: r.slot, start: r.start, end: r.end === null ? now : Math.min(r.end, now)}));
+    return stays.filter(s => s.end > s.start);
+  }
+
+  /**
+   * Adds the time a stay spends in each period to a map keyed by period start
+   * Time Complexity: O(p) for a stay spanning p periods
+   * @param {Map} totals - period start → occupied ms
+   * @param {number} start - Clipped stay start
+   * @param {number} end - Clipped stay end
+   * @param {Function} periodStart - Maps a time to the start of its period
+   * @param {Function} periodEnd - Maps a period start to the start of the next one
+   */
+  function spread(totals, start, end, periodStart, periodEnd){
+    let t = start;
+    while(t < end){
+      const p = periodStart(t);
+      const stop = Math.min(periodEnd(p), end);
+      totals.set(p, (totals.get(p) || 0) + stop - t);
+      t = stop;
+    }
+  }
+
+  /**
+   * Median of a list of numbers
+   * @returns {number|null}
+   */
+  function median(values){
+    if(values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Computes the dashboard figures for a date range
+   * Only the past is measured: the range is cut off at `now`
+   * Time Complexity: O(n·p + q) for n stays spanning p hours and q queue records
+   * @param {Object} state - {history, arrayList, queueHistory, layout}
+   * @param {Object} range
+   * @param {number} range.from - Range start (epoch ms)
+   * @param {number} range.to - Range end (epoch ms)
+   * @param {number} [range.now] - Current time (default Date.now())
+   * @param {Object} [range.clock] - SmartParkTime clock whose hours and days are used (default the browser's)
+   * @returns {{
+   *   from: number, to: number, days: number, slotCount: number,
+   *   hourly: Array<{hour: number, occupancy: number}>,
+   *   daily: Array<{day: number, occupancy: number}>,
+   *   peaks: Array<{hour: number, occupancy: number}>,
+   *   occupancy: number, sessions: number, averageStayMs: (number|null),
+   *   waits: {count: number, averageMs: (number|null), medianMs: (number|null), buckets: Object[], outcomes: Object},
+   *   turnover: Array<{slot: number, sessions: number, perDay: number}>
+   * }} occupancy values are fractions of the lot (0-1); hourly is the
+   *    average for each hour of the day (0-23); days are midnights on the clock
+   */
+  function computeAnalytics(state, range){
+    const now = range.now === undefined ? Date.now() : range.now;
+    const {startOfHour, startOfDay, nextDay, hourOf} = range.clock || localClock;
+    const from = range.from;
+    const to = Math.max(from, Math.min(range.to, now));
+    const slotCount = state.layout.length;
+    const days = Math.max((to - from) / (24 * HOUR), 1 / 24);
+
+    // Occupied time per hour and per day
+    const byHour = new Map();
+    const byDay = new Map();
+    const stays = recordedStays(state, now);
+    stays.forEach(s => {
+      const start = Math.max(s.start, from);
+      const end = Math.min(s.end, to);
+      if(end <= start) return;
+      spread(byHour, start, end, startOfHour, h => h + HOUR);
+      spread(byDay, start, end, startOfDay, nextDay);
+    });
+
+    // Average occupancy for each hour of the day, over the hours in range
+    const hourTotals = Array.from({length: 24}, () => ({occupied: 0, available: 0}));
+    for(let h = startOfHour(from); h < to; h += HOUR){
+      const span = Math.min(h + HOUR, to) - Math.max(h, from);
+      const bucket = hourTotals[hourOf(h)];
+      bucket.occupied += byHour.get(h) || 0;
+      bucket.available += span * slotCount;
+    }
+    const hourly = hourTotals.map((b, hour) => ({hour, occupancy: b.available ? b.occupied / b.available : 0}));
+
+    const daily = [];
+    let occupiedTotal = 0;
+    for(let d = startOfDay(from); d < to; d = nextDay(d)){
+      const span = Math.min(nextDay(d), to) - Math.max(d, from);
+      const occupied = byDay.get(d) || 0;
+      occupiedTotal += occupied;
+      daily.push({day: d, occupancy: slotCount && span ? occupied / (span * slotCount) : 0});
+    }
+
+    const peaks = hourly
+      .filter(h => h.occupancy > 0)
+      .sort((a, b) => b.occupancy - a.occupancy || a.hour - b.hour)
+      .slice(0, 3);
+
+    // Stays and turnover, counted by when they began
+    const started = stays.filter(s => s.start >= from && s.start < to);
+    const finished = state.history.filter(h => h.exit >= from && h.exit < to);
+    const turnover = state.layout.map((info, i) => {
+      const sessions = started.filter(s => s.slot === i + 1).length;
+      return {slot: i + 1, sessions, perDay: sessions / days};
+    });
+
+    // Queue waits, counted by when the waiter left the queue
+    const waitsMs = state.queueHistory
+      .filter(q => q.leftAt >= from && q.leftAt < to)
+      .map(q => ({ms: Math.max(0, q.leftAt - q.queuedAt), outcome: q.outcome}));
+    const outcomes = {};
+    waitsMs.forEach(w => outcomes[w.outcome] = (outcomes[w.outcome] || 0) + 1);
+
+    return {
+      from, to, days, slotCount,
+      hourly, daily, peaks,
+      occupancy: slotCount ? occupiedTotal / ((to - from) * slotCount || 1) : 0,
+      sessions: started.length,
+      averageStayMs: finished.length ? finished.reduce((sum, h) => sum + h.durationMs, 0) / finished.length : null,
+      waits: {
+        count: waitsMs.length,
+        averageMs: waitsMs.length ? waitsMs.reduce((sum, w) => sum + w.ms, 0) / waitsMs.length : null,
+        medianMs: median(waitsMs.map(w => w.ms)),
+        buckets: WAIT_BUCKETS.map(b => ({...b, count: waitsMs.filter(w => w.ms >= b.min * MINUTE && w.ms < b.max * MINUTE).length})),
+        outcomes
+      },
+      turnover
+    };
+  }
+
+  /**
+   * Formats a duration as hours and minutes, e.g. "2h 05m" or "45m"
+   * @param {number|null} ms
+   * @returns {string}
+   */
+  function formatDuration(ms){
+    if(ms === null) return '—';
+    const minutes = Math.round(ms / MINUTE);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+  }
+
+  /**
+   * Formats an hour of the day as a range, e.g. 17 → "17:00-18:00"
+   * @param {number} hour - 0-23
+   * @returns {string}
+   */
+  const formatHour = hour => `${String(hour).padStart(2, '0')}:00-${String((hour + 1) % 24).padStart(2, '0')}:00`;
+
+  const api = {WAIT_BUCKETS, computeAnalytics, formatDuration, formatHour};
+
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    root.SmartParkAnalytics = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -11,6 +11,8 @@
 // Data Structures Used:
 //   1. ArrayList - Stores active parking reservations
 //   2. Queue (FIFO) - Manages waiting list when parking is full
+// Both live in the reservation engine (engine.js); this file is the
+// page around it.
 // =============================================
 
 (function(){
@@ -21,93 +23,466 @@
   const slotSelect = document.getElementById('slot-select');
   const insertBtn = document.getElementById('insert-btn');
   const plateInput = document.getElementById('plate-input');
+  const plateFeedback = document.getElementById('plate-feedback');
   const arrayListItems = document.getElementById('arraylist-items');
   const arrayListEmpty = document.getElementById('arraylist-empty');
+  const bulkBar = document.getElementById('bulk-bar');
+  const selectAllBox = document.getElementById('select-all');
+  const bulkCount = document.getElementById('bulk-count');
+  const bulkReleaseBtn = document.getElementById('bulk-release');
+  const bulkMoveBtn = document.getElementById('bulk-move');
+  const bulkStickersBtn = document.getElementById('bulk-stickers');
   const queueItems = document.getElementById('queue-items');
   const queueEmpty = document.getElementById('queue-empty');
   const countAvailable = document.getElementById('count-available');
   const countReserved = document.getElementById('count-reserved');
   const countQueue = document.getElementById('count-queue');
+  const countBlocked = document.getElementById('count-blocked');
   const arraySizeLabel = document.getElementById('array-size');
   const queueSizeLabel = document.getElementById('queue-size');
   const slotsAvailable = document.getElementById('slots-available');
   const searchInput = document.getElementById('search-input');
   const searchBtn = document.getElementById('search-btn');
   const searchResult = document.getElementById('search-result');
+  const searchFromInput = document.getElementById('search-from');
+  const searchToInput = document.getElementById('search-to');
+  const searchAreaSelect = document.getElementById('search-area');
+  const searchTypeSelect = document.getElementById('search-type');
+  const searchStatusSelect = document.getElementById('search-status');
   const sortSlotBtn = document.getElementById('sort-slot');
   const sortTimeBtn = document.getElementById('sort-time');
   const traverseBtn = document.getElementById('traverse');
+  const startInput = document.getElementById('start-input');
+  const endInput = document.getElementById('end-input');
+  const viewTimeInput = document.getElementById('view-time');
+  const viewNowBtn = document.getElementById('view-now');
+  const historyItems = document.getElementById('history-items');
+  const historyEmpty = document.getElementById('history-empty');
+  const historySizeLabel = document.getElementById('history-size');
+  const ratesForm = document.getElementById('rates-form');
+  const vehicleSelect = document.getElementById('vehicle-select');
+  const prioritySelect = document.getElementById('priority-select');
+  const policyForm = document.getElementById('policy-form');
+  const typeSummary = document.getElementById('type-summary');
+  const blockForm = document.getElementById('block-form');
+  const slotSelection = document.getElementById('slot-selection');
+  const unblockBtn = document.getElementById('unblock-btn');
+  const clearSlotsBtn = document.getElementById('clear-slots-btn');
+  const lotConfigInput = document.getElementById('lot-config-input');
+  const lotApplyBtn = document.getElementById('lot-apply');
+  const lotResetBtn = document.getElementById('lot-reset');
+  const lotErrors = document.getElementById('lot-errors');
+  const plateRulesForm = document.getElementById('plate-rules-form');
+  const plateFormatOptions = document.getElementById('plate-format-options');
+  const displayForm = document.getElementById('display-form');
+  const displayPreview = document.getElementById('display-preview');
+  const timeZoneList = document.getElementById('time-zone-list');
+  const exportJsonBtn = document.getElementById('export-json');
+  const exportReservationsBtn = document.getElementById('export-reservations');
+  const exportQueueBtn = document.getElementById('export-queue');
+  const importFileInput = document.getElementById('import-file');
+  const importModeSelect = document.getElementById('import-mode');
+  const storageForm = document.getElementById('storage-form');
+  const storageStatus = document.getElementById('storage-status');
+  const sessionUser = document.getElementById('session-user');
+  const logoutBtn = document.getElementById('logout-btn');
+  const loginScreen = document.getElementById('login-screen');
+  const loginForm = document.getElementById('login-form');
+  const loginFields = document.getElementById('login-fields');
+  const loginTitle = document.getElementById('login-title');
+  const loginHint = document.getElementById('login-hint');
+  const loginError = document.getElementById('login-error');
+  const accountItems = document.getElementById('account-items');
+  const accountForm = document.getElementById('account-form');
+  const passwordForm = document.getElementById('password-form');
+  const roleHelp = document.getElementById('role-help');
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  const auditItems = document.getElementById('audit-items');
+  const auditEmpty = document.getElementById('audit-empty');
+  const auditSizeLabel = document.getElementById('audit-size');
+  const auditActionFilter = document.getElementById('audit-action');
+  const auditOperatorFilter = document.getElementById('audit-operator');
+  const auditTextFilter = document.getElementById('audit-text');
+  const analyticsFromInput = document.getElementById('analytics-from');
+  const analyticsToInput = document.getElementById('analytics-to');
+  const analyticsPresets = document.querySelectorAll('.analytics-presets button');
+  const analyticsSummary = document.getElementById('analytics-summary');
+  const chartHourly = document.getElementById('chart-hourly');
+  const chartDaily = document.getElementById('chart-daily');
+  const chartWaits = document.getElementById('chart-waits');
+  const chartTurnover = document.getElementById('chart-turnover');
+  const simForm = document.getElementById('sim-form');
+  const simPlayBtn = document.getElementById('sim-play');
+  const simStepBtn = document.getElementById('sim-step');
+  const simStopBtn = document.getElementById('sim-stop');
+  const simExportCsvBtn = document.getElementById('sim-export-csv');
+  const simExportJsonBtn = document.getElementById('sim-export-json');
+  const simSizeLabel = document.getElementById('sim-size');
+  const simSummary = document.getElementById('sim-summary');
+  const simTrace = document.getElementById('sim-trace');
+  const simBanner = document.getElementById('sim-banner');
+  const announcer = document.getElementById('announcer');
 
   // ============================================
   // Data Structure Initialization
   // ============================================
-  const TOTAL_SLOTS = 20; // Total parking capacity
-  
+  const Lot = window.SmartParkLot;
+  const Engine = window.SmartParkEngine;
+  const Sticker = window.SmartParkSticker;
+  const Plates = window.SmartParkPlates;
+  const Analytics = window.SmartParkAnalytics;
+  const Dialog = window.SmartParkDialog;
+  const Accounts = window.SmartParkAccounts;
+  const Time = window.SmartParkTime;
+  const StickerExport = window.SmartParkStickerExport;
+  const {html} = window.SmartParkHtml;
+  const {PRIORITY_CLASSES, DEFAULT_POLICY, DEFAULT_RATES, SEARCH_STATUSES, BLOCK_REASONS, formatMoney} = Engine;
+
   /**
-   * DATA STRUCTURE 1: ArrayList (Array-based implementation)
-   * Purpose: Stores all active parking reservations
-   * Operations: Insert O(1), Delete O(n), Search O(n), Sort O(n log n)
-   * Structure: [{plate, slot, time, id}, ...]
+   * The reservation engine owns the lot state and its rules (see engine.js)
+   * These are its live structures, changed only through engine operations:
+   * parkingSlots (per-slot schedules), arrayList (ArrayList of reservations),
+   * queue (priority FIFO waiting list), offers, queueHistory, noShows,
+   * history (finished sessions), rates, policy and blocks (slots out of service)
    */
-  const parkingSlots = new Array(TOTAL_SLOTS).fill(null); // Physical slot tracker
-  const arrayList = []; // ArrayList for reservation data
-  
+  const engine = Engine.createEngine({now: () => liveTime()});
+  const {parkingSlots, arrayList, queue, offers, queueHistory, noShows, history, rates, policy, blocks} = engine;
+
+  /**
+   * Point in time the grid is showing (epoch ms)
+   * null means "live" - the grid follows the current time
+   */
+  let viewTime = null;
+
+  /**
+   * Slot that takes keyboard focus when tabbing into the grid (0-based)
+   */
+  let focusedSlot = 0;
+
+  /**
+   * Counter values last announced to screen readers ("available|reserved|blocked|queued")
+   */
+  let announcedCounts = null;
+
+  /**
+   * Reservation ids and slot numbers picked for bulk actions
+   * Kept across re-renders; ones that no longer exist are dropped
+   */
+  const selectedReservations = new Set();
+  const selectedSlots = new Set();
+
   /**
-   * DATA STRUCTURE 2: Queue (FIFO - First In First Out)
-   * Purpose: Manages waiting list when parking lot is full
-   * Operations: Enqueue O(1), Dequeue O(1), Peek O(1)
-   * Structure: [{plate, time, id}, ...]
+   * Reservation being moved to another slot, or null
+   * dragged follows a mouse drag; carried is picked up with the keyboard ("M")
+   * Structure: {id, plate, from: slot number}
    */
-  const queue = []; // Queue for waiting vehicles
+  let dragged = null;
+  let carried = null;
+
+  /**
+   * Simulated arrivals and departures (see simulation.js), or null
+   * It runs on its own copy of the lot and clock; the page shows that
+   * copy after each step and saves nothing meanwhile. simulationBase is
+   * the lot to put back when it stops (JSON), and is null when no
+   * simulation is running. The last run stays exportable
+   */
+  let simulation = null;
+  let simulationBase = null;
+  let simulationTimer = null; // Interval while playing
+  let missedSync = false; // Another tab saved the lot during the simulation
+
+  /**
+   * Append-only audit log of every operation (oldest first)
+   * before/after hold copies of the affected records (null when created or removed)
+   * Structure: [{id, at, operator, action, summary, before, after}, ...]
+   */
+  const auditLog = [];
+
+  /**
+   * Undo/redo stacks of whole-state snapshots (JSON, audit log excluded)
+   * Each entry is the state to return to and the event it reverses
+   * Structure: [{state, eventId, summary}, ...]
+   */
+  const UNDO_LIMIT = 50;
+  const undoStack = [];
+  const redoStack = [];
+  let committedState = null; // Undoable state as of the last save
 
   // ============================================
-  // Persistence Functions (LocalStorage)
+  // Persistence Functions (see storage.js)
   // ============================================
-  
+
+  const store = window.SmartParkStorage.createStore();
+
+  /**
+   * Collects every persisted structure into one state object
+   * @returns {Object} Complete lot state
+   */
+  function snapshot(){
+    return {...engine.snapshot(), auditLog};
+  }
+
   /**
-   * Saves current state to browser's localStorage
+   * Replaces the in-memory state with a loaded state object
+   * The engine applies the lot layout, then checks the slot schedules
+   * against the ArrayList and repairs them where they disagree
+   * @param {Object} data - Complete lot state
+   * @returns {string[]} Mismatches that were repaired
+   */
+  function applySnapshot(data){
+    const repairs = engine.load(data);
+    // The audit log is append-only: states without one (undo snapshots) keep the current log
+    if(data.auditLog) auditLog.splice(0, auditLog.length, ...data.auditLog);
+    return repairs;
+  }
+
+  /**
+   * Saves the whole state as one versioned document
    * Preserves data across page refreshes
    */
   function saveState() {
-    try {
-      localStorage.setItem('smartpark_slots', JSON.stringify(parkingSlots));
-      localStorage.setItem('smartpark_arraylist', JSON.stringify(arrayList));
-      localStorage.setItem('smartpark_queue', JSON.stringify(queue));
-    } catch (e) {
+    if(simulating()) return;
+    committedState = undoableState();
+    store.save(snapshot()).catch(e => {
+      if(e.name === 'ConflictError'){
+        syncFromStore(true);
+        return;
+      }
       console.error('Failed to save state:', e);
-    }
+      Dialog.alert('⚠️ Could not save the parking state: ' + e.message);
+    });
   }
 
   /**
-   * Loads saved state from localStorage on page load
-   * Restores previous session data
+   * Loads saved state on page load, migrating older formats
+   * Problems and repaired mismatches are reported to the operator
+   * @returns {Promise<void>}
    */
   function loadState() {
+    return store.load()
+      .then(({data, report}) => {
+        if (data) {
+          const repairs = applySnapshot(data);
+          report.push(...repairs);
+          if (repairs.length > 0) saveState();
+        }
+        if (report.length > 0) {
+          Dialog.alert(`⚠️ Storage check found ${report.length} issue(s):\n\n${report.join('\n')}`);
+        }
+      })
+      .catch(e => {
+        console.error('Failed to load state:', e);
+        Dialog.alert('⚠️ Could not load the saved parking state: ' + e.message);
+      });
+  }
+
+  let syncing = null; // Reload in progress, shared by overlapping requests
+
+  /**
+   * Reloads the lot after another tab or window saved it
+   * Undo steps are dropped because they would restore the other tab's
+   * changes away. After a conflict, this tab's operator changes that
+   * never reached storage are listed so they can be redone.
+   * @param {boolean} conflict - true if one of our saves was rejected
+   * @returns {Promise<void>}
+   */
+  function syncFromStore(conflict){
+    // Loaded once the simulation ends; until then the page shows its copy
+    if(simulating()){
+      missedSync = true;
+      return Promise.resolve();
+    }
+    if(syncing) return syncing;
+    const localEvents = auditLog.slice();
+    syncing = store.load()
+      .then(({data}) => {
+        if(!data) return;
+        applySnapshot(data);
+        committedState = undoableState();
+        clearUndoHistory();
+        renderAll();
+
+        if(!conflict) return;
+        const saved = new Set(auditLog.map(e => e.id));
+        const lost = localEvents.filter(e => !saved.has(e.id) && e.operator !== 'system');
+        if(lost.length > 0){
+          Dialog.alert(`⚠️ The lot was changed in another tab or window before your change was saved.\n\nNot saved:\n${lost.map(e => '• ' + e.summary).join('\n')}\n\nThe lot now shows the latest data - please check and try again.`);
+        }
+      })
+      .catch(e => console.error('Failed to reload state:', e))
+      .then(() => { syncing = null; });
+    return syncing;
+  }
+
+  // ============================================
+  // Engine Events
+  // ============================================
+
+  /**
+   * Runs an engine operation, showing a rejection to the operator
+   * @param {Function} fn - Calls the engine
+   * @returns {*} The operation's result, or undefined if it was rejected
+   */
+  function attempt(fn){
     try {
-      const savedSlots = localStorage.getItem('smartpark_slots');
-      const savedArray = localStorage.getItem('smartpark_arraylist');
-      const savedQueue = localStorage.getItem('smartpark_queue');
-      
-      if (savedSlots) {
-        const parsed = JSON.parse(savedSlots);
-        parsed.forEach((slot, i) => parkingSlots[i] = slot);
-      }
-      if (savedArray) {
-        arrayList.push(...JSON.parse(savedArray));
-      }
-      if (savedQueue) {
-        queue.push(...JSON.parse(savedQueue));
-      }
+      return fn();
     } catch (e) {
-      console.error('Failed to load state:', e);
+      if(!(e instanceof Engine.EngineError)) throw e;
+      Dialog.alert(e.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Reacts to the changes of one engine operation: records them in the
+   * audit log, saves the state and redraws what they affect
+   * Nothing is recorded or saved while a simulation runs
+   * @param {Object[]} events - {action, summary, before, after, source}
+   */
+  function onEngineChange(events){
+    if(!simulating()){
+      announce(events.map(e => e.summary).join('. '));
+      events.forEach(e => {
+        if(e.source === 'operator') auditChange(e.action, e.summary, e.before, e.after);
+        else logEvent(e.action, e.summary, e.before, e.after, 'system');
+      });
+      // Automatic changes can't be undone, so earlier snapshots no longer apply
+      if(events.some(e => e.source === 'timer')) clearUndoHistory();
+      saveState();
+    }
+    renderChanges(events);
+  }
+
+  /**
+   * Redraws the parts of the page a batch of engine changes affect
+   * @param {Object[]} events - {action, summary, before, after, source}
+   */
+  function renderChanges(events){
+    renderGrid();
+    renderArrayList();
+    renderQueue();
+    renderHistory();
+    renderAnalytics();
+    if(events.some(e => e.action === 'settings')){
+      renderRates();
+      renderPolicy();
+      renderPlateRules();
+      renderDisplay();
+    }
+    if(events.some(e => e.action === 'lot')){
+      renderLotConfig();
+      renderSearchAreas();
     }
+    // Keep shown search results in step with the lot
+    if(searchResult.innerHTML) runSearch();
+  }
+
+  // ============================================
+  // Screen Reader Announcements
+  // ============================================
+
+  let pendingAnnouncements = [];
+
+  /**
+   * Reads a message out through the page's live region
+   * Messages given in the same moment are joined into one announcement
+   * @param {string} message
+   */
+  function announce(message){
+    if(!message) return;
+    pendingAnnouncements.push(message);
+    if(pendingAnnouncements.length > 1) return;
+    setTimeout(()=> {
+      announcer.textContent = pendingAnnouncements.join('. ');
+      pendingAnnouncements = [];
+    }, 100);
+  }
+
+  // ============================================
+  // Reservation Window Helpers
+  // ============================================
+
+  /**
+   * The moment the grid and counters are showing
+   * @returns {number} Epoch ms
+   */
+  const currentViewTime = () => viewTime === null ? liveTime() : viewTime;
+
+  // Times are stored as epoch ms and shown, typed and grouped into
+  // hours and days in the lot's locale and time zone (see time-format.js)
+
+  /**
+   * Converts a datetime-local input value, read in the lot's time zone, to epoch ms
+   * @param {string} value - "YYYY-MM-DDTHH:MM" or empty
+   * @returns {number|null} Epoch ms, or null if empty/invalid
+   */
+  const fromInputValue = value => engine.clock.fromInput(value);
+
+  /**
+   * Converts epoch ms to a datetime-local input value in the lot's time zone
+   * @param {number} t - Epoch ms
+   * @returns {string} "YYYY-MM-DDTHH:MM"
+   */
+  const toInputValue = t => engine.clock.toInput(t);
+
+  /**
+   * Formats a time as date and time in the lot's locale and time zone
+   * @param {number} t - Epoch ms
+   * @returns {string}
+   */
+  const formatTime = t => engine.clock.dateTime(t);
+
+  /**
+   * Formats a booking window in the lot's locale and time zone
+   * @returns {string} e.g. "12/16/2025, 8:00 AM → 12/16/2025, 5:00 PM"
+   */
+  const formatWindow = (start, end) => Engine.formatWindow(start, end, engine.clock);
+
+  /**
+   * Reads the booking window from the insert form
+   * An empty FROM means "now"; an empty UNTIL means an open-ended stay
+   * @returns {{start: number, end: (number|null)}}
+   */
+  function readInsertWindow(){
+    return {
+      start: fromInputValue(startInput.value) || liveTime(),
+      end: fromInputValue(endInput.value)
+    };
+  }
+
+  /**
+   * Formats a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} e.g. "1d 2h 05m"
+   */
+  function formatDuration(ms){
+    const totalMin = Math.max(0, Math.round(ms / 60000));
+    const d = Math.floor(totalMin / 1440);
+    const h = Math.floor((totalMin % 1440) / 60);
+    const m = String(totalMin % 60).padStart(2,'0');
+    return (d ? `${d}d ` : '') + `${h}h ${m}m`;
+  }
+
+  // ============================================
+  // Stickers
+  // ============================================
+
+  /**
+   * Shows a reservation's sticker in a new tab
+   * The sticker page reads the reservation from the saved state by id
+   * @param {Object} r - Reservation
+   */
+  function openSticker(r){
+    window.open(`sticker.html?id=${encodeURIComponent(r.id)}`, '_blank');
   }
 
   /**
-   * Utility function to get current timestamp
-   * @returns {string} Formatted date and time string
+   * Signed sticker code for a reservation (see sticker-code.js)
+   * @param {Object} r - Reservation
+   * @returns {Promise<string>}
    */
-  const nowString = () => new Date().toLocaleString();
+  const stickerCodeFor = r => Sticker.lotSecret(store).then(secret => Sticker.issue(r, secret));
 
   // ============================================
   // UI Rendering Functions
@@ -115,88 +490,292 @@
 
   /**
    * Renders the parking grid visualization
-   * Displays all 20 parking slots with their status (available/occupied)
-   * Updates slot selection dropdown
+   * Draws every floor and zone of the lot layout with each slot's type
+   * and status (available/occupied/held/blocked) at the chosen view time,
+   * plus the next upcoming booking on free slots and the bulk selection
+   * Updates slot selection dropdown (grouped by floor and zone)
    */
   function renderGrid(){
+    const selected = slotSelect.value;
+    const at = currentViewTime();
+    const hadFocus = parkingGrid.contains(document.activeElement);
+    focusedSlot = Math.min(focusedSlot, engine.slotCount - 1);
+    selectedSlots.forEach(n => { if(n > engine.slotCount) selectedSlots.delete(n); });
     parkingGrid.innerHTML = '';
-    slotSelect.innerHTML = '<option value="auto">AUTO-ASSIGN (First Available)</option>';
+    slotSelect.innerHTML = '';
+    slotSelect.add(new Option('AUTO-ASSIGN (First Available)', 'auto'));
+
+    let zoneGrid = null;
+    let optGroup = null;
     
-    for(let i=0; i<TOTAL_SLOTS; i++){
+    for(let i=0; i<engine.slotCount; i++){
+      const info = engine.layout[i];
+      const type = Lot.SLOT_TYPES[info.type];
+
+      // Start a new floor/zone section whenever the layout moves on
+      if(i === 0 || engine.layout[i-1].floor !== info.floor){
+        const floorHeader = document.createElement('div');
+        floorHeader.className = 'floor-header';
+        floorHeader.textContent = info.floorName;
+        parkingGrid.appendChild(floorHeader);
+      }
+      if(i === 0 || engine.layout[i-1].floor !== info.floor || engine.layout[i-1].zone !== info.zone){
+        const zoneHeader = document.createElement('div');
+        zoneHeader.className = 'zone-header';
+        zoneHeader.textContent = info.zoneName;
+        zoneGrid = document.createElement('div');
+        zoneGrid.className = 'grid';
+        zoneGrid.setAttribute('role', 'group');
+        zoneGrid.setAttribute('aria-label', `${info.floorName}, ${info.zoneName}`);
+        parkingGrid.appendChild(zoneHeader);
+        parkingGrid.appendChild(zoneGrid);
+
+        optGroup = document.createElement('optgroup');
+        optGroup.label = `${info.floorName} • ${info.zoneName}`;
+        slotSelect.appendChild(optGroup);
+      }
+
+      const current = engine.bookingAt(i, at);
+      const blocked = !current && engine.blockOn(i, at, at+1);
+      const held = !current && !blocked && engine.offerOnSlot(i);
+      const selected = selectedSlots.has(i+1);
+      const picked = !!current && !!carried && carried.id === current.id;
       const slotDiv = document.createElement('div');
-      slotDiv.className = 'slot ' + (parkingSlots[i] ? 'occupied' : 'available');
+      slotDiv.className = `slot type-${info.type} ` + (current ? 'occupied' : blocked ? 'blocked' : held ? 'held' : 'available') + (selected ? ' selected' : '') + (picked ? ' picked' : '');
       slotDiv.dataset.index = i;
+      // The booking on the slot now can be dragged to another slot
+      if(current && can('move')){
+        slotDiv.draggable = true;
+        slotDiv.dataset.id = current.id;
+      }
+      slotDiv.title = blocked && blocked.note ? `${type.label} • ${blocked.note}` : type.label;
 
       // Visual content based on slot status
-      let carContent = '';
-      if(parkingSlots[i]){
-        carContent = `<div class="car">🚗</div><div class="plate">${parkingSlots[i].plate}</div>`;
+      // The status is also written out, and read to screen readers by aria-label
+      let carContent = html``;
+      let status = '';
+      let statusLabel = '';
+      if(current){
+        carContent = html`<div class="car">${current.vehicle === 'motorcycle' ? '🏍️' : '🚗'}</div><div class="plate">${current.plate}</div>`;
+        status = 'TAKEN';
+        statusLabel = `occupied by ${current.plate}, ${formatWindow(current.start, current.end)}`;
+      } else if(blocked){
+        const reason = BLOCK_REASONS[blocked.reason];
+        carContent = html`<div class="car">${reason.icon}</div><div class="plate">${reason.label.toUpperCase()}</div>`;
+        status = 'BLOCKED';
+        statusLabel = `out of service for ${reason.label.toLowerCase()} ${blocked.end === null ? 'until unblocked' : `until ${formatTime(blocked.end)}`}`;
+        if(blocked.note) statusLabel += `, ${blocked.note}`;
+      } else if(held){
+        carContent = html`<div class="car">⏳</div><div class="plate">OFFERED: ${held.plate}</div>`;
+        status = 'HELD';
+        statusLabel = `held for ${held.plate} from the queue`;
       } else {
-        carContent = `<div class="car"><span class="arrow-bounce">⬇️</span></div>`;
+        const next = engine.nextBookingAfter(i, at);
+        carContent = html`<div class="car"><span class="arrow-bounce">⬇️</span></div>`;
+        status = 'FREE';
+        statusLabel = 'free';
+        if(next){
+          const nextTime = engine.clock.time(next.start);
+          carContent = html`${carContent}<div class="next-booking">NEXT ${nextTime}</div>`;
+          statusLabel += `, next booking at ${nextTime}`;
+        }
       }
+      let hint = blocked ? 'Press Enter to see the block' : parkingSlots[i].length > 0 ? 'Press Enter to view its schedule' : 'Press Enter to choose it for a new reservation';
+      if(carried) hint = picked ? 'Press Escape to put it back' : `Press Enter to move ${carried.plate} here`;
+      else if(slotDiv.draggable) hint += ', or M to move it';
 
-      slotDiv.innerHTML = `
+      slotDiv.setAttribute('role', 'button');
+      slotDiv.tabIndex = i === focusedSlot ? 0 : -1;
+      slotDiv.setAttribute('aria-label', `Slot ${i+1}, ${type.label}${selected ? ', selected' : ''}${picked ? ', picked up' : ''}: ${statusLabel}. ${hint}`);
+      slotDiv.innerHTML = html`
         <div class="label">${i+1}</div>
+        <div class="type-badge">${type.icon}</div>
+        <div class="slot-status">${status}</div>
         <div class="content">
           ${carContent}
         </div>
       `;
 
-      // Click handler for slot interaction
-      slotDiv.addEventListener('click', ()=> {
-        if(parkingSlots[i]){
-          showSlotDetails(i);
-        } else {
-          slotSelect.value = (i+1).toString();
-        }
+      // Click handler for slot interaction; Shift, Ctrl or Cmd picks the slot for bulk actions
+      slotDiv.addEventListener('click', (e)=> {
+        if(e.shiftKey || e.ctrlKey || e.metaKey) toggleSlotSelection(i);
+        else activateSlot(i);
       });
+      slotDiv.addEventListener('focus', ()=> moveSlotFocus(i, false));
 
-      parkingGrid.appendChild(slotDiv);
+      zoneGrid.appendChild(slotDiv);
 
       // Add to dropdown selection
       const opt = document.createElement('option');
       opt.value = (i+1).toString();
-      opt.textContent = `Slot ${i+1}`;
-      slotSelect.appendChild(opt);
+      opt.textContent = `Slot ${i+1} • ${type.label}`;
+      optGroup.appendChild(opt);
     }
+    slotSelect.value = selected && slotSelect.querySelector(`option[value="${selected}"]`) ? selected : 'auto';
+    if(hadFocus) moveSlotFocus(focusedSlot, true);
+    renderTypeSummary(at);
+    renderSlotSelection();
     updateCounters();
   }
 
   /**
-   * Shows details of an occupied parking slot
-   * Allows user to delete the reservation
+   * Opens a slot's schedule, or picks a free slot for the insert form
+   * @param {number} i - Slot index (0-based)
+   */
+  function activateSlot(i){
+    const at = currentViewTime();
+    const block = !engine.bookingAt(i, at) && engine.blockOn(i, at, at+1);
+    if(block){
+      showBlockDetails(block);
+    } else if(parkingSlots[i].length > 0){
+      showSlotDetails(i);
+    } else {
+      slotSelect.value = (i+1).toString();
+      announce(`Slot ${i+1} selected for the next reservation`);
+    }
+  }
+
+  /**
+   * Makes a slot the grid's single tab stop (roving tabindex)
+   * @param {number} i - Slot index (0-based)
+   * @param {boolean} focus - Also move keyboard focus to it
+   */
+  function moveSlotFocus(i, focus){
+    const slots = parkingGrid.querySelectorAll('.slot');
+    if(!slots[i]) return;
+    if(slots[focusedSlot]) slots[focusedSlot].tabIndex = -1;
+    focusedSlot = i;
+    slots[i].tabIndex = 0;
+    if(focus) slots[i].focus();
+  }
+
+  /**
+   * Finds the slot an arrow key leads to
+   * Left/Right step through the slot numbers; Up/Down go to the nearest
+   * slot in the row above or below, which may be in another zone
+   * @param {number} i - Slot index (0-based)
+   * @param {string} key - KeyboardEvent.key
+   * @returns {number} Slot index (i itself at the edges)
+   */
+  function slotInDirection(i, key){
+    const slots = Array.from(parkingGrid.querySelectorAll('.slot'));
+    const last = slots.length - 1;
+    if(key === 'ArrowLeft') return Math.max(i - 1, 0);
+    if(key === 'ArrowRight') return Math.min(i + 1, last);
+    if(key === 'Home') return 0;
+    if(key === 'End') return last;
+
+    const down = key === 'ArrowDown';
+    const rects = slots.map(el => el.getBoundingClientRect());
+    const here = rects[i];
+    const rows = rects.filter(r => down ? r.top > here.bottom - 1 : r.bottom < here.top + 1);
+    if(rows.length === 0) return i;
+    const rowTop = down ? Math.min(...rows.map(r => r.top)) : Math.max(...rows.map(r => r.top));
+    const centre = r => r.left + r.width / 2;
+    let best = i;
+    rects.forEach((r, j) => {
+      if(r.top !== rowTop) return;
+      if(best === i || Math.abs(centre(r) - centre(here)) < Math.abs(centre(rects[best]) - centre(here))) best = j;
+    });
+    return best;
+  }
+
+  /**
+   * Whether a slot is out of service and not booked at a moment
+   * @param {number} i - Slot index (0-based)
+   * @param {number} at - Moment (epoch ms)
+   * @returns {boolean}
+   */
+  const isBlockedAt = (i, at) => !engine.bookingAt(i, at) && !!engine.blockOn(i, at, at+1);
+
+  /**
+   * Renders free/total slots per slot type at the given moment
+   * Blocked slots are neither free nor booked and are counted on their own
+   * @param {number} at - Moment (epoch ms)
+   */
+  function renderTypeSummary(at){
+    typeSummary.innerHTML = '';
+    Object.keys(Lot.SLOT_TYPES).forEach(key => {
+      const slots = engine.layout.filter(info => info.type === key);
+      if(slots.length === 0) return;
+      const blockedCount = slots.filter(info => isBlockedAt(info.number-1, at)).length;
+      const free = slots.filter(info => !engine.bookingAt(info.number-1, at)).length - blockedCount;
+      const chip = document.createElement('span');
+      chip.className = `type-chip type-${key}`;
+      chip.textContent = `${Lot.SLOT_TYPES[key].icon} ${Lot.SLOT_TYPES[key].label}: ${free}/${slots.length}` + (blockedCount ? ` • ${blockedCount} blocked` : '');
+      typeSummary.appendChild(chip);
+    });
+  }
+
+  /**
+   * Shows the booking schedule of a parking slot
+   * Allows user to check out the booking active at the view time,
+   * or to delete the next upcoming one when the slot is free at that time
    * @param {number} i - Slot index (0-based)
    */
   function showSlotDetails(i){
-    const res = parkingSlots[i];
-    if(!res) return;
-    const conf = confirm(`Slot ${i+1}\nPlate: ${res.plate}\nTime: ${res.time}\n\nPress OK to DELETE this reservation.`);
-    if(conf){
-      deleteReservation(res.id);
+    const at = currentViewTime();
+    const active = engine.bookingAt(i, at);
+    const res = active || engine.nextBookingAfter(i, at);
+    if(!res){
+      slotSelect.value = (i+1).toString();
+      return;
+    }
+    const schedule = parkingSlots[i]
+      .slice()
+      .sort((a,b) => a.start - b.start)
+      .map(b => `${b.id===res.id ? '▶' : '•'} ${b.plate}: ${formatWindow(b.start, b.end)}`)
+      .join('\n');
+    const checkingOut = active && active.start <= liveTime();
+    if(!can(checkingOut ? 'checkout' : 'delete') || frozen(checkingOut ? 'checkout' : 'delete')){
+      Dialog.alert(schedule, {title: `Slot ${i+1}`});
+      return;
     }
+    const question = checkingOut ? `Check out ${res.plate}?` : `Delete the reservation for ${res.plate}?`;
+    Dialog.confirm(`${schedule}\n\n${question}`, {
+      title: `Slot ${i+1}`, okLabel: checkingOut ? 'CHECK OUT' : 'DELETE', cancelLabel: 'CLOSE', danger: !checkingOut
+    }).then(conf => {
+      if(!conf) return;
+      if(checkingOut){
+        checkOutReservation(res.id);
+      } else {
+        deleteReservation(res.id);
+      }
+    });
   }
 
   /**
    * Updates all counter displays in the UI
-   * Shows available slots, reserved slots, and queue length
+   * Shows available, reserved and blocked slots, and queue length
    */
   function updateCounters(){
-    const reserved = arrayList.length;
+    const at = currentViewTime();
+    let reserved = 0;
+    let blockedCount = 0;
+    for(let i=0; i<engine.slotCount; i++){
+      if(engine.bookingAt(i, at)) reserved++;
+      else if(isBlockedAt(i, at)) blockedCount++;
+    }
     const queued = queue.length;
-    const available = TOTAL_SLOTS - reserved;
+    const available = engine.slotCount - reserved - blockedCount;
     
     countAvailable.textContent = available;
     countReserved.textContent = reserved;
+    countBlocked.textContent = blockedCount;
     countQueue.textContent = queued;
-    arraySizeLabel.textContent = `(${reserved} items)`;
+    const counts = `${available}|${reserved}|${blockedCount}|${queued}`;
+    if(announcedCounts !== null && counts !== announcedCounts){
+      announce(`${available} slot${available === 1 ? '' : 's'} available, ${reserved} reserved, ${blockedCount} blocked, ${queued} in the queue`);
+    }
+    announcedCounts = counts;
+    arraySizeLabel.textContent = `(${arrayList.length} items)`;
     queueSizeLabel.textContent = `(${queued} waiting)`;
-    slotsAvailable.textContent = available;
   
     // Update data structure implementation panel counters
     const dsCountElements = document.querySelectorAll('.highlight-count');
     const dsCountQueueElements = document.querySelectorAll('.highlight-count-queue');
     if (dsCountElements.length > 0) {
-      dsCountElements[0].textContent = reserved;
+      dsCountElements[0].textContent = arrayList.length;
     }
     if (dsCountQueueElements.length > 0) {
       dsCountQueueElements[0].textContent = queued;
@@ -207,10 +786,13 @@
 
   /**
    * Updates the insert button appearance based on parking availability
-   * Changes to "JOIN QUEUE" mode when parking is full
+   * for the window and vehicle type entered in the insert form
+   * Changes to "JOIN QUEUE" mode when no suitable slot is free for that window
    */
   function updateInsertPanel(){
-    const available = TOTAL_SLOTS - arrayList.length;
+    const {start, end} = readInsertWindow();
+    const vehicle = vehicleSelect.value;
+    const available = engine.freeSlotCount(start, end, vehicle);
     const insertBtn = document.getElementById('insert-btn');
     const btnText = document.getElementById('btn-text');
     const slotsStatus = document.getElementById('slots-status');
@@ -224,7 +806,7 @@
       
       slotsStatus.classList.add('full');
       slotsAvailableSpan.textContent = '0';
-      slotsAvailableDiv.innerHTML = '🚫 PARKING FULL - WILL BE QUEUED';
+      slotsAvailableDiv.textContent = '🚫 PARKING FULL - WILL BE QUEUED';
     } else {
       // Parking has available slots
       insertBtn.classList.remove('queue-mode');
@@ -236,6 +818,195 @@
     }
   }
 
+  // ============================================
+  // Slot Selection & Blocks (Maintenance Mode)
+  // ============================================
+
+  /**
+   * Adds a slot to the bulk selection, or takes it out again
+   * @param {number} i - Slot index (0-based)
+   */
+  function toggleSlotSelection(i){
+    if(selectedSlots.has(i+1)) selectedSlots.delete(i+1);
+    else selectedSlots.add(i+1);
+    focusedSlot = i;
+    renderGrid();
+  }
+
+  /**
+   * Names the selected slots above the block form
+   */
+  function renderSlotSelection(){
+    const slots = Array.from(selectedSlots).sort((a,b) => a-b);
+    slotSelection.textContent = slots.length === 0 ? 'No slots selected' : `Selected slot${slots.length === 1 ? '' : 's'}: ${slots.join(', ')}`;
+  }
+
+  /**
+   * Shows why a slot is out of service, offering to unblock it
+   * @param {Object} block - See engine blocks
+   */
+  function showBlockDetails(block){
+    const reason = BLOCK_REASONS[block.reason];
+    const details = [
+      `${reason.icon} ${reason.label}${block.note ? ` - ${block.note}` : ''}`,
+      `🕐 ${formatTime(block.start)} → ${block.end === null ? 'until unblocked' : formatTime(block.end)}`,
+      block.operator ? `👤 Blocked by ${block.operator}` : ''
+    ].filter(Boolean).join('\n');
+    const title = `Slot ${block.slot} out of service`;
+    if(!can('block')){
+      Dialog.alert(details, {title});
+      return;
+    }
+    Dialog.confirm(`${details}\n\nPut the slot back in service?`, {title, okLabel: 'UNBLOCK', cancelLabel: 'CLOSE'}).then(ok => {
+      if(ok) attempt(() => engine.unblock([block.id]));
+    });
+  }
+
+  /**
+   * BLOCK - Takes the selected slots out of service for the window in the
+   * block form; the engine rejects the whole request if any slot is booked
+   * or held during the window
+   */
+  function blockSelectedSlots(){
+    if(!allowed('block')) return;
+    if(selectedSlots.size === 0){
+      Dialog.alert('Select the slots to block first: Shift+click them in the grid, or press Shift+Enter on them.');
+      return;
+    }
+    const fields = blockForm.elements;
+    const created = attempt(() => engine.blockSlots(Array.from(selectedSlots).sort((a,b) => a-b), {
+      reason: fields.reason.value,
+      start: fields.start.value ? fromInputValue(fields.start.value) : liveTime(),
+      end: fields.end.value ? fromInputValue(fields.end.value) : null,
+      note: fields.note.value,
+      operator: currentOperator()
+    }));
+    if(!created) return;
+    selectedSlots.clear();
+    blockForm.reset();
+    renderGrid();
+  }
+
+  /**
+   * UNBLOCK - Clears every current and upcoming block on the selected slots
+   */
+  function unblockSelectedSlots(){
+    if(!allowed('block')) return;
+    const ids = blocks.filter(b => selectedSlots.has(b.slot)).map(b => b.id);
+    if(ids.length === 0){
+      Dialog.alert(selectedSlots.size === 0 ? 'Select the slots to unblock first.' : 'None of the selected slots is blocked.');
+      return;
+    }
+    if(!attempt(() => engine.unblock(ids))) return;
+    selectedSlots.clear();
+    renderGrid();
+  }
+
+  // ============================================
+  // Moving Reservations (Drag and Drop)
+  // ============================================
+
+  /**
+   * MOVE/SWAP - Takes a reservation to another slot
+   * A target that is free for the whole stay is a move; one booked by a
+   * single reservation during the stay offers to swap the two. Either way
+   * the ids and times stay and the engine updates parkingSlots as one change
+   * Time Complexity: O(n + k) for the lookup and the target's schedule
+   * @param {string} id - Unique reservation ID
+   * @param {number} slot - Target slot number (1-based)
+   */
+  function transferReservation(id, slot){
+    if(!allowed('move')) return;
+    const r = arrayList.find(x => x.id === id);
+    if(!r || r.slot === slot) return;
+    const from = r.slot;
+    const inWay = parkingSlots[slot-1].filter(b => Engine.windowsOverlap(r.start, r.end, b.start, b.end));
+    if(inWay.length === 0){
+      if(attempt(() => engine.move(id, slot))) offerNewStickers([r], `${r.plate} moved from slot ${from} to slot ${slot}.`);
+      return;
+    }
+    if(inWay.length > 1){
+      Dialog.alert(`Slot ${slot} is booked by ${inWay.map(b => b.plate).join(', ')} during ${r.plate}'s stay, so it can't be swapped.`);
+      return;
+    }
+    const other = arrayList.find(x => x.id === inWay[0].id);
+    Dialog.confirm(`Swap ${r.plate} (slot ${from}) with ${other.plate} (slot ${slot})?\n\nBoth keep their booking times.`, {okLabel: 'SWAP'}).then(ok => {
+      if(ok && attempt(() => engine.swap(r.id, other.id))) offerNewStickers([r, other], `${r.plate} and ${other.plate} swapped slots.`);
+    });
+  }
+
+  /**
+   * Offers new stickers for reservations that changed slot
+   * Their old stickers show the old slot and scan as "wrong slot"
+   * @param {Object[]} moved - Reservations
+   * @param {string} done - What happened, e.g. "ABC 1234 moved from slot 1 to slot 2."
+   */
+  function offerNewStickers(moved, done){
+    const one = moved.length === 1;
+    const plates = moved.map(r => r.plate).join(' and ');
+    Dialog.confirm(`${done}\n\nThe old sticker${one ? '' : 's'} for ${plates} no longer match${one ? 'es' : ''} the slot. Print ${one ? 'a new one' : 'new ones'}?`, {okLabel: 'NEW STICKER' + (one ? '' : 'S'), cancelLabel: 'LATER'}).then(ok => {
+      if(!ok) return;
+      if(one) openSticker(moved[0]);
+      else downloadStickers(moved);
+    });
+  }
+
+  /**
+   * Keyboard move: "M" picks up the reservation on a slot, and Enter or "M"
+   * on another slot drops it there
+   * @param {number} i - Slot index (0-based)
+   */
+  function pickUpOrDrop(i){
+    if(carried){
+      const {id, from} = carried;
+      carried = null;
+      renderGrid();
+      if(from === i+1) announce('Move cancelled');
+      else transferReservation(id, i+1);
+      return;
+    }
+    if(!allowed('move')) return;
+    const current = engine.bookingAt(i, currentViewTime());
+    if(!current){
+      announce(`Slot ${i+1} has no reservation to move at the time shown`);
+      return;
+    }
+    carried = {id: current.id, plate: current.plate, from: i+1};
+    renderGrid();
+    announce(`${current.plate} picked up from slot ${i+1}. Go to another slot and press Enter to move it there, or Escape to cancel`);
+  }
+
+  /**
+   * Puts back a reservation picked up with the keyboard
+   */
+  function cancelCarry(){
+    if(!carried) return;
+    carried = null;
+    renderGrid();
+    announce('Move cancelled');
+  }
+
+  /**
+   * Starts dragging a reservation, from the grid or the ArrayList
+   * @param {DragEvent} e
+   * @param {Object} r - Reservation or booking ({id, plate, ...})
+   * @param {number} from - Slot number it is on
+   */
+  function startDrag(e, r, from){
+    dragged = {id: r.id, plate: r.plate, from};
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', r.id);
+    e.target.classList.add('dragging');
+  }
+
+  /**
+   * Clears the drag state and highlights
+   */
+  function endDrag(){
+    dragged = null;
+    document.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+  }
+
   // ============================================
   // ArrayList Operations
   // ============================================
@@ -243,59 +1014,77 @@
   /**
    * DELETE Operation - Removes a reservation from ArrayList
    * Time Complexity: O(n) - requires finding and shifting elements
-   * Implements FIFO queue automatic assignment when slot becomes available
    * @param {string} id - Unique reservation ID
    */
   function deleteReservation(id){
-    const idx = arrayList.findIndex(r=>r.id===id);
-    if(idx===-1) return;
-    
-    const slotNum = arrayList[idx].slot;
-    arrayList.splice(idx,1); // O(n) operation - removes and shifts elements
-    parkingSlots[slotNum-1] = null;
+    if(!allowed('delete')) return;
+    attempt(() => engine.remove(id));
+  }
 
-    // FIFO Queue Implementation - Auto-assign from queue
-    if(queue.length>0){
-      const next = queue.shift(); // DEQUEUE O(1) - remove from front
-      const time = nowString();
-      const nid = 'id'+Date.now()+Math.floor(Math.random()*999);
-      parkingSlots[slotNum-1] = {plate: next.plate, time, id: nid};
-      arrayList.push({plate: next.plate, slot: slotNum, time, id: nid});
-      alert(`🎯 FIFO Queue: ${next.plate} automatically assigned to slot ${slotNum}`);
-    }
 
-    saveState(); 
-    renderGrid();
-    renderArrayList();
-    renderQueue();
+  /**
+   * CHECK-OUT Operation - Ends a parking session and bills it
+   * The engine records the exit, computes the fee and moves the session
+   * to the history log; this opens the printable receipt
+   * Time Complexity: O(n) - same removal as DELETE
+   * @param {string} id - Unique reservation ID
+   */
+  function checkOutReservation(id){
+    if(!allowed('checkout')) return;
+    const session = attempt(() => engine.checkOut(id));
+    if(!session) return;
+
+    localStorage.setItem('currentReceipt', JSON.stringify({
+      ...session,
+      entryText: formatTime(session.start),
+      exitText: formatTime(session.exit),
+      durationText: formatDuration(session.durationMs),
+      feeText: formatMoney(session.fee)
+    }));
+    window.open('receipt.html', '_blank');
   }
 
+
   /**
    * Renders the ArrayList visualization panel
-   * Displays all active reservations with slot, plate, time, and actions
+   * Displays all active reservations with slot, plate, time, and actions,
+   * each with a checkbox for bulk actions
    */
   function renderArrayList(){
+    selectedReservations.forEach(id => {
+      if(!arrayList.some(r => r.id === id)) selectedReservations.delete(id);
+    });
     if(arrayList.length===0){
-      arrayListEmpty.style.display = 'block';
-      arrayListItems.style.display = 'none';
+      arrayListEmpty.hidden = false;
+      arrayListItems.hidden = true;
     } else {
-      arrayListEmpty.style.display = 'none';
-      arrayListItems.style.display = 'block';
+      arrayListEmpty.hidden = true;
+      arrayListItems.hidden = false;
       arrayListItems.innerHTML = '';
       
       for(let i=0; i<arrayList.length; i++){
         const r = arrayList[i];
-        const stickerCode = `SP-${r.plate}-${String(r.slot).padStart(2,'0')}-${r.id.substring(2,10).toUpperCase()}`;
-        
+
         const item = document.createElement('div');
-        item.className = 'item';
-        item.innerHTML = `
+        item.className = selectedReservations.has(r.id) ? 'item selected' : 'item';
+        // Drag onto a grid slot to move the reservation there
+        if(can('move')){
+          item.draggable = true;
+          item.addEventListener('dragstart', (e)=> startDrag(e, r, r.slot));
+          item.addEventListener('dragend', endDrag);
+        }
+        item.innerHTML = html`
           <div>
+            <input type="checkbox" class="select-item" aria-label="Select ${r.plate} on slot ${r.slot}" />
             <div class="slot-badge">#${r.slot}</div>
             <div class="content-right">
               <div class="plate-number">${r.plate}</div>
-              <div class="meta">🕐 ${r.time}</div>
-              <div class="sticker-code">${stickerCode}</div>
+              <div class="meta">🕐 ${formatWindow(r.start, r.end)}</div>
+              <div class="meta">${Lot.SLOT_TYPES[engine.layout[r.slot-1].type].icon} ${Lot.VEHICLE_TYPES[r.vehicle].label} • ${engine.layout[r.slot-1].floorName}, ${engine.layout[r.slot-1].zoneName}</div>
+              ${r.checkedIn ? '' : html`<div class="meta awaiting">⌛ Awaiting arrival - released at ${formatTime(r.start + policy.noShowMinutes * 60000)}</div>`}
+              ${engine.noShowCount(r.plate) ? html`<div class="meta noshow-tag">⚠ ${engine.noShowCount(r.plate)} no-show(s)</div>` : ''}
+              <div class="meta">📝 Booked ${formatTime(r.bookedAt)}${r.operator ? html` by 👤 ${r.operator}` : ''}</div>
+              <div class="sticker-code">SP-${r.plate}-${String(r.slot).padStart(2,'0')}-········</div>
             </div>
           </div>
           <div class="actions">
@@ -305,49 +1094,187 @@
               </svg>
               STICKER
             </button>
-            <button class="btn-delete" data-id="${r.id}">
+            ${r.checkedIn ? html`
+            <button class="btn-checkout" data-id="${r.id}" data-permission="checkout">
               <svg viewBox="0 0 24 24" fill="currentColor">
-                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM8 9h8v10H8V9zm7.5-5l-1-1h-5l-1 1H5v2h14V4z"/>
+                <path d="M10 17l5-5-5-5v3H3v4h7v3zm9-14h-8v2h8v14h-8v2h8c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2z"/>
+              </svg>
+              CHECK-OUT
+            </button>` : html`
+            <button class="btn-checkin" data-id="${r.id}" data-permission="checkout">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M9 16.2L4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4L9 16.2z"/>
+              </svg>
+              CHECK-IN
+            </button>`}
+            <button class="btn-delete" data-id="${r.id}" data-permission="delete">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM8 9h8v10H8V9zm7.5-5l-1-1h-5l-1 1H5v2h14V4z"/>
               </svg>
               DELETE
             </button>
           </div>
         `;
      
-        // Sticker button handler
-        const stickerBtn = item.querySelector('.btn-sticker');
-        stickerBtn.addEventListener('click', ()=> {
-          localStorage.setItem('currentSticker', JSON.stringify({
-            plate: r.plate,
-            slot: r.slot,
-            time: r.time,
-            code: stickerCode
-          }));
-          window.open('sticker.html', '_blank');
+        // Bulk selection
+        const selectBox = item.querySelector('.select-item');
+        selectBox.checked = selectedReservations.has(r.id);
+        selectBox.addEventListener('change', ()=> {
+          if(selectBox.checked) selectedReservations.add(r.id);
+          else selectedReservations.delete(r.id);
+          item.classList.toggle('selected', selectBox.checked);
+          updateBulkBar();
+        });
+
+        // Sticker code (signed asynchronously) and button handler
+        const codeEl = item.querySelector('.sticker-code');
+        stickerCodeFor(r).then(code => {
+          codeEl.textContent = Sticker.shortCode(code);
+        }).catch(e => {
+          // e.g. the lot server holding the signing secret can't be reached
+          codeEl.textContent = 'STICKER UNAVAILABLE';
+          codeEl.classList.add('unavailable');
+          codeEl.title = e.message;
         });
+        const stickerBtn = item.querySelector('.btn-sticker');
+        stickerBtn.addEventListener('click', ()=> openSticker(r));
       
+        // Check-in / check-out button handlers
+        const checkinBtn = item.querySelector('.btn-checkin');
+        if(checkinBtn){
+          checkinBtn.addEventListener('click', ()=> checkInReservation(r.id));
+        }
+        const checkoutBtn = item.querySelector('.btn-checkout');
+        if(checkoutBtn){
+          checkoutBtn.addEventListener('click', ()=> {
+            Dialog.confirm(`Check out ${r.plate} from slot ${r.slot}?`, {okLabel: 'CHECK OUT'}).then(ok => {
+              if(ok) checkOutReservation(r.id);
+            });
+          });
+        }
+
         // Delete button handler
         const delBtn = item.querySelector('.btn-delete');
         delBtn.addEventListener('click', ()=> {
-          if(confirm(`Delete reservation for ${r.plate} (slot ${r.slot})?`)){
-            deleteReservation(r.id);
-          }
+          Dialog.confirm(`Delete reservation for ${r.plate} (slot ${r.slot})?`, {okLabel: 'DELETE', danger: true}).then(ok => {
+            if(ok) deleteReservation(r.id);
+          });
         });
         
         arrayListItems.appendChild(item);
       }
+      applyPermissions(arrayListItems);
     }
+    updateBulkBar();
     updateCounters();
   }
 
+  // ============================================
+  // Bulk Operations
+  // ============================================
+
+  /**
+   * Permission each bulk button needs (none to print stickers)
+   */
+  const BULK_PERMISSIONS = [[bulkReleaseBtn, 'delete'], [bulkMoveBtn, 'move'], [bulkStickersBtn, null]];
+
+  /**
+   * Selected reservations in ArrayList order
+   * @returns {Object[]}
+   */
+  const selectedList = () => arrayList.filter(r => selectedReservations.has(r.id));
+
+  /**
+   * Updates the selection count, the select-all box and the bulk buttons
+   */
+  function updateBulkBar(){
+    const count = selectedReservations.size;
+    bulkBar.hidden = arrayList.length === 0;
+    bulkCount.textContent = `${count} selected`;
+    selectAllBox.checked = count > 0 && count === arrayList.length;
+    selectAllBox.indeterminate = count > 0 && count < arrayList.length;
+    BULK_PERMISSIONS.forEach(([button, permission]) => {
+      button.disabled = count === 0 || (permission !== null && !can(permission));
+    });
+  }
+
+  /**
+   * BULK DELETE - Releases every selected reservation after one confirmation
+   * The engine removes them as one change, so one undo restores them all
+   * Time Complexity: O(k·n) for k selected
+   */
+  function releaseSelected(){
+    if(!allowed('delete')) return;
+    const chosen = selectedList();
+    if(chosen.length === 0) return;
+    const lines = chosen.map(r => `• ${r.plate} (slot ${r.slot})`).join('\n');
+    Dialog.confirm(`Release ${chosen.length} reservation${chosen.length === 1 ? '' : 's'}?\n\n${lines}`, {okLabel: 'RELEASE', danger: true}).then(ok => {
+      if(!ok) return;
+      if(attempt(() => engine.removeMany(chosen.map(r => r.id)))) selectedReservations.clear();
+      updateBulkBar();
+    });
+  }
+
+  /**
+   * BULK MOVE - Moves the selected reservations to the first free suitable
+   * slots, keeping clear of the slots they leave and any selected in the
+   * grid (e.g. ones about to be blocked), then lists what moved
+   */
+  function moveSelected(){
+    if(!allowed('move')) return;
+    const chosen = selectedList();
+    if(chosen.length === 0) return;
+    const from = new Map(chosen.map(r => [r.id, r.slot]));
+    const result = attempt(() => engine.moveMany(chosen.map(r => r.id), Array.from(selectedSlots)));
+    if(!result) return;
+    const lines = result.moved.map(r => `✅ ${r.plate}: slot ${from.get(r.id)} → ${r.slot}`)
+      .concat(result.failed.map(f => `⚠️ ${f.plate}: ${f.message}`));
+    Dialog.alert(lines.join('\n'), {title: `Moved ${result.moved.length} of ${chosen.length}`});
+  }
+
+  /**
+   * Sticker contents for a reservation, as the sticker page shows them
+   * @param {Object} r - Reservation
+   * @returns {Promise<Object>} See sticker-export.js layout()
+   */
+  function stickerSheet(r){
+    return stickerCodeFor(r).then(code => ({
+      plate: r.plate, slot: r.slot, time: formatTime(r.bookedAt), validity: formatWindow(r.start, r.end),
+      code, label: Sticker.shortCode(code)
+    }));
+  }
+
+  /**
+   * Downloads the stickers of every selected reservation as one PDF,
+   * a page each, ready to print
+   */
+  function printSelectedStickers(){
+    const chosen = selectedList();
+    if(chosen.length === 0) return;
+    downloadStickers(chosen);
+  }
+
+  /**
+   * Downloads stickers as one PDF, a page each
+   * @param {Object[]} list - Reservations
+   */
+  function downloadStickers(list){
+    Promise.all(list.map(stickerSheet))
+      .then(sheets => {
+        downloadFile(`smartpark-stickers-${exportStamp()}.pdf`, StickerExport.toPdf(sheets), 'application/pdf');
+        announce(`${sheets.length} sticker${sheets.length === 1 ? '' : 's'} saved as a PDF`);
+      })
+      .catch(e => Dialog.alert('⚠️ Could not create the stickers: ' + e.message));
+  }
+
   /**
    * SORT Operation - Sort ArrayList by slot number (ascending)
    * Algorithm: JavaScript's built-in sort (Timsort)
    * Time Complexity: O(n log n)
    */
   function sortBySlot(){ 
-    arrayList.sort((a,b)=>a.slot-b.slot);
-    saveState();
+    if(!allowed('reorder')) return;
+    engine.sortBySlot();
     
     // Visual feedback animation
     const arrayListItems = document.getElementById('arraylist-items');
@@ -355,7 +1282,6 @@
     arrayListItems.style.transform = 'scale(0.98)';
     
     setTimeout(() => {
-      renderArrayList();
       arrayListItems.style.opacity = '1';
       arrayListItems.style.transform = 'scale(1)';
     }, 150);
@@ -366,15 +1292,14 @@
    * Time Complexity: O(n log n)
    */
   function sortByTime(){ 
-    arrayList.sort((a,b)=>new Date(a.time)-new Date(b.time)); 
-    saveState();
+    if(!allowed('reorder')) return;
+    engine.sortByTime();
     
     const arrayListItems = document.getElementById('arraylist-items');
     arrayListItems.style.opacity = '0.5';
     arrayListItems.style.transform = 'scale(0.98)';
     
     setTimeout(() => {
-      renderArrayList();
       arrayListItems.style.opacity = '1';
       arrayListItems.style.transform = 'scale(1)';
     }, 150);
@@ -385,15 +1310,14 @@
    * Time Complexity: O(n)
    */
   function traverseReverse(){ 
-    arrayList.reverse(); 
-    saveState();
+    if(!allowed('reorder')) return;
+    engine.reverse();
     
     const arrayListItems = document.getElementById('arraylist-items');
     arrayListItems.style.opacity = '0.5';
     arrayListItems.style.transform = 'scale(0.98)';
     
     setTimeout(() => {
-      renderArrayList();
       arrayListItems.style.opacity = '1';
       arrayListItems.style.transform = 'scale(1)';
     }, 150);
@@ -403,218 +1327,1878 @@
    * INSERT Operation - Add new reservation to ArrayList or Queue
    * Time Complexity: O(1) for ArrayList insertion at end
    * Time Complexity: O(1) for Queue enqueue
+   * The engine rejects overlapping bookings on the same slot (or for the
+   * same plate) and only assigns slots suitable for the vehicle type
    * @param {string} plate - Vehicle plate number
    * @param {string} chosenSlot - Selected slot ("auto" or slot number)
+   * @param {number} start - Window start (epoch ms)
+   * @param {number|null} end - Window end (epoch ms) or null for open-ended
+   * @param {string} vehicle - Vehicle type key (see lot-config.js)
+   * @param {string} priority - Queue priority class (see PRIORITY_CLASSES)
+   * The booking is recorded under the signed-in operator's user name
+   * @returns {Object|undefined} The engine's result, or undefined if rejected
+   *          (an invalid plate is shown under the plate field instead of an alert)
    */
-  function insertReservation(plate, chosenSlot){
-    // Validation
-    if(!plate || plate.trim() === ''){ 
-      alert('Please enter a plate number'); 
-      return; 
-    }
-    plate = plate.trim();
-    
-    // Check for duplicates
-    if(arrayList.find(r=>r.plate.toLowerCase()===plate.toLowerCase()) || 
-       queue.find(r=>r.plate.toLowerCase()===plate.toLowerCase())){
-      alert('Plate already in system (either reserved or queued)');
-      return;
-    }
-
-    const time = nowString();
-    const id = 'id'+Date.now()+Math.floor(Math.random()*999);
-    
-    // If parking is full, add to queue
-    if(arrayList.length >= TOTAL_SLOTS){
-      queue.push({plate, time, id}); // ENQUEUE O(1)
-      saveState(); 
-      renderQueue();
-      updateCounters();
-      alert(`Parking is full! ${plate} has been added to the waiting queue.`);
-      return;
-    }
-
-    // Find available slot
-    let slotIndex = -1;
-    if(chosenSlot === 'auto'){
-      slotIndex = parkingSlots.findIndex(s => s === null); // O(n) search
-    } else {
-      const si = parseInt(chosenSlot,10) - 1;
-      if(si < 0 || si >= TOTAL_SLOTS){ 
-        alert('Invalid slot chosen'); 
-        return; 
-      }
-      if(parkingSlots[si]){ 
-        alert('Chosen slot is occupied'); 
-        return; 
+  function insertReservation(plate, chosenSlot, start, end, vehicle, priority){
+    if(!allowed('reserve')) return undefined;
+    let result;
+    try {
+      result = engine.insert({plate, slot: chosenSlot, start, end, vehicle, priority, operator: currentOperator()});
+    } catch (e) {
+      if(!(e instanceof Engine.EngineError)) throw e;
+      if(e instanceof Engine.InvalidPlateError){
+        showPlateFeedback(e.message, true);
+        plateInput.focus();
+      } else {
+        Dialog.alert(e.message);
       }
-      slotIndex = si;
+      return undefined;
     }
-    
-    if(slotIndex === -1){
-      queue.push({plate,time,id});
-      saveState(); 
-      renderQueue();
-    } else {
-      // Insert to ArrayList - O(1) operation
-      const reservation = {plate, slot: slotIndex+1, time, id};
-      parkingSlots[slotIndex] = {plate, time, id};
-      arrayList.push(reservation);
-      saveState(); 
-
-      const stickerCode = `SP-${plate}-${String(slotIndex+1).padStart(2,'0')}-${id.substring(2,10).toUpperCase()}`;
-      const viewSticker = confirm(`✅ Reservation successful!\n\nPlate: ${plate}\nSlot: ${slotIndex+1}\nSticker Code: ${stickerCode}\n\nView your digital parking sticker?`);
-
-      if(viewSticker){
-        localStorage.setItem('currentSticker', JSON.stringify({
-          plate: plate,
-          slot: slotIndex+1,
-          time: time,
-          code: stickerCode
-        }));
-        window.open('sticker.html', '_blank');
-      }
+
+    if(result.status === 'queued'){
+      Dialog.alert(`Parking is full for that time! ${result.entry.plate} has been added to the waiting queue.`);
+      return result;
     }
 
-    renderGrid();
-    renderArrayList();
+    const r = result.reservation;
+    stickerCodeFor(r)
+      .then(code => Dialog.confirm(`Plate: ${r.plate}\nSlot: ${r.slot}\nWindow: ${formatWindow(r.start, r.end)}\nSticker Code: ${Sticker.shortCode(code)}\n\nView your digital parking sticker?`, {
+        title: '✅ Reservation successful', okLabel: 'VIEW STICKER', cancelLabel: 'NOT NOW'
+      }))
+      .then(viewSticker => {
+        if(viewSticker) openSticker(r);
+      })
+      .catch(e => Dialog.alert(`✅ ${r.plate} is booked on slot ${r.slot}, but its sticker is unavailable: ${e.message}`));
+    return result;
   }
 
+
   // ============================================
   // Queue Operations (FIFO)
   // ============================================
 
+  /**
+   * ACCEPT - Waiter takes the slot they were offered
+   * Books the slot for their requested window (starting no earlier than now)
+   * @param {string} queueId - Queue entry ID holding the offer
+   */
+  function acceptOffer(queueId){
+    if(!allowed('checkout')) return;
+    const res = attempt(() => engine.acceptOffer(queueId));
+    if(res){
+      Dialog.alert(`🎯 Priority Queue: ${res.plate} (${PRIORITY_CLASSES[res.priority].label}) assigned to slot ${res.slot}`);
+    }
+  }
+
+
+  /**
+   * DECLINE - Waiter passes on the offered slot but stays in the queue
+   * The slot is offered to the next eligible waiter
+   * @param {string} queueId - Queue entry ID holding the offer
+   */
+  function declineOffer(queueId){
+    if(!allowed('checkout')) return;
+    attempt(() => engine.declineOffer(queueId));
+  }
+
+
+  /**
+   * CHECK-IN Operation - Marks an advance booking as arrived
+   * Checked-in reservations are never released as no-shows
+   * @param {string} id - Unique reservation ID
+   */
+  function checkInReservation(id){
+    if(!allowed('checkout')) return;
+    attempt(() => engine.checkIn(id));
+  }
+
+
+  /**
+   * Runs every second: lets the engine expire ignored offers, queue
+   * timeouts and no-shows (see engine.tick), then ticks the countdowns
+   */
+  function processTimers(){
+    // A simulation runs the timers of its own copy as it steps
+    if(!simulating()) engine.tick();
+
+    // Tick the offer countdowns without a full re-render
+    const now = liveTime();
+    document.querySelectorAll('.offer-countdown').forEach(el => {
+      el.textContent = formatCountdown(Number(el.dataset.expires) - now);
+    });
+  }
+
+
+  /**
+   * Formats a countdown as m:ss
+   * @param {number} ms - Remaining time
+   * @returns {string}
+   */
+  function formatCountdown(ms){
+    const sec = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2,'0')}`;
+  }
+
   /**
    * Renders the Queue visualization panel
-   * Displays all waiting vehicles in order
+   * Displays waiting vehicles lane by lane in serving order, with an
+   * estimated wait from recent slot turnover
    */
   function renderQueue(){
     if(queue.length===0){
-      queueEmpty.style.display = 'block';
-      queueItems.style.display = 'none';
+      queueEmpty.hidden = false;
+      queueItems.hidden = true;
     } else {
-      queueEmpty.style.display = 'none';
-      queueItems.style.display = 'block';
+      queueEmpty.hidden = true;
+      queueItems.hidden = false;
       queueItems.innerHTML = '';
       
-      queue.forEach((q,i)=>{
-        const d = document.createElement('div');
-        d.className = 'queue-item';
-        d.innerHTML = `
-          <div>
-            <div class="queue-position">#${i+1}</div>
-            <div class="queue-content-right">
-              <div class="queue-plate-number">${q.plate}</div>
-              <div class="queue-meta">🕐 ${q.time}</div>
+      engine.queueLanes().forEach(lane => {
+        const header = document.createElement('div');
+        header.className = 'queue-lane';
+        header.textContent = `${Lot.VEHICLE_TYPES[lane.vehicle].label} lane (${lane.waiters.length})`;
+        queueItems.appendChild(header);
+
+        const interval = engine.turnoverInterval(lane.vehicle);
+        lane.waiters.forEach((q,i)=>{
+          const eta = interval === null ? 'ETA unknown' : `ETA ~${formatDuration(interval * (i+1))}`;
+          const offer = offers.find(o => o.queueId === q.id);
+          const leaves = engine.clock.time(q.queuedAt + policy.queueTtlMinutes * 60000);
+          const misses = engine.noShowCount(q.plate);
+          const d = document.createElement('div');
+          d.className = 'queue-item' + (offer ? ' offered' : '');
+          d.dataset.id = q.id;
+          d.innerHTML = html`
+            <div>
+              <div class="queue-position">#${i+1}</div>
+              <div class="queue-content-right">
+                <div class="queue-plate-number">${q.plate}</div>
+                <div class="queue-meta">🕐 ${formatWindow(q.start, q.end)}</div>
+                <div class="queue-meta"><span class="priority-tag priority-${q.priority}">${PRIORITY_CLASSES[q.priority].label}</span> ⏳ ${eta} • leaves queue ${leaves}</div>
+                ${q.operator ? html`<div class="queue-meta">👤 Added by ${q.operator}</div>` : ''}
+                ${misses ? html`<div class="queue-meta noshow-tag">⚠ ${misses} no-show(s)</div>` : ''}
+              </div>
             </div>
-          </div>
-          <div class="queue-status">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-              <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
-              <path d="M12 6v6l4 2" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-            </svg>
-            WAITING
-          </div>
-        `;
-        queueItems.appendChild(d);
+            ${offer ? html`
+            <div class="offer-box">
+              <div class="offer-title">SLOT ${offer.slot} OFFERED</div>
+              <div class="offer-countdown" data-expires="${offer.expiresAt}">${formatCountdown(offer.expiresAt - liveTime())}</div>
+              <div class="offer-actions">
+                <button class="btn-accept" data-permission="checkout">ACCEPT</button>
+                <button class="btn-decline" data-permission="checkout">DECLINE</button>
+              </div>
+            </div>` : html`
+            <div class="queue-status">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
+                <path d="M12 6v6l4 2" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+              </svg>
+              WAITING
+            </div>`}
+          `;
+          if(offer){
+            d.querySelector('.btn-accept').addEventListener('click', ()=> acceptOffer(q.id));
+            d.querySelector('.btn-decline').addEventListener('click', ()=> declineOffer(q.id));
+          }
+          queueItems.appendChild(d);
+        });
       });
+      applyPermissions(queueItems);
     }
     updateCounters();
   }
 
   // ============================================
-  // Search Operation (Linear Search)
+  // Check-out History & Rates
   // ============================================
 
   /**
-   * SEARCH Operation - Linear search through ArrayList
-   * Time Complexity: O(n)
-   * Searches by plate number or slot number
-   * @param {string} term - Search term (plate or slot number)
+   * Renders the history log of finished sessions (most recent first)
+   * Each entry can re-open its receipt
    */
-  function search(term){
-    term = (term||'').trim();
-    if(!term){ 
-      searchResult.innerHTML = ''; 
-      return; 
+  function renderHistory(){
+    historySizeLabel.textContent = `(${history.length} sessions)`;
+    if(history.length===0){
+      historyEmpty.hidden = false;
+      historyItems.hidden = true;
+      return;
     }
+    historyEmpty.hidden = true;
+    historyItems.hidden = false;
+    historyItems.innerHTML = '';
 
-    if(arrayList.length === 0){
-      searchResult.innerHTML = `
-        <div style="color: #a855f7; font-weight: 600; margin-bottom: 12px; font-size: 13px;">Found 0 result(s) for "${term}"</div>
-        <div style="background: linear-gradient(135deg, rgba(150,30,50,0.3), rgba(100,20,40,0.25)); padding: 40px; border-radius: 10px; border: 2px solid rgba(255,75,75,0.5); text-align: center;">
-          <div style="font-size: 48px; color: #ff4b4b; margin-bottom: 12px;">✕</div>
-          <div style="color: #ff6b6b; font-size: 16px; font-weight: 600;">No reservations found</div>
+    history.slice().reverse().forEach(h=>{
+      const d = document.createElement('div');
+      d.className = 'history-item';
+      d.innerHTML = html`
+        <div class="slot-badge">#${h.slot}</div>
+        <div class="history-content">
+          <div class="plate-number">${h.plate}</div>
+          <div class="meta">🕐 ${formatTime(h.start)} → ${formatTime(h.exit)} • ${formatDuration(h.durationMs)}</div>
         </div>
+        <div class="history-fee">${formatMoney(h.fee)}</div>
+        <button class="btn-receipt">RECEIPT</button>
       `;
-      return;
-    }
-    
-    // Linear search through ArrayList
-    const results = [];
-    arrayList.forEach(r=>{
-      if(r.plate.toLowerCase().includes(term.toLowerCase()) || String(r.slot)===term) {
-        results.push(r);
-      }
+      d.querySelector('.btn-receipt').addEventListener('click', ()=> {
+        localStorage.setItem('currentReceipt', JSON.stringify({
+          ...h,
+          entryText: formatTime(h.start),
+          exitText: formatTime(h.exit),
+          durationText: formatDuration(h.durationMs),
+          feeText: formatMoney(h.fee)
+        }));
+        window.open('receipt.html', '_blank');
+      });
+      historyItems.appendChild(d);
     });
-    
-    if(results.length===0){
-      searchResult.innerHTML = `
-        <div style="color: #a855f7; font-weight: 600; margin-bottom: 12px; font-size: 13px;">Found 0 result(s) for "${term}"</div>
-        <div style="background: linear-gradient(135deg, rgba(150,30,50,0.3), rgba(100,20,40,0.25)); padding: 40px; border-radius: 10px; border: 2px solid rgba(255,75,75,0.5); text-align: center;">
-          <div style="font-size: 48px; color: #ff4b4b; margin-bottom: 12px;">✕</div>
-          <div style="color: #ff6b6b; font-size: 16px; font-weight: 600;">No reservations found</div>
-        </div>
-      `;
+  }
+
+  /**
+   * Fills the rates form with the current rate rules
+   */
+  function renderRates(){
+    Object.keys(DEFAULT_RATES).forEach(key => {
+      ratesForm.elements[key].value = rates[key];
+    });
+  }
+
+  /**
+   * Fills the queue policy form with the current timing rules
+   */
+  function renderPolicy(){
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      policyForm.elements[key].value = policy[key];
+    });
+  }
+
+  /**
+   * Applies the timing rules entered in the policy form
+   * Invalid values are rejected by the engine and the form is reset
+   */
+  function savePolicy(){
+    if(!allowed('configure')) return;
+    const next = {};
+    Object.keys(DEFAULT_POLICY).forEach(key => next[key] = parseFloat(policyForm.elements[key].value));
+    if(attempt(() => engine.setPolicy(next))){
+      Dialog.alert('✅ Queue policy updated');
     } else {
-      const rows = results.map(r=>`
-        <div class="item">
-          <div class="slot-badge">#${r.slot}</div>
-          <div class="item-content">
-            <div class="plate-number">${r.plate}</div>
-            <div class="meta">🕐 ${r.time}</div>
-          </div>
-        </div>
-      `).join('');
-      searchResult.innerHTML = `<div style="color: #a855f7; font-weight: 600; margin-bottom: 12px; font-size: 13px;">Found ${results.length} result(s) for "${term}"</div>${rows}`;
+      renderPolicy();
+    }
+  }
+
+
+  /**
+   * Applies the rate rules entered in the rates form
+   * Invalid values are rejected by the engine and the form is reset
+   */
+  function saveRates(){
+    if(!allowed('configure')) return;
+    const next = {};
+    Object.keys(DEFAULT_RATES).forEach(key => next[key] = parseFloat(ratesForm.elements[key].value));
+    if(attempt(() => engine.setRates(next))){
+      Dialog.alert('✅ Billing rates updated');
+    } else {
+      renderRates();
     }
   }
 
+
   // ============================================
-  // Event Listeners
+  // Plate Formats
   // ============================================
-  
-  insertBtn.addEventListener('click', ()=>{
-    const plate = plateInput.value;
-    const slotChoice = slotSelect.value;
-    insertReservation(plate, slotChoice);
-    plateInput.value = '';
-  });
 
-  plateInput.addEventListener('keydown', (e)=> {
-    if(e.key==='Enter') {
-      insertBtn.click();
+  /**
+   * Shows a message under the plate field
+   * @param {string} message - Empty to clear
+   * @param {boolean} isError - Marks the field invalid
+   */
+  function showPlateFeedback(message, isError){
+    plateFeedback.textContent = message;
+    plateFeedback.classList.toggle('error', !!isError);
+    plateInput.classList.toggle('invalid', !!isError);
+  }
+
+  /**
+   * Checks the plate as it is typed: explains what is wrong, or shows
+   * how it will be stored when normalization changes it
+   */
+  function checkPlateInput(){
+    const raw = plateInput.value;
+    if(!raw.trim()){
+      showPlateFeedback('', false);
+      return;
     }
-  });
+    const {plate, error} = Plates.normalizePlate(raw, engine.plateRules);
+    if(error) showPlateFeedback(error, true);
+    else showPlateFeedback(plate === raw ? '' : `Will be saved as ${plate}`, false);
+  }
 
-  searchBtn.addEventListener('click', ()=> search(searchInput.value));
-  searchInput.addEventListener('keydown', (e)=> { 
-    if(e.key==='Enter') search(searchInput.value); 
-  });
+  /**
+   * Fills the plate formats form with the current rules and updates
+   * the plate field's example
+   */
+  function renderPlateRules(){
+    const rules = engine.plateRules;
+    plateFormatOptions.innerHTML = html`${Object.keys(Plates.PLATE_FORMATS).map(id => {
+      const format = Plates.PLATE_FORMATS[id];
+      return html`<label class="check"><input type="checkbox" name="format" value="${id}" ${rules.formats.includes(id) ? 'checked' : ''} /> ${format.label.toUpperCase()} <code>${Plates.examplePlate(format.pattern)}</code></label>`;
+    })}`;
+    plateRulesForm.elements.custom.value = rules.custom.join(', ');
+    plateRulesForm.elements.allowOther.checked = rules.allowOther;
+
+    const first = rules.formats.length ? Plates.PLATE_FORMATS[rules.formats[0]].pattern : rules.custom[0];
+    plateInput.placeholder = first ? `e.g., ${Plates.examplePlate(first)}` : 'e.g., ABC1234';
+    checkPlateInput();
+  }
+
+  /**
+   * Applies the plate formats chosen in the form
+   * Invalid rules are rejected by the engine and the form is reset
+   */
+  function savePlateRules(){
+    if(!allowed('configure')) return;
+    const elements = plateRulesForm.elements;
+    const next = {
+      formats: Array.from(plateFormatOptions.querySelectorAll('input[name="format"]:checked')).map(input => input.value),
+      custom: elements.custom.value.split(',').map(p => p.trim().toUpperCase()).filter(Boolean),
+      allowOther: elements.allowOther.checked
+    };
+    if(attempt(() => engine.setPlateRules(next))){
+      Dialog.alert('✅ Plate formats updated');
+    } else {
+      renderPlateRules();
+    }
+  }
+
+  /**
+   * Fills the time display form with the current settings and shows
+   * the current time as it will appear
+   */
+  function renderDisplay(){
+    displayForm.elements.locale.value = engine.display.locale;
+    displayForm.elements.timeZone.value = engine.display.timeZone;
+    displayPreview.textContent = `Now: ${formatTime(Date.now())} (${engine.clock.locale}, ${engine.clock.timeZone})`;
+  }
+
+  /**
+   * Applies the locale and time zone chosen in the form
+   * Every time on the page is redrawn; the stored times don't change
+   * Invalid settings are rejected by the engine and the form is reset
+   */
+  function saveDisplay(){
+    if(!allowed('configure')) return;
+    const next = {locale: displayForm.elements.locale.value, timeZone: displayForm.elements.timeZone.value};
+    if(attempt(() => engine.setDisplay(next))){
+      renderAll();
+      Dialog.alert('✅ Time display updated');
+    } else {
+      renderDisplay();
+    }
+  }
 
-  sortSlotBtn.addEventListener('click', sortBySlot);
-  sortTimeBtn.addEventListener('click', sortByTime);
-  traverseBtn.addEventListener('click', traverseReverse);
 
   // ============================================
-  // Initialize Application
+  // Lot Configuration
+  // ============================================
+
+  /**
+   * Shows the current lot configuration in the setup editor
+   */
+  function renderLotConfig(){
+    lotConfigInput.value = JSON.stringify(engine.lotConfig, null, 2);
+    lotErrors.textContent = '';
+  }
+
+  /**
+   * Replaces the lot layout
+   * Rejected by the engine if the configuration is invalid or if an existing
+   * booking would end up on a missing slot or a slot unsuitable for its vehicle
+   * @param {Object} config - New lot configuration
+   * @returns {string[]} Error messages (empty when applied)
+   */
+  function applyLotConfig(config){
+    try {
+      engine.applyLotConfig(config);
+    } catch (e) {
+      if(e instanceof Engine.InvalidInputError) return e.details.errors;
+      throw e;
+    }
+    return [];
+  }
+
+
+  // ============================================
+  // Operator Accounts & Permissions (see accounts.js)
   // ============================================
-  loadState();
-  renderGrid();
-  renderArrayList();
-  renderQueue();
 
-  // Expose data structures to console for debugging
-  window.SP = {parkingSlots, arrayList, queue};
+  const SESSION_KEY = 'smartpark_session'; // Signed-in user name, per tab
+  const accounts = Accounts.createAccountStore();
+
+  /**
+   * Operator signed in at this tab {username, role, createdAt}, or null
+   */
+  let signedIn = null;
+
+  /**
+   * Whether the signed-in operator's role grants a permission
+   * @param {string} permission - Key of Accounts.PERMISSIONS
+   * @returns {boolean}
+   */
+  const can = permission => signedIn !== null && Accounts.can(signedIn.role, permission);
+
+  /**
+   * Permissions that change the lot, refused while a simulation runs:
+   * the lot it shows is a copy, put back as it was when it stops
+   */
+  const LOT_CHANGES = ['reserve', 'checkout', 'delete', 'move', 'reorder', 'undo', 'configure', 'block', 'import'];
+  const frozen = permission => simulating() && LOT_CHANGES.includes(permission);
+
+  /**
+   * Checks a permission before an operation, explaining a refusal
+   * @param {string} permission - Key of Accounts.PERMISSIONS
+   * @returns {boolean} true if the operation may go ahead
+   */
+  function allowed(permission){
+    if(frozen(permission)){
+      Dialog.alert('Stop the simulation first - the lot it shows is a throwaway copy.', {title: 'Simulation running'});
+      return false;
+    }
+    if(can(permission)) return true;
+    const role = signedIn ? Accounts.ROLES[signedIn.role].label : 'Signed-out';
+    Dialog.alert(`🔒 ${role} accounts may not do this.\n\nNeeded: ${Accounts.PERMISSIONS[permission]}. Ask an admin if you need it.`, {title: 'Not allowed'});
+    return false;
+  }
+
+  /**
+   * Name of the operator signed in at this tab
+   * @returns {string}
+   */
+  const currentOperator = () => signedIn ? signedIn.username : 'unknown';
+
+  /**
+   * Enables only the controls the signed-in operator's role allows
+   * Controls name the permission they need in a data-permission attribute;
+   * a form's attribute covers all of its fields, and panels are hidden.
+   * Controls that change the lot are disabled while a simulation runs
+   * @param {Element} [container] - Default the whole page
+   */
+  function applyPermissions(container){
+    (container || document).querySelectorAll('[data-permission]').forEach(el => {
+      const ok = can(el.dataset.permission);
+      if(el.tagName === 'SECTION'){
+        el.hidden = !ok;
+        return;
+      }
+      (el.tagName === 'FORM' ? Array.from(el.elements) : [el]).forEach(control => {
+        control.disabled = !ok || frozen(el.dataset.permission);
+      });
+    });
+  }
+
+  /**
+   * Shows the sign-in form, or the form that creates the first admin
+   * account when there are no accounts yet
+   */
+  function showLogin(){
+    const setup = accounts.isEmpty;
+    loginTitle.textContent = setup ? 'CREATE THE ADMIN ACCOUNT' : 'SIGN IN';
+    loginHint.textContent = setup
+      ? 'No operator accounts exist yet. The first account is an admin, who can then add attendants and viewers.'
+      : 'Sign in with your operator account to use the lot.';
+    loginForm.querySelector('.login-confirm').hidden = !setup;
+    loginForm.elements.confirm.required = setup;
+    loginForm.elements.password.autocomplete = setup ? 'new-password' : 'current-password';
+    loginForm.querySelector('button[type="submit"]').textContent = setup ? 'CREATE ACCOUNT' : 'SIGN IN';
+    loginError.textContent = '';
+    loginForm.reset();
+
+    loginScreen.hidden = false;
+    loginFields.disabled = false;
+    document.querySelectorAll('.topbar, .main-grid').forEach(el => el.inert = true);
+    loginForm.elements.username.focus();
+  }
+
+  /**
+   * Unlocks the page for a signed-in operator
+   * @param {Object} account - {username, role, createdAt}
+   */
+  function startSession(account){
+    signedIn = account;
+    sessionStorage.setItem(SESSION_KEY, account.username);
+    loginScreen.hidden = true;
+    document.querySelectorAll('.topbar, .main-grid').forEach(el => el.inert = false);
+    showSessionUser();
+    renderAll();
+    updateUndoButtons();
+
+    // The console helpers bypass every permission check, so only admins get them
+    if(can('console')){
+      window.SP = {engine, parkingSlots, arrayList, queue, history, rates, offers, queueHistory, noShows, policy, blocks, auditLog, accounts, get layout(){ return engine.layout; }};
+    } else {
+      delete window.SP;
+    }
+  }
+
+  /**
+   * Names the signed-in operator and their role in the top bar
+   */
+  function showSessionUser(){
+    sessionUser.textContent = signedIn ? `👤 ${signedIn.username} • ${Accounts.ROLES[signedIn.role].label.toUpperCase()}` : '';
+  }
+
+  /**
+   * Signs in with the form, or creates the first admin account
+   * Sign-ins and sign-outs are recorded in the audit log
+   */
+  function submitLogin(){
+    const {username, password, confirm} = loginForm.elements;
+    const setup = accounts.isEmpty;
+    if(setup && password.value !== confirm.value){
+      loginError.textContent = 'The passwords do not match';
+      return;
+    }
+    loginFields.disabled = true;
+    loginError.textContent = '';
+    const check = setup
+      ? accounts.add(username.value, password.value, 'admin')
+      : accounts.authenticate(username.value, password.value);
+    check
+      .then(account => {
+        if(!account){
+          loginError.textContent = 'Wrong user name or password';
+          return;
+        }
+        logEvent('session', setup ? `${account.username} created the first admin account` : `${account.username} signed in`, null, null, account.username);
+        saveState();
+        startSession(account);
+      })
+      .catch(e => {
+        if(!(e instanceof Accounts.AccountError)) throw e;
+        loginError.textContent = e.message;
+      })
+      .then(() => {
+        loginFields.disabled = false;
+        if(!loginScreen.hidden){
+          password.value = '';
+          password.focus();
+        }
+      });
+  }
+
+  /**
+   * Ends this tab's session and returns to the sign-in form
+   * @param {string} [reason] - Shown after signing out, when the session was ended for the operator
+   */
+  function signOut(reason){
+    // The next operator finds the lot as it really is
+    stopSimulation();
+    if(signedIn && !reason){
+      logEvent('session', `${signedIn.username} signed out`, null, null);
+      saveState();
+    }
+    signedIn = null;
+    sessionStorage.removeItem(SESSION_KEY);
+    delete window.SP;
+    showSessionUser();
+    clearUndoHistory();
+    applyPermissions();
+    showLogin();
+    if(reason) Dialog.alert(reason, {title: 'Signed out'});
+  }
+
+  /**
+   * Follows account changes made in this or another tab: a deleted
+   * account is signed out, a changed role takes effect right away
+   */
+  function refreshSession(){
+    if(!signedIn) return;
+    const account = accounts.find(signedIn.username);
+    if(!account){
+      signOut(`The account "${signedIn.username}" was deleted.`);
+    } else if(account.role !== signedIn.role){
+      startSession(account);
+      announce(`Your role is now ${Accounts.ROLES[account.role].label}`);
+    } else if(can('accounts')){
+      renderAccounts();
+    }
+  }
+
+  /**
+   * Lists the operator accounts with their roles (admins only)
+   */
+  function renderAccounts(){
+    const list = accounts.list();
+    const roleOptions = selected => Object.keys(Accounts.ROLES).map(key =>
+      html`<option value="${key}" ${key === selected ? 'selected' : ''}>${Accounts.ROLES[key].label}</option>`);
+    accountItems.innerHTML = html`${list.map(a => html`
+      <div class="account-item" data-username="${a.username}">
+        <div class="account-name">👤 ${a.username}${a.username === currentOperator() ? ' (you)' : ''}</div>
+        <div class="meta">since ${engine.clock.date(a.createdAt)}</div>
+        <select class="account-role" aria-label="Role of ${a.username}">${roleOptions(a.role)}</select>
+        <button class="btn-delete-account" ${a.username === currentOperator() ? 'disabled' : ''}>DELETE</button>
+      </div>
+    `)}`;
+    accountItems.querySelectorAll('.account-item').forEach(item => {
+      const username = item.dataset.username;
+      item.querySelector('.account-role').addEventListener('change', e => changeRole(username, e.target.value));
+      item.querySelector('.btn-delete-account').addEventListener('click', ()=> deleteAccount(username));
+    });
+
+    const selected = passwordForm.elements.username.value;
+    passwordForm.elements.username.innerHTML = '';
+    list.forEach(a => passwordForm.elements.username.add(new Option(a.username, a.username)));
+    if(list.some(a => a.username === selected)) passwordForm.elements.username.value = selected;
+  }
+
+  /**
+   * Runs an account change, logging it or explaining why it was refused
+   * @param {Function} fn - Changes the accounts; may return a promise
+   * @param {string} summary - Audit log description
+   * @returns {Promise<boolean>} true if the change was made
+   */
+  function changeAccounts(fn, summary){
+    if(!allowed('accounts')) return Promise.resolve(false);
+    return Promise.resolve()
+      .then(fn)
+      .then(() => {
+        logEvent('accounts', summary, null, null);
+        saveState();
+        return true;
+      }, e => {
+        if(!(e instanceof Accounts.AccountError)) throw e;
+        Dialog.alert(e.message);
+        return false;
+      })
+      .then(done => {
+        renderAccounts();
+        return done;
+      });
+  }
+
+  /**
+   * Creates an account from the ADD ACCOUNT form
+   */
+  function addAccount(){
+    const {username, password, role} = accountForm.elements;
+    const name = Accounts.normalizeUsername(username.value);
+    changeAccounts(() => accounts.add(name, password.value, role.value), `Created account ${name} (${Accounts.ROLES[role.value].label})`)
+      .then(done => {
+        if(done) accountForm.reset();
+      });
+  }
+
+  /**
+   * Gives an account another role
+   */
+  function changeRole(username, role){
+    changeAccounts(() => accounts.setRole(username, role), `${username} is now ${Accounts.ROLES[role].label}`)
+      .then(()=> refreshSession());
+  }
+
+  /**
+   * Deletes an account after the admin confirms
+   */
+  function deleteAccount(username){
+    Dialog.confirm(`Delete the account "${username}"? They will be signed out everywhere.`, {okLabel: 'DELETE', danger: true}).then(conf => {
+      if(conf) changeAccounts(() => accounts.remove(username), `Deleted account ${username}`);
+    });
+  }
+
+  /**
+   * Replaces an account's password from the RESET PASSWORD form
+   */
+  function resetPassword(){
+    const {username, password} = passwordForm.elements;
+    changeAccounts(() => accounts.setPassword(username.value, password.value), `Reset the password of ${username.value}`)
+      .then(done => {
+        if(done){
+          passwordForm.reset();
+          Dialog.alert(`✅ New password set for ${username.value}`);
+        }
+      });
+  }
+
+
+  // ============================================
+  // Audit Log & Undo/Redo
+  // ============================================
+
+  /**
+   * Labels for the audit log's operation filter
+   */
+  const AUDIT_ACTIONS = {
+    reserve: 'Reserve', enqueue: 'Join queue', delete: 'Delete', checkin: 'Check-in',
+    checkout: 'Check-out', sort: 'Reorder', offer: 'Slot offer', decline: 'Offer declined',
+    promote: 'Queue promotion', expire: 'Expiry / no-show', settings: 'Rates & policy',
+    move: 'Move', block: 'Slot block', unblock: 'Slot unblock',
+    lot: 'Lot layout', import: 'Import', undo: 'Undo', redo: 'Redo',
+    session: 'Sign in / out', accounts: 'Accounts'
+  };
+
+  /**
+   * The state that undo and redo restore (everything except the audit log)
+   * @returns {string} JSON text
+   */
+  const undoableState = () => JSON.stringify({...snapshot(), auditLog: undefined});
+
+  /**
+   * Appends an event to the audit log
+   * Records are copied so later changes to them don't rewrite history
+   * @param {string} action - Key of AUDIT_ACTIONS
+   * @param {string} summary - One-line description
+   * @param {*} before - Affected data before the operation (null if created)
+   * @param {*} after - Affected data after the operation (null if removed)
+   * @param {string} [operator] - Defaults to the current operator
+   * @returns {Object} The event
+   */
+  function logEvent(action, summary, before, after, operator){
+    const copy = v => v === null || v === undefined ? null : JSON.parse(JSON.stringify(v));
+    const event = {
+      id: 'ev'+Date.now()+Math.floor(Math.random()*999),
+      at: Date.now(),
+      operator: operator || currentOperator(),
+      action,
+      summary,
+      before: copy(before),
+      after: copy(after)
+    };
+    auditLog.push(event);
+    renderAudit();
+    return event;
+  }
+
+  /**
+   * Logs an operator change and makes it undoable
+   * Must be called before saveState(), while the last saved snapshot
+   * still describes the state before the change
+   * Same parameters as logEvent()
+   */
+  function auditChange(action, summary, before, after){
+    const event = logEvent(action, summary, before, after);
+    if(committedState !== null){
+      undoStack.push({state: committedState, eventId: event.id, summary});
+      if(undoStack.length > UNDO_LIMIT) undoStack.shift();
+      redoStack.length = 0;
+    }
+    updateUndoButtons();
+  }
+
+  /**
+   * Forgets all undo and redo steps
+   */
+  function clearUndoHistory(){
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateUndoButtons();
+  }
+
+  /**
+   * Moves one step between the undo and redo stacks, restoring its state
+   * @param {Object[]} from - Stack to take the step from
+   * @param {Object[]} to - Stack that receives the reverse step
+   * @param {string} action - 'undo' or 'redo'
+   */
+  function stepHistory(from, to, action){
+    if(from.length === 0 || simulating() || !allowed('undo')) return;
+    const step = from.pop();
+    to.push({state: committedState, eventId: step.eventId, summary: step.summary});
+    applySnapshot(JSON.parse(step.state));
+    logEvent(action, `${AUDIT_ACTIONS[action]}: ${step.summary}`, {eventId: step.eventId}, null);
+    saveState();
+    renderAll();
+    updateUndoButtons();
+  }
+
+  /**
+   * UNDO - Restores the state before the most recent operator change
+   * Time Complexity: O(size of the state)
+   */
+  const undo = () => stepHistory(undoStack, redoStack, 'undo');
+
+  /**
+   * REDO - Re-applies the most recently undone change
+   * Time Complexity: O(size of the state)
+   */
+  const redo = () => stepHistory(redoStack, undoStack, 'redo');
+
+  /**
+   * Enables the undo/redo buttons and names the step each one would take
+   */
+  function updateUndoButtons(){
+    const nextUndo = undoStack[undoStack.length-1];
+    const nextRedo = redoStack[redoStack.length-1];
+    undoBtn.disabled = !nextUndo || !can('undo') || simulating();
+    redoBtn.disabled = !nextRedo || !can('undo') || simulating();
+    undoBtn.title = nextUndo ? `Undo: ${nextUndo.summary}` : 'Nothing to undo';
+    redoBtn.title = nextRedo ? `Redo: ${nextRedo.summary}` : 'Nothing to redo';
+  }
+
+  /**
+   * Renders the audit log (most recent first) through the current filters
+   * Time Complexity: O(n) over the log
+   */
+  function renderAudit(){
+    const action = auditActionFilter.value;
+    const operator = auditOperatorFilter.value.trim().toLowerCase();
+    const text = auditTextFilter.value.trim().toLowerCase();
+    const matches = auditLog.filter(e =>
+      (!action || e.action === action) &&
+      (!operator || e.operator.toLowerCase().includes(operator)) &&
+      (!text || `${e.summary} ${JSON.stringify(e.before)} ${JSON.stringify(e.after)}`.toLowerCase().includes(text))
+    );
+
+    auditSizeLabel.textContent = `(${auditLog.length} events)`;
+    if(matches.length === 0){
+      auditEmpty.hidden = false;
+      auditItems.hidden = true;
+      return;
+    }
+    auditEmpty.hidden = true;
+    auditItems.hidden = false;
+    auditItems.innerHTML = html`${matches.slice(-200).reverse().map(e => html`
+      <div class="audit-item">
+        <div class="audit-head">
+          <span class="audit-action">${(AUDIT_ACTIONS[e.action] || e.action).toUpperCase()}</span>
+          <span>${formatTime(e.at)}</span>
+          <span>👤 ${e.operator}</span>
+        </div>
+        <div class="audit-summary">${e.summary}</div>
+        <details>
+          <summary>before / after</summary>
+          <pre>BEFORE: ${JSON.stringify(e.before, null, 2)}\nAFTER: ${JSON.stringify(e.after, null, 2)}</pre>
+        </details>
+      </div>
+    `)}`;
+  }
+
+  /**
+   * Re-renders every part of the page from the in-memory state
+   */
+  function renderAll(){
+    renderGrid();
+    renderArrayList();
+    renderQueue();
+    renderHistory();
+    renderRates();
+    renderPolicy();
+    renderLotConfig();
+    renderPlateRules();
+    renderDisplay();
+    renderSearchAreas();
+    renderAnalytics();
+    renderAudit();
+    if(can('accounts')) renderAccounts();
+    applyPermissions();
+  }
+
+  // ============================================
+  // Analytics Dashboard
+  // ============================================
+
+  const CHART_WIDTH = 300;
+  const CHART_HEIGHT = 90;
+  const percent = fraction => `${(fraction * 100).toFixed(fraction > 0 && fraction < 0.1 ? 1 : 0)}%`;
+
+  /**
+   * Bar chart as SVG, one bar per value, labelled below every `labelEvery` bars
+   * @param {Array<{label: string, value: number, title: string}>} bars
+   * @param {number} max - Value drawn at full height
+   * @param {number} [labelEvery] - Default 1
+   * @returns {SafeHtml} SVG markup
+   */
+  function barChart(bars, max, labelEvery){
+    const step = CHART_WIDTH / bars.length;
+    const every = labelEvery || 1;
+    const rects = bars.map((b, i) => {
+      const h = max > 0 ? Math.round(b.value / max * CHART_HEIGHT) : 0;
+      return html`<rect x="${(i * step + step * 0.15).toFixed(1)}" y="${CHART_HEIGHT - h}" width="${(step * 0.7).toFixed(1)}" height="${h}" rx="1.5"><title>${b.title}</title></rect>`;
+    });
+    const labels = bars
+      .map((b, i) => i % every === 0 ? html`<text x="${(i * step + step / 2).toFixed(1)}" y="${CHART_HEIGHT + 12}" text-anchor="middle">${b.label}</text>` : '');
+    return html`<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 16}" role="img" font-size="8">
+      <line x1="0" y1="${CHART_HEIGHT}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT}" stroke="rgba(255,255,255,0.2)" />
+      <g fill="#00f0ff">${rects}</g>
+      <g fill="rgba(255,255,255,0.55)">${labels}</g>
+    </svg>`;
+  }
+
+  /**
+   * Line chart of the occupancy for each hour of the day, as SVG
+   * @param {Array<{hour: number, occupancy: number}>} hourly
+   * @returns {SafeHtml} SVG markup
+   */
+  function hourlyChart(hourly){
+    const x = hour => (hour + 0.5) * CHART_WIDTH / 24;
+    const y = occupancy => CHART_HEIGHT - occupancy * CHART_HEIGHT;
+    const points = hourly.map(h => `${x(h.hour).toFixed(1)},${y(h.occupancy).toFixed(1)}`).join(' ');
+    const dots = hourly.map(h => html`<circle cx="${x(h.hour).toFixed(1)}" cy="${y(h.occupancy).toFixed(1)}" r="2"><title>${Analytics.formatHour(h.hour)}: ${percent(h.occupancy)}</title></circle>`);
+    const labels = [0, 6, 12, 18].map(hour => html`<text x="${x(hour).toFixed(1)}" y="${CHART_HEIGHT + 12}" text-anchor="middle">${String(hour).padStart(2, '0')}:00</text>`);
+    return html`<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 16}" role="img" font-size="8">
+      <line x1="0" y1="${CHART_HEIGHT}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT}" stroke="rgba(255,255,255,0.2)" />
+      <line x1="0" y1="${y(0.5)}" x2="${CHART_WIDTH}" y2="${y(0.5)}" stroke="rgba(255,255,255,0.08)" stroke-dasharray="3 3" />
+      <polygon points="${x(0).toFixed(1)},${CHART_HEIGHT} ${points} ${x(23).toFixed(1)},${CHART_HEIGHT}" fill="rgba(0,240,255,0.15)" />
+      <polyline points="${points}" fill="none" stroke="#00f0ff" stroke-width="1.5" />
+      <g fill="#00f0ff">${dots}</g>
+      <g fill="rgba(255,255,255,0.55)">${labels}</g>
+    </svg>`;
+  }
+
+  /**
+   * Reads the dashboard's date range: whole days in the lot's time zone, TO included
+   * @returns {{from: number, to: number}} NaN where a date is missing
+   */
+  function readAnalyticsRange(){
+    const from = fromInputValue(analyticsFromInput.value);
+    const to = fromInputValue(analyticsToInput.value);
+    return {from: from === null ? NaN : from, to: to === null ? NaN : engine.clock.nextDay(to)};
+  }
+
+  /**
+   * Sets the dashboard's range to the last `days` days, today included
+   * @param {number} days
+   */
+  function setAnalyticsDays(days){
+    // Midday, so a shorter or longer day for daylight saving can't skip a date
+    const today = engine.clock.startOfDay(Date.now()) + 12 * 3600000;
+    analyticsFromInput.value = toInputValue(today - (days - 1) * 24 * 3600000).slice(0, 10);
+    analyticsToInput.value = toInputValue(today).slice(0, 10);
+  }
+
+  /**
+   * Redraws the analytics dashboard for the selected range
+   * Computed from the check-out history, stays in progress and the queue history
+   */
+  function renderAnalytics(){
+    const range = readAnalyticsRange();
+    if(isNaN(range.from) || isNaN(range.to) || range.from >= range.to){
+      analyticsSummary.innerHTML = html`<div class="chart-empty">Choose a FROM date on or before the TO date</div>`;
+      [chartHourly, chartDaily, chartWaits, chartTurnover].forEach(chart => chart.innerHTML = '');
+      return;
+    }
+    const a = Analytics.computeAnalytics({history, arrayList, queueHistory, layout: engine.layout}, {...range, clock: engine.clock});
+    const peak = a.peaks.length ? a.peaks.map(p => Analytics.formatHour(p.hour)).join(', ') : '—';
+    const busiest = a.turnover.reduce((best, t) => t.sessions > (best ? best.sessions : 0) ? t : best, null);
+
+    analyticsSummary.innerHTML = html`
+      <div class="stat"><b>${percent(a.occupancy)}</b><small>AVG OCCUPANCY</small></div>
+      <div class="stat"><b>${Analytics.formatDuration(a.averageStayMs)}</b><small>AVG STAY</small></div>
+      <div class="stat"><b>${a.sessions}</b><small>SESSIONS</small></div>
+      <div class="stat"><b>${Analytics.formatDuration(a.waits.medianMs)}</b><small>MEDIAN QUEUE WAIT</small></div>
+      <div class="stat" title="${peak}"><b>${a.peaks.length ? Analytics.formatHour(a.peaks[0].hour) : '—'}</b><small>PEAK HOUR</small></div>
+      <div class="stat"><b>${busiest ? '#' + busiest.slot : '—'}</b><small>BUSIEST SLOT</small></div>
+    `;
+
+    chartHourly.innerHTML = a.sessions || a.occupancy ? hourlyChart(a.hourly) : html`<div class="chart-empty">No stays recorded in this range</div>`;
+
+    const dayLabel = day => engine.clock.dayLabel(day);
+    chartDaily.innerHTML = barChart(
+      a.daily.map(d => ({label: dayLabel(d.day), value: d.occupancy, title: `${dayLabel(d.day)}: ${percent(d.occupancy)}`})),
+      1, Math.ceil(a.daily.length / 6));
+
+    chartWaits.innerHTML = a.waits.count === 0
+      ? html`<div class="chart-empty">No one left the queue in this range</div>`
+      : barChart(a.waits.buckets.map(b => ({label: b.label, value: b.count, title: `${b.label}: ${b.count} waiter(s)`})), Math.max(...a.waits.buckets.map(b => b.count)));
+
+    chartTurnover.innerHTML = barChart(
+      a.turnover.map(t => ({label: t.slot, value: t.perDay, title: `Slot ${t.slot}: ${t.sessions} session(s), ${t.perDay.toFixed(2)} per day`})),
+      Math.max(1, ...a.turnover.map(t => t.perDay)), Math.ceil(a.turnover.length / 10));
+  }
+
+
+  // ============================================
+  // Import / Export
+  // ============================================
+
+  const Transfer = window.SmartParkTransfer;
+
+  /**
+   * Offers text to the browser as a file download
+   * @param {string} filename
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   */
+  function downloadFile(filename, text, type){
+    const url = URL.createObjectURL(new Blob([text], {type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * File name stamp for exports in the lot's time zone, e.g. 20240131-0930
+   * @returns {string}
+   */
+  const exportStamp = () => engine.clock.fileStamp(Date.now());
+
+  /**
+   * Joins two lists, leaving out incoming items whose key is already present
+   * @param {Object[]} current
+   * @param {Object[]} incoming
+   * @param {Function} key - Maps an item to its identity
+   * @returns {Object[]}
+   */
+  function unionBy(current, incoming, key){
+    const seen = new Set(current.map(key));
+    return current.concat(incoming.filter(x => !seen.has(key(x))));
+  }
+
+  /**
+   * Builds the new state from an exported JSON file
+   * Replace takes the file's layout, rates and history as well;
+   * merge keeps the current lot and adds the file's entries to it
+   * @param {string} text - File contents
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {{state: Object, added: number, problems: string[]}}
+   */
+  function planJsonImport(text, mode){
+    const data = window.SmartParkStorage.migrate(Transfer.fromJson(text));
+    const incoming = {arrayList: data.arrayList || [], queue: data.queue || []};
+    const current = JSON.parse(JSON.stringify(snapshot()));
+
+    if(mode === 'replace'){
+      const config = data.lotConfig && Lot.validateLotConfig(data.lotConfig).length === 0 ? data.lotConfig : Lot.DEFAULT_LOT;
+      const plateRules = data.plateRules && Plates.validatePlateRules(data.plateRules).length === 0 ? data.plateRules : engine.plateRules;
+      const blocks = data.blocks || [];
+      const merged = Engine.mergeEntries({arrayList: [], queue: []}, incoming, Lot.buildLayout(config), {plateRules, blocks});
+      const queueIds = new Set(merged.queue.map(q => q.id));
+      return {
+        state: {
+          ...data, lotConfig: config, plateRules, display: data.display || current.display, blocks, parkingSlots: [], arrayList: merged.arrayList, queue: merged.queue,
+          history: data.history || [], offers: (data.offers || []).filter(o => queueIds.has(o.queueId)),
+          queueHistory: data.queueHistory || [], noShows: data.noShows || {}, auditLog: current.auditLog
+        },
+        added: merged.added,
+        problems: merged.problems
+      };
+    }
+
+    const merged = Engine.mergeEntries(current, incoming, engine.layout, {plateRules: engine.plateRules, blocks: current.blocks});
+    const noShowsMerged = {...(data.noShows || {}), ...current.noShows};
+    return {
+      state: {
+        ...current, arrayList: merged.arrayList, queue: merged.queue,
+        history: unionBy(current.history, data.history || [], h => h.id),
+        queueHistory: unionBy(current.queueHistory, data.queueHistory || [], h => `${h.plate}|${h.queuedAt}|${h.leftAt}`),
+        noShows: noShowsMerged
+      },
+      added: merged.added,
+      problems: merged.problems
+    };
+  }
+
+  /**
+   * Builds the new state from a reservation or queue CSV file
+   * Only the list in the file is merged or replaced
+   * @param {string} text - File contents
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {{state: Object, added: number, problems: string[]}}
+   */
+  function planCsvImport(text, mode){
+    const {kind, rows} = Transfer.fromCsv(text);
+    const current = JSON.parse(JSON.stringify(snapshot()));
+    const base = {arrayList: current.arrayList, queue: current.queue};
+    if(mode === 'replace'){
+      if(kind === 'reservations') base.arrayList = [];
+      else base.queue = [];
+    }
+    const incoming = kind === 'reservations' ? {arrayList: rows, queue: []} : {arrayList: [], queue: rows};
+    const merged = Engine.mergeEntries(base, incoming, engine.layout, {plateRules: engine.plateRules, blocks: current.blocks});
+    const queueIds = new Set(merged.queue.map(q => q.id));
+    return {
+      state: {...current, arrayList: merged.arrayList, queue: merged.queue, offers: current.offers.filter(o => queueIds.has(o.queueId))},
+      added: merged.added,
+      problems: merged.problems
+    };
+  }
+
+  /**
+   * Imports a JSON or CSV file after the operator confirms the summary
+   * @param {string} filename - Used to tell JSON from CSV
+   * @param {string} text - File contents
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  function importData(filename, text, mode){
+    if(!allowed('import')) return;
+    const isJson = /\.json$/i.test(filename) || text.trim().startsWith('{');
+    const makePlan = () => isJson ? planJsonImport(text, mode) : planCsvImport(text, mode);
+    let plan;
+    try {
+      plan = makePlan();
+    } catch (e) {
+      Dialog.alert('⚠️ Import failed: ' + e.message);
+      return;
+    }
+
+    const shown = plan.problems.slice(0, 15);
+    const more = plan.problems.length - shown.length;
+    const problemText = plan.problems.length === 0 ? '' :
+      `\n\n${plan.problems.length} entr${plan.problems.length === 1 ? 'y was' : 'ies were'} skipped:\n${shown.join('\n')}${more > 0 ? `\n…and ${more} more` : ''}`;
+    if(plan.added === 0 && mode === 'merge'){
+      Dialog.alert(`Nothing to import from ${filename}.${problemText}`);
+      return;
+    }
+    const action = mode === 'replace' ? 'REPLACE the current data with' : 'MERGE into the current data';
+    Dialog.confirm(`This will ${action} ${plan.added} reservation/queue entr${plan.added === 1 ? 'y' : 'ies'}.${problemText}\n\nContinue?`, {
+      title: `Import ${filename}`, okLabel: 'IMPORT', danger: mode === 'replace'
+    }).then(ok => {
+      if(!ok) return;
+      // Planned again: the lot may have changed while the dialog was open
+      const final = makePlan();
+      applySnapshot(final.state);
+      auditChange('import', `Imported ${final.added} entr${final.added === 1 ? 'y' : 'ies'} from ${filename} (${mode})`, null,
+        {file: filename, mode, added: final.added, skipped: final.problems});
+      saveState();
+      renderAll();
+      Dialog.alert(`✅ Imported ${final.added} entr${final.added === 1 ? 'y' : 'ies'} from ${filename}`);
+    });
+  }
+
+  // ============================================
+  // Storage Location (This Browser or a Lot Server)
+  // ============================================
+
+  const STORAGE_NAMES = {local: 'this browser (localStorage)', indexeddb: 'this browser (IndexedDB)'};
+
+  /**
+   * Shows where the lot is kept and fills the storage form
+   * The choice belongs to this browser, not to the lot
+   */
+  function renderStorage(){
+    const server = store.server;
+    storageForm.elements.backend.value = server ? 'server' : 'local';
+    storageForm.elements.url.value = server ? server.url : '';
+    storageForm.elements.token.value = server ? server.token : '';
+    storageStatus.textContent = server
+      ? `Shared through the lot server at ${server.url || location.origin}`
+      : `Kept in ${STORAGE_NAMES[store.backend]} only`;
+  }
+
+  /**
+   * Moves the lot to the storage chosen in the form, then reloads it
+   * Joining a server that already has a lot shows the server's lot; an
+   * empty server gets this browser's lot. Leaving the server copies its
+   * lot here, and other devices carry on using the server
+   */
+  function switchStorage(){
+    if(!allowed('configure')) return;
+    const fields = storageForm.elements;
+    const toServer = fields.backend.value === 'server';
+    const url = fields.url.value.trim();
+    if(!toServer && !store.server){
+      renderStorage();
+      return;
+    }
+    if(toServer && url && !/^https?:\/\/[^/]+/i.test(url)){
+      Dialog.alert('Enter the server address in full, e.g. http://192.168.1.20:8080 - or leave it blank for the server this page came from.');
+      return;
+    }
+    const target = toServer ? `the lot server at ${url || location.origin}` : 'this browser';
+    const message = toServer
+      ? `Keep the lot on ${target}?\n\nIf the server already has a lot, this device shows that lot from now on. If it is empty, this browser's lot is copied to it.`
+      : `Keep the lot in ${target} only?\n\nThe server's lot is copied here. Other devices keep using the server.`;
+    Dialog.confirm(message, {okLabel: 'SWITCH'}).then(ok => {
+      if(!ok){
+        renderStorage();
+        return;
+      }
+      store.useBackend(toServer ? 'server' : 'local', {url, token: fields.token.value})
+        .then(() => syncFromStore(false))
+        .then(() => {
+          renderStorage();
+          Dialog.alert(`✅ The lot is now kept in ${target}`);
+        })
+        .catch(e => {
+          renderStorage();
+          Dialog.alert('⚠️ Could not switch storage: ' + e.message);
+        });
+    });
+  }
+
+  // ============================================
+  // Simulation (Synthetic Arrivals and Departures)
+  // ============================================
+
+  const Simulation = window.SmartParkSimulation;
+
+  /**
+   * Class that animates each traced operation on the grid and lists
+   */
+  const SIM_ANIMATIONS = {INSERT: 'sim-insert', DELETE: 'sim-delete', ENQUEUE: 'sim-enqueue', DEQUEUE: 'sim-dequeue'};
+  const SIM_TRACE_SHOWN = 100; // Most recent operations listed; exports have them all
+
+  const simulating = () => simulationBase !== null;
+
+  /**
+   * Current time: the simulation's clock while one runs, so the grid,
+   * countdowns and engine follow it
+   * @returns {number} Epoch ms
+   */
+  const liveTime = () => simulating() ? simulation.now : Date.now();
+
+  /**
+   * Reads the rates and seed from the simulation form
+   * @returns {{arrivalsPerHour: number, departuresPerHour: number, seed: (number|null)}}
+   */
+  function simulationSettings(){
+    const fields = simForm.elements;
+    return {
+      arrivalsPerHour: parseFloat(fields.arrivals.value),
+      departuresPerHour: parseFloat(fields.departures.value),
+      seed: fields.seed.value === '' ? null : Number(fields.seed.value)
+    };
+  }
+
+  /**
+   * Starts a simulation on a copy of the lot, unless one is running
+   * The lot as it is now is kept to be put back when it stops
+   * @returns {boolean} true if a simulation is running
+   */
+  function startSimulation(){
+    if(simulating()) return true;
+    if(!allowed('simulate')) return false;
+    let next;
+    try {
+      next = Simulation.createSimulation(engine.snapshot(), simulationSettings(), Date.now());
+    } catch (e) {
+      Dialog.alert(e.message);
+      return false;
+    }
+    simulation = next;
+    simulationBase = undoableState();
+    missedSync = false;
+    simBanner.hidden = false;
+    document.body.classList.add('simulating');
+    applyPermissions();
+    updateUndoButtons();
+    announce(`Simulation started with seed ${simulation.seed}. The lot can't be changed until it stops.`);
+    return true;
+  }
+
+  /**
+   * Runs one simulated minute, shows the copy it ran on and animates
+   * what it changed
+   */
+  function stepSimulation(){
+    if(!startSimulation()) return;
+    const entries = simulation.step();
+    // A copy, so the page's engine never holds the simulation's own entries
+    engine.load(JSON.parse(JSON.stringify(simulation.engine.snapshot())));
+    renderChanges([]);
+    animateOperations(entries);
+    renderSimulation();
+  }
+
+  /**
+   * Steps the simulation at the speed chosen in the form
+   */
+  function playSimulation(){
+    if(!startSimulation()) return;
+    clearInterval(simulationTimer);
+    simulationTimer = setInterval(stepSimulation, 1000 / Number(simForm.elements.speed.value));
+    renderSimulation();
+  }
+
+  function pauseSimulation(){
+    clearInterval(simulationTimer);
+    simulationTimer = null;
+    renderSimulation();
+  }
+
+  /**
+   * Ends the simulation and puts the lot back as it was when it started
+   * Changes other tabs saved in the meantime are loaded afterwards
+   */
+  function stopSimulation(){
+    if(!simulating()) return;
+    pauseSimulation();
+    simulation.stop();
+    applySnapshot(JSON.parse(simulationBase));
+    simulationBase = null;
+    committedState = undoableState();
+    simBanner.hidden = true;
+    document.body.classList.remove('simulating');
+    applyPermissions();
+    renderAll();
+    updateUndoButtons();
+    renderSimulation();
+    if(missedSync) syncFromStore(false);
+    announce('Simulation stopped. The lot is back as it was.');
+  }
+
+  /**
+   * Briefly highlights what a simulation step did: the slots it changed,
+   * new ArrayList and queue entries, and fading copies of removed ones
+   * in the place they were removed from
+   * @param {Object[]} entries - Trace entries of the step (see simulation.js)
+   */
+  function animateOperations(entries){
+    const flash = (el, name, done) => {
+      el.classList.add(name);
+      el.addEventListener('animationend', ()=> {
+        el.classList.remove(name);
+        if(done) done();
+      }, {once: true});
+    };
+    entries.forEach(t => {
+      const name = SIM_ANIMATIONS[t.operation];
+      if(!name) return;
+      const slot = t.slot ? parkingGrid.querySelector(`.slot[data-index="${t.slot-1}"]`) : null;
+      if(slot) flash(slot, name);
+
+      // A dequeued waiter is appended to the ArrayList as well
+      const listed = t.operation === 'ENQUEUE'
+        ? queueItems.querySelector(`.queue-item[data-id="${t.id}"]`)
+        : arrayListItems.querySelector(`.btn-sticker[data-id="${t.id}"]`);
+      if(listed && t.operation !== 'DELETE') flash(listed.closest('.item, .queue-item'), t.operation === 'DEQUEUE' ? 'sim-insert' : name);
+
+      if(t.operation === 'DELETE' || t.operation === 'DEQUEUE'){
+        const list = t.operation === 'DELETE' ? arrayListItems : queueItems;
+        const ghost = document.createElement('div');
+        ghost.className = `${t.operation === 'DELETE' ? 'item' : 'queue-item'} sim-ghost`;
+        ghost.setAttribute('aria-hidden', 'true');
+        ghost.textContent = `${t.operation} ${t.plate} • ${t.structure}[${t.index}]`;
+        // Queue lanes are grouped by vehicle, so removed waiters show at the top
+        list.insertBefore(ghost, t.operation === 'DELETE' ? list.children[t.index] || null : list.firstChild);
+        flash(ghost, name, ()=> ghost.remove());
+      }
+    });
+  }
+
+  /**
+   * Shows the simulation's controls, per-operation summary and the most
+   * recent operations of its trace
+   * Time Complexity: O(t) over the trace for the summary
+   */
+  function renderSimulation(){
+    const running = simulating();
+    simPlayBtn.textContent = simulationTimer === null ? '▶ PLAY' : '⏸ PAUSE';
+    simStopBtn.disabled = !running;
+    simForm.elements.seed.disabled = running;
+    if(!simulation){
+      simSizeLabel.textContent = '(not running)';
+      return;
+    }
+    simSizeLabel.textContent = `(${running ? 'minute' : 'stopped at minute'} ${simulation.minute}, ${engine.clock.time(simulation.now)} • seed ${simulation.seed} • ${simulation.trace.length} operations)`;
+
+    const summary = Simulation.summarizeTrace(simulation.trace);
+    simSummary.innerHTML = summary.length === 0 ? '' : html`
+      <table class="sim-summary-table">
+        <thead><tr><th>OPERATION</th><th>STRUCTURE</th><th>COMPLEXITY</th><th>COUNT</th><th>LARGEST n</th><th>MEAN TIME</th></tr></thead>
+        <tbody>${summary.map(s => html`
+          <tr><td>${s.operation}</td><td>${s.structure}</td><td>${s.complexity}</td><td>${s.count}</td><td>${s.maxN}</td><td>${s.meanMs.toFixed(3)} ms</td></tr>
+        `)}</tbody>
+      </table>`;
+
+    const shown = simulation.trace.slice(-SIM_TRACE_SHOWN).reverse();
+    simTrace.hidden = shown.length === 0;
+    simTrace.innerHTML = html`${shown.map(t => html`
+      <div class="sim-op sim-op-${t.operation.toLowerCase()}">
+        <span class="sim-op-minute">MIN ${t.minute}</span>
+        <span class="sim-op-name">${t.operation}</span>
+        ${t.complexity ? html`<code>${t.structure} ${t.complexity} • n=${t.n}, i=${t.index}</code>` : ''}
+        <span class="sim-op-summary">${t.summary}</span>
+      </div>
+    `)}`;
+  }
+
+  /**
+   * Downloads the last run's trace as CSV, or as JSON with its settings
+   * and per-operation summary
+   * @param {string} format - 'csv' or 'json'
+   */
+  function exportTrace(format){
+    if(!allowed('export')) return;
+    if(!simulation || simulation.trace.length === 0){
+      Dialog.alert('Run the simulation first - there is no trace to export yet.');
+      return;
+    }
+    if(format === 'csv'){
+      downloadFile(`smartpark-trace-${exportStamp()}.csv`, Simulation.traceToCsv(simulation.trace), 'text/csv');
+    } else {
+      downloadFile(`smartpark-trace-${exportStamp()}.json`, Simulation.traceToJson(simulation, Date.now()), 'application/json');
+    }
+  }
+
+  // ============================================
+  // Search Operation (Linear Search)
+  // ============================================
+
+  const SEARCH_KINDS = {reservation: 'Reservation', queue: 'Queue', history: 'History'};
+
+  /**
+   * Fills the floor/zone filter from the lot layout
+   * Values are "floor" or "floor|zone"
+   */
+  function renderSearchAreas(){
+    const selected = searchAreaSelect.value;
+    searchAreaSelect.innerHTML = '';
+    searchAreaSelect.add(new Option('ALL', ''));
+    engine.lotConfig.floors.forEach(floor => {
+      searchAreaSelect.add(new Option(floor.name || floor.id, floor.id));
+      floor.zones.forEach(zone => {
+        searchAreaSelect.add(new Option(`\u00a0\u00a0${zone.name || zone.id}`, `${floor.id}|${zone.id}`));
+      });
+    });
+    searchAreaSelect.value = selected;
+    if(searchAreaSelect.value !== selected) searchAreaSelect.value = '';
+  }
+
+  /**
+   * Reads the search filters from the form
+   * @returns {Object} Filters for engine.search (empty fields left out)
+   */
+  function readSearchFilters(){
+    const [floor, zone] = searchAreaSelect.value ? searchAreaSelect.value.split('|') : [];
+    return {
+      from: fromInputValue(searchFromInput.value),
+      to: fromInputValue(searchToInput.value),
+      floor, zone,
+      slotType: searchTypeSelect.value || undefined,
+      status: searchStatusSelect.value || undefined
+    };
+  }
+
+  /**
+   * Plate with the part that matched the search term highlighted
+   * @param {Object} result - From engine.search
+   * @returns {SafeHtml}
+   */
+  function highlightPlate(result){
+    const plate = result.entry.plate;
+    if(!result.match) return html`${plate}`;
+    const {start, end} = result.match;
+    return html`${plate.slice(0, start)}<mark>${plate.slice(start, end)}</mark>${plate.slice(end)}`;
+  }
+
+  /**
+   * SEARCH Operation - Linear search through the ArrayList, the queue and
+   * the history log (see engine.search)
+   * Time Complexity: O(n·k·m) for n records, plates of k and a term of m characters
+   * Shows the ranked matches; clicking one with a slot jumps to it on the grid
+   * @param {string} term - Search term (plate or slot number)
+   * @param {Object} [filters] - See engine.search
+   */
+  function search(term, filters){
+    term = (term||'').trim();
+    const filtered = Object.values(filters || {}).some(v => v !== undefined && v !== null);
+    if(!term && !filtered){
+      searchResult.innerHTML = '';
+      return;
+    }
+
+    const results = engine.search(term, filters);
+    const label = term ? `"${term}"` : 'the filters';
+
+    if(results.length===0){
+      searchResult.innerHTML = html`
+        <div class="search-count">Found 0 result(s) for ${label}</div>
+        <div class="search-empty">
+          <div class="search-empty-icon">✕</div>
+          <div class="search-empty-text">No reservations, queue entries or past sessions found</div>
+        </div>
+      `;
+      return;
+    }
+
+    const rows = results.map((r, n)=> {
+      const info = r.slot ? engine.layout[r.slot - 1] : null;
+      const slotHit = term && String(r.slot) === term;
+      const typos = r.match && r.match.typos ? ` • ≈ ${r.match.typos} typo${r.match.typos > 1 ? 's' : ''}` : '';
+      return html`
+        <div class="item ${info ? 'jump' : ''}" data-result="${n}" title="${info ? 'Show slot ' + r.slot + ' on the grid' : 'No slot assigned yet'}">
+          <div class="slot-badge ${slotHit ? 'hit' : ''} ${r.slot ? '' : 'none'}">${r.slot ? '#' + r.slot : '—'}</div>
+          <div class="item-content">
+            <div class="plate-number">${highlightPlate(r)}</div>
+            <div class="meta"><span class="status-tag ${r.status}">${SEARCH_STATUSES[r.status].label.toUpperCase()}</span> ${SEARCH_KINDS[r.kind]} • 🕐 ${formatWindow(r.start, r.end)}${info ? ` • ${info.floorName} / ${info.zoneName}` : ''}${typos}</div>
+          </div>
+        </div>
+      `;
+    });
+    searchResult.innerHTML = html`<div class="search-count">Found ${results.length} result(s) for ${label}</div>${rows}`;
+    searchResult.querySelectorAll('.item.jump').forEach(el => {
+      el.addEventListener('click', ()=> jumpToSlot(results[Number(el.dataset.result)]));
+    });
+  }
+
+  /**
+   * Searches with the term and filters currently entered
+   */
+  const runSearch = () => search(searchInput.value, readSearchFilters());
+
+  /**
+   * Scrolls the grid to a search result's slot and flashes it
+   * A reservation that isn't on the grid at the time shown moves the
+   * grid to its start, so the booking is visible
+   * @param {Object} result - From engine.search
+   */
+  function jumpToSlot(result){
+    const i = result.slot - 1;
+    if(!engine.layout[i]) return;
+    if(result.kind === 'reservation'){
+      const shown = engine.bookingAt(i, currentViewTime());
+      if(!shown || shown.id !== result.entry.id){
+        viewTime = result.start;
+        viewTimeInput.value = toInputValue(result.start);
+        renderGrid();
+      }
+    }
+    const slotDiv = parkingGrid.querySelector(`.slot[data-index="${i}"]`);
+    slotDiv.scrollIntoView({behavior: 'smooth', block: 'center'});
+    slotDiv.classList.remove('search-hit');
+    void slotDiv.offsetWidth; // Restart the animation when the same slot is picked twice
+    slotDiv.classList.add('search-hit');
+  }
+
+  // ============================================
+  // Event Listeners
+  // ============================================
+  
+  insertBtn.addEventListener('click', ()=>{
+    const plate = plateInput.value;
+    const slotChoice = slotSelect.value;
+    const {start, end} = readInsertWindow();
+    if(insertReservation(plate, slotChoice, start, end, vehicleSelect.value, prioritySelect.value)){
+      plateInput.value = '';
+      showPlateFeedback('', false);
+    }
+  });
+
+  // Arrow keys, Home and End move between slots; Enter or Space opens one,
+  // with Shift they select it for bulk actions. M picks up a reservation,
+  // Enter drops it on another slot and Escape puts it back
+  parkingGrid.addEventListener('keydown', (e)=> {
+    const slot = e.target.closest('.slot');
+    if(!slot) return;
+    const i = Number(slot.dataset.index);
+    if(e.key === 'Escape' && carried){
+      e.preventDefault();
+      cancelCarry();
+    } else if((e.key === 'm' || e.key === 'M') && !(e.ctrlKey || e.metaKey || e.altKey)){
+      e.preventDefault();
+      pickUpOrDrop(i);
+    } else if((e.key === 'Enter' || e.key === ' ') && carried){
+      e.preventDefault();
+      pickUpOrDrop(i);
+    } else if((e.key === 'Enter' || e.key === ' ') && e.shiftKey){
+      e.preventDefault();
+      toggleSlotSelection(i);
+    } else if(e.key === 'Enter' || e.key === ' '){
+      e.preventDefault();
+      activateSlot(i);
+    } else if(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)){
+      e.preventDefault();
+      moveSlotFocus(slotInDirection(i, e.key), true);
+    }
+  });
+
+  // Drag a booked slot (or an ArrayList item) onto another slot to move or swap it
+  parkingGrid.addEventListener('dragstart', (e)=> {
+    const slot = e.target.closest('.slot');
+    if(!slot || !slot.dataset.id) return;
+    const index = Number(slot.dataset.index);
+    startDrag(e, engine.bookingAt(index, currentViewTime()), index+1);
+  });
+  parkingGrid.addEventListener('dragend', endDrag);
+  parkingGrid.addEventListener('dragover', (e)=> {
+    const slot = e.target.closest('.slot');
+    if(!slot || !dragged) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    parkingGrid.querySelectorAll('.drop-target').forEach(el => { if(el !== slot) el.classList.remove('drop-target'); });
+    if(Number(slot.dataset.index) + 1 !== dragged.from) slot.classList.add('drop-target');
+  });
+  parkingGrid.addEventListener('dragleave', (e)=> {
+    const slot = e.target.closest('.slot');
+    if(slot && !slot.contains(e.relatedTarget)) slot.classList.remove('drop-target');
+  });
+  parkingGrid.addEventListener('drop', (e)=> {
+    const slot = e.target.closest('.slot');
+    if(!slot || !dragged) return;
+    e.preventDefault();
+    const id = dragged.id;
+    endDrag();
+    transferReservation(id, Number(slot.dataset.index) + 1);
+  });
+
+  blockForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    blockSelectedSlots();
+  });
+  unblockBtn.addEventListener('click', unblockSelectedSlots);
+  clearSlotsBtn.addEventListener('click', ()=> {
+    selectedSlots.clear();
+    renderGrid();
+  });
+
+  selectAllBox.addEventListener('change', ()=> {
+    arrayList.forEach(r => {
+      if(selectAllBox.checked) selectedReservations.add(r.id);
+      else selectedReservations.delete(r.id);
+    });
+    renderArrayList();
+  });
+  bulkReleaseBtn.addEventListener('click', releaseSelected);
+  bulkMoveBtn.addEventListener('click', moveSelected);
+  bulkStickersBtn.addEventListener('click', printSelectedStickers);
+
+  startInput.addEventListener('change', updateInsertPanel);
+  vehicleSelect.addEventListener('change', updateInsertPanel);
+  endInput.addEventListener('change', updateInsertPanel);
+
+  // View the lot at a chosen date and time
+  viewTimeInput.addEventListener('change', ()=> {
+    viewTime = fromInputValue(viewTimeInput.value);
+    renderGrid();
+  });
+  viewNowBtn.addEventListener('click', ()=> {
+    viewTime = null;
+    viewTimeInput.value = '';
+    renderGrid();
+  });
+
+  plateInput.addEventListener('input', checkPlateInput);
+  plateInput.addEventListener('keydown', (e)=> {
+    if(e.key==='Enter') {
+      insertBtn.click();
+    }
+  });
+
+  searchBtn.addEventListener('click', runSearch);
+  searchInput.addEventListener('keydown', (e)=> { 
+    if(e.key==='Enter') runSearch(); 
+  });
+  searchInput.addEventListener('input', runSearch);
+  [searchFromInput, searchToInput, searchAreaSelect, searchTypeSelect, searchStatusSelect].forEach(input => {
+    input.addEventListener('change', runSearch);
+  });
+
+  lotApplyBtn.addEventListener('click', ()=> {
+    if(!allowed('configure')) return;
+    let config;
+    try {
+      config = JSON.parse(lotConfigInput.value);
+    } catch (e) {
+      lotErrors.textContent = 'Invalid JSON: ' + e.message;
+      return;
+    }
+    const errors = applyLotConfig(config);
+    lotErrors.textContent = errors.join('\n');
+    if(errors.length === 0) Dialog.alert('✅ Lot layout updated');
+  });
+  lotResetBtn.addEventListener('click', ()=> {
+    if(!allowed('configure')) return;
+    const errors = applyLotConfig(Lot.DEFAULT_LOT);
+    lotErrors.textContent = errors.join('\n');
+  });
+
+  exportJsonBtn.addEventListener('click', ()=> {
+    if(!allowed('export')) return;
+    downloadFile(`smartpark-${exportStamp()}.json`, Transfer.toJson(snapshot(), window.SmartParkStorage.SCHEMA_VERSION), 'application/json');
+  });
+  exportReservationsBtn.addEventListener('click', ()=> {
+    if(!allowed('export')) return;
+    downloadFile(`smartpark-reservations-${exportStamp()}.csv`, Transfer.toCsv(arrayList, 'reservations'), 'text/csv');
+  });
+  exportQueueBtn.addEventListener('click', ()=> {
+    if(!allowed('export')) return;
+    downloadFile(`smartpark-queue-${exportStamp()}.csv`, Transfer.toCsv(queue, 'queue'), 'text/csv');
+  });
+  importFileInput.addEventListener('change', ()=> {
+    const file = importFileInput.files[0];
+    if(!file) return;
+    const reader = new FileReader();
+    reader.onload = () => importData(file.name, reader.result, importModeSelect.value);
+    reader.onerror = () => Dialog.alert('⚠️ Could not read ' + file.name);
+    reader.readAsText(file);
+    importFileInput.value = '';
+  });
+
+  policyForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    savePolicy();
+  });
+
+  ratesForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    saveRates();
+  });
+
+  plateRulesForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    savePlateRules();
+  });
+
+  displayForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    saveDisplay();
+  });
+  storageForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    switchStorage();
+  });
+
+  simPlayBtn.addEventListener('click', ()=> {
+    if(simulationTimer === null) playSimulation();
+    else pauseSimulation();
+  });
+  simStepBtn.addEventListener('click', stepSimulation);
+  simStopBtn.addEventListener('click', stopSimulation);
+  simExportCsvBtn.addEventListener('click', ()=> exportTrace('csv'));
+  simExportJsonBtn.addEventListener('click', ()=> exportTrace('json'));
+  simForm.addEventListener('submit', (e)=> e.preventDefault());
+  // Rates and speed can be changed while the simulation runs
+  simForm.addEventListener('change', (e)=> {
+    if(e.target.name === 'speed'){
+      if(simulationTimer !== null) playSimulation();
+      return;
+    }
+    if(!simulating() || e.target.name === 'seed') return;
+    try {
+      simulation.configure(simulationSettings());
+    } catch (err) {
+      Dialog.alert(err.message);
+    }
+  });
+
+  loginForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    submitLogin();
+  });
+  logoutBtn.addEventListener('click', ()=> signOut());
+
+  accountForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    addAccount();
+  });
+  passwordForm.addEventListener('submit', (e)=> {
+    e.preventDefault();
+    resetPassword();
+  });
+
+  // Accounts changed in another tab or window
+  window.addEventListener('storage', (e)=> {
+    if(e.key === Accounts.ACCOUNTS_KEY) refreshSession();
+  });
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside of text fields
+  document.addEventListener('keydown', (e)=> {
+    if(!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if(key === 'z' && !e.shiftKey){ e.preventDefault(); undo(); }
+    else if(key === 'y' || (key === 'z' && e.shiftKey)){ e.preventDefault(); redo(); }
+  });
+
+  auditActionFilter.addEventListener('change', renderAudit);
+  auditOperatorFilter.addEventListener('input', renderAudit);
+  auditTextFilter.addEventListener('input', renderAudit);
+
+  analyticsFromInput.addEventListener('change', renderAnalytics);
+  analyticsToInput.addEventListener('change', renderAnalytics);
+  analyticsPresets.forEach(btn => btn.addEventListener('click', ()=> {
+    setAnalyticsDays(Number(btn.dataset.days));
+    renderAnalytics();
+  }));
+
+  sortSlotBtn.addEventListener('click', sortBySlot);
+  sortTimeBtn.addEventListener('click', sortByTime);
+  traverseBtn.addEventListener('click', traverseReverse);
+
+  // ============================================
+  // Initialize Application
+  // ============================================
+  Object.keys(Lot.VEHICLE_TYPES).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = Lot.VEHICLE_TYPES[key].label;
+    vehicleSelect.appendChild(opt);
+  });
+
+  Object.keys(PRIORITY_CLASSES).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = PRIORITY_CLASSES[key].label;
+    prioritySelect.appendChild(opt);
+  });
+  prioritySelect.value = 'regular';
+
+  Object.keys(Lot.SLOT_TYPES).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = Lot.SLOT_TYPES[key].label;
+    searchTypeSelect.appendChild(opt);
+  });
+
+  Object.keys(SEARCH_STATUSES).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = SEARCH_STATUSES[key].label;
+    searchStatusSelect.appendChild(opt);
+  });
+
+  Object.keys(BLOCK_REASONS).forEach(key => {
+    blockForm.elements.reason.add(new Option(`${BLOCK_REASONS[key].icon} ${BLOCK_REASONS[key].label}`, key));
+  });
+
+  Object.keys(AUDIT_ACTIONS).forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = AUDIT_ACTIONS[key];
+    auditActionFilter.appendChild(opt);
+  });
+
+  Object.keys(Accounts.ROLES).forEach(key => {
+    accountForm.elements.role.add(new Option(Accounts.ROLES[key].label, key));
+  });
+  accountForm.elements.role.value = 'attendant';
+  roleHelp.innerHTML = html`${Object.keys(Accounts.ROLES).map(key => html`
+    <div><b>${Accounts.ROLES[key].label.toUpperCase()}</b>: ${Accounts.ROLES[key].permissions.map(p => Accounts.PERMISSIONS[p]).join('; ') || 'View the lot, search, analytics and stickers only'}</div>
+  `)}`;
+  Time.timeZones().forEach(zone => timeZoneList.appendChild(new Option(zone)));
+  setAnalyticsDays(7);
+  renderStorage();
+  renderSimulation();
+
+  engine.subscribe(onEngineChange);
+
+  loadState().then(()=> {
+    committedState = undoableState();
+    renderAll();
+    updateUndoButtons();
+
+    // Follow changes saved by other tabs and windows
+    store.subscribe(()=> syncFromStore(false));
+
+    // Keep the live grid in step with bookings starting and ending,
+    // and the dashboard with stays in progress
+    setInterval(()=> {
+      if(viewTime === null) renderGrid();
+      renderAnalytics();
+    }, 30000);
+
+    // Offer, queue and no-show timeouts
+    processTimers();
+    setInterval(processTimers, 1000);
+
+    // Stay signed in across reloads of this tab
+    const account = accounts.find(sessionStorage.getItem(SESSION_KEY));
+    if(account){
+      startSession(account);
+    } else {
+      showLogin();
+    }
+  });
+
+  // Keep the app's files cached for use offline, and offer a newly
+  // deployed version once it has downloaded
+  window.SmartParkOffline.register({
+    onUpdate: apply => Dialog.confirm('A new version of SmartPark is ready.\n\nReload now to use it? Reservations are saved and stay as they are.', {title: 'Update available', okLabel: 'RELOAD', cancelLabel: 'LATER'})
+      .then(ok => { if(ok) apply(); })
+  });
 
 })();
\ No newline at end of file
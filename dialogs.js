@@ -0,0 +1,132 @@
+// =============================================
+// SmartPark - Accessible Dialogs
+// Description: Modal replacements for window.alert and window.confirm.
+//              Focus moves into the dialog and stays there until it is
+//              answered (Escape cancels), then returns to where it was.
+//              Dialogs opened while one is showing wait their turn.
+// =============================================
+
+(function(){
+  const {html} = window.SmartParkHtml;
+  let shown = Promise.resolve(); // Settles when the dialogs asked for so far are answered
+  let counter = 0;
+
+  /**
+   * Shows one dialog and waits for an answer
+   * @param {string} message - Plain text; line breaks are kept
+   * @param {Object} options
+   * @param {string} options.title
+   * @param {Array<{label: string, value: *, primary: boolean}>} options.buttons
+   * @param {*} options.cancelValue - Answer when Escape is pressed
+   * @param {number} options.focus - Index of the button focused first
+   * @returns {Promise<*>} The chosen button's value
+   */
+  function show(message, options){
+    return new Promise(resolve => {
+      const id = `dialog-${++counter}`;
+      const returnFocus = document.activeElement;
+      const backdrop = document.createElement('div');
+      backdrop.className = 'dialog-backdrop';
+      backdrop.innerHTML = html`
+        <div class="dialog" role="alertdialog" aria-modal="true" aria-labelledby="${id}-title" aria-describedby="${id}-message">
+          <h2 class="dialog-title" id="${id}-title"></h2>
+          <div class="dialog-message" id="${id}-message"></div>
+          <div class="dialog-actions"></div>
+        </div>
+      `;
+      backdrop.querySelector('.dialog-title').textContent = options.title;
+      backdrop.querySelector('.dialog-message').textContent = message;
+
+      const actions = backdrop.querySelector('.dialog-actions');
+      const buttons = options.buttons.map(b => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = b.label;
+        if(b.primary) button.className = 'primary';
+        button.addEventListener('click', () => close(b.value));
+        actions.appendChild(button);
+        return button;
+      });
+
+      // Everything else on the page is out of reach while the dialog is
+      // open, except live regions, which may still announce changes
+      const outside = Array.from(document.body.children).filter(el => !el.inert && !el.hasAttribute('aria-live'));
+      outside.forEach(el => el.inert = true);
+
+      function close(value){
+        backdrop.remove();
+        outside.forEach(el => el.inert = false);
+        document.removeEventListener('keydown', onKey, true);
+        if(returnFocus && document.contains(returnFocus)) returnFocus.focus();
+        resolve(value);
+      }
+
+      // Escape cancels; Tab cycles through the dialog's buttons
+      function onKey(e){
+        if(e.key === 'Escape'){
+          e.preventDefault();
+          close(options.cancelValue);
+        } else if(e.key === 'Tab'){
+          e.preventDefault();
+          const i = buttons.indexOf(document.activeElement);
+          const next = i === -1 ? 0 : (i + (e.shiftKey ? buttons.length - 1 : 1)) % buttons.length;
+          buttons[next].focus();
+        }
+      }
+
+      document.body.appendChild(backdrop);
+      document.addEventListener('keydown', onKey, true);
+      buttons[options.focus].focus();
+    });
+  }
+
+  /**
+   * Queues a dialog behind any that are still open
+   */
+  function enqueue(message, options){
+    const answer = shown.then(() => show(String(message), options));
+    shown = answer.catch(() => {});
+    return answer;
+  }
+
+  /**
+   * Shows a message with an OK button
+   * @param {string} message
+   * @param {Object} [options] - {title}
+   * @returns {Promise<void>} Resolves when dismissed
+   */
+  function alert(message, options){
+    const opts = options || {};
+    return enqueue(message, {
+      title: opts.title || 'SmartPark',
+      buttons: [{label: 'OK', value: undefined, primary: true}],
+      cancelValue: undefined,
+      focus: 0
+    });
+  }
+
+  /**
+   * Asks a yes/no question
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.title]
+   * @param {string} [options.okLabel] - Default 'OK'
+   * @param {string} [options.cancelLabel] - Default 'CANCEL'
+   * @param {boolean} [options.danger] - Focus CANCEL first, for destructive actions
+   * @returns {Promise<boolean>} true if confirmed
+   */
+  function confirm(message, options){
+    const opts = options || {};
+    return enqueue(message, {
+      title: opts.title || 'Please confirm',
+      buttons: [
+        {label: opts.cancelLabel || 'CANCEL', value: false},
+        {label: opts.okLabel || 'OK', value: true, primary: true}
+      ],
+      cancelValue: false,
+      focus: opts.danger ? 0 : 1
+    });
+  }
+
+  window.SmartParkDialog = {alert, confirm};
+})();
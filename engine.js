@@ -0,0 +1,1564 @@
+// =============================================
+// SmartPark - Reservation Engine
+// Description: The reservation logic of the lot, with no DOM dependency.
+//              Owns the ArrayList, the priority Queue, the slot
+//              schedules, offers, history and rules. Every operation
+//              returns its result or throws a typed error, and every
+//              change is announced to subscribers (the UI, tests).
+// Usage: Browser - <script src="engine.js"> after lot-config.js, plate-rules.js and time-format.js,
+//                  then window.SmartParkEngine.createEngine()
+//        Node    - require('./engine.js').createEngine()
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Lot = isNode ? require('./lot-config.js') : root.SmartParkLot;
+  const Plates = isNode ? require('./plate-rules.js') : root.SmartParkPlates;
+  const Time = isNode ? require('./time-format.js') : root.SmartParkTime;
+
+  // ============================================
+  // Rules
+  // ============================================
+
+  /**
+   * Queue priority classes, highest first (lower rank is served first)
+   */
+  const PRIORITY_CLASSES = {
+    pwd:     {label: 'PWD',     rank: 0},
+    staff:   {label: 'Staff',   rank: 1},
+    vip:     {label: 'VIP',     rank: 2},
+    regular: {label: 'Regular', rank: 3}
+  };
+
+  /**
+   * Queue timing rules (minutes)
+   * offerMinutes    - how long a waiter has to accept a freed slot
+   * queueTtlMinutes - how long a waiter may stay in the queue
+   * noShowMinutes   - how late after the booked start a reservation is released
+   */
+  const DEFAULT_POLICY = {offerMinutes: 5, queueTtlMinutes: 120, noShowMinutes: 30};
+
+  /**
+   * Billing rate rules used at check-out (amounts in pesos)
+   * firstHourRate - charged for the first (started) hour
+   * hourlyRate    - charged for every further started hour
+   * dailyCap      - maximum charged per 24 hours
+   * graceMinutes  - stays this short are free
+   */
+  const DEFAULT_RATES = {firstHourRate: 50, hourlyRate: 20, dailyCap: 300, graceMinutes: 15};
+
+  /**
+   * Statuses search results can be filtered by
+   * reserved/parked are reservations (before and after check-in),
+   * queued/offered are queue entries, completed are checked-out sessions
+   */
+  const SEARCH_STATUSES = {
+    reserved:  {label: 'Reserved'},
+    parked:    {label: 'Parked'},
+    queued:    {label: 'Queued'},
+    offered:   {label: 'Offered a slot'},
+    completed: {label: 'Completed'}
+  };
+
+  /**
+   * Why a slot may be taken out of service (see blockSlots)
+   */
+  const BLOCK_REASONS = {
+    maintenance: {label: 'Maintenance', icon: '🔧'},
+    event:       {label: 'Event',       icon: '🎪'},
+    closed:      {label: 'Closed',      icon: '⛔'}
+  };
+
+  const TURNOVER_SAMPLE = 10; // Recent departures used to estimate queue waits
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  // ============================================
+  // Errors
+  // ============================================
+
+  /**
+   * Base class of every error the engine throws on purpose
+   * message is ready to show to an operator; details holds the data
+   */
+  class EngineError extends Error {
+    constructor(message, details){
+      super(message);
+      this.name = this.constructor.name;
+      this.details = details || {};
+    }
+  }
+
+  /** Missing plate, bad time window, unknown vehicle type or class, bad settings */
+  class InvalidInputError extends EngineError {}
+  /** The plate matches none of the accepted plate formats */
+  class InvalidPlateError extends InvalidInputError {}
+  /** The plate already holds a reservation or queue place for an overlapping window */
+  class DuplicatePlateError extends EngineError {}
+  /** The slot is booked (or held for an offer) for an overlapping window */
+  class SlotOccupiedError extends EngineError {}
+  /** The slot is out of service (blocked) for an overlapping window */
+  class SlotBlockedError extends SlotOccupiedError {}
+  /** The slot doesn't exist or doesn't suit the vehicle type */
+  class InvalidSlotError extends EngineError {}
+  /** No suitable slot is free and queueing was not allowed */
+  class LotFullError extends EngineError {}
+  /** No reservation, queue entry or offer has the given id */
+  class NotFoundError extends EngineError {}
+
+  // ============================================
+  // Helpers
+  // ============================================
+
+  /**
+   * Checks whether two booking windows overlap
+   * Windows are half-open [start, end) so back-to-back bookings are allowed
+   * @returns {boolean} True if the windows share any moment
+   */
+  function windowsOverlap(aStart, aEnd, bStart, bEnd){
+    const aStop = aEnd === null ? Infinity : aEnd;
+    const bStop = bEnd === null ? Infinity : bEnd;
+    return aStart < bStop && bStart < aStop;
+  }
+
+  /**
+   * Slot schedule entry for a reservation (everything except the slot number)
+   * @param {Object} r - Reservation
+   * @returns {Object} {plate, bookedAt, id, start, end, vehicle}
+   */
+  const bookingOf = r => ({plate: r.plate, bookedAt: r.bookedAt, id: r.id, start: r.start, end: r.end, vehicle: r.vehicle});
+
+  /**
+   * Formats an amount as pesos
+   * @param {number} amount
+   * @returns {string} e.g. "₱120.00"
+   */
+  const formatMoney = amount => '₱' + amount.toFixed(2);
+
+  const defaultClock = Time.createClock();
+
+  /**
+   * Formats a booking window for display
+   * @param {number} start - Epoch ms
+   * @param {number|null} end - Epoch ms, null for open-ended
+   * @param {Object} [clock] - Time.createClock() for the lot's locale and time zone
+   * @returns {string} e.g. "12/16/2025, 8:00 AM → 12/16/2025, 5:00 PM"
+   */
+  function formatWindow(start, end, clock){
+    const c = clock || defaultClock;
+    return `${c.dateTime(start)} → ${end === null ? 'OPEN' : c.dateTime(end)}`;
+  }
+
+  /**
+   * Computes the parking fee for a stay
+   * Stays within the grace period are free. Otherwise every full 24 hours
+   * costs the daily cap, and the remainder is charged per started hour
+   * (first hour at firstHourRate, the rest at hourlyRate) up to the cap.
+   * @param {number} durationMs - Length of the stay
+   * @param {Object} rules - Rate rules (see DEFAULT_RATES)
+   * @returns {{fee: number, breakdown: string[]}}
+   */
+  function computeFee(durationMs, rules){
+    if(durationMs <= rules.graceMinutes * 60000){
+      return {fee: 0, breakdown: [`Grace period (${rules.graceMinutes} min): ${formatMoney(0)}`]};
+    }
+
+    const breakdown = [];
+    const fullDays = Math.floor(durationMs / DAY);
+    const rest = durationMs - fullDays * DAY;
+    let fee = 0;
+
+    if(fullDays > 0){
+      fee += fullDays * rules.dailyCap;
+      breakdown.push(`${fullDays} day(s) × ${formatMoney(rules.dailyCap)}: ${formatMoney(fullDays * rules.dailyCap)}`);
+    }
+
+    if(rest > 0){
+      const hours = Math.ceil(rest / HOUR);
+      // The first-hour rate only applies to the very first hour of the stay
+      const firstHour = fullDays === 0 ? rules.firstHourRate : rules.hourlyRate;
+      const partial = firstHour + (hours - 1) * rules.hourlyRate;
+      const charged = Math.min(partial, rules.dailyCap);
+      fee += charged;
+      breakdown.push(`${hours} hour(s): ${formatMoney(partial)}` + (charged < partial ? ` (capped at ${formatMoney(rules.dailyCap)})` : ''));
+    }
+
+    return {fee, breakdown};
+  }
+
+  /**
+   * Orders two waiters: higher priority class first, then arrival order
+   * @returns {number} Negative if a is served before b
+   */
+  function compareWaiters(a, b){
+    return PRIORITY_CLASSES[a.priority].rank - PRIORITY_CLASSES[b.priority].rank
+      || a.queuedAt - b.queuedAt;
+  }
+
+  /**
+   * Checks the fields of a reservation or queue request
+   * @param {Object} e - {plate, start, end, vehicle, priority, slot?}
+   * @param {Object[]|null} slots - Layout to check e.slot against, or null to skip the slot
+   * @throws {InvalidInputError|InvalidSlotError}
+   */
+  function checkEntry(e, slots){
+    if(!e.plate) throw new InvalidInputError('Please enter a plate number');
+    if(typeof e.start !== 'number' || isNaN(e.start)) throw new InvalidInputError('The FROM time is missing or invalid');
+    if(e.end !== null && (typeof e.end !== 'number' || isNaN(e.end))) throw new InvalidInputError('The UNTIL time is invalid');
+    if(e.end !== null && e.end <= e.start) throw new InvalidInputError('The UNTIL time must be after the FROM time');
+    if(!Lot.VEHICLE_TYPES[e.vehicle]) throw new InvalidInputError(`Unknown vehicle type "${e.vehicle}"`);
+    if(!PRIORITY_CLASSES[e.priority]) throw new InvalidInputError(`Unknown priority class "${e.priority}"`);
+    if(slots){
+      if(!Number.isInteger(e.slot) || e.slot < 1 || e.slot > slots.length){
+        throw new InvalidSlotError(`Invalid slot ${e.slot}`, {slot: e.slot});
+      }
+      const type = slots[e.slot-1].type;
+      if(!Lot.canPark(e.vehicle, type)){
+        throw new InvalidSlotError(`Slot ${e.slot} (${Lot.SLOT_TYPES[type].label}) is not suitable for a ${Lot.VEHICLE_TYPES[e.vehicle].label}`, {slot: e.slot});
+      }
+    }
+  }
+
+  /**
+   * Finds an existing reservation or queue entry for the same plate
+   * (compared by Plates.plateKey) whose window overlaps the request
+   * Time Complexity: O(n) over both lists
+   * @returns {Object|undefined}
+   */
+  function samePlateEntry(e, arrayList, queue){
+    const key = Plates.plateKey(e.plate);
+    const samePlate = r => Plates.plateKey(r.plate)===key && windowsOverlap(e.start, e.end, r.start, r.end);
+    return arrayList.find(samePlate) || queue.find(samePlate);
+  }
+
+  /**
+   * Checks that the slot schedules (parkingSlots) agree with the ArrayList
+   * and repairs them in place. The ArrayList is the source of truth:
+   * - duplicate reservation ids are dropped (first one kept)
+   * - reservations on slots that don't exist go back to the queue
+   * - schedule entries with no reservation are removed
+   * - reservations missing from their slot's schedule are added back
+   * Time Complexity: O(n + s) for n reservations and s slots
+   * @param {Object} data - Lot state (parkingSlots, arrayList, queue)
+   * @param {number} slotCount - Number of slots in the lot layout
+   * @returns {string[]} Description of every mismatch found
+   */
+  function reconcile(data, slotCount){
+    const report = [];
+    const seen = new Set();
+
+    data.arrayList = data.arrayList.filter(r => {
+      if(seen.has(r.id)){
+        report.push(`Duplicate reservation ${r.id} (${r.plate}) removed`);
+        return false;
+      }
+      seen.add(r.id);
+      if(!Number.isInteger(r.slot) || r.slot < 1 || r.slot > slotCount){
+        report.push(`${r.plate} was booked on missing slot ${r.slot} - moved back to the queue`);
+        data.queue.push({plate: r.plate, bookedAt: r.bookedAt, id: r.id, start: r.start, end: r.end,
+          vehicle: r.vehicle, priority: r.priority, queuedAt: r.queuedAt || Date.now(), operator: r.operator || null});
+        return false;
+      }
+      return true;
+    });
+
+    const expected = Array.from({length: slotCount}, () => []);
+    data.arrayList.forEach(r => expected[r.slot-1].push(bookingOf(r)));
+
+    const saved = data.parkingSlots || [];
+    for(let i=0; i<Math.max(slotCount, saved.length); i++){
+      const have = (saved[i] || []).map(b => b.id);
+      const want = (expected[i] || []).map(b => b.id);
+      have.filter(id => !want.includes(id)).forEach(id => {
+        report.push(`Slot ${i+1} listed booking ${id} with no matching reservation - removed`);
+      });
+      want.filter(id => !have.includes(id)).forEach(id => {
+        report.push(`Slot ${i+1} was missing booking ${id} - restored from the ArrayList`);
+      });
+    }
+
+    data.parkingSlots = expected;
+    return report;
+  }
+
+  /**
+   * Fills in optional fields of an imported reservation or queue entry
+   * @param {Object} entry - Raw entry from a file
+   * @param {boolean} reserved - true for reservations, false for queue entries
+   * @param {number} now - Current time (epoch ms)
+   * @returns {Object}
+   */
+  function importedEntry(entry, reserved, now){
+    const filled = {
+      ...entry,
+      plate: String(entry.plate || '').trim(),
+      id: entry.id || 'id'+now+Math.floor(Math.random()*999),
+      end: entry.end === undefined || entry.end === '' ? null : entry.end,
+      vehicle: entry.vehicle || 'car',
+      priority: entry.priority || 'regular'
+    };
+    if(reserved){
+      if(typeof entry.checkedIn !== 'boolean') filled.checkedIn = filled.start <= now;
+    } else if(typeof entry.queuedAt !== 'number' || isNaN(entry.queuedAt)){
+      filled.queuedAt = filled.start;
+    }
+    // Files from older versions carry the booking time as locale text;
+    // a waiter was booked when they joined the queue
+    if(typeof entry.bookedAt !== 'number' || isNaN(entry.bookedAt)){
+      const latest = typeof filled.start === 'number' && !isNaN(filled.start) ? Math.min(filled.start, now) : now;
+      filled.bookedAt = reserved ? Time.parseLegacyStamp(entry.time, latest) : filled.queuedAt;
+    }
+    delete filled.time;
+    return filled;
+  }
+
+  /**
+   * Adds imported entries to a base state using the same rules as
+   * insert(): plates must match an accepted format (and are stored
+   * normalized), a plate may not hold overlapping windows and a slot may
+   * not be booked twice for the same time. Entries that break a rule
+   * are skipped and described in the returned problem list.
+   * Time Complexity: O((n + m)²) for n current and m imported entries
+   * @param {{arrayList: Object[], queue: Object[]}} base - Entries kept as they are
+   * @param {{arrayList: Object[], queue: Object[]}} incoming - Entries from the file
+   * @param {Object[]} slots - Layout the reservations must fit
+   * @param {Object} [options]
+   * @param {number} [options.now] - Current time (epoch ms)
+   * @param {Object} [options.plateRules] - Accepted plate formats (default DEFAULT_PLATE_RULES)
+   * @param {Object[]} [options.blocks] - Slot blocks reservations may not overlap
+   * @returns {{arrayList: Object[], queue: Object[], added: number, problems: string[]}}
+   */
+  function mergeEntries(base, incoming, slots, options){
+    const at = options && options.now !== undefined ? options.now : Date.now();
+    const plateRules = (options && options.plateRules) || Plates.DEFAULT_PLATE_RULES;
+    const blocks = (options && options.blocks) || [];
+    const result = {arrayList: base.arrayList.slice(), queue: base.queue.slice(), added: 0, problems: []};
+    const ids = new Set(result.arrayList.concat(result.queue).map(e => e.id));
+
+    const check = (e, reserved) => {
+      const {plate, error} = Plates.normalizePlate(e.plate, plateRules);
+      if(error) throw new InvalidPlateError(error, {plate: e.plate});
+      e.plate = plate;
+      checkEntry(e, reserved ? slots : null);
+      if(samePlateEntry(e, result.arrayList, result.queue)){
+        throw new DuplicatePlateError('Plate already in system for that time (either reserved or queued)', {plate: e.plate});
+      }
+      if(reserved){
+        const taken = result.arrayList.find(r => r.slot === e.slot && windowsOverlap(e.start, e.end, r.start, r.end));
+        if(taken) throw new SlotOccupiedError(`Slot ${e.slot} is already booked for that time by ${taken.plate}`, {slot: e.slot});
+        const block = blocks.find(b => b.slot === e.slot && windowsOverlap(e.start, e.end, b.start, b.end));
+        if(block) throw new SlotBlockedError(`Slot ${e.slot} is out of service (${BLOCK_REASONS[block.reason].label}) for that time`, {slot: e.slot});
+      }
+      if(ids.has(e.id)) throw new InvalidInputError(`Duplicate id ${e.id}`);
+    };
+
+    [[incoming.arrayList, true, 'Reservation'], [incoming.queue, false, 'Queue entry']].forEach(([list, reserved, kind]) => {
+      list.forEach((raw, n) => {
+        const e = importedEntry(raw, reserved, at);
+        const shown = e.plate || 'no plate';
+        try {
+          check(e, reserved);
+        } catch (err) {
+          if(!(err instanceof EngineError)) throw err;
+          result.problems.push(`${kind} ${n+1} (${shown}): ${err.message}`);
+          return;
+        }
+        ids.add(e.id);
+        (reserved ? result.arrayList : result.queue).push(e);
+        result.added++;
+      });
+    });
+    return result;
+  }
+
+  // ============================================
+  // Engine
+  // ============================================
+
+  /**
+   * Creates a reservation engine holding one lot's state
+   *
+   * Changes are announced after each operation as a list of events:
+   * {action, summary, before, after, source}
+   * source is 'operator' for the requested change, 'auto' for what it
+   * set off (e.g. offering the freed slot) and 'timer' for tick() changes
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock returning epoch ms (for tests and simulation)
+   * @returns {Object} Engine API
+   */
+  function createEngine(options){
+    const now = (options && options.now) || Date.now;
+    const listeners = [];
+    let pendingEvents = null; // Events of the operation in progress
+
+    let lotConfig = Lot.DEFAULT_LOT; // Floors, zones and slot types (see lot-config.js)
+    let layout = Lot.buildLayout(lotConfig); // One entry per slot: {number, floor, zone, type, ...}
+
+    /**
+     * DATA STRUCTURE 1: ArrayList (Array-based implementation)
+     * Purpose: Stores all active and upcoming parking reservations
+     * Operations: Insert O(1), Delete O(n), Search O(n), Sort O(n log n)
+     * Structure: [{plate, slot, bookedAt, id, start, end, vehicle, priority, checkedIn, operator}, ...]
+     * bookedAt/start/end are epoch milliseconds; end === null means open-ended
+     * operator is the user name of whoever made the booking (null if unknown)
+     */
+    const parkingSlots = layout.map(() => []); // Per-slot booking schedule
+    const arrayList = [];
+
+    /**
+     * DATA STRUCTURE 2: Queue (FIFO - First In First Out)
+     * Purpose: Manages waiting list when no slot is free for the requested window
+     * Entries are kept in arrival order; dequeue picks the first eligible waiter
+     * of the highest priority class, so each class stays FIFO
+     * Operations: Enqueue O(1), Dequeue O(n) priority scan, Peek O(n)
+     * Structure: [{plate, bookedAt, id, start, end, vehicle, priority, queuedAt, operator}, ...]
+     */
+    const queue = [];
+
+    /**
+     * Open slot offers to queue waiters
+     * A freed slot is held for one waiter until they accept, decline or time out
+     * Structure: [{slot, queueId, plate, expiresAt, skipped: [queueId, ...]}, ...]
+     */
+    const offers = [];
+
+    /**
+     * Waiters who left the queue, and how
+     * outcome: 'assigned' | 'expired' (queue timeout) | 'offer-expired' (ignored an offer)
+     * Structure: [{plate, vehicle, priority, queuedAt, leftAt, outcome}, ...]
+     */
+    const queueHistory = [];
+
+    /**
+     * No-shows recorded against plates (keyed by Plates.plateKey)
+     * Structure: {plate: {plate, count, events: [{id, slot, start, releasedAt}]}}
+     */
+    const noShows = {};
+
+    /**
+     * History log of finished parking sessions (most recent last)
+     * Structure: [{plate, slot, bookedAt, id, start, end, exit, durationMs, fee, breakdown}, ...]
+     */
+    const history = [];
+
+    /**
+     * Slots taken out of service, e.g. for maintenance or an event
+     * A blocked slot is never assigned, offered or chosen for that window
+     * Structure: [{id, slot, start, end, reason, note, operator}, ...]
+     * end === null means until the block is cleared
+     */
+    const blocks = [];
+
+    const rates = {...DEFAULT_RATES};
+    const policy = {...DEFAULT_POLICY};
+    let plateRules = Plates.DEFAULT_PLATE_RULES; // Accepted plate formats (see plate-rules.js)
+    let display = Time.DEFAULT_DISPLAY; // Locale and time zone times are shown in (see time-format.js)
+    let clock = Time.createClock(display);
+
+    // ----------------------------------------------
+    // Change events
+    // ----------------------------------------------
+
+    /**
+     * Records a change made by the operation in progress
+     */
+    function note(action, summary, before, after, source){
+      pendingEvents.push({action, summary, before, after, source});
+    }
+
+    /**
+     * Runs an operation and announces its changes once it is complete
+     * Nested operations report together with the outermost one
+     * @param {Function} fn - The operation
+     * @returns {*} The operation's result
+     */
+    function run(fn){
+      const outer = pendingEvents === null;
+      if(outer) pendingEvents = [];
+      try {
+        return fn();
+      } finally {
+        if(outer){
+          const events = pendingEvents;
+          pendingEvents = null;
+          if(events.length > 0) listeners.slice().forEach(listener => listener(events));
+        }
+      }
+    }
+
+    /**
+     * Generates a reservation/queue id not used by any current entry
+     * @returns {string}
+     */
+    function newId(){
+      let id;
+      do {
+        id = 'id'+now()+Math.floor(Math.random()*999);
+      } while(arrayList.some(r => r.id === id) || queue.some(q => q.id === id));
+      return id;
+    }
+
+    /**
+     * Finds a reservation by id
+     * @throws {NotFoundError}
+     */
+    function reservation(id){
+      const res = arrayList.find(r => r.id === id);
+      if(!res) throw new NotFoundError(`No reservation with id ${id}`, {id});
+      return res;
+    }
+
+    // ----------------------------------------------
+    // Slot queries
+    // ----------------------------------------------
+
+    /**
+     * Checks if a slot has no booking overlapping the given window
+     * Time Complexity: O(k) where k = bookings on the slot
+     * @param {number} i - Slot index (0-based)
+     * @param {number} start - Window start (epoch ms)
+     * @param {number|null} end - Window end (epoch ms) or null for open-ended
+     * @returns {boolean} True if the slot is free for the whole window
+     */
+    function isSlotFree(i, start, end){
+      return !parkingSlots[i].some(b => windowsOverlap(start, end, b.start, b.end));
+    }
+
+    /**
+     * Checks whether a slot is being held for a queue waiter's offer
+     * @param {number} i - Slot index (0-based)
+     * @returns {Object|undefined} The open offer on the slot
+     */
+    const offerOnSlot = i => offers.find(o => o.slot === i+1);
+
+    /**
+     * Checks whether a vehicle type may use a slot
+     * @param {number} i - Slot index (0-based)
+     * @param {string} vehicle - Vehicle type key
+     * @returns {boolean}
+     */
+    const slotSuits = (i, vehicle) => Lot.canPark(vehicle, layout[i].type);
+
+    /**
+     * Finds a block on a slot overlapping the given window
+     * Time Complexity: O(b) over the blocks
+     * @param {number} i - Slot index (0-based)
+     * @param {number} start - Window start (epoch ms)
+     * @param {number|null} end - Window end (epoch ms) or null for open-ended
+     * @returns {Object|undefined} The block
+     */
+    const blockOn = (i, start, end) => blocks.find(b => b.slot === i+1 && windowsOverlap(start, end, b.start, b.end));
+
+    /**
+     * Finds the first suitable slot that is free for the whole window
+     * Slot types are tried in the vehicle's order of preference,
+     * so a compact car fills compact bays before regular ones
+     * Slots held for an offer or blocked during the window are skipped
+     * Time Complexity: O(n) over the slots
+     * @param {number} start - Window start (epoch ms)
+     * @param {number|null} end - Window end (epoch ms) or null for open-ended
+     * @param {string} vehicle - Vehicle type key
+     * @param {number[]} [avoid] - Slot numbers not to use
+     * @returns {number} Slot index (0-based) or -1 if none
+     */
+    function findFreeSlot(start, end, vehicle, avoid){
+      for(const type of Lot.VEHICLE_TYPES[vehicle].slots){
+        for(let i=0; i<layout.length; i++){
+          if(avoid && avoid.includes(i+1)) continue;
+          if(layout[i].type === type && !offerOnSlot(i) && !blockOn(i, start, end) && isSlotFree(i, start, end)) return i;
+        }
+      }
+      return -1;
+    }
+
+    /**
+     * Counts the slots a vehicle could be given for a window
+     * @returns {number}
+     */
+    function freeSlotCount(start, end, vehicle){
+      let available = 0;
+      for(let i=0; i<layout.length; i++){
+        if(slotSuits(i, vehicle) && !offerOnSlot(i) && !blockOn(i, start, end) && isSlotFree(i, start, end)) available++;
+      }
+      return available;
+    }
+
+    /**
+     * Returns the booking occupying a slot at a given moment
+     * @param {number} i - Slot index (0-based)
+     * @param {number} t - Moment (epoch ms)
+     * @returns {Object|undefined} Booking or undefined if the slot is free
+     */
+    function bookingAt(i, t){
+      return parkingSlots[i].find(b => windowsOverlap(t, t+1, b.start, b.end));
+    }
+
+    /**
+     * Returns the next booking on a slot that starts after a given moment
+     * @returns {Object|undefined} Earliest upcoming booking
+     */
+    function nextBookingAfter(i, t){
+      return parkingSlots[i]
+        .filter(b => b.start > t)
+        .sort((a,b) => a.start - b.start)[0];
+    }
+
+    /**
+     * Checks a slot the operator picked for a window
+     * @param {(string|number)} slot - Slot number
+     * @param {string} vehicle - Vehicle type key
+     * @param {number} start - Window start (epoch ms)
+     * @param {number|null} end - Window end (epoch ms) or null for open-ended
+     * @returns {number} Slot index (0-based)
+     * @throws {InvalidSlotError|SlotOccupiedError|SlotBlockedError}
+     */
+    function chosenSlot(slot, vehicle, start, end){
+      const si = parseInt(slot,10) - 1;
+      if(isNaN(si) || si < 0 || si >= layout.length){
+        throw new InvalidSlotError('Invalid slot chosen', {slot});
+      }
+      if(!slotSuits(si, vehicle)){
+        throw new InvalidSlotError(`Slot ${si+1} (${Lot.SLOT_TYPES[layout[si].type].label}) is not suitable for a ${Lot.VEHICLE_TYPES[vehicle].label}`, {slot: si+1});
+      }
+      if(offerOnSlot(si) || !isSlotFree(si, start, end)){
+        throw new SlotOccupiedError('Chosen slot is already booked for that time', {slot: si+1});
+      }
+      const block = blockOn(si, start, end);
+      if(block){
+        throw new SlotBlockedError(`Slot ${si+1} is out of service (${BLOCK_REASONS[block.reason].label}) for that time`, {slot: si+1});
+      }
+      return si;
+    }
+
+    // ----------------------------------------------
+    // ArrayList operations
+    // ----------------------------------------------
+
+    /**
+     * INSERT Operation - Add new reservation to ArrayList or Queue
+     * Time Complexity: O(1) for ArrayList insertion at end
+     * Time Complexity: O(1) for Queue enqueue
+     * Overlapping bookings on the same slot (or for the same plate) are rejected,
+     * and only slots suitable for the vehicle type are assigned
+     * The plate is checked against the plate rules and stored normalized
+     * @param {Object} request
+     * @param {string} request.plate - Vehicle plate number, as typed
+     * @param {(string|number)} [request.slot] - Slot number, or 'auto' for the first suitable one
+     * @param {number} request.start - Window start (epoch ms)
+     * @param {number|null} [request.end] - Window end (epoch ms) or null for open-ended
+     * @param {string} [request.vehicle] - Vehicle type key (see lot-config.js)
+     * @param {string} [request.priority] - Queue priority class (see PRIORITY_CLASSES)
+     * @param {boolean} [request.queueIfFull] - Join the queue when no slot is free (default true)
+     * @param {string} [request.operator] - User name of the operator making the booking
+     * @returns {{status: string, reservation: (Object|undefined), entry: (Object|undefined)}}
+     *          status 'reserved' with the reservation, or 'queued' with the queue entry
+     * @throws {InvalidInputError|InvalidPlateError|DuplicatePlateError|InvalidSlotError|SlotOccupiedError|LotFullError}
+     */
+    function insert(request){
+      return run(() => {
+        const {slot = 'auto', start, end = null, vehicle = 'car', priority = 'regular', queueIfFull = true, operator = null} = request;
+        const {plate, error} = Plates.normalizePlate(request.plate, plateRules);
+        if(error) throw new InvalidPlateError(error, {plate: request.plate});
+        checkEntry({plate, start, end, vehicle, priority}, null);
+
+        // A plate may hold several bookings as long as they don't overlap
+        if(samePlateEntry({plate, start, end}, arrayList, queue)){
+          throw new DuplicatePlateError('Plate already in system for that time (either reserved or queued)', {plate});
+        }
+
+        const bookedAt = now();
+        const id = newId();
+
+        // If no suitable slot is free for the whole window, add to queue
+        const firstFree = findFreeSlot(start, end, vehicle); // O(n) search
+        if(firstFree === -1){
+          if(!queueIfFull) throw new LotFullError(`Parking is full for that time - no slot suits a ${Lot.VEHICLE_TYPES[vehicle].label}`, {plate});
+          const entry = {plate, bookedAt, id, start, end, vehicle, priority, queuedAt: bookedAt, operator};
+          queue.push(entry); // ENQUEUE O(1)
+          note('enqueue', `${plate} joined the queue (${PRIORITY_CLASSES[priority].label})`, null, entry, 'operator');
+          return {status: 'queued', entry};
+        }
+
+        const slotIndex = slot === 'auto' ? firstFree : chosenSlot(slot, vehicle, start, end);
+
+        // Insert to ArrayList - O(1) operation
+        // Walk-ins are parked right away; advance bookings must check in on arrival
+        const checkedIn = start <= now();
+        const res = {plate, slot: slotIndex+1, bookedAt, id, start, end, vehicle, priority, checkedIn, operator};
+        parkingSlots[slotIndex].push(bookingOf(res));
+        arrayList.push(res);
+        note('reserve', `${plate} reserved slot ${slotIndex+1} for ${formatWindow(start, end, clock)}`, null, res, 'operator');
+        return {status: 'reserved', reservation: res};
+      });
+    }
+
+    /**
+     * Removes a reservation from the ArrayList and its slot schedule
+     * When the slot becomes available it is offered to the first eligible
+     * waiter (see offerSlot) instead of being booked for them outright
+     * Time Complexity: O(n) - requires finding and shifting elements
+     * @param {string} id - Unique reservation ID
+     * @param {string} source - Event source for the offer it may set off
+     * @returns {Object} The removed reservation
+     */
+    function release(id, source){
+      const idx = arrayList.findIndex(r => r.id === id);
+      const removed = arrayList[idx];
+      arrayList.splice(idx,1); // O(n) operation - removes and shifts elements
+      parkingSlots[removed.slot-1] = parkingSlots[removed.slot-1].filter(b => b.id !== id);
+
+      // Priority FIFO Queue Implementation - Offer the freed slot
+      reopen(removed.slot-1, source);
+      return removed;
+    }
+
+    /**
+     * DELETE Operation - Removes a reservation from ArrayList
+     * Time Complexity: O(n) - requires finding and shifting elements
+     * @param {string} id - Unique reservation ID
+     * @returns {Object} The removed reservation
+     * @throws {NotFoundError}
+     */
+    function remove(id){
+      return run(() => {
+        const res = reservation(id);
+        note('delete', `Deleted ${res.plate}'s reservation on slot ${res.slot}`, res, null, 'operator');
+        return release(id, 'auto');
+      });
+    }
+
+    /**
+     * CHECK-OUT Operation - Ends a parking session and bills it
+     * Records the exit time, computes the fee from the stay duration
+     * and moves the session to the history log
+     * Time Complexity: O(n) - same removal as DELETE
+     * @param {string} id - Unique reservation ID
+     * @returns {Object} The finished session {...reservation, exit, durationMs, fee, breakdown}
+     * @throws {NotFoundError|InvalidInputError} InvalidInputError if the stay hasn't started
+     */
+    function checkOut(id){
+      return run(() => {
+        const res = reservation(id);
+        const exit = now();
+        if(exit < res.start){
+          throw new InvalidInputError(`${res.plate} has not arrived yet - delete the reservation instead.`, {id});
+        }
+
+        const durationMs = exit - res.start;
+        const {fee, breakdown} = computeFee(durationMs, rates);
+        const session = {...res, exit, durationMs, fee, breakdown};
+
+        note('checkout', `${res.plate} checked out of slot ${res.slot} (${formatMoney(fee)})`, res, session, 'operator');
+        release(id, 'auto');
+        history.push(session);
+        return session;
+      });
+    }
+
+    /**
+     * CHECK-IN Operation - Marks an advance booking as arrived
+     * Checked-in reservations are never released as no-shows
+     * @param {string} id - Unique reservation ID
+     * @returns {Object} The reservation
+     * @throws {NotFoundError}
+     */
+    function checkIn(id){
+      return run(() => {
+        const res = reservation(id);
+        if(res.checkedIn) return res;
+        const before = {...res};
+        res.checkedIn = true;
+        note('checkin', `${res.plate} checked in at slot ${res.slot}`, before, res, 'operator');
+        return res;
+      });
+    }
+
+    /**
+     * BULK DELETE - Removes several reservations as one change
+     * Every id is checked first, so either all are removed or none
+     * Time Complexity: O(k·n) for k ids
+     * @param {string[]} ids - Reservation IDs
+     * @returns {Object[]} The removed reservations
+     * @throws {NotFoundError}
+     */
+    function removeMany(ids){
+      return run(() => {
+        const unique = Array.from(new Set(ids));
+        unique.forEach(reservation);
+        return unique.map(id => {
+          const res = reservation(id);
+          note('delete', `Deleted ${res.plate}'s reservation on slot ${res.slot}`, res, null, 'operator');
+          return release(id, 'auto');
+        });
+      });
+    }
+
+    /**
+     * MOVE Operation - Moves a reservation to another slot
+     * The reservation keeps its id, booking time and window; the slot it
+     * leaves is offered to the queue like a released one
+     * Time Complexity: O(n) over the slots
+     * @param {string} id - Unique reservation ID
+     * @param {(string|number)} [slot] - Slot number, or 'auto' (default) for the first suitable free one
+     * @param {number[]} [avoid] - Slot numbers 'auto' may not pick
+     * @returns {Object} The reservation
+     * @throws {NotFoundError|InvalidInputError|InvalidSlotError|SlotOccupiedError|SlotBlockedError|LotFullError}
+     */
+    function move(id, slot, avoid){
+      return run(() => {
+        const res = reservation(id);
+        const from = res.slot;
+        let to;
+        if(slot === undefined || slot === 'auto'){
+          to = findFreeSlot(res.start, res.end, res.vehicle, [from].concat(avoid || []));
+          if(to === -1) throw new LotFullError(`No other slot suits ${res.plate} for ${formatWindow(res.start, res.end, clock)}`, {id});
+        } else {
+          if(parseInt(slot,10) === from) throw new InvalidInputError(`${res.plate} is already on slot ${from}`, {id});
+          to = chosenSlot(slot, res.vehicle, res.start, res.end);
+        }
+
+        const before = {...res};
+        parkingSlots[from-1] = parkingSlots[from-1].filter(b => b.id !== id);
+        res.slot = to+1;
+        parkingSlots[to].push(bookingOf(res));
+        note('move', `${res.plate} moved from slot ${from} to slot ${res.slot}`, before, res, 'operator');
+        reopen(from-1, 'auto');
+        return res;
+      });
+    }
+
+    /**
+     * SWAP Operation - Exchanges the slots of two reservations
+     * Both keep their id, booking time and window. Rejected unless each
+     * slot suits the other's vehicle and is free (apart from the other
+     * reservation), not blocked and not held for an offer for its window
+     * Time Complexity: O(n + k) for the lookups and both slot schedules
+     * @param {string} idA - Unique reservation ID
+     * @param {string} idB - Unique reservation ID
+     * @returns {Object[]} Both reservations [a, b]
+     * @throws {NotFoundError|InvalidInputError|InvalidSlotError|SlotOccupiedError|SlotBlockedError}
+     */
+    function swap(idA, idB){
+      return run(() => {
+        const a = reservation(idA);
+        const b = reservation(idB);
+        if(a.slot === b.slot) throw new InvalidInputError(`${a.plate} and ${b.plate} are on the same slot`, {idA, idB});
+
+        [[a, b], [b, a]].forEach(([res, other]) => {
+          const i = other.slot-1;
+          if(!slotSuits(i, res.vehicle)){
+            throw new InvalidSlotError(`Slot ${other.slot} (${Lot.SLOT_TYPES[layout[i].type].label}) is not suitable for ${res.plate}'s ${Lot.VEHICLE_TYPES[res.vehicle].label}`, {slot: other.slot});
+          }
+          const offer = offerOnSlot(i);
+          if(offer) throw new SlotOccupiedError(`Slot ${other.slot} is being offered to ${offer.plate}`, {slot: other.slot});
+          const clash = parkingSlots[i].find(x => x.id !== other.id && windowsOverlap(res.start, res.end, x.start, x.end));
+          if(clash) throw new SlotOccupiedError(`Slot ${other.slot} is also booked by ${clash.plate} during ${res.plate}'s stay`, {slot: other.slot});
+          const block = blockOn(i, res.start, res.end);
+          if(block) throw new SlotBlockedError(`Slot ${other.slot} is out of service (${BLOCK_REASONS[block.reason].label}) during ${res.plate}'s stay`, {slot: other.slot});
+        });
+
+        const before = {a: {...a}, b: {...b}};
+        parkingSlots[a.slot-1] = parkingSlots[a.slot-1].filter(x => x.id !== a.id);
+        parkingSlots[b.slot-1] = parkingSlots[b.slot-1].filter(x => x.id !== b.id);
+        [a.slot, b.slot] = [b.slot, a.slot];
+        parkingSlots[a.slot-1].push(bookingOf(a));
+        parkingSlots[b.slot-1].push(bookingOf(b));
+        note('move', `${a.plate} and ${b.plate} swapped slots (now ${a.slot} and ${b.slot})`, before, {a, b}, 'operator');
+        return [a, b];
+      });
+    }
+
+    /**
+     * BULK MOVE - Moves several reservations to the first suitable free
+     * slots, away from the slots they are on now and any others given
+     * Reservations that can't be moved stay where they are
+     * Time Complexity: O(k·n) for k ids
+     * @param {string[]} ids - Reservation IDs
+     * @param {number[]} [avoid] - Further slot numbers to keep clear (e.g. ones about to be blocked)
+     * @returns {{moved: Object[], failed: Array<{id: string, plate: string, message: string}>}}
+     * @throws {NotFoundError} Before anything moves, if an id is unknown
+     */
+    function moveMany(ids, avoid){
+      return run(() => {
+        const unique = Array.from(new Set(ids));
+        const keepClear = unique.map(id => reservation(id).slot).concat(avoid || []);
+        const result = {moved: [], failed: []};
+        unique.forEach(id => {
+          try {
+            result.moved.push(move(id, 'auto', keepClear));
+          } catch (e) {
+            if(!(e instanceof EngineError)) throw e;
+            result.failed.push({id, plate: reservation(id).plate, message: e.message});
+          }
+        });
+        return result;
+      });
+    }
+
+    /**
+     * Reorders the ArrayList in place and records the old and new order
+     * @param {Function} fn - Mutates arrayList
+     * @param {string} summary - Event description
+     * @returns {Object[]} The ArrayList
+     */
+    function reorder(fn, summary){
+      return run(() => {
+        const before = arrayList.map(r => r.id);
+        fn();
+        note('sort', summary, {order: before}, {order: arrayList.map(r => r.id)}, 'operator');
+        return arrayList;
+      });
+    }
+
+    /**
+     * SORT Operation - Sort ArrayList by slot number (ascending)
+     * Time Complexity: O(n log n)
+     */
+    const sortBySlot = () => reorder(() => arrayList.sort((a,b)=>a.slot-b.slot), 'Sorted reservations by slot');
+
+    /**
+     * SORT Operation - Sort ArrayList by booking time (oldest first)
+     * The sort is stable, so bookings made in the same millisecond keep their order
+     * Time Complexity: O(n log n)
+     */
+    const sortByTime = () => reorder(() => arrayList.sort((a,b)=>a.bookedAt-b.bookedAt), 'Sorted reservations by time');
+
+    /**
+     * TRAVERSE Operation - Reverse the ArrayList order
+     * Time Complexity: O(n)
+     */
+    const reverse = () => reorder(() => arrayList.reverse(), 'Reversed the reservation order');
+
+    /**
+     * Every searchable record with its status and slot
+     * @returns {Array<{kind: string, status: string, entry: Object, slot: (number|null), start: number, end: (number|null)}>}
+     */
+    function searchRecords(){
+      const records = [];
+      arrayList.forEach(r => records.push({kind: 'reservation', status: r.checkedIn ? 'parked' : 'reserved', entry: r, slot: r.slot, start: r.start, end: r.end}));
+      queue.forEach(q => {
+        const offer = offers.find(o => o.queueId === q.id);
+        records.push({kind: 'queue', status: offer ? 'offered' : 'queued', entry: q, slot: offer ? offer.slot : null, start: q.start, end: q.end});
+      });
+      history.forEach(h => records.push({kind: 'history', status: 'completed', entry: h, slot: h.slot, start: h.start, end: h.exit}));
+      return records;
+    }
+
+    /**
+     * Checks a record against the search filters
+     * Floor, zone and slot type filters only match records with a slot
+     */
+    function passesFilters(record, filters){
+      const info = record.slot ? layout[record.slot - 1] : null;
+      if(filters.status && record.status !== filters.status) return false;
+      if(filters.floor && !(info && info.floor === filters.floor)) return false;
+      if(filters.zone && !(info && info.zone === filters.zone)) return false;
+      if(filters.slotType && !(info && info.type === filters.slotType)) return false;
+      const from = filters.from === undefined || filters.from === null ? -Infinity : filters.from;
+      const to = filters.to === undefined || filters.to === null ? null : filters.to;
+      return windowsOverlap(record.start, record.end, from, to);
+    }
+
+    /**
+     * SEARCH Operation - Linear search through the ArrayList, the queue
+     * and the history log
+     * Time Complexity: O(n·k·m) for n records, plates of k and a term of m characters
+     * Plates are matched ignoring case, separators and O/0, I/1 look-alikes,
+     * with a few typos tolerated (see Plates.fuzzyPlateMatch); a number
+     * also matches that slot exactly. Results are ranked best first:
+     * exact slot or plate, then plates containing the term, then by typos;
+     * ties list reservations, then the queue, then history, earliest first
+     * @param {string} term - Plate or slot number; may be empty when filters are given
+     * @param {Object} [filters]
+     * @param {number} [filters.from] - Only records whose window ends after this (epoch ms)
+     * @param {number} [filters.to] - Only records whose window starts before this (epoch ms)
+     * @param {string} [filters.floor] - Floor id
+     * @param {string} [filters.zone] - Zone id
+     * @param {string} [filters.slotType] - Slot type key (see lot-config.js)
+     * @param {string} [filters.status] - Key of SEARCH_STATUSES
+     * @returns {Array<{kind, status, entry, slot, start, end, score, match}>} kind is
+     *          'reservation', 'queue' or 'history'; match is the highlighted
+     *          part of the plate {start, end, typos}, or null; lower score ranks higher
+     */
+    function search(term, filters){
+      term = (term||'').trim();
+      filters = filters || {};
+      const filtered = Object.keys(filters).some(key => filters[key] !== undefined && filters[key] !== null && filters[key] !== '');
+      if(!term && !filtered) return [];
+
+      const kindOrder = ['reservation', 'queue', 'history'];
+      const results = [];
+      searchRecords().forEach(record => {
+        if(!passesFilters(record, filters)) return;
+        if(!term){
+          results.push({...record, score: 0, match: null});
+          return;
+        }
+        const scores = [];
+        const match = Plates.fuzzyPlateMatch(record.entry.plate, term);
+        if(match){
+          const exact = Plates.plateKey(record.entry.plate) === Plates.plateKey(term);
+          scores.push(exact ? 0 : 1 + match.typos);
+        }
+        if(record.slot !== null && String(record.slot) === term) scores.push(0);
+        if(scores.length === 0) return;
+        results.push({...record, score: Math.min(...scores), match});
+      });
+
+      return results.sort((a, b) =>
+        a.score - b.score || kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || a.start - b.start);
+    }
+
+    // ----------------------------------------------
+    // Queue operations
+    // ----------------------------------------------
+
+    /**
+     * Whether a waiter's requested window is over, so no slot can serve it
+     */
+    const windowEnded = (q, at) => q.end !== null && q.end <= at;
+
+    /**
+     * Finds the waiter who should get a freed slot: among waiters whose
+     * vehicle suits the slot and whose window is free (and not blocked)
+     * on it, the one in the highest priority class who arrived first.
+     * Waiters who already hold an offer, who passed on this slot or whose
+     * window has already ended are skipped
+     * Time Complexity: O(n) - single pass over the queue
+     * @param {number} i - Freed slot index (0-based)
+     * @param {string[]} skipped - Queue ids who declined or ignored this slot
+     * @returns {number} Queue index, or -1 if nobody is eligible
+     */
+    function nextEligibleWaiter(i, skipped){
+      let best = -1;
+      queue.forEach((q, qi) => {
+        if(skipped.includes(q.id) || offers.some(o => o.queueId === q.id) || windowEnded(q, now())) return;
+        if(!slotSuits(i, q.vehicle) || !isSlotFree(i, q.start, q.end) || blockOn(i, q.start, q.end)) return;
+        if(best === -1 || compareWaiters(q, queue[best]) < 0) best = qi;
+      });
+      return best;
+    }
+
+    /**
+     * Offers a slot that has just become usable, unless it is already held
+     * @param {number} i - Slot index (0-based)
+     * @param {string} source - Event source for the offer
+     */
+    function reopen(i, source){
+      if(!offerOnSlot(i)) offerSlot(i, [], source);
+    }
+
+    /**
+     * Offers a freed slot to the next eligible waiter
+     * The slot is held until they accept, decline or the offer times out
+     * @param {number} i - Slot index (0-based)
+     * @param {string[]} skipped - Queue ids who already passed on this slot
+     * @param {string} source - Event source ('auto' or 'timer')
+     * @returns {Object|null} The new offer, or null if nobody is eligible
+     */
+    function offerSlot(i, skipped, source){
+      const qi = nextEligibleWaiter(i, skipped);
+      if(qi === -1) return null;
+      const offer = {
+        slot: i+1,
+        queueId: queue[qi].id,
+        plate: queue[qi].plate,
+        expiresAt: now() + policy.offerMinutes * 60000,
+        skipped
+      };
+      offers.push(offer);
+      note('offer', `Slot ${offer.slot} offered to ${offer.plate}`, null, offer, source);
+      return offer;
+    }
+
+    /**
+     * Removes a waiter from the queue and logs how they left
+     * @param {string} queueId - Queue entry ID
+     * @param {string} outcome - 'assigned' | 'expired' | 'offer-expired'
+     * @returns {Object|null} The removed queue entry
+     */
+    function leaveQueue(queueId, outcome){
+      const qi = queue.findIndex(q => q.id === queueId);
+      if(qi === -1) return null;
+      const [entry] = queue.splice(qi, 1); // DEQUEUE - O(n) shift
+      queueHistory.push({
+        plate: entry.plate,
+        vehicle: entry.vehicle,
+        priority: entry.priority,
+        queuedAt: entry.queuedAt,
+        leftAt: now(),
+        outcome
+      });
+      return entry;
+    }
+
+    /**
+     * Finds the open offer held by a waiter
+     * @throws {NotFoundError}
+     */
+    function takeOffer(queueId){
+      const oi = offers.findIndex(o => o.queueId === queueId);
+      if(oi === -1) throw new NotFoundError('There is no open offer for that waiter', {queueId});
+      return offers.splice(oi, 1)[0];
+    }
+
+    /**
+     * ACCEPT - Waiter takes the slot they were offered
+     * Books the slot for their requested window (starting no earlier than now)
+     * @param {string} queueId - Queue entry ID holding the offer
+     * @returns {Object} The new reservation
+     * @throws {NotFoundError}
+     */
+    function acceptOffer(queueId){
+      return run(() => {
+        const offer = takeOffer(queueId);
+        const next = leaveQueue(queueId, 'assigned');
+        const start = Math.max(next.start, now());
+
+        // Like insert: a waiter whose window starts later must still check in on arrival
+        const res = {
+          plate: next.plate, slot: offer.slot, bookedAt: now(), id: newId(),
+          start, end: next.end,
+          vehicle: next.vehicle, priority: next.priority, queuedAt: next.queuedAt,
+          checkedIn: start <= now(), operator: next.operator || null
+        };
+        parkingSlots[offer.slot-1].push(bookingOf(res));
+        arrayList.push(res);
+        note('promote', `${next.plate} promoted from the queue to slot ${offer.slot}`, next, res, 'operator');
+        return res;
+      });
+    }
+
+    /**
+     * DECLINE - Waiter passes on the offered slot but stays in the queue
+     * The slot is offered to the next eligible waiter
+     * @param {string} queueId - Queue entry ID holding the offer
+     * @returns {Object|null} The offer made to the next waiter, if any
+     * @throws {NotFoundError}
+     */
+    function declineOffer(queueId){
+      return run(() => {
+        const offer = takeOffer(queueId);
+        note('decline', `${offer.plate} declined slot ${offer.slot}`, offer, null, 'operator');
+        return offerSlot(offer.slot-1, [...offer.skipped, queueId], 'auto');
+      });
+    }
+
+    /**
+     * Number of no-shows recorded against a plate
+     * Records are matched by plate key, so ones saved under older keys count too
+     * @param {string} plate
+     * @returns {number}
+     */
+    function noShowCount(plate){
+      const key = Plates.plateKey(plate);
+      return Object.values(noShows).filter(n => Plates.plateKey(n.plate) === key).reduce((sum, n) => sum + n.count, 0);
+    }
+
+    /**
+     * Applies every timeout that has passed: expires ignored offers (the
+     * waiter is dropped and the slot moves to the next waiter), drops
+     * waiters whose requested window has ended (passing on any slot they
+     * were offered) or who are past the queue timeout, releases reservations not
+     * checked in within the no-show window, recording the no-show, and
+     * puts slots whose block has ended back in service
+     * @returns {boolean} True if anything changed
+     */
+    function tick(){
+      return run(() => {
+        const at = now();
+        const before = pendingEvents.length;
+
+        offers.filter(o => o.expiresAt <= at).forEach(offer => {
+          offers.splice(offers.indexOf(offer), 1);
+          note('expire', `${offer.plate} did not answer the offer for slot ${offer.slot} and left the queue`, offer, null, 'timer');
+          leaveQueue(offer.queueId, 'offer-expired');
+          offerSlot(offer.slot-1, offer.skipped, 'timer');
+        });
+
+        queue
+          .filter(q => windowEnded(q, at))
+          .forEach(q => {
+            const offer = offers.find(o => o.queueId === q.id);
+            note('expire', `${q.plate} left the queue - the window they asked for has ended`, q, null, 'timer');
+            leaveQueue(q.id, 'expired');
+            if(offer){
+              offers.splice(offers.indexOf(offer), 1);
+              offerSlot(offer.slot-1, offer.skipped, 'timer');
+            }
+          });
+
+        queue
+          .filter(q => q.queuedAt + policy.queueTtlMinutes * 60000 <= at && !offers.some(o => o.queueId === q.id))
+          .forEach(q => {
+            note('expire', `${q.plate} left the queue after ${policy.queueTtlMinutes} minutes`, q, null, 'timer');
+            leaveQueue(q.id, 'expired');
+          });
+
+        arrayList
+          .filter(r => !r.checkedIn && r.start + policy.noShowMinutes * 60000 <= at)
+          .forEach(r => {
+            const key = Plates.plateKey(r.plate);
+            const record = noShows[key] || (noShows[key] = {plate: r.plate, count: 0, events: []});
+            record.count++;
+            record.events.push({id: r.id, slot: r.slot, start: r.start, releasedAt: at});
+            note('expire', `${r.plate} did not check in - slot ${r.slot} released as a no-show`, r, null, 'timer');
+            release(r.id, 'timer');
+          });
+
+        blocks
+          .filter(b => b.end !== null && b.end <= at)
+          .forEach(b => {
+            blocks.splice(blocks.indexOf(b), 1);
+            note('unblock', `Slot ${b.slot} back in service - the ${BLOCK_REASONS[b.reason].label.toLowerCase()} block ended`, b, null, 'timer');
+            reopen(b.slot-1, 'timer');
+          });
+
+        return pendingEvents.length > before;
+      });
+    }
+
+    /**
+     * Average time between recent departures from slots a vehicle type can use
+     * Based on the last TURNOVER_SAMPLE check-outs in the history log
+     * @param {string} vehicle - Vehicle type key
+     * @returns {number|null} Milliseconds between departures, or null without enough data
+     */
+    function turnoverInterval(vehicle){
+      const exits = history
+        .filter(h => layout[h.slot-1] && Lot.canPark(vehicle, layout[h.slot-1].type))
+        .map(h => h.exit)
+        .sort((a,b) => a-b)
+        .slice(-TURNOVER_SAMPLE);
+      if(exits.length < 2) return null;
+      return (exits[exits.length-1] - exits[0]) / (exits.length - 1);
+    }
+
+    /**
+     * Groups the queue into one lane per vehicle type, each lane sorted
+     * in serving order (priority class, then arrival)
+     * @returns {Array<{vehicle: string, waiters: Object[]}>}
+     */
+    function queueLanes(){
+      return Object.keys(Lot.VEHICLE_TYPES)
+        .map(vehicle => ({vehicle, waiters: queue.filter(q => q.vehicle === vehicle).sort(compareWaiters)}))
+        .filter(lane => lane.waiters.length > 0);
+    }
+
+    // ----------------------------------------------
+    // Slot blocks (maintenance mode)
+    // ----------------------------------------------
+
+    /**
+     * Generates a block id not used by any current block
+     * @returns {string}
+     */
+    function newBlockId(){
+      let id;
+      do {
+        id = 'blk'+now()+Math.floor(Math.random()*999);
+      } while(blocks.some(b => b.id === id));
+      return id;
+    }
+
+    /**
+     * BLOCK - Takes slots out of service for a window
+     * Either every slot is blocked or none: the request is rejected if
+     * any slot is booked, held for an offer or already blocked during
+     * the window (move or release those bookings first)
+     * @param {number[]} slots - Slot numbers
+     * @param {Object} options
+     * @param {string} options.reason - Key of BLOCK_REASONS
+     * @param {number} [options.start] - Window start (epoch ms, default now)
+     * @param {number|null} [options.end] - Window end (epoch ms) or null (default) until cleared
+     * @param {string} [options.note] - Free text shown with the block
+     * @param {string} [options.operator] - User name of the operator
+     * @returns {Object[]} The new blocks
+     * @throws {InvalidInputError|InvalidSlotError|SlotOccupiedError} details.errors lists every conflict
+     */
+    function blockSlots(slots, options){
+      return run(() => {
+        const {reason, start = now(), end = null, note: remark = '', operator = null} = options || {};
+        if(!BLOCK_REASONS[reason]) throw new InvalidInputError(`Unknown block reason "${reason}"`);
+        if(typeof start !== 'number' || isNaN(start)) throw new InvalidInputError('The FROM time is missing or invalid');
+        if(end !== null && (typeof end !== 'number' || isNaN(end))) throw new InvalidInputError('The UNTIL time is invalid');
+        if(end !== null && end <= start) throw new InvalidInputError('The UNTIL time must be after the FROM time');
+        const numbers = Array.from(new Set(slots));
+        if(numbers.length === 0) throw new InvalidInputError('Select at least one slot to block');
+        numbers.forEach(n => {
+          if(!Number.isInteger(n) || n < 1 || n > layout.length) throw new InvalidSlotError(`Invalid slot ${n}`, {slot: n});
+        });
+
+        const errors = [];
+        numbers.forEach(n => {
+          parkingSlots[n-1].filter(b => windowsOverlap(start, end, b.start, b.end)).forEach(b => {
+            errors.push(`Slot ${n} is booked by ${b.plate} for ${formatWindow(b.start, b.end, clock)}`);
+          });
+          const offer = offerOnSlot(n-1);
+          if(offer) errors.push(`Slot ${n} is being offered to ${offer.plate}`);
+          const block = blockOn(n-1, start, end);
+          if(block) errors.push(`Slot ${n} is already out of service (${BLOCK_REASONS[block.reason].label}) for that time`);
+        });
+        if(errors.length > 0) throw new SlotOccupiedError(errors.join('\n'), {errors});
+
+        return numbers.map(n => {
+          const block = {id: newBlockId(), slot: n, start, end, reason, note: String(remark).trim(), operator};
+          blocks.push(block);
+          note('block', `Slot ${n} out of service (${BLOCK_REASONS[reason].label}) for ${formatWindow(start, end, clock)}`, null, block, 'operator');
+          return block;
+        });
+      });
+    }
+
+    /**
+     * UNBLOCK - Puts slots back in service
+     * Each slot is offered to the queue like a released one
+     * @param {string[]} ids - Block IDs
+     * @returns {Object[]} The removed blocks
+     * @throws {NotFoundError} Before anything changes, if an id is unknown
+     */
+    function unblock(ids){
+      return run(() => {
+        const found = Array.from(new Set(ids)).map(id => {
+          const block = blocks.find(b => b.id === id);
+          if(!block) throw new NotFoundError(`No slot block with id ${id}`, {id});
+          return block;
+        });
+        found.forEach(block => {
+          blocks.splice(blocks.indexOf(block), 1);
+          note('unblock', `Slot ${block.slot} back in service`, block, null, 'operator');
+          reopen(block.slot-1, 'auto');
+        });
+        return found;
+      });
+    }
+
+    // ----------------------------------------------
+    // Settings
+    // ----------------------------------------------
+
+    /**
+     * Checks and applies new values for a group of numeric settings
+     * @param {Object} target - rates or policy
+     * @param {Object} next - New values by key
+     * @param {Function} valid - Accepts a number
+     * @param {string} message - Error message for an invalid value
+     * @param {string} summary - Event description
+     */
+    function updateSettings(target, next, valid, message, summary){
+      return run(() => {
+        const values = {};
+        Object.keys(target).forEach(key => {
+          const value = next[key] === undefined ? target[key] : Number(next[key]);
+          if(isNaN(value) || !valid(value)) throw new InvalidInputError(message, {key});
+          values[key] = value;
+        });
+        const before = {...target};
+        Object.assign(target, values);
+        note('settings', summary, before, {...target}, 'operator');
+        return target;
+      });
+    }
+
+    /**
+     * Replaces the billing rate rules (zero or more each)
+     * @param {Object} next - Some or all of the DEFAULT_RATES keys
+     * @returns {Object} The rates
+     * @throws {InvalidInputError}
+     */
+    const setRates = next => updateSettings(rates, next, v => v >= 0, 'Rates must be zero or positive numbers', 'Billing rates updated');
+
+    /**
+     * Replaces the queue timing rules (positive minutes each)
+     * @param {Object} next - Some or all of the DEFAULT_POLICY keys
+     * @returns {Object} The policy
+     * @throws {InvalidInputError}
+     */
+    const setPolicy = next => updateSettings(policy, next, v => v > 0, 'Queue timings must be positive numbers of minutes', 'Queue policy updated');
+
+    /**
+     * Replaces the accepted plate formats
+     * Plates already in the lot are kept as they are; the rules apply
+     * to new reservations, queue entries and imports
+     * @param {Object} next - {formats, custom, allowOther}
+     * @returns {Object} The plate rules
+     * @throws {InvalidInputError} details.errors lists every problem
+     */
+    function setPlateRules(next){
+      return run(() => {
+        const errors = Plates.validatePlateRules(next);
+        if(errors.length > 0) throw new InvalidInputError(errors.join('\n'), {errors});
+        const before = plateRules;
+        plateRules = {formats: next.formats.slice(), custom: next.custom.slice(), allowOther: !!next.allowOther};
+        note('settings', 'Plate formats updated', before, plateRules, 'operator');
+        return plateRules;
+      });
+    }
+
+    /**
+     * Replaces the locale and time zone times are shown in
+     * Stored times don't change; only how they are displayed and which
+     * hours and days the analytics and date filters use
+     * @param {Object} next - {locale, timeZone} ('' for the browser's own)
+     * @returns {Object} The display settings
+     * @throws {InvalidInputError} details.errors lists every problem
+     */
+    function setDisplay(next){
+      return run(() => {
+        const errors = Time.validateDisplay(next);
+        if(errors.length > 0) throw new InvalidInputError(errors.join('\n'), {errors});
+        const before = display;
+        display = {locale: next.locale.trim(), timeZone: next.timeZone.trim()};
+        clock = Time.createClock(display);
+        note('settings', 'Time display updated', before, display, 'operator');
+        return display;
+      });
+    }
+
+    /**
+     * Replaces the lot layout
+     * Rejected if the configuration is invalid or if an existing booking
+     * would end up on a missing slot or a slot unsuitable for its vehicle
+     * Blocks on slots the new layout removes are cleared
+     * @param {Object} config - New lot configuration
+     * @throws {InvalidInputError} details.errors lists every problem
+     */
+    function applyLotConfig(config){
+      return run(() => {
+        const errors = Lot.validateLotConfig(config);
+        const nextLayout = errors.length === 0 ? Lot.buildLayout(config) : null;
+        if(nextLayout){
+          arrayList.forEach(r => {
+            const info = nextLayout[r.slot-1];
+            if(!info){
+              errors.push(`${r.plate} is booked on slot ${r.slot}, which the new layout removes`);
+            } else if(!Lot.canPark(r.vehicle, info.type)){
+              errors.push(`${r.plate} (${Lot.VEHICLE_TYPES[r.vehicle].label}) cannot stay on slot ${r.slot} once it becomes ${Lot.SLOT_TYPES[info.type].label}`);
+            }
+          });
+          offers.forEach(o => {
+            if(!nextLayout[o.slot-1]) errors.push(`Slot ${o.slot} is being offered to ${o.plate}, but the new layout removes it`);
+          });
+        }
+        if(errors.length > 0) throw new InvalidInputError(errors.join('\n'), {errors});
+
+        note('lot', `Lot layout changed (${layout.length} → ${nextLayout.length} slots)`, lotConfig, config, 'operator');
+        lotConfig = config;
+        layout = nextLayout;
+        blocks.filter(b => b.slot > layout.length).forEach(b => {
+          blocks.splice(blocks.indexOf(b), 1);
+          note('unblock', `Block on slot ${b.slot} cleared - the new layout removes the slot`, b, null, 'auto');
+        });
+
+        // Rebuild the per-slot schedules for the new slot count
+        parkingSlots.length = 0;
+        for(let i=0; i<layout.length; i++) parkingSlots.push([]);
+        arrayList.forEach(r => parkingSlots[r.slot-1].push(bookingOf(r)));
+
+        // A slot offered to a waiter whose vehicle no longer suits it goes to the next waiter it suits
+        offers.filter(o => {
+          const waiter = queue.find(q => q.id === o.queueId);
+          return waiter && !slotSuits(o.slot-1, waiter.vehicle);
+        }).forEach(o => {
+          offers.splice(offers.indexOf(o), 1);
+          note('offer', `Offer of slot ${o.slot} to ${o.plate} withdrawn - the slot is now ${Lot.SLOT_TYPES[layout[o.slot-1].type].label}`, o, null, 'auto');
+          reopen(o.slot-1, 'auto');
+        });
+        return layout;
+      });
+    }
+
+    // ----------------------------------------------
+    // Whole state
+    // ----------------------------------------------
+
+    /**
+     * The complete lot state (live references, not copies)
+     * @returns {Object}
+     */
+    function snapshot(){
+      return {parkingSlots, arrayList, queue, history, rates, lotConfig, offers, queueHistory, noShows, policy, plateRules, display, blocks};
+    }
+
+    /**
+     * Replaces the state with a saved or imported one
+     * The lot layout is applied first, then the slot schedules are checked
+     * against the ArrayList and repaired where they disagree
+     * No change events are sent - the caller re-renders as a whole
+     * @param {Object} data - Complete lot state
+     * @returns {string[]} Mismatches that were repaired
+     */
+    function load(data){
+      lotConfig = data.lotConfig && Lot.validateLotConfig(data.lotConfig).length === 0 ? data.lotConfig : Lot.DEFAULT_LOT;
+      layout = Lot.buildLayout(lotConfig);
+
+      const state = {arrayList: data.arrayList || [], queue: data.queue || [], parkingSlots: data.parkingSlots};
+      const repairs = reconcile(state, layout.length);
+
+      parkingSlots.splice(0, parkingSlots.length, ...state.parkingSlots);
+      arrayList.splice(0, arrayList.length, ...state.arrayList);
+      queue.splice(0, queue.length, ...state.queue);
+      history.splice(0, history.length, ...(data.history || []));
+      offers.splice(0, offers.length, ...(data.offers || []).filter(o => o.slot <= layout.length));
+      blocks.splice(0, blocks.length, ...(data.blocks || []).filter(b => b.slot <= layout.length && BLOCK_REASONS[b.reason]));
+      queueHistory.splice(0, queueHistory.length, ...(data.queueHistory || []));
+      Object.keys(noShows).forEach(k => delete noShows[k]);
+      Object.assign(noShows, data.noShows);
+      Object.assign(rates, DEFAULT_RATES, data.rates);
+      Object.assign(policy, DEFAULT_POLICY, data.policy);
+      plateRules = data.plateRules && Plates.validatePlateRules(data.plateRules).length === 0 ? data.plateRules : Plates.DEFAULT_PLATE_RULES;
+      display = Time.usableDisplay(data.display);
+      clock = Time.createClock(display);
+      return repairs;
+    }
+
+    /**
+     * Subscribes to change events
+     * @param {Function} listener - Called with the event list of each operation
+     * @returns {Function} Unsubscribes the listener
+     */
+    function subscribe(listener){
+      listeners.push(listener);
+      return () => {
+        const i = listeners.indexOf(listener);
+        if(i !== -1) listeners.splice(i, 1);
+      };
+    }
+
+    return {
+      // State (live references)
+      parkingSlots, arrayList, queue, offers, queueHistory, noShows, history, rates, policy, blocks,
+      get layout(){ return layout; },
+      get lotConfig(){ return lotConfig; },
+      get plateRules(){ return plateRules; },
+      get display(){ return display; },
+      get clock(){ return clock; },
+      get slotCount(){ return layout.length; },
+      now,
+
+      // Queries
+      isSlotFree, offerOnSlot, blockOn, slotSuits, findFreeSlot, freeSlotCount, bookingAt, nextBookingAfter,
+      search, noShowCount, turnoverInterval, queueLanes,
+
+      // Operations
+      insert, remove, removeMany, move, swap, moveMany, checkOut, checkIn, sortBySlot, sortByTime, reverse,
+      acceptOffer, declineOffer, blockSlots, unblock, tick, setRates, setPolicy, setPlateRules, setDisplay, applyLotConfig,
+
+      // Whole state and events
+      snapshot, load, subscribe
+    };
+  }
+
+  const api = {
+    createEngine, reconcile, mergeEntries, windowsOverlap, computeFee, formatMoney, formatWindow, compareWaiters,
+    PRIORITY_CLASSES, DEFAULT_POLICY, DEFAULT_RATES, SEARCH_STATUSES, BLOCK_REASONS,
+    EngineError, InvalidInputError, InvalidPlateError, DuplicatePlateError, SlotOccupiedError, SlotBlockedError, InvalidSlotError, LotFullError, NotFoundError
+  };
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkEngine = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
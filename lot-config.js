@@ -0,0 +1,133 @@
+// =============================================
+// SmartPark - Lot Configuration Model
+// Description: Defines the physical layout of the parking lot
+//              (floors → zones → slots) and which vehicle types
+//              may use which slot types.
+// =============================================
+
+(function(){
+  /**
+   * Slot types available in a lot
+   * icon is shown on the grid, label in dropdowns and counters
+   */
+  const SLOT_TYPES = {
+    regular:    {label: 'Regular',        icon: '🅿️'},
+    compact:    {label: 'Compact',        icon: '🚙'},
+    ev:         {label: 'EV Charging',    icon: '⚡'},
+    pwd:        {label: 'PWD Accessible', icon: '♿'},
+    motorcycle: {label: 'Motorcycle',     icon: '🏍️'}
+  };
+
+  /**
+   * Vehicle types and the slot types they may park in,
+   * in order of preference (auto-assign tries them left to right)
+   */
+  const VEHICLE_TYPES = {
+    car:        {label: 'Car',              slots: ['regular']},
+    compact:    {label: 'Compact Car',      slots: ['compact', 'regular']},
+    ev:         {label: 'Electric Vehicle', slots: ['ev', 'regular']},
+    pwd:        {label: 'PWD Vehicle',      slots: ['pwd', 'regular']},
+    motorcycle: {label: 'Motorcycle',       slots: ['motorcycle']}
+  };
+
+  /**
+   * Default layout - 20 slots over two levels
+   * Structure: {floors: [{id, name, zones: [{id, name, slots: [{type, count}]}]}]}
+   */
+  const DEFAULT_LOT = {
+    floors: [
+      {id: 'G', name: 'Ground Level', zones: [
+        {id: 'A', name: 'Zone A', slots: [{type: 'regular', count: 6}, {type: 'pwd', count: 2}]},
+        {id: 'B', name: 'Zone B', slots: [{type: 'ev', count: 2}]}
+      ]},
+      {id: 'L2', name: 'Level 2', zones: [
+        {id: 'C', name: 'Zone C', slots: [{type: 'regular', count: 4}, {type: 'compact', count: 3}]},
+        {id: 'M', name: 'Moto Bay', slots: [{type: 'motorcycle', count: 3}]}
+      ]}
+    ]
+  };
+
+  /**
+   * Checks a lot configuration for structural errors
+   * @param {Object} config - Lot configuration
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  function validateLotConfig(config){
+    const errors = [];
+    if(!config || !Array.isArray(config.floors) || config.floors.length === 0){
+      return ['Lot needs at least one floor'];
+    }
+    const floorIds = new Set();
+    config.floors.forEach((floor, f) => {
+      const where = `Floor ${f+1}`;
+      if(!floor.id) errors.push(`${where}: missing id`);
+      if(floorIds.has(floor.id)) errors.push(`${where}: duplicate id "${floor.id}"`);
+      floorIds.add(floor.id);
+      if(!Array.isArray(floor.zones) || floor.zones.length === 0){
+        errors.push(`${where}: needs at least one zone`);
+        return;
+      }
+      floor.zones.forEach((zone, z) => {
+        const zwhere = `${where}, zone ${z+1}`;
+        if(!zone.id) errors.push(`${zwhere}: missing id`);
+        if(!Array.isArray(zone.slots) || zone.slots.length === 0){
+          errors.push(`${zwhere}: needs at least one slot group`);
+          return;
+        }
+        zone.slots.forEach(group => {
+          if(!SLOT_TYPES[group.type]) errors.push(`${zwhere}: unknown slot type "${group.type}"`);
+          if(!Number.isInteger(group.count) || group.count < 1) errors.push(`${zwhere}: slot count must be a positive whole number`);
+        });
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Flattens a lot configuration into one entry per slot
+   * Slots are numbered 1..N in floor, zone, group order
+   * Time Complexity: O(n) in the number of slots
+   * @param {Object} config - A valid lot configuration
+   * @returns {Array<{number, floor, floorName, zone, zoneName, type}>}
+   */
+  function buildLayout(config){
+    const layout = [];
+    config.floors.forEach(floor => {
+      floor.zones.forEach(zone => {
+        zone.slots.forEach(group => {
+          for(let k=0; k<group.count; k++){
+            layout.push({
+              number: layout.length + 1,
+              floor: floor.id,
+              floorName: floor.name || floor.id,
+              zone: zone.id,
+              zoneName: zone.name || zone.id,
+              type: group.type
+            });
+          }
+        });
+      });
+    });
+    return layout;
+  }
+
+  /**
+   * Checks whether a vehicle type may park in a slot type
+   * @param {string} vehicle - Vehicle type key
+   * @param {string} slotType - Slot type key
+   * @returns {boolean}
+   */
+  function canPark(vehicle, slotType){
+    const v = VEHICLE_TYPES[vehicle];
+    return !!v && v.slots.includes(slotType);
+  }
+
+  const api = {SLOT_TYPES, VEHICLE_TYPES, DEFAULT_LOT, validateLotConfig, buildLayout, canPark};
+
+  // Loaded by the reservation engine under Node as well as in the browser
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    window.SmartParkLot = api;
+  }
+})();
@@ -0,0 +1,61 @@
+// =============================================
+// SmartPark - Offline Support
+// Description: Registers the service worker that keeps the app's files
+//              cached (see service-worker.js), so the pages open and
+//              work with no network, and reports when a newer version
+//              has been deployed and is ready to use.
+// =============================================
+
+(function(){
+  const WORKER_URL = 'service-worker.js';
+  const UPDATE_CHECK_MS = 60 * 60 * 1000; // Open tablets look for a new version hourly
+
+  /**
+   * Registers the service worker and watches for new versions
+   * Every page calls it, so one opened on its own (e.g. from a saved
+   * link) still caches the whole app
+   * A new version downloads in the background and waits. Without
+   * onUpdate it takes over once every SmartPark page is closed
+   * @param {Object} [options]
+   * @param {function(function): void} [options.onUpdate] - Called with a function that switches to the new version and reloads the page
+   * @returns {Promise<ServiceWorkerRegistration|null>} null where service workers aren't available (file:// pages, older browsers)
+   */
+  function register(options){
+    const onUpdate = options && options.onUpdate;
+    if(!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return Promise.resolve(null);
+
+    // Only reload for a switch this page asked for, not the first install
+    let switching = false;
+    navigator.serviceWorker.addEventListener('controllerchange', ()=> {
+      if(switching) location.reload();
+      switching = false;
+    });
+
+    return navigator.serviceWorker.register(WORKER_URL).then(registration => {
+      const offer = worker => {
+        if(onUpdate) onUpdate(()=> {
+          switching = true;
+          worker.postMessage({type: 'SKIP_WAITING'});
+        });
+      };
+
+      // A version that finished downloading before this page opened
+      if(registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+      registration.addEventListener('updatefound', ()=> {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', ()=> {
+          // With no controller yet this is the first install, not an update
+          if(worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+
+      setInterval(()=> registration.update().catch(()=> {}), UPDATE_CHECK_MS);
+      return registration;
+    }).catch(e => {
+      console.warn('Offline support unavailable:', e);
+      return null;
+    });
+  }
+
+  window.SmartParkOffline = {register};
+})();
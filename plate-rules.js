@@ -0,0 +1,216 @@
+// =============================================
+// SmartPark - Plate Number Rules
+// Description: Accepted plate formats and the normalization applied
+//              before plates are stored, compared or searched:
+//              case, separators and look-alike characters (O/0, I/1).
+// =============================================
+
+(function(){
+  /**
+   * Built-in plate formats
+   * In a pattern L is a letter, D is a digit, and a space or hyphen is
+   * the separator written between groups in the stored plate
+   */
+  const PLATE_FORMATS = {
+    'ph-private': {label: 'Philippines',                 pattern: 'LLL DDDD'},
+    'ph-legacy':  {label: 'Philippines (older series)',  pattern: 'LLL DDD'},
+    'uk':         {label: 'United Kingdom',              pattern: 'LLDD LLL'},
+    'us-ca':      {label: 'California',                  pattern: 'DLLLDDD'}
+  };
+
+  /**
+   * Default rules: Philippine plates only
+   * Structure: {formats: [format id, ...], custom: [pattern, ...], allowOther: boolean}
+   * allowOther accepts any 1-10 letters/digits that match no format
+   */
+  const DEFAULT_PLATE_RULES = {formats: ['ph-private', 'ph-legacy'], custom: [], allowOther: false};
+
+  const MAX_OTHER_LENGTH = 10;
+
+  // Look-alike characters, read according to the position they appear in
+  const AS_LETTER = {'0': 'O', '1': 'I'};
+  const AS_DIGIT = {'O': '0', 'I': '1'};
+
+  /**
+   * Removes separators and upper-cases a plate
+   * @param {string} raw
+   * @returns {string}
+   */
+  const compact = raw => String(raw || '').toUpperCase().replace(/[\s\-._·]/g, '');
+
+  /**
+   * Example plate for a pattern, e.g. 'LLL DDDD' → 'ABC 1234'
+   * @param {string} pattern
+   * @returns {string}
+   */
+  function examplePlate(pattern){
+    let letter = 0, digit = 0;
+    return pattern.replace(/[LD]/g, ch => ch === 'L' ? 'ABCDEFGHJK'[letter++ % 10] : String(++digit % 10));
+  }
+
+  /**
+   * Checks a set of plate rules
+   * @param {Object} rules - {formats, custom, allowOther}
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  function validatePlateRules(rules){
+    if(!rules || !Array.isArray(rules.formats) || !Array.isArray(rules.custom)){
+      return ['Plate rules need a list of formats and a list of custom patterns'];
+    }
+    const errors = [];
+    rules.formats.forEach(id => {
+      if(!PLATE_FORMATS[id]) errors.push(`Unknown plate format "${id}"`);
+    });
+    rules.custom.forEach(pattern => {
+      if(typeof pattern !== 'string' || !/^[LD][LD \-]*[LD]$/.test(pattern) || /[ \-]{2}/.test(pattern)){
+        errors.push(`Custom pattern "${pattern}" may only use L (letter), D (digit) and single spaces or hyphens between them`);
+      } else if(pattern.replace(/[ \-]/g, '').length > MAX_OTHER_LENGTH){
+        errors.push(`Custom pattern "${pattern}" is longer than ${MAX_OTHER_LENGTH} characters`);
+      }
+    });
+    if(rules.formats.length === 0 && rules.custom.length === 0 && !rules.allowOther){
+      errors.push('Enable at least one plate format or allow other plates');
+    }
+    return errors;
+  }
+
+  /**
+   * Every pattern the rules accept, built-in formats first
+   * @param {Object} rules
+   * @returns {string[]}
+   */
+  const patternsOf = rules => rules.formats.map(id => PLATE_FORMATS[id].pattern).concat(rules.custom);
+
+  /**
+   * Reads a compacted plate as a pattern, fixing look-alike characters
+   * Time Complexity: O(k) for a plate of k characters
+   * @param {string} chars - Compacted plate
+   * @param {string} pattern
+   * @returns {string|null} Plate written as the pattern, or null if it doesn't fit
+   */
+  function fitPattern(chars, pattern){
+    if(pattern.replace(/[ \-]/g, '').length !== chars.length) return null;
+    let i = 0;
+    let result = '';
+    for(const p of pattern){
+      if(p !== 'L' && p !== 'D'){
+        result += p;
+        continue;
+      }
+      let ch = chars[i++];
+      if(p === 'L' && !/[A-Z]/.test(ch)) ch = AS_LETTER[ch];
+      if(p === 'D' && !/[0-9]/.test(ch)) ch = AS_DIGIT[ch];
+      if(!ch) return null;
+      result += ch;
+    }
+    return result;
+  }
+
+  /**
+   * Normalizes and validates a plate typed by an operator or imported
+   * @param {string} raw - Plate as entered
+   * @param {Object} rules - {formats, custom, allowOther}
+   * @returns {{plate: (string|null), error: (string|null)}}
+   *          plate in its stored form (e.g. 'ABC 1234'), or an error to show
+   */
+  function normalizePlate(raw, rules){
+    const chars = compact(raw);
+    if(!chars) return {plate: null, error: 'Please enter a plate number'};
+    const bad = chars.match(/[^A-Z0-9]/);
+    if(bad) return {plate: null, error: `Plate numbers may only contain letters, digits, spaces and hyphens - "${bad[0]}" is not allowed`};
+
+    const patterns = patternsOf(rules);
+    for(const pattern of patterns){
+      const plate = fitPattern(chars, pattern);
+      if(plate) return {plate, error: null};
+    }
+    if(rules.allowOther && chars.length <= MAX_OTHER_LENGTH) return {plate: chars, error: null};
+
+    const expected = patterns.map(examplePlate);
+    if(rules.allowOther) expected.push(`up to ${MAX_OTHER_LENGTH} letters and digits`);
+    return {plate: null, error: `"${String(raw).trim()}" is not a valid plate number - expected ${expected.join(' or ')}`};
+  }
+
+  /**
+   * Comparison key: the same vehicle always gets the same key however
+   * its plate was typed (case, separators, O/0 and I/1 don't matter)
+   * @param {string} plate
+   * @returns {string}
+   */
+  const plateKey = plate => compact(plate).replace(/[OI]/g, ch => AS_DIGIT[ch]);
+
+  /**
+   * Whether a plate contains a search term, compared by plateKey
+   * @param {string} plate
+   * @param {string} term
+   * @returns {boolean}
+   */
+  const plateMatches = (plate, term) => plateKey(plate).includes(plateKey(term));
+
+  /**
+   * Typing mistakes tolerated in a search term of a given length:
+   * none for 1-3 characters, one for 4-7, two from 8
+   */
+  const allowedTypos = length => length < 4 ? 0 : length < 8 ? 1 : 2;
+
+  /**
+   * Typo-tolerant search: finds the part of a plate closest to the term
+   * (fewest characters added, removed or changed), compared by plateKey
+   * Time Complexity: O(k·m) for a plate of k and a term of m characters
+   * @param {string} plate - Plate as stored
+   * @param {string} term - Search term
+   * @returns {{typos: number, start: number, end: number}|null}
+   *          start/end index the matched part of `plate` (for highlighting),
+   *          or null when it needs more typos than allowedTypos() permits
+   */
+  function fuzzyPlateMatch(plate, term){
+    const text = plateKey(plate);
+    const pattern = plateKey(term);
+    if(!pattern || !text) return null;
+
+    // Positions in `plate` of each character kept by plateKey
+    const positions = [];
+    String(plate).toUpperCase().split('').forEach((ch, i) => {
+      if(compact(ch)) positions.push(i);
+    });
+
+    // cost[j]: fewest edits matching the term so far to a part of the
+    // plate ending at j; from[j]: where that part starts
+    let cost = new Array(text.length + 1).fill(0);
+    let from = cost.map((_, j) => j);
+    for(let i=1; i<=pattern.length; i++){
+      const nextCost = [i];
+      const nextFrom = [0];
+      for(let j=1; j<=text.length; j++){
+        const options = [
+          [cost[j-1] + (pattern[i-1] === text[j-1] ? 0 : 1), from[j-1]], // match or change
+          [cost[j] + 1, from[j]],                                         // extra character in the term
+          [nextCost[j-1] + 1, nextFrom[j-1]]                              // character missing from the term
+        ];
+        // Ties keep the earlier start, so highlights cover the whole match
+        const best = options.reduce((a, b) => b[0] < a[0] || (b[0] === a[0] && b[1] < a[1]) ? b : a);
+        nextCost.push(best[0]);
+        nextFrom.push(best[1]);
+      }
+      cost = nextCost;
+      from = nextFrom;
+    }
+
+    let end = 0;
+    for(let j=1; j<=text.length; j++){
+      if(cost[j] < cost[end]) end = j;
+    }
+    const start = from[end];
+    if(cost[end] > allowedTypos(pattern.length) || end === start) return null;
+    return {typos: cost[end], start: positions[start], end: positions[end - 1] + 1};
+  }
+
+  const api = {PLATE_FORMATS, DEFAULT_PLATE_RULES, validatePlateRules, normalizePlate, plateKey, plateMatches, fuzzyPlateMatch, examplePlate};
+
+  // Loaded by the reservation engine under Node as well as in the browser
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    window.SmartParkPlates = api;
+  }
+})();
@@ -0,0 +1,373 @@
+// =============================================
+// SmartPark - QR Code Generator
+// Description: Self-contained QR code encoder (ISO/IEC 18004, byte
+//              mode, versions 1-40, all four error correction levels)
+//              so stickers render with no network connection.
+// Usage: SmartParkQR.encode(text, 'M') → {version, size, modules}
+//        modules[y][x] is true for a dark module
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+
+  /**
+   * Error correction levels: share of the code that can be damaged
+   * and the level's bits in the format information
+   */
+  const LEVELS = {
+    L: {index: 0, formatBits: 1},  // ~7%
+    M: {index: 1, formatBits: 0},  // ~15%
+    Q: {index: 2, formatBits: 3},  // ~25%
+    H: {index: 3, formatBits: 2}   // ~30%
+  };
+
+  /**
+   * Error correction codewords per block, by level then version (index 0 unused)
+   */
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  /**
+   * Error correction blocks, by level then version (index 0 unused)
+   */
+  const ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  // ============================================
+  // Reed-Solomon error correction (GF(256), polynomial 0x11D)
+  // ============================================
+
+  /**
+   * Multiplies two field elements
+   */
+  function gfMultiply(x, y){
+    let z = 0;
+    for(let i=7; i>=0; i--){
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Generator polynomial coefficients for the given number of ECC codewords
+   * (highest power first, leading 1 omitted)
+   */
+  function rsDivisor(degree){
+    const result = new Array(degree).fill(0);
+    result[degree-1] = 1;
+    let r = 1;
+    for(let i=0; i<degree; i++){
+      for(let j=0; j<result.length; j++){
+        result[j] = gfMultiply(result[j], r);
+        if(j+1 < result.length) result[j] ^= result[j+1];
+      }
+      r = gfMultiply(r, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * ECC codewords for one block of data
+   * Time Complexity: O(n × d) for n data and d ECC codewords
+   */
+  function rsRemainder(data, divisor){
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    });
+    return result;
+  }
+
+  // ============================================
+  // Capacity
+  // ============================================
+
+  /**
+   * Modules available for data and ECC in a version, after function patterns
+   */
+  function rawDataModules(ver){
+    let result = (16 * ver + 128) * ver + 64;
+    if(ver >= 2){
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if(ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Data codewords (excluding ECC) a version holds at a level
+   */
+  const dataCodewords = (ver, level) =>
+    Math.floor(rawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[level.index][ver] * ECC_BLOCKS[level.index][ver];
+
+  /**
+   * Centre coordinates of the alignment patterns on each axis
+   */
+  function alignmentPositions(ver){
+    if(ver === 1) return [];
+    const size = ver * 4 + 17;
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for(let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  // ============================================
+  // Encoding
+  // ============================================
+
+  /**
+   * Builds the data codewords: byte-mode segment, terminator and padding
+   */
+  function dataCodewordsFor(bytes, ver, level){
+    const bits = [];
+    const push = (value, length) => {
+      for(let i=length-1; i>=0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4); // Byte mode
+    push(bytes.length, ver <= 9 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+
+    const capacity = dataCodewords(ver, level) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for(let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for(let i=0; i<bits.length; i+=8) codewords.push(parseInt(bits.slice(i, i+8).join(''), 2));
+    return codewords;
+  }
+
+  /**
+   * Splits the data into blocks, adds each block's ECC and interleaves them
+   */
+  function withErrorCorrection(data, ver, level){
+    const numBlocks = ECC_BLOCKS[level.index][ver];
+    const eccLen = ECC_CODEWORDS_PER_BLOCK[level.index][ver];
+    const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLen);
+
+    const blocks = [];
+    for(let i=0, k=0; i<numBlocks; i++){
+      const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if(i < numShortBlocks) dat.push(0); // Placeholder so every block has the same length
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for(let i=0; i<blocks[0].length; i++){
+      blocks.forEach((block, j) => {
+        if(i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Whether mask pattern m inverts the module at (x, y)
+   */
+  function masked(m, x, y){
+    switch(m){
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return x * y % 2 + x * y % 3 === 0;
+      case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+      default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+    }
+  }
+
+  /**
+   * Penalty score of a finished symbol (lower is easier to scan)
+   * Rules: long runs, 2×2 blocks, finder-like patterns, dark/light balance
+   * Time Complexity: O(size²)
+   */
+  function penalty(modules){
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for(let i=0; i<size; i++){
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      let run = 1;
+      for(let i=1; i<=size; i++){
+        if(i < size && line[i] === line[i-1]){
+          run++;
+        } else {
+          if(run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map(d => d ? '1' : '0').join('');
+      for(let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)){
+        const before = text.slice(Math.max(0, i - 4), i);
+        const after = text.slice(i + 7, i + 11);
+        if(before === '0000' || after === '0000' || i < 4 || i + 11 > size) score += 40;
+      }
+    });
+
+    for(let y=0; y<size-1; y++){
+      for(let x=0; x<size-1; x++){
+        const c = modules[y][x];
+        if(c === modules[y][x+1] && c === modules[y+1][x] && c === modules[y+1][x+1]) score += 3;
+      }
+    }
+
+    const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  /**
+   * Encodes text as a QR code, choosing the smallest version that fits
+   * Time Complexity: O(size²) per mask tried (8 masks)
+   * @param {string} text - Encoded as UTF-8
+   * @param {string} [levelName] - 'L', 'M' (default), 'Q' or 'H'
+   * @returns {{version: number, size: number, modules: boolean[][]}}
+   * @throws {Error} If the text is too long for a QR code
+   */
+  function encode(text, levelName){
+    const level = LEVELS[levelName || 'M'];
+    if(!level) throw new Error(`Unknown error correction level "${levelName}"`);
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let ver = 1;
+    while(ver <= 40 && 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(ver, level) * 8) ver++;
+    if(ver > 40) throw new Error('Text is too long for a QR code');
+
+    const size = ver * 4 + 17;
+    const modules = Array.from({length: size}, () => new Array(size).fill(false));
+    const reserved = Array.from({length: size}, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Timing patterns, finder patterns with separators, alignment patterns
+    for(let i=0; i<size; i++){
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size-4, 3], [3, size-4]].forEach(([cx, cy]) => {
+      for(let dy=-4; dy<=4; dy++){
+        for(let dx=-4; dx<=4; dx++){
+          const x = cx + dx, y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if(x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const align = alignmentPositions(ver);
+    const last = align.length - 1;
+    align.forEach((cx, i) => align.forEach((cy, j) => {
+      if((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for(let dy=-2; dy<=2; dy++){
+        for(let dx=-2; dx<=2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    // Format information (written again once the mask is chosen)
+    const drawFormat = mask => {
+      const data = level.formatBits << 3 | mask;
+      let rem = data;
+      for(let i=0; i<10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const bits = (data << 10 | rem) ^ 0x5412;
+      const bit = i => ((bits >>> i) & 1) !== 0;
+      for(let i=0; i<=5; i++) setFunction(8, i, bit(i));
+      setFunction(8, 7, bit(6));
+      setFunction(8, 8, bit(7));
+      setFunction(7, 8, bit(8));
+      for(let i=9; i<15; i++) setFunction(14 - i, 8, bit(i));
+      for(let i=0; i<8; i++) setFunction(size - 1 - i, 8, bit(i));
+      for(let i=8; i<15; i++) setFunction(8, size - 15 + i, bit(i));
+      setFunction(8, size - 8, true); // Always-dark module
+    };
+    drawFormat(0);
+
+    // Version information (versions 7 and up)
+    if(ver >= 7){
+      let rem = ver;
+      for(let i=0; i<12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = ver << 12 | rem;
+      for(let i=0; i<18; i++){
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + i % 3, b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+
+    // Codewords in the zigzag order: two-module columns, right to left,
+    // alternately upwards and downwards, skipping the vertical timing column
+    const codewords = withErrorCorrection(dataCodewordsFor(bytes, ver, level), ver, level);
+    let i = 0;
+    for(let right = size - 1; right >= 1; right -= 2){
+      if(right === 6) right = 5;
+      for(let vert=0; vert<size; vert++){
+        for(let j=0; j<2; j++){
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if(!reserved[y][x] && i < codewords.length * 8){
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+
+    // Try every mask and keep the one with the lowest penalty
+    const applyMask = m => {
+      for(let y=0; y<size; y++){
+        for(let x=0; x<size; x++){
+          if(!reserved[y][x] && masked(m, x, y)) modules[y][x] = !modules[y][x];
+        }
+      }
+    };
+    let best = 0, bestScore = Infinity;
+    for(let m=0; m<8; m++){
+      applyMask(m);
+      drawFormat(m);
+      const score = penalty(modules);
+      if(score < bestScore){
+        best = m;
+        bestScore = score;
+      }
+      applyMask(m);
+    }
+    applyMask(best);
+    drawFormat(best);
+
+    return {version: ver, size, modules};
+  }
+
+  const api = {encode};
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkQR = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
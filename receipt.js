@@ -0,0 +1,43 @@
+// =============================================
+// SmartPark - Receipt Page
+// Description: Shows the receipt of a finished parking session, saved by
+//              the main page when RECEIPT is pressed.
+// =============================================
+
+(function(){
+  function initReceipt() {
+    const receiptData = localStorage.getItem('currentReceipt');
+
+    if(receiptData){
+      const data = JSON.parse(receiptData);
+
+      document.querySelector('.receipt-no').textContent = 'RC-' + data.id.substring(2,12).toUpperCase();
+      document.querySelector('.receipt-plate').textContent = data.plate;
+      document.querySelector('.receipt-slot').textContent = data.slot;
+      document.querySelector('.receipt-entry').textContent = data.entryText;
+      document.querySelector('.receipt-exit').textContent = data.exitText;
+      document.querySelector('.receipt-duration').textContent = data.durationText;
+      document.querySelector('.receipt-total').textContent = data.feeText;
+
+      const breakdown = document.querySelector('.receipt-breakdown');
+      breakdown.innerHTML = '';
+      (data.breakdown || []).forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        breakdown.appendChild(row);
+      });
+    } else {
+      document.querySelector('.receipt-no').textContent = 'NO DATA FOUND';
+    }
+
+    document.querySelector('.btn-print').addEventListener('click', () => window.print());
+  }
+
+  window.SmartParkOffline.register();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initReceipt);
+  } else {
+    initReceipt();
+  }
+})();
@@ -0,0 +1,75 @@
+// =============================================
+// SmartPark - Safe HTML Templates
+// Description: Builds markup from template literals with every
+//              interpolated value escaped, so plates, names and search
+//              terms typed by users are always shown as text and never
+//              run as markup or script.
+// =============================================
+
+(function(root){
+  const ENTITIES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;'};
+
+  /**
+   * Markup that is already safe and is inserted as-is
+   */
+  class SafeHtml {
+    constructor(markup){
+      this.markup = markup;
+    }
+
+    toString(){
+      return this.markup;
+    }
+  }
+
+  /**
+   * Escapes text for use in element content or a quoted attribute
+   * @param {*} value - null and undefined become ''
+   * @returns {string}
+   */
+  function escapeHtml(value){
+    if(value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, ch => ENTITIES[ch]);
+  }
+
+  /**
+   * Markup for one interpolated value: safe markup as-is, lists joined,
+   * anything else escaped
+   * Time Complexity: O(k) for k characters of output
+   */
+  function render(value){
+    if(value instanceof SafeHtml) return value.markup;
+    if(Array.isArray(value)) return value.map(render).join('');
+    if(value === false) return '';
+    return escapeHtml(value);
+  }
+
+  /**
+   * Template tag: html`<b>${plate}</b>` escapes plate; nested html``
+   * templates and arrays of them are inserted unescaped
+   * false, null and undefined render nothing, for `${cond && html`...`}`
+   * @returns {SafeHtml} Assign to innerHTML directly (it converts to a string)
+   */
+  function html(strings, ...values){
+    let markup = strings[0];
+    values.forEach((value, i) => {
+      markup += render(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+  }
+
+  /**
+   * Marks markup built by trusted code (never user data) as safe
+   * @param {string} markup
+   * @returns {SafeHtml}
+   */
+  const raw = markup => new SafeHtml(String(markup));
+
+  const api = {escapeHtml, html, raw, SafeHtml};
+
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    root.SmartParkHtml = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,501 @@
+// =============================================
+// SmartPark - Lot Server (optional)
+// Description: Small Node server that lets several devices - a kiosk,
+//              the attendant desk - share one lot. It serves the app,
+//              keeps the lot document in a JSON file and exposes the
+//              reservations, queue and slots as a REST API, checked by
+//              the same reservation engine the browser uses.
+// Usage: node server.js [--port 8080] [--data smartpark-lot.json] [--token SECRET]
+//                       [--origin https://desk.example,...]
+//        Then open http://<this machine>:8080/ on each device and pick
+//        "SmartPark server" under Import / Export → Storage.
+// =============================================
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const Engine = require('./engine.js');
+const Storage = require('./storage.js');
+
+const ROOT = __dirname;
+const DEFAULT_PORT = 8080;
+const DEFAULT_DATA_FILE = 'smartpark-lot.json';
+const MAX_BODY = 10 * 1024 * 1024; // Largest document or request accepted (bytes)
+const KEEPALIVE_MS = 25000;        // Comment sent on idle event streams so proxies keep them open
+
+/**
+ * Files the server hands out, by extension
+ * Only files in the app's own folder and logo/ are served (not tests or data)
+ */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.webmanifest': 'application/manifest+json'
+};
+const STATIC_DIRS = ['', 'logo'];
+const PRIVATE_FILES = ['server.js'];
+
+/**
+ * HTTP status for each engine error; subclasses use their parent's
+ */
+const ERROR_STATUS = [
+  [Engine.NotFoundError, 404],
+  [Engine.DuplicatePlateError, 409],
+  [Engine.SlotOccupiedError, 409],
+  [Engine.LotFullError, 409],
+  [Engine.InvalidInputError, 400],
+  [Engine.InvalidSlotError, 400]
+];
+
+/**
+ * Error for a request the server refuses, with its HTTP status
+ */
+class HttpError extends Error {
+  constructor(status, message){
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+// ============================================
+// Document file
+// ============================================
+
+/**
+ * Keeps the lot document in a JSON file
+ * Structure of the file: {revision, document: {version, savedAt, data}}
+ * Reads and writes are synchronous, so a revision check and the write
+ * that follows it can't interleave with another request
+ * The sticker signing secret is kept beside it (<file>.secret), out of
+ * reach of the document a device uploads
+ * @param {string} file - Path of the data file
+ * @returns {{read: Function, write: Function, secret: Function}}
+ */
+function createFileStore(file){
+  /**
+   * @returns {{revision: string, document: Object}|null} null before the first save
+   */
+  function read(){
+    if(!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Replaces the file; written beside it and renamed over it, so a crash
+   * mid-write leaves the previous version intact
+   * @param {Object} document - {version, savedAt, data}
+   * @param {string} revision
+   */
+  function write(document, revision){
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({revision, document}));
+    fs.renameSync(temp, file);
+  }
+
+  /**
+   * Returns the lot's sticker signing secret, creating it on first use
+   * @returns {string} base64url secret (256 bits, as the browser makes)
+   */
+  function secret(){
+    const secretFile = `${file}.secret`;
+    if(fs.existsSync(secretFile)) return fs.readFileSync(secretFile, 'utf8').trim();
+    const created = crypto.randomBytes(32).toString('base64url');
+    fs.writeFileSync(secretFile, created, {mode: 0o600});
+    return created;
+  }
+
+  return {read, write, secret};
+}
+
+/**
+ * @returns {string} A new, unique revision stamp (same form as the browser's)
+ */
+const newRevision = () => Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+
+// ============================================
+// Server
+// ============================================
+
+/**
+ * Creates the lot server (not yet listening)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Data file (default smartpark-lot.json beside this script)
+ * @param {string} [options.token] - Access token the API requires, if any
+ *   (the command line always sets one)
+ * @param {string[]} [options.origins] - Other sites whose pages may call the API
+ * @param {Function} [options.now] - Clock returning epoch ms (for tests)
+ * @returns {http.Server}
+ */
+function createServer(options){
+  const opts = options || {};
+  const store = createFileStore(opts.file || path.join(ROOT, DEFAULT_DATA_FILE));
+  const now = opts.now || Date.now;
+  const watchers = new Set(); // Open /api/events responses
+
+  /**
+   * Current revision, or null before the first save
+   */
+  function currentRevision(){
+    const saved = store.read();
+    return saved ? saved.revision : null;
+  }
+
+  /**
+   * Saves a document and tells every watching device
+   */
+  function commit(document, revision){
+    store.write(document, revision);
+    watchers.forEach(res => res.write(`event: revision\ndata: ${revision}\n\n`));
+  }
+
+  /**
+   * Runs an engine operation on the saved lot and saves the result
+   * Events are added to the audit log as the browser adds them: the
+   * operator's own changes under their name, automatic ones as 'system'.
+   * Timers that fell due since the last change run first, as the
+   * browser's once-a-second tick would have run them
+   * @param {string} operator - Who asked (request's operator, else 'api')
+   * @param {Function} fn - Receives the engine, returns the response body
+   * @returns {*} What fn returned
+   */
+  function change(operator, fn){
+    const saved = store.read();
+    const data = saved ? Storage.migrate(saved.document) : {};
+    const engine = Engine.createEngine({now});
+    engine.load(data);
+    const events = [];
+    engine.subscribe(list => events.push(...list));
+
+    engine.tick();
+    const result = fn(engine);
+    const logged = events.map((e, i) => ({
+      id: `ev${now()}${i}${Math.floor(Math.random()*999)}`,
+      at: now(),
+      operator: e.source === 'operator' ? operator : 'system',
+      action: e.action,
+      summary: e.summary,
+      before: e.before === undefined ? null : JSON.parse(JSON.stringify(e.before)),
+      after: e.after === undefined ? null : JSON.parse(JSON.stringify(e.after))
+    }));
+    const next = {...data, ...engine.snapshot(), auditLog: (data.auditLog || []).concat(logged)};
+    commit({version: Storage.SCHEMA_VERSION, savedAt: now(), data: next}, newRevision());
+    return result;
+  }
+
+  /**
+   * Reads the saved lot into an engine, without saving anything
+   * @returns {Object} Engine
+   */
+  function view(){
+    const saved = store.read();
+    const engine = Engine.createEngine({now});
+    engine.load(saved ? Storage.migrate(saved.document) : {});
+    return engine;
+  }
+
+  /**
+   * Status of every slot at a moment
+   * Time Complexity: O(s·k) for s slots with k bookings each
+   */
+  function slotStatus(engine, at){
+    return engine.layout.map((info, i) => {
+      const booking = engine.bookingAt(i, at);
+      const block = !booking && engine.blockOn(i, at, at+1);
+      const offer = !booking && !block && engine.offerOnSlot(i);
+      return {
+        slot: i+1, type: info.type, floor: info.floor, floorName: info.floorName, zone: info.zone, zoneName: info.zoneName,
+        status: booking ? 'occupied' : block ? 'blocked' : offer ? 'held' : 'free',
+        booking: booking || null,
+        block: block || null,
+        offer: offer ? {plate: offer.plate} : null,
+        next: booking || block ? null : engine.nextBookingAfter(i, at) || null
+      };
+    });
+  }
+
+  /**
+   * Queue lanes with each waiter's place, how many slots each vehicle
+   * type could be given right now and how often one of them frees up
+   */
+  function queueStatus(engine){
+    const at = now();
+    return {
+      waiting: engine.queue.length,
+      lanes: engine.queueLanes().map(lane => {
+        const interval = engine.turnoverInterval(lane.vehicle);
+        return {
+          vehicle: lane.vehicle,
+          freeSlots: engine.freeSlotCount(at, null, lane.vehicle),
+          turnoverMinutes: interval === null ? null : Math.round(interval / 60000),
+          waiters: lane.waiters.map((q, i) => ({position: i+1, ...q}))
+        };
+      }),
+      offers: engine.offers
+    };
+  }
+
+  // ----------------------------------------------
+  // Routes: [method, pattern, handler(req, params, query, body)]
+  // ----------------------------------------------
+
+  const routes = [
+    ['GET', /^\/api\/reservations$/, () => [200, view().arrayList]],
+    ['GET', /^\/api\/reservations\/([^/]+)$/, (req, [id]) => {
+      const r = view().arrayList.find(x => x.id === id);
+      if(!r) throw new Engine.NotFoundError('Reservation not found', {id});
+      return [200, r];
+    }],
+    ['POST', /^\/api\/reservations$/, (req, params, query, body) => {
+      const request = body || {};
+      // Same rules as a reservation made at the desk (engine.insert)
+      const result = change(request.operator || 'api', engine => engine.insert({
+        plate: request.plate,
+        slot: request.slot === undefined ? 'auto' : request.slot,
+        start: request.start === undefined ? now() : request.start,
+        end: request.end === undefined ? null : request.end,
+        vehicle: request.vehicle || 'car',
+        priority: request.priority || 'regular',
+        queueIfFull: request.queueIfFull,
+        operator: request.operator || 'api'
+      }));
+      return [201, result];
+    }],
+    ['DELETE', /^\/api\/reservations\/([^/]+)$/, (req, [id], query) => [200, change(query.get('operator') || 'api', engine => engine.remove(id))]],
+    ['GET', /^\/api\/search$/, (req, params, query) => {
+      const number = key => {
+        if(!query.has(key)) return undefined;
+        const text = query.get(key).trim();
+        const value = text === '' ? NaN : Number(text); // Number('') would be 0
+        if(!Number.isFinite(value)) throw new HttpError(400, `"${key}" must be a time in epoch milliseconds`);
+        return value;
+      };
+      const filters = {from: number('from'), to: number('to'), floor: query.get('floor') || undefined, zone: query.get('zone') || undefined,
+        slotType: query.get('type') || undefined, status: query.get('status') || undefined};
+      return [200, view().search(query.get('q') || '', filters)];
+    }],
+    ['GET', /^\/api\/queue$/, () => [200, queueStatus(view())]],
+    ['GET', /^\/api\/slots$/, (req, params, query) => {
+      const at = query.has('at') ? Number(query.get('at')) : now();
+      if(isNaN(at)) throw new HttpError(400, '"at" must be a time in epoch milliseconds');
+      return [200, slotStatus(view(), at)];
+    }],
+    // Every device signs and checks stickers with the same key
+    ['GET', /^\/api\/sticker-secret$/, () => [200, {secret: store.secret()}]]
+  ];
+
+  // ----------------------------------------------
+  // Whole document, used by the app's storage layer
+  // ----------------------------------------------
+
+  function getState(res){
+    const saved = store.read();
+    if(!saved){
+      res.writeHead(204, {'Cache-Control': 'no-store'});
+      res.end();
+      return;
+    }
+    res.writeHead(200, {'Content-Type': 'application/json', 'ETag': `"${saved.revision}"`, 'Cache-Control': 'no-store'});
+    res.end(JSON.stringify(saved.document));
+  }
+
+  /**
+   * Replaces the document if the device saw the latest revision
+   * (If-Match), or if there is none yet (If-None-Match: *)
+   */
+  function putState(req, res, body){
+    const current = currentRevision();
+    const match = (req.headers['if-match'] || '').replace(/"/g, '');
+    const fresh = req.headers['if-none-match'] === '*';
+    if(fresh ? current !== null : match !== current){
+      throw new HttpError(412, 'The lot was changed on another device');
+    }
+    if(!body || typeof body.version !== 'number' || !body.data || typeof body.data !== 'object'){
+      throw new HttpError(400, 'Expected a SmartPark document {version, savedAt, data}');
+    }
+    try {
+      Storage.migrate(body);
+    } catch (e) {
+      throw new HttpError(400, e.message); // e.g. a document from a newer version
+    }
+    const proposed = req.headers['x-revision'];
+    const revision = typeof proposed === 'string' && /^[\w-]{1,64}$/.test(proposed) ? proposed : newRevision();
+    commit(body, revision);
+    res.writeHead(204, {'ETag': `"${revision}"`});
+    res.end();
+  }
+
+  /**
+   * Streams the revision of every save (Server-Sent Events)
+   */
+  function watch(req, res){
+    res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive'});
+    res.write(`event: revision\ndata: ${currentRevision() || ''}\n\n`);
+    watchers.add(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      watchers.delete(res);
+    });
+  }
+
+  // ----------------------------------------------
+  // Request handling
+  // ----------------------------------------------
+
+  /**
+   * Reads a JSON request body
+   * @returns {Promise<*>} Parsed body, or null if empty
+   */
+  function readBody(req){
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', chunk => {
+        size += chunk.length;
+        if(size > MAX_BODY){
+          reject(new HttpError(413, 'The request is too large'));
+          req.destroy();
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if(!text) return resolve(null);
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          reject(new HttpError(400, `The request body is not valid JSON (${e.message})`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Answers with an error as {error, message, details}
+   */
+  function sendError(res, err){
+    const known = ERROR_STATUS.find(([type]) => err instanceof type);
+    const status = err instanceof HttpError ? err.status : known ? known[1] : 500;
+    if(status === 500) console.error('SmartPark server error:', err);
+    const body = {error: err.name, message: status === 500 ? 'Internal server error' : err.message};
+    if(err instanceof Engine.EngineError && err.details) body.details = err.details;
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Serves one of the app's files
+   */
+  function serveFile(res, pathname){
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).slice(1);
+    } catch (e) {
+      throw new HttpError(400, 'Malformed address');
+    }
+    const file = path.join(ROOT, relative);
+    const type = MIME_TYPES[path.extname(file)];
+    const allowed = type && file.startsWith(ROOT + path.sep) && STATIC_DIRS.includes(path.dirname(relative) === '.' ? '' : path.dirname(relative))
+      && !PRIVATE_FILES.includes(relative) && fs.existsSync(file);
+    if(!allowed) throw new HttpError(404, 'Not found');
+    const headers = {'Content-Type': type, 'Cache-Control': 'no-cache'};
+    // See README: the pages are built to run under this policy
+    if(path.extname(file) === '.html') headers['Content-Security-Policy'] = "default-src 'self'; img-src 'self' data: blob:; object-src 'none'; base-uri 'none'; form-action 'none'";
+    res.writeHead(200, headers);
+    fs.createReadStream(file).pipe(res);
+  }
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Pages served from elsewhere may only call the API from the sites the
+    // operator listed; the app's own pages are same-origin and need nothing
+    const origin = req.headers.origin;
+    const listed = origin !== undefined && (opts.origins || []).includes(origin);
+    res.setHeader('Vary', 'Origin');
+    if(listed){
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    }
+    if(req.method === 'OPTIONS'){
+      if(!listed) return sendError(res, new HttpError(403, 'This site may not use the lot server'));
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match, X-Revision'
+      });
+      res.end();
+      return;
+    }
+
+    Promise.resolve().then(() => {
+      if(!url.pathname.startsWith('/api/')){
+        if(req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+        return serveFile(res, url.pathname);
+      }
+      if(opts.token){
+        const given = (req.headers.authorization || '').replace(/^Bearer /, '') || url.searchParams.get('token');
+        if(given !== opts.token) throw new HttpError(401, 'A valid access token is needed');
+      }
+      if(url.pathname === '/api/events' && req.method === 'GET') return watch(req, res);
+      if(url.pathname === '/api/state'){
+        if(req.method === 'GET') return getState(res);
+        if(req.method === 'PUT') return readBody(req).then(body => putState(req, res, body));
+        throw new HttpError(405, 'Method not allowed');
+      }
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if(!route){
+        const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+        throw new HttpError(known ? 405 : 404, known ? 'Method not allowed' : 'Not found');
+      }
+      let params;
+      try {
+        params = route[1].exec(url.pathname).slice(1).map(decodeURIComponent);
+      } catch (e) {
+        throw new HttpError(400, 'Malformed address');
+      }
+      return (req.method === 'POST' ? readBody(req) : Promise.resolve(null)).then(body => {
+        const [status, result] = route[2](req, params, url.searchParams, body);
+        res.writeHead(status, {'Content-Type': 'application/json', 'Cache-Control': 'no-store'});
+        res.end(JSON.stringify(result));
+      });
+    }).catch(err => sendError(res, err));
+  });
+}
+
+/**
+ * Reads --port, --data, --token and --origin (comma-separated) from the
+ * command line (or SMARTPARK_PORT, SMARTPARK_DATA, SMARTPARK_TOKEN and
+ * SMARTPARK_ORIGINS)
+ * @param {string[]} argv
+ * @returns {{port: number, file: string, token: string, origins: string[]}} token is '' when none was given
+ */
+function parseArgs(argv){
+  const arg = name => {
+    const i = argv.indexOf(`--${name}`);
+    return i >= 0 ? argv[i+1] : undefined;
+  };
+  return {
+    port: Number(arg('port') || process.env.SMARTPARK_PORT || DEFAULT_PORT),
+    file: path.resolve(arg('data') || process.env.SMARTPARK_DATA || path.join(ROOT, DEFAULT_DATA_FILE)),
+    token: arg('token') || process.env.SMARTPARK_TOKEN || '',
+    origins: (arg('origin') || process.env.SMARTPARK_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean)
+  };
+}
+
+module.exports = {createServer, createFileStore, parseArgs};
+
+if(require.main === module){
+  const settings = parseArgs(process.argv.slice(2));
+  // Without a token anyone on the network could change the lot
+  const generated = !settings.token;
+  if(generated) settings.token = crypto.randomBytes(18).toString('base64url');
+  createServer(settings).listen(settings.port, () => {
+    console.log(`SmartPark server on http://localhost:${settings.port}/ - lot saved in ${settings.file}`);
+    if(generated) console.log(`Access token (enter it under Storage on each device): ${settings.token}`);
+  });
+}
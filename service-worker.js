@@ -0,0 +1,65 @@
+// =============================================
+// SmartPark - Service Worker
+// Description: Caches every file the pages need the first time the app
+//              is opened, then serves them from the cache, so the
+//              reservation and sticker flow works with no network.
+// Deploying: change CACHE_VERSION whenever any file changes. Browsers
+// then download the new files in the background and the main page
+// offers to switch to them (see offline.js).
+// =============================================
+
+(function(){
+  const CACHE_VERSION = 'smartpark-v3';
+
+  /**
+   * Files cached on install, relative to this script
+   * Every file a page loads must be listed, or that page breaks offline
+   */
+  const APP_FILES = [
+    './',
+    'index.html', 'sticker.html', 'receipt.html', 'verify.html',
+    'style.css', 'dialog-style.css', 'sticker-style.css', 'receipt-style.css', 'verify-style.css',
+    'safe-html.js', 'dialogs.js', 'lot-config.js', 'plate-rules.js', 'time-format.js', 'engine.js',
+    'sticker-code.js', 'qrcode.js', 'sticker-export.js', 'storage.js', 'accounts.js', 'transfer.js',
+    'analytics.js', 'simulation.js', 'offline.js', 'app.js', 'sticker.js', 'receipt.js', 'verify.js',
+    'manifest.webmanifest', 'logo/flash.png'
+  ];
+
+  // A new version downloads everything before it can take over, so a
+  // dropped connection never leaves a half-updated app
+  self.addEventListener('install', (e)=> {
+    e.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES)));
+  });
+
+  // Once in charge, drop the files of older versions and control the
+  // pages already open, so a first visit works offline without a reload
+  self.addEventListener('activate', (e)=> {
+    e.waitUntil(caches.keys()
+      .then(names => Promise.all(names.filter(name => name.startsWith('smartpark-') && name !== CACHE_VERSION).map(name => caches.delete(name))))
+      .then(() => self.clients.claim()));
+  });
+
+  // The page asks a waiting version to take over when the operator agrees
+  self.addEventListener('message', (e)=> {
+    if(e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+  });
+
+  /**
+   * Answers app files from the cache (ignoring the query, e.g.
+   * sticker.html?id=...) and anything else from the network
+   * A page that can't be fetched offline falls back to the main page.
+   * Calls to a lot server's API (server.js) are never answered from the cache
+   * Time Complexity: O(1) cache lookups per request
+   */
+  self.addEventListener('fetch', (e)=> {
+    const request = e.request;
+    const url = new URL(request.url);
+    if(request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+    e.respondWith(caches.open(CACHE_VERSION).then(cache =>
+      cache.match(request, {ignoreSearch: true}).then(cached => cached || fetch(request).catch(err => {
+        if(request.mode === 'navigate') return cache.match('index.html');
+        throw err;
+      }))
+    ));
+  });
+})();
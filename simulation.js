@@ -0,0 +1,349 @@
+// =============================================
+// SmartPark - Lot Simulation
+// Description: Drives a copy of the lot, on its own reservation engine and
+//              simulated clock, with synthetic arrivals and departures
+//              drawn from hourly rates, and records each ArrayList/Queue
+//              operation it causes with its stated complexity.
+//              Pure logic - no DOM, usable under Node.
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Engine = isNode ? require('./engine.js') : root.SmartParkEngine;
+  const Plates = isNode ? require('./plate-rules.js') : root.SmartParkPlates;
+  const Transfer = isNode ? require('./transfer.js') : root.SmartParkTransfer;
+
+  const DEFAULT_SETTINGS = {arrivalsPerHour: 40, departuresPerHour: 30, seed: null};
+  const MAX_RATE = 600; // Per hour - 10 a simulated minute
+  const STEP_MINUTES = 1; // Simulated time covered by one step
+
+  /**
+   * Share of arrivals by vehicle type and queue priority class (weights)
+   */
+  const VEHICLE_MIX = {car: 70, compact: 10, ev: 8, pwd: 4, motorcycle: 8};
+  const PRIORITY_MIX = {regular: 90, staff: 6, vip: 4}; // PWD vehicles always queue as PWD
+
+  /**
+   * Data-structure operation behind each engine change, with the
+   * complexity stated in the engine's docs (insert, release, checkOut,
+   * nextEligibleWaiter, leaveQueue)
+   * n is the size of the structure just before the operation and index
+   * the position it touched, so a DELETE shifts n - index - 1 elements
+   */
+  const OPERATIONS = {
+    reserve:  {operation: 'INSERT',  structure: 'ArrayList', complexity: 'O(1)', detail: 'Append to the end of the ArrayList'},
+    enqueue:  {operation: 'ENQUEUE', structure: 'Queue',     complexity: 'O(1)', detail: 'Push onto the back of the queue'},
+    checkout: {operation: 'DELETE',  structure: 'ArrayList', complexity: 'O(n)', detail: 'Find the reservation, remove it and shift the elements after it'},
+    delete:   {operation: 'DELETE',  structure: 'ArrayList', complexity: 'O(n)', detail: 'Find the reservation, remove it and shift the elements after it'},
+    offer:    {operation: 'PEEK',    structure: 'Queue',     complexity: 'O(n)', detail: 'Single pass for the first eligible waiter of the highest priority'},
+    promote:  {operation: 'DEQUEUE', structure: 'Queue',     complexity: 'O(n)', detail: 'Remove the waiter and shift the rest, then append their reservation to the ArrayList'}
+  };
+
+  /**
+   * The same for the engine's 'expire' events, by what ran out: an offer
+   * nobody answered (its waiter leaves the queue), a waiter who timed out
+   * or whose window ended, a reservation released as a no-show
+   */
+  const EXPIRIES = {
+    offer:       {operation: 'DEQUEUE', structure: 'Queue',     complexity: 'O(n)', detail: 'The offer lapsed - remove its waiter and shift the rest'},
+    waiter:      {operation: 'DEQUEUE', structure: 'Queue',     complexity: 'O(n)', detail: 'Timed out or past their window - remove the waiter and shift the rest'},
+    reservation: {operation: 'DELETE',  structure: 'ArrayList', complexity: 'O(n)', detail: 'No-show - find the reservation, remove it and shift the elements after it'}
+  };
+
+  const TRACE_COLUMNS = ['step', 'minute', 'operation', 'structure', 'complexity', 'n', 'index', 'plate', 'slot', 'arrayList', 'queue', 'ms', 'summary'];
+  const TRACE_LIMIT = 50000; // Oldest entries are dropped beyond this
+
+  const clockMs = typeof performance !== 'undefined' ? () => performance.now() : Date.now;
+
+  /**
+   * Checks simulation settings
+   * @param {Object} settings - {arrivalsPerHour, departuresPerHour, seed}
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  function validateSettings(settings){
+    const errors = [];
+    [['arrivalsPerHour', 'Arrivals'], ['departuresPerHour', 'Departures']].forEach(([key, label]) => {
+      const rate = settings[key];
+      if(typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > MAX_RATE){
+        errors.push(`${label} per hour must be a number from 0 to ${MAX_RATE}`);
+      }
+    });
+    if(settings.seed !== null && settings.seed !== undefined && !Number.isInteger(settings.seed)){
+      errors.push('Seed must be a whole number, or empty for a random run');
+    }
+    return errors;
+  }
+
+  /**
+   * Seeded pseudo-random numbers in [0, 1) (mulberry32), so a run can
+   * be repeated exactly from the same seed and starting lot
+   * @param {number} seed
+   * @returns {Function}
+   */
+  function seededRandom(seed){
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Number of events in one interval for a Poisson process (Knuth)
+   * Time Complexity: O(mean)
+   * @param {number} mean - Expected events per interval
+   * @param {Function} random
+   * @returns {number}
+   */
+  function poisson(mean, random){
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = random();
+    while(p > limit){
+      k++;
+      p *= random();
+    }
+    return k;
+  }
+
+  /**
+   * Picks a key of a weight table
+   */
+  function pick(weights, random){
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, k) => sum + weights[k], 0);
+    let r = random() * total;
+    for(const k of keys){
+      r -= weights[k];
+      if(r < 0) return k;
+    }
+    return keys[keys.length - 1];
+  }
+
+  /**
+   * Random plate in the first format the plate rules accept
+   * @param {Object} rules - Plate rules (see plate-rules.js)
+   * @param {Function} random
+   * @returns {string}
+   */
+  function randomPlate(rules, random){
+    const pattern = rules.formats.length ? Plates.PLATE_FORMATS[rules.formats[0]].pattern : rules.custom[0] || 'LLL DDDD';
+    const letters = 'ABCDEFGHJKLMNPRSTUVWXYZ';
+    return pattern.replace(/[LD]/g, ch => ch === 'L' ? letters[Math.floor(random() * letters.length)] : String(Math.floor(random() * 10)));
+  }
+
+  /**
+   * Creates a simulation on a copy of a lot
+   * It runs on its own engine, whose clock starts at `start` and moves on
+   * STEP_MINUTES each step, so stays lengthen, fees grow and offers, queue
+   * timeouts and no-shows expire as they would in the lot. Each step: the
+   * clock moves on and the engine's timers run, parked cars leave, waiters
+   * take the slots offered to them, then new cars arrive
+   * @param {Object} lot - Lot state to start from (engine snapshot)
+   * @param {Object} [settings] - {arrivalsPerHour, departuresPerHour, seed}
+   *        seed null picks a random one, reported as simulation.seed
+   * @param {number} [start] - Simulated time of minute 0 (epoch ms, default now)
+   * @returns {Object} {engine, step, configure, stop, trace, seed, minute, steps, now}
+   * @throws {Error} When the settings are invalid
+   */
+  function createSimulation(lot, settings, start){
+    let current = {...DEFAULT_SETTINGS, ...settings};
+    const errors = validateSettings(current);
+    if(errors.length) throw new Error(errors.join('\n'));
+    const seed = current.seed === null || current.seed === undefined ? Math.floor(Math.random() * 2147483647) : current.seed;
+    const random = seededRandom(seed);
+    const trace = [];
+    let steps = 0;
+    let caught = null; // Events of the engine call in progress
+
+    let clock = start === undefined ? Date.now() : start;
+    const engine = Engine.createEngine({now: () => clock});
+    engine.load(JSON.parse(JSON.stringify(lot))); // A copy, so the lot's own entries are never changed
+
+    const unsubscribe = engine.subscribe(events => {
+      if(caught) caught.push(...events);
+    });
+
+    /**
+     * Runs one engine call and traces the operations it caused
+     * ms is the time the call took, the engine's listeners included
+     * A call the engine rejects is traced too, so overload shows up
+     * @param {Function} fn - The engine call
+     * @param {string} plate - Plate for a call that fails
+     * @returns {Object[]} New trace entries
+     */
+    function perform(fn, plate){
+      const positions = {ArrayList: engine.arrayList.map(r => r.id), Queue: engine.queue.map(q => q.id)};
+      caught = [];
+      const started = clockMs();
+      let error = null;
+      let events;
+      try {
+        fn();
+      } catch(err){
+        if(!(err instanceof Engine.EngineError)) throw err;
+        error = err;
+      } finally {
+        events = caught;
+        caught = null;
+      }
+      const ms = Math.round((clockMs() - started) * 1000) / 1000;
+
+      const base = {step: steps, minute: steps * STEP_MINUTES, arrayList: engine.arrayList.length, queue: engine.queue.length, ms};
+      if(error){
+        return [{...base, operation: 'REJECTED', structure: '', complexity: '', n: null, index: null, plate, slot: null, detail: error.name, summary: error.message}];
+      }
+      // An expiry is told apart by its entry: offers name their waiter, the rest are listed
+      const operationOf = e => e.action !== 'expire' ? OPERATIONS[e.action]
+        : EXPIRIES[e.before.queueId !== undefined ? 'offer' : positions.ArrayList.includes(e.before.id) ? 'reservation' : 'waiter'];
+      return events.filter(e => operationOf(e)).map(e => {
+        const op = operationOf(e);
+        const entry = e.after || e.before;
+        const ids = positions[op.structure];
+        const queueId = entry.queueId !== undefined ? entry.queueId : null; // Offers
+        const index = ids.indexOf(queueId !== null ? queueId : (e.before || e.after).id);
+        return {
+          ...base, operation: op.operation, structure: op.structure, complexity: op.complexity,
+          n: ids.length, index: index === -1 ? ids.length : index,
+          plate: entry.plate, slot: entry.slot === undefined ? null : entry.slot, detail: op.detail, summary: e.summary,
+          action: e.action, id: entry.id, queueId
+        };
+      });
+    }
+
+    /**
+     * Advances the simulation by one simulated minute
+     * Time Complexity: O(k·n) for k arrivals and departures
+     * @returns {Object[]} Trace entries of this step, in order
+     */
+    function step(){
+      steps++;
+      clock += STEP_MINUTES * 60000;
+      const rate = perHour => perHour * STEP_MINUTES / 60;
+
+      // Offers, queue timeouts and no-shows that ran out this minute
+      const entries = perform(() => engine.tick(), null);
+
+      // Departures - cars that have arrived leave, freeing their slot
+      const leaving = poisson(rate(current.departuresPerHour), random);
+      for(let k = 0; k < leaving; k++){
+        const parked = engine.arrayList.filter(r => r.checkedIn && r.start <= engine.now());
+        if(parked.length === 0) break;
+        const res = parked[Math.floor(random() * parked.length)];
+        entries.push(...perform(() => engine.checkOut(res.id), res.plate));
+      }
+
+      // Waiters at the gate take the slots offered to them
+      engine.offers.slice().forEach(offer => {
+        entries.push(...perform(() => engine.acceptOffer(offer.queueId), offer.plate));
+      });
+
+      // Arrivals - walk-ins are parked, or queue when nothing suits
+      const arriving = poisson(rate(current.arrivalsPerHour), random);
+      for(let k = 0; k < arriving; k++){
+        const vehicle = pick(VEHICLE_MIX, random);
+        const priority = vehicle === 'pwd' ? 'pwd' : pick(PRIORITY_MIX, random);
+        const plate = randomPlate(engine.plateRules, random);
+        entries.push(...perform(() => engine.insert({plate, start: engine.now(), end: null, vehicle, priority, operator: 'simulation'}), plate));
+      }
+
+      trace.push(...entries);
+      if(trace.length > TRACE_LIMIT) trace.splice(0, trace.length - TRACE_LIMIT);
+      return entries;
+    }
+
+    /**
+     * Changes the rates of a running simulation
+     * @param {Object} next - {arrivalsPerHour, departuresPerHour}
+     * @throws {Error} When the settings are invalid
+     */
+    function configure(next){
+      const merged = {...current, ...next, seed};
+      const problems = validateSettings(merged);
+      if(problems.length) throw new Error(problems.join('\n'));
+      current = merged;
+    }
+
+    return {
+      engine, step, configure,
+      stop: unsubscribe,
+      trace, seed,
+      get settings(){ return {...current, seed}; },
+      get steps(){ return steps; },
+      get minute(){ return steps * STEP_MINUTES; },
+      get now(){ return clock; }
+    };
+  }
+
+  /**
+   * Count and timing of each operation in a trace, for load testing
+   * Time Complexity: O(t) for t trace entries
+   * @param {Object[]} trace
+   * @returns {Array<{operation, structure, complexity, count, totalMs, meanMs, maxMs, maxN}>}
+   */
+  function summarizeTrace(trace){
+    const byOperation = new Map();
+    trace.forEach(t => {
+      if(!byOperation.has(t.operation)){
+        byOperation.set(t.operation, {operation: t.operation, structure: t.structure, complexity: t.complexity, count: 0, totalMs: 0, meanMs: 0, maxMs: 0, maxN: 0});
+      }
+      const s = byOperation.get(t.operation);
+      s.count++;
+      s.totalMs += t.ms;
+      s.maxMs = Math.max(s.maxMs, t.ms);
+      s.maxN = Math.max(s.maxN, t.n || 0);
+    });
+    return Array.from(byOperation.values()).map(s => ({
+      ...s,
+      totalMs: Math.round(s.totalMs * 1000) / 1000,
+      meanMs: Math.round(s.totalMs / s.count * 1000) / 1000
+    }));
+  }
+
+  /**
+   * Serializes a trace as CSV, one row per operation
+   * @param {Object[]} trace
+   * @returns {string} CSV text with a header row
+   */
+  function traceToCsv(trace){
+    const lines = [TRACE_COLUMNS.join(',')];
+    trace.forEach(t => lines.push(TRACE_COLUMNS.map(col => Transfer.csvField(t[col])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Serializes a run as JSON: its settings, per-operation summary and trace
+   * @param {Object} simulation - From createSimulation
+   * @param {number} exportedAt - Epoch ms
+   * @returns {string}
+   */
+  function traceToJson(simulation, exportedAt){
+    return JSON.stringify({
+      exportedAt: new Date(exportedAt).toISOString(),
+      settings: simulation.settings,
+      stepMinutes: STEP_MINUTES,
+      steps: simulation.steps,
+      summary: summarizeTrace(simulation.trace),
+      trace: simulation.trace.map(t => {
+        const row = {};
+        TRACE_COLUMNS.forEach(col => { row[col] = t[col]; });
+        row.detail = t.detail;
+        return row;
+      })
+    }, null, 2);
+  }
+
+  const api = {
+    DEFAULT_SETTINGS, MAX_RATE, STEP_MINUTES, VEHICLE_MIX, PRIORITY_MIX, OPERATIONS, EXPIRIES, TRACE_COLUMNS,
+    validateSettings, seededRandom, poisson, randomPlate, createSimulation, summarizeTrace, traceToCsv, traceToJson
+  };
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkSimulation = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,203 @@
+// =============================================
+// SmartPark - Sticker Codes
+// Description: Signs the payload carried by a parking sticker (plate,
+//              slot, window and reservation id) with HMAC-SHA256 so it
+//              can't be guessed or edited, and checks scanned codes
+//              against the current reservations at the gate.
+// Code format: SP1.<payload>.<signature> (both base64url)
+// The signing secret is kept on the lot server when the lot is shared
+// through one, else in this browser's localStorage; only pages of the
+// same lot can issue or verify its stickers.
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const PREFIX = 'SP1';
+  const SECRET_KEY = 'smartpark_sticker_secret';
+
+  /**
+   * Verification results, in the order they are checked
+   * valid      - signed by this lot and matches a current reservation
+   * invalid    - not a sticker code, or altered after signing
+   * revoked    - the reservation was deleted, released or changed
+   * expired    - the stay has ended or was checked out
+   * wrong-slot - the car is at (or the booking moved to) another slot
+   */
+  const STATUSES = {
+    valid:        {label: 'VALID',      icon: '✅'},
+    invalid:      {label: 'INVALID',    icon: '⛔'},
+    revoked:      {label: 'REVOKED',    icon: '🚫'},
+    expired:      {label: 'EXPIRED',    icon: '⌛'},
+    'wrong-slot': {label: 'WRONG SLOT', icon: '📍'}
+  };
+
+  // ============================================
+  // Encoding
+  // ============================================
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {string} base64url text without padding
+   */
+  function toBase64Url(bytes){
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * @param {string} text - base64url text
+   * @returns {Uint8Array}
+   * @throws {Error} If the text is not base64url
+   */
+  function fromBase64Url(text){
+    if(!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Not base64url');
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  }
+
+  /**
+   * Imports the lot secret as an HMAC key
+   * @param {string} secret - base64url secret (see lotSecret)
+   * @returns {Promise<CryptoKey>}
+   */
+  function hmacKey(secret){
+    return root.crypto.subtle.importKey('raw', fromBase64Url(secret), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign', 'verify']);
+  }
+
+  // ============================================
+  // Issue and verify
+  // ============================================
+
+  /**
+   * Returns this lot's signing secret: the server's for a shared lot,
+   * so every device signs with the same key, else this browser's,
+   * created on first use
+   * Browser only - Node callers pass their own secret
+   * @param {Object} store - Store from SmartParkStorage.createStore()
+   * @returns {Promise<string>} base64url secret (256 bits)
+   */
+  function lotSecret(store){
+    return store.sharedSecret().then(shared => {
+      if(shared) return shared;
+      let secret = localStorage.getItem(SECRET_KEY);
+      if(!secret){
+        secret = toBase64Url(root.crypto.getRandomValues(new Uint8Array(32)));
+        localStorage.setItem(SECRET_KEY, secret);
+      }
+      return secret;
+    });
+  }
+
+  /**
+   * Signs the sticker code for a reservation
+   * @param {Object} r - Reservation {id, plate, slot, start, end}
+   * @param {string} secret - Lot secret
+   * @returns {Promise<string>} SP1.<payload>.<signature>
+   */
+  function issue(r, secret){
+    const payload = {id: r.id, p: r.plate, s: r.slot, st: r.start, e: r.end};
+    const body = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+    return hmacKey(secret)
+      .then(key => root.crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${PREFIX}.${body}`)))
+      .then(sig => `${PREFIX}.${body}.${toBase64Url(new Uint8Array(sig))}`);
+  }
+
+  /**
+   * Short form printed under the QR code (the QR carries the full code)
+   * @param {string} code - Signed code from issue()
+   * @returns {string} e.g. SP-ABC123-04-K3F9Q2XA
+   */
+  function shortCode(code){
+    const [, body, sig] = code.split('.');
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    return `SP-${payload.p.replace(/\s+/g, '')}-${String(payload.s).padStart(2,'0')}-${sig.slice(0, 8).toUpperCase()}`;
+  }
+
+  /**
+   * Checks a code's signature and reads its payload
+   * @param {string} code - Pasted or scanned code
+   * @param {string} secret - Lot secret
+   * @returns {Promise<Object|null>} Payload {id, plate, slot, start, end}, or null if not genuine
+   */
+  function readCode(code, secret){
+    const parts = String(code || '').trim().split('.');
+    if(parts.length !== 3 || parts[0] !== PREFIX) return Promise.resolve(null);
+    let sig, payload;
+    try {
+      sig = fromBase64Url(parts[2]);
+      payload = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])));
+    } catch (e) {
+      return Promise.resolve(null);
+    }
+    return hmacKey(secret)
+      .then(key => root.crypto.subtle.verify('HMAC', key, sig, new TextEncoder().encode(`${PREFIX}.${parts[1]}`)))
+      .then(ok => ok ? {id: payload.id, plate: payload.p, slot: payload.s, start: payload.st, end: payload.e} : null);
+  }
+
+  /**
+   * Decides a genuine sticker's status from the current lot state
+   * Time Complexity: O(n) over the reservations and history
+   * @param {Object} sticker - Payload from readCode()
+   * @param {{arrayList: Object[], history: Object[]}} state - Current lot state
+   * @param {Object} [options]
+   * @param {number} [options.now] - Current time (epoch ms)
+   * @param {number} [options.slot] - Slot the car is parked at, if the attendant entered one
+   * @param {Object} [options.clock] - SmartParkTime clock the times in messages are shown with
+   * @returns {{status: string, message: string, reservation: (Object|null)}}
+   */
+  function classify(sticker, state, options){
+    const now = options && options.now !== undefined ? options.now : Date.now();
+    const atSlot = options && options.slot;
+    const show = options && options.clock ? options.clock.dateTime : t => new Date(t).toLocaleString();
+    const res = state.arrayList.find(r => r.id === sticker.id) || null;
+    const result = (status, message) => ({status, message, reservation: res});
+
+    if(state.history.some(h => h.id === sticker.id)){
+      return result('expired', `${sticker.plate} already checked out of slot ${sticker.slot}`);
+    }
+    if(!res){
+      if(sticker.end !== null && sticker.end <= now) return result('expired', `The booking ended ${show(sticker.end)}`);
+      return result('revoked', 'The reservation was cancelled or released');
+    }
+    if(res.plate !== sticker.plate || res.start !== sticker.start || res.end !== sticker.end){
+      return result('revoked', 'The reservation was changed after this sticker was issued - ask for a new one');
+    }
+    if(res.end !== null && res.end <= now){
+      return result('expired', `The booking ended ${show(res.end)}`);
+    }
+    if(res.slot !== sticker.slot){
+      return result('wrong-slot', `The reservation moved to slot ${res.slot} - this sticker is for slot ${sticker.slot}`);
+    }
+    if(atSlot && atSlot !== sticker.slot){
+      return result('wrong-slot', `Parked at slot ${atSlot}, but the sticker is for slot ${sticker.slot}`);
+    }
+    if(res.start > now){
+      return result('valid', `Booked from ${show(res.start)} - not started yet`);
+    }
+    return result('valid', `${sticker.plate} may park at slot ${sticker.slot}`);
+  }
+
+  /**
+   * Verifies a pasted or scanned code against the lot state
+   * @param {string} code
+   * @param {string} secret - Lot secret
+   * @param {{arrayList: Object[], history: Object[]}} state
+   * @param {Object} [options] - See classify()
+   * @returns {Promise<{status: string, message: string, sticker: (Object|null), reservation: (Object|null)}>}
+   */
+  function verify(code, secret, state, options){
+    return readCode(code, secret).then(sticker => {
+      if(!sticker) return {status: 'invalid', message: 'Not a SmartPark sticker, or it was altered', sticker: null, reservation: null};
+      return {...classify(sticker, state, options), sticker};
+    });
+  }
+
+  const api = {STATUSES, lotSecret, issue, shortCode, readCode, classify, verify};
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkSticker = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,224 @@
+// =============================================
+// SmartPark - Sticker Export
+// Description: Lays out a parking sticker once and renders it as a
+//              canvas (saved as PNG) or as a vector PDF for printing,
+//              one page per sticker. Needs no libraries or network connection.
+// =============================================
+
+(function(root){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const QR = isNode ? require('./qrcode.js') : root.SmartParkQR;
+
+  // Sticker size in points (1/72 inch) - A6, a common label size
+  const WIDTH = 298;
+  const HEIGHT = 420;
+  const QR_SIZE = 190;
+  const CHAR_WIDTH = 0.6; // Courier advance width, as a fraction of the font size
+
+  // ============================================
+  // Layout
+  // ============================================
+
+  /**
+   * Replaces characters the standard PDF fonts can't show
+   * @param {string} text
+   * @returns {string} Printable ASCII
+   */
+  function plainText(text){
+    return String(text).replace(/→/g, '->').replace(/[^\x20-\x7E]/g, '?');
+  }
+
+  /**
+   * Positions every element of the sticker, top to bottom
+   * Text is set in Courier so its width is known without font metrics
+   * @param {Object} sticker - {code, label, plate, slot, time, validity}
+   * @returns {{width: number, height: number, items: Object[]}}
+   *          items are {type: 'text', text, y, size, bold} (y is the baseline)
+   *          or {type: 'qr', qr, x, y, size} (y is the top edge)
+   */
+  function layout(sticker){
+    const items = [];
+    const text = (value, y, size, bold) => items.push({type: 'text', text: plainText(value), y, size, bold: !!bold});
+
+    text('SMARTPARK', 40, 26, true);
+    text('DIGITAL PARKING STICKER', 58, 9);
+    items.push({type: 'qr', qr: QR.encode(sticker.code, 'M'), x: (WIDTH - QR_SIZE) / 2, y: 72, size: QR_SIZE});
+    text(sticker.label, 282, 11, true);
+    text(`PLATE ${sticker.plate}   SLOT ${sticker.slot}`, 312, 14, true);
+    text(`RESERVED ${sticker.time}`, 336, 8);
+    if(sticker.validity) text(`VALID ${sticker.validity}`, 352, 8);
+    text('KEEP THIS STICKER FOR ENTRY/EXIT VERIFICATION', 392, 7);
+    text('SCAN QR CODE AT PARKING ENTRANCE', 404, 7);
+    return {width: WIDTH, height: HEIGHT, items};
+  }
+
+  /**
+   * Left edge that centres a line of Courier text
+   */
+  const centredX = item => (WIDTH - item.text.length * item.size * CHAR_WIDTH) / 2;
+
+  /**
+   * Dark modules merged into horizontal runs, to keep the output small
+   * @param {Object} qr - From SmartParkQR.encode()
+   * @returns {Array<{x: number, y: number, length: number}>} In modules
+   */
+  function qrRuns(qr){
+    const runs = [];
+    qr.modules.forEach((row, y) => {
+      for(let x=0; x<qr.size; x++){
+        if(!row[x]) continue;
+        const start = x;
+        while(x + 1 < qr.size && row[x+1]) x++;
+        runs.push({x: start, y, length: x - start + 1});
+      }
+    });
+    return runs;
+  }
+
+  // ============================================
+  // Canvas (PNG)
+  // ============================================
+
+  /**
+   * Draws a QR code on a canvas with a light quiet zone around it
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} qr - From SmartParkQR.encode()
+   * @param {number} x - Left edge of the quiet zone
+   * @param {number} y - Top edge of the quiet zone
+   * @param {number} size - Width and height including the quiet zone
+   */
+  function drawQr(ctx, qr, x, y, size){
+    const module = size / (qr.size + 8);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x, y, size, size);
+    ctx.fillStyle = '#000000';
+    qrRuns(qr).forEach(run => {
+      // Rounded out to whole pixels so neighbouring runs leave no seams
+      const left = Math.floor(x + (run.x + 4) * module);
+      const top = Math.floor(y + (run.y + 4) * module);
+      ctx.fillRect(left, top, Math.ceil(x + (run.x + 4 + run.length) * module) - left, Math.ceil(y + (run.y + 5) * module) - top);
+    });
+  }
+
+  /**
+   * Renders the sticker onto a new canvas
+   * @param {Object} sticker - See layout()
+   * @param {number} [scale] - Pixels per point (default 3, about 216 dpi)
+   * @returns {HTMLCanvasElement}
+   */
+  function toCanvas(sticker, scale){
+    const s = scale || 3;
+    const sheet = layout(sticker);
+    const canvas = document.createElement('canvas');
+    canvas.width = sheet.width * s;
+    canvas.height = sheet.height * s;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(s, s);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, sheet.width, sheet.height);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(8, 8, sheet.width - 16, sheet.height - 16);
+
+    sheet.items.forEach(item => {
+      if(item.type === 'qr'){
+        drawQr(ctx, item.qr, item.x, item.y, item.size);
+      } else {
+        ctx.fillStyle = '#000000';
+        ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px "Courier New", Courier, monospace`;
+        ctx.fillText(item.text, centredX(item), item.y);
+      }
+    });
+    return canvas;
+  }
+
+  /**
+   * Renders the sticker as a PNG image
+   * @param {Object} sticker - See layout()
+   * @returns {Promise<Blob>}
+   */
+  function toPng(sticker){
+    return new Promise((resolve, reject) => {
+      toCanvas(sticker).toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render the sticker')), 'image/png');
+    });
+  }
+
+  // ============================================
+  // PDF
+  // ============================================
+
+  /**
+   * Escapes a PDF string literal
+   */
+  const pdfString = text => '(' + text.replace(/[\\()]/g, ch => '\\' + ch) + ')';
+
+  /**
+   * Drawing operators for one sticker page
+   * The QR code is drawn as vector rectangles so it prints sharp at any size
+   * @param {Object} sticker - See layout()
+   * @returns {string} Content stream
+   */
+  function pageContent(sticker){
+    const sheet = layout(sticker);
+    const ops = ['0 g', '2 w', `8 8 ${sheet.width - 16} ${sheet.height - 16} re S`];
+
+    sheet.items.forEach(item => {
+      if(item.type === 'qr'){
+        const module = item.size / (item.qr.size + 8);
+        qrRuns(item.qr).forEach(run => {
+          const x = item.x + (run.x + 4) * module;
+          const y = sheet.height - item.y - (run.y + 5) * module; // PDF y runs upwards
+          ops.push(`${x.toFixed(2)} ${y.toFixed(2)} ${(run.length * module).toFixed(2)} ${module.toFixed(2)} re`);
+        });
+        ops.push('f');
+      } else {
+        ops.push(`BT /${item.bold ? 'F1' : 'F2'} ${item.size} Tf ${centredX(item).toFixed(2)} ${sheet.height - item.y} Td ${pdfString(item.text)} Tj ET`);
+      }
+    });
+    return ops.join('\n');
+  }
+
+  /**
+   * Renders stickers as a PDF with one page each (PDF 1.4, standard fonts only)
+   * @param {(Object|Object[])} stickers - One sticker or several (see layout())
+   * @returns {string} PDF file contents (ASCII)
+   */
+  function toPdf(stickers){
+    const pages = [].concat(stickers);
+    // Objects 1-4 are the catalog, page tree and fonts; each page adds itself and its content
+    const pageIds = pages.map((sticker, i) => 5 + i * 2);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'
+    ];
+    pages.forEach((sticker, i) => {
+      const content = pageContent(sticker);
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${WIDTH} ${HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+      );
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  const api = {layout, drawQr, toCanvas, toPng, toPdf};
+
+  if(isNode){
+    module.exports = api;
+  } else {
+    root.SmartParkStickerExport = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,116 @@
+// =============================================
+// SmartPark - Digital Sticker Page
+// Description: Loads a reservation by id from the saved lot state and shows its
+//              signed QR sticker, with PNG/PDF download and sharing.
+// =============================================
+
+(function(){
+  // The sticker is opened as sticker.html?id=<reservation id> and read
+  // from the saved lot state, so several stickers can be open at once
+  function loadSticker() {
+    const id = new URLSearchParams(location.search).get('id');
+    if (!id) return Promise.resolve(null);
+    const store = window.SmartParkStorage.createStore();
+    return store.load().then(({data}) => {
+      const r = data && (data.arrayList || []).find(res => res.id === id);
+      if (!r) return null;
+      // Times are shown in the lot's locale and time zone
+      const clock = window.SmartParkTime.createClock(window.SmartParkTime.usableDisplay(data.display));
+      return window.SmartParkSticker.lotSecret(store).then(secret => window.SmartParkSticker.issue(r, secret)).then(code => ({
+        plate: r.plate,
+        slot: r.slot,
+        time: clock.dateTime(r.bookedAt),
+        validity: window.SmartParkEngine.formatWindow(r.start, r.end, clock),
+        code,
+        label: window.SmartParkSticker.shortCode(code)
+      }));
+    });
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function initSticker(data) {
+    const Export = window.SmartParkStickerExport;
+    const saveBtn = document.querySelector('.btn-save');
+    const pdfBtn = document.querySelector('.btn-pdf');
+    const shareBtn = document.querySelector('.btn-share');
+
+    if (!data) {
+      document.querySelector('.code-value').textContent = 'NO DATA FOUND';
+      document.querySelector('.reserved-validity').textContent = 'The reservation was not found - it may have been checked out or deleted.';
+      [saveBtn, pdfBtn, shareBtn].forEach(btn => { btn.disabled = true; });
+      return;
+    }
+
+    // The QR carries the full signed code; the panel shows its short form
+    document.querySelector('.code-value').textContent = data.label;
+    document.querySelectorAll('.info-value')[0].textContent = data.plate;
+    document.querySelectorAll('.info-value')[1].textContent = data.slot;
+    document.querySelector('.reserved-time').textContent = data.time;
+    document.querySelector('.reserved-validity').textContent = 'VALID ' + data.validity;
+
+    const qrcodeElement = document.getElementById('qrcode');
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 280;
+    canvas.className = 'qr-canvas';
+    Export.drawQr(canvas.getContext('2d'), window.SmartParkQR.encode(data.code, 'M'), 0, 0, 280);
+    qrcodeElement.innerHTML = '';
+    qrcodeElement.appendChild(canvas);
+
+    const filename = 'smartpark-sticker-' + data.plate.replace(/[^A-Za-z0-9-]/g, '') + '-' + data.slot;
+
+    saveBtn.addEventListener('click', () => {
+      Export.toPng(data).then(
+        blob => downloadBlob(blob, filename + '.png'),
+        e => window.SmartParkDialog.alert('⚠️ ' + e.message)
+      );
+    });
+
+    pdfBtn.addEventListener('click', () => {
+      downloadBlob(new Blob([Export.toPdf(data)], {type: 'application/pdf'}), filename + '.pdf');
+    });
+
+    // Shares the PNG where the browser can share files, otherwise copies
+    // the signed code so it can be pasted at the gate
+    shareBtn.addEventListener('click', () => {
+      Export.toPng(data).then(blob => {
+        const file = new File([blob], filename + '.png', {type: 'image/png'});
+        if (navigator.canShare && navigator.canShare({files: [file]})) {
+          return navigator.share({files: [file], title: 'SmartPark Parking Sticker', text: data.label})
+            .catch(e => { if (e.name !== 'AbortError') throw e; });
+        }
+        if (navigator.clipboard) {
+          return navigator.clipboard.writeText(data.code)
+            .then(() => window.SmartParkDialog.alert('📤 Sticker code copied - paste it at the gate if the QR cannot be scanned.'));
+        }
+        window.SmartParkDialog.alert('⚠️ Sharing is not supported in this browser - save the PNG or PDF instead.');
+      }).catch(e => window.SmartParkDialog.alert('⚠️ Could not share the sticker: ' + e.message));
+    });
+  }
+
+  function start() {
+    loadSticker()
+      .then(initSticker)
+      .catch(e => {
+        initSticker(null);
+        document.querySelector('.reserved-validity').textContent = 'Could not read the lot data: ' + e.message;
+      });
+  }
+
+  window.SmartParkOffline.register();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+})();
@@ -0,0 +1,587 @@
+// =============================================
+// SmartPark - Storage Layer
+// Description: Versioned persistence for the whole lot state.
+//              All structures are written together as one document
+//              ({version, savedAt, data}), older formats are migrated
+//              on load, and large states can live in IndexedDB.
+//              Every save stamps a revision so tabs sharing the lot
+//              see each other's changes and can't overwrite them.
+//              The document can also live on a SmartPark server
+//              (server.js), shared by every device connected to it.
+// =============================================
+
+(function(){
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Time = isNode ? require('./time-format.js') : window.SmartParkTime;
+  const SCHEMA_VERSION = 2;
+  const STATE_KEY = 'smartpark_state';          // localStorage document
+  const BACKEND_KEY = 'smartpark_backend';      // 'local', 'indexeddb' or 'server'
+  const SERVER_KEY = 'smartpark_server';        // {url, token} of the lot server
+  const REVISION_KEY = 'smartpark_revision';    // Stamp of the last save, watched by other tabs
+  const LOCAL_LIMIT = 2 * 1024 * 1024;          // Characters before moving to IndexedDB
+  const DB_NAME = 'smartpark';
+  const DB_STORE = 'state';
+
+  /**
+   * Keys used before the versioned document existed (schema version 0)
+   * Maps each old localStorage key to its field in the v0 data
+   */
+  const LEGACY_KEYS = {
+    smartpark_slots: 'slots',
+    smartpark_arraylist: 'arraylist',
+    smartpark_queue: 'queue',
+    smartpark_history: 'history',
+    smartpark_rates: 'rates',
+    smartpark_lot: 'lot',
+    smartpark_offers: 'offers',
+    smartpark_queue_history: 'queueHistory',
+    smartpark_noshows: 'noShows',
+    smartpark_policy: 'policy'
+  };
+
+  // ============================================
+  // Migrations
+  // ============================================
+
+  /**
+   * Fills in fields for entries saved before they existed:
+   * the reservation time becomes the start of an open-ended stay,
+   * the vehicle is assumed to be a regular car in the regular class
+   * @param {Object} entry - Reservation or queue entry
+   * @returns {Object} Entry with numeric start, end (or null), vehicle and priority
+   */
+  function withDefaults(entry){
+    const upgraded = {vehicle: 'car', priority: 'regular', ...entry};
+    if(typeof upgraded.start === 'number') return upgraded;
+    const parsed = Date.parse(upgraded.time);
+    return {...upgraded, start: isNaN(parsed) ? Date.now() : parsed, end: null};
+  }
+
+  /**
+   * Replaces the locale text `time` of an entry with epoch ms `bookedAt`
+   * The text was written in the saving browser's locale, so it is only
+   * trusted when it reads as a time no later than the entry's start
+   * @param {Object} entry - Reservation, schedule booking or history session
+   * @returns {Object} Entry with bookedAt and without time
+   */
+  function withBookedAt(entry){
+    const {time, ...rest} = entry;
+    if(typeof rest.bookedAt === 'number') return rest;
+    return {...rest, bookedAt: Time.parseLegacyStamp(time, rest.start)};
+  }
+
+  /**
+   * MIGRATIONS[v] upgrades data from version v-1 to version v
+   * Each step receives the previous version's data and returns the new one
+   */
+  const MIGRATIONS = {
+    // v0 → v1: separate per-structure keys become one document
+    1: function(old){
+      return {
+        // Reservations saved before check-in existed were walk-ins, already parked
+        arrayList: (old.arraylist || []).map(withDefaults).map(r => ({checkedIn: true, ...r})),
+        // Waiters saved before arrival stamps existed arrived when they asked to start
+        queue: (old.queue || []).map(withDefaults).map(q => q.queuedAt ? q : {...q, queuedAt: q.start}),
+        // Slot schedules are rebuilt from the ArrayList by the engine's reconcile()
+        parkingSlots: Array.isArray(old.slots) ? old.slots.map(s => Array.isArray(s) ? s.map(withDefaults) : (s ? [withDefaults(s)] : [])) : [],
+        history: old.history || [],
+        rates: old.rates || null,
+        lotConfig: old.lot || null,
+        offers: old.offers || [],
+        queueHistory: old.queueHistory || [],
+        noShows: old.noShows || {},
+        policy: old.policy || null
+      };
+    },
+
+    // v1 → v2: booking times saved as locale text become epoch ms,
+    // so they sort and compare the same in every locale and time zone
+    2: function(old){
+      return {
+        ...old,
+        arrayList: (old.arrayList || []).map(withBookedAt),
+        // A waiter was booked the moment they joined the queue
+        queue: (old.queue || []).map(q => {
+          const {time, ...rest} = q;
+          return typeof rest.bookedAt === 'number' ? rest : {...rest, bookedAt: rest.queuedAt};
+        }),
+        parkingSlots: (old.parkingSlots || []).map(schedule => schedule.map(withBookedAt)),
+        history: (old.history || []).map(withBookedAt)
+      };
+    }
+  };
+
+  /**
+   * Runs every migration between a document's version and the current one
+   * @param {Object} doc - {version, data}
+   * @returns {Object} Data at SCHEMA_VERSION
+   */
+  function migrate(doc){
+    if(doc.version > SCHEMA_VERSION){
+      throw new Error(`Saved data is from a newer version (${doc.version}) of SmartPark`);
+    }
+    let data = doc.data;
+    for(let v = doc.version + 1; v <= SCHEMA_VERSION; v++){
+      data = MIGRATIONS[v](data);
+    }
+    return data;
+  }
+
+  /**
+   * Reads the pre-versioning keys into a version 0 document
+   * @param {string[]} report - Problems found are appended here
+   * @returns {Object|null} {version: 0, data} or null if there is no legacy data
+   */
+  function readLegacy(report){
+    const keys = Object.keys(LEGACY_KEYS).filter(k => localStorage.getItem(k) !== null);
+    if(keys.length === 0) return null;
+    const data = {};
+    keys.forEach(k => {
+      try {
+        data[LEGACY_KEYS[k]] = JSON.parse(localStorage.getItem(k));
+      } catch (e) {
+        report.push(`Could not read old "${k}" data (${e.message}) - it was skipped`);
+      }
+    });
+    return {version: 0, data};
+  }
+
+  // ============================================
+  // Backends
+  // ============================================
+
+  /**
+   * localStorage backend - the document is one key, so a write is all or nothing
+   */
+  const localBackend = {
+    name: 'local',
+    read(){
+      return Promise.resolve(localStorage.getItem(STATE_KEY));
+    },
+    write(text){
+      if(text.length > LOCAL_LIMIT){
+        const err = new Error('State too large for localStorage');
+        err.name = 'QuotaExceededError';
+        return Promise.reject(err);
+      }
+      // A full quota throws here, not in a promise
+      try {
+        localStorage.setItem(STATE_KEY, text);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+      return Promise.resolve();
+    },
+    clear(){
+      localStorage.removeItem(STATE_KEY);
+      return Promise.resolve();
+    }
+  };
+
+  const idbAvailable = () => typeof indexedDB !== 'undefined';
+  let dbPromise = null;
+
+  /**
+   * Opens (and creates on first use) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDb(){
+    if(!dbPromise){
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Runs one request inside a single IndexedDB transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result once the transaction completes
+   */
+  function idbRequest(mode, fn){
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }));
+  }
+
+  /**
+   * IndexedDB backend - for states too large for localStorage
+   * The document is stored under one key in one transaction
+   */
+  const idbBackend = {
+    name: 'indexeddb',
+    read(){
+      return idbRequest('readonly', store => store.get(STATE_KEY)).then(v => v === undefined ? null : v);
+    },
+    write(text){
+      return idbRequest('readwrite', store => store.put(text, STATE_KEY));
+    },
+    clear(){
+      return idbRequest('readwrite', store => store.delete(STATE_KEY));
+    }
+  };
+
+  /**
+   * Error for a server reply that isn't a success, with the server's message
+   * @param {Response} res
+   * @returns {Promise<never>}
+   */
+  function serverError(res){
+    return res.json().catch(() => ({})).then(body => {
+      throw new Error(body.message || `The lot server answered ${res.status} ${res.statusText}`);
+    });
+  }
+
+  /**
+   * Server backend - the document lives on a SmartPark server (server.js)
+   * shared by every device that connects to it. The server keeps the
+   * revision and refuses a save based on an older one, so devices can't
+   * overwrite each other's changes
+   * @param {Object} server - {url: address ('' for the site the app came from), token: access token or ''}
+   * @returns {Object} Backend
+   */
+  function serverBackend(server){
+    const base = (server.url || '').replace(/\/+$/, '');
+    const auth = server.token ? {Authorization: `Bearer ${server.token}`} : {};
+    const call = (method, headers, body) =>
+      fetch(`${base}/api/state`, {method, headers: {...auth, ...headers}, body, cache: 'no-store'});
+    const tag = res => (res.headers.get('ETag') || '').replace(/"/g, '') || null;
+    let secret = null; // Promise of the sticker secret, once asked for
+
+    const backend = {
+      name: 'server',
+      shared: true,
+      server: {url: server.url || '', token: server.token || ''},
+      revision: null, // Revision of the document last read or written
+
+      read(){
+        return call('GET').then(res => {
+          if(res.status === 204){
+            backend.revision = null;
+            return null;
+          }
+          if(!res.ok) return serverError(res);
+          backend.revision = tag(res);
+          return res.text();
+        });
+      },
+
+      /**
+       * @param {string} text - Document
+       * @param {string|null} base - Revision it replaces (null when the server has none)
+       * @param {string} next - Revision it becomes
+       */
+      write(text, base, next){
+        const match = base ? {'If-Match': `"${base}"`} : {'If-None-Match': '*'};
+        return call('PUT', {'Content-Type': 'application/json', 'X-Revision': next, ...match}, text).then(res => {
+          if(res.status === 412) throw conflictError();
+          if(!res.ok) return serverError(res);
+          backend.revision = next;
+        });
+      },
+
+      // Other devices still use the lot, so it is never removed from the server
+      clear(){
+        return Promise.resolve();
+      },
+
+      /**
+       * The lot's sticker signing secret, kept on the server
+       * @returns {Promise<string>}
+       */
+      secret(){
+        if(!secret){
+          secret = fetch(`${base}/api/sticker-secret`, {headers: auth, cache: 'no-store'})
+            .then(res => res.ok ? res.json() : serverError(res))
+            .then(body => body.secret);
+          secret.catch(() => { secret = null; }); // Asked again next time
+        }
+        return secret;
+      },
+
+      /**
+       * Calls back with the revision of every save on the server
+       * @param {Function} onRevision - Called with the new revision
+       * @returns {Function} Stops watching
+       */
+      watch(onRevision){
+        // EventSource can't send headers, so the token goes in the address
+        const source = new EventSource(`${base}/api/events` + (server.token ? `?token=${encodeURIComponent(server.token)}` : ''));
+        source.addEventListener('revision', e => onRevision(e.data));
+        return () => source.close();
+      }
+    };
+    return backend;
+  }
+
+  /**
+   * The backend chosen in this browser
+   * @returns {Object}
+   */
+  function savedBackend(){
+    const name = localStorage.getItem(BACKEND_KEY);
+    if(name === 'server'){
+      try {
+        const server = JSON.parse(localStorage.getItem(SERVER_KEY));
+        if(server) return serverBackend(server);
+      } catch (e) { /* unreadable settings fall back to this browser */ }
+    }
+    return name === 'indexeddb' && idbAvailable() ? idbBackend : localBackend;
+  }
+
+  // ============================================
+  // Revisions
+  // ============================================
+
+  /**
+   * Stamp of the last saved document (null before the first save)
+   * Kept in localStorage for both backends so its changes raise
+   * storage events in every other tab
+   * @returns {string|null}
+   */
+  const readRevision = () => localStorage.getItem(REVISION_KEY);
+
+  /**
+   * @returns {string} A new, unique revision stamp
+   */
+  const newRevision = () => Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+
+  /**
+   * Runs fn while holding the cross-tab lock on the document, where the
+   * browser supports it, so the revision check and write happen together
+   * @param {Function} fn - Returns a promise
+   * @returns {Promise<*>}
+   */
+  function withLock(fn){
+    if(typeof navigator !== 'undefined' && navigator.locks){
+      return navigator.locks.request(STATE_KEY, fn);
+    }
+    return fn();
+  }
+
+  /**
+   * Error for a save based on a revision another tab has replaced
+   * @returns {Error}
+   */
+  function conflictError(){
+    const err = new Error('The lot was changed in another tab or window');
+    err.name = 'ConflictError';
+    return err;
+  }
+
+  // ============================================
+  // Store
+  // ============================================
+
+  /**
+   * Creates the store used by the app
+   * Loads and writes are serialized (one at a time, in call order);
+   * a failed write doesn't block the ones after it
+   * @returns {{backend: string, server: (Object|null), load: Function, save: Function, useBackend: Function, subscribe: Function, sharedSecret: Function}}
+   */
+  function createStore(){
+    let backend = savedBackend();
+    let pending = Promise.resolve();
+    // Revision of the document this tab last loaded or saved
+    let revision = backend.shared ? null : readRevision();
+    let saving = null; // Revision of the server write in progress
+    let onRemoteChange = null;
+    let unwatch = null;
+
+    /**
+     * Queues a step after everything already pending, failed or not
+     */
+    const enqueue = step => (pending = pending.catch(() => {}).then(step));
+
+    /**
+     * Follows saves made on the server by other devices, if it is in use
+     */
+    function watchServer(){
+      if(unwatch) unwatch();
+      unwatch = backend.shared && onRemoteChange ? backend.watch(next => {
+        if(next !== revision && next !== saving) onRemoteChange();
+      }) : null;
+    }
+
+    /**
+     * Makes a backend the current one and remembers the choice
+     */
+    function adopt(next){
+      backend = next;
+      localStorage.setItem(BACKEND_KEY, next.name);
+      if(next.shared) localStorage.setItem(SERVER_KEY, JSON.stringify(next.server));
+      else localStorage.removeItem(SERVER_KEY);
+      watchServer();
+    }
+
+    /**
+     * Picks up a backend another tab switched to (e.g. IndexedDB once
+     * localStorage filled up), so this tab stops using the old one
+     */
+    function followChoice(){
+      if((localStorage.getItem(BACKEND_KEY) || 'local') === backend.name) return;
+      backend = savedBackend();
+      watchServer();
+    }
+
+    /**
+     * Moves the stored document to another backend
+     * The new copy is written and chosen before the old one is removed,
+     * so no tab finds the lot missing in between
+     */
+    function switchTo(next, text){
+      return next.write(text).then(() => {
+        const old = backend;
+        adopt(next);
+        return old.clear();
+      });
+    }
+
+    return {
+      get backend(){ return backend.name; },
+
+      /**
+       * Address and token of the lot server in use, or null
+       */
+      get server(){ return backend.shared ? {...backend.server} : null; },
+
+      /**
+       * Sticker signing secret of a lot shared through the server
+       * @returns {Promise<string|null>} null while the lot lives in this browser
+       */
+      sharedSecret(){
+        return backend.shared ? backend.secret() : Promise.resolve(null);
+      },
+
+      /**
+       * Loads and migrates the saved state
+       * A document that cannot be parsed is kept under a backup key
+       * and reported instead of being silently dropped
+       * @returns {Promise<{data: (Object|null), report: string[]}>}
+       */
+      load(){
+        const report = [];
+        return enqueue(() => {
+          followChoice();
+          if(!backend.shared) revision = readRevision();
+          return backend.read();
+        }).then(text => {
+          if(backend.shared) revision = backend.revision;
+          let doc = null;
+          if(text){
+            try {
+              doc = JSON.parse(text);
+            } catch (e) {
+              const backupKey = `${STATE_KEY}_corrupt_${Date.now()}`;
+              try { localStorage.setItem(backupKey, text); } catch (ignored) { /* backup is best effort */ }
+              report.push(`Saved state could not be read (${e.message}); a copy was kept as "${backupKey}"`);
+            }
+          }
+          if(!doc) doc = readLegacy(report);
+          if(!doc) return {data: null, report};
+          return {data: migrate(doc), report};
+        });
+      },
+
+      /**
+       * Saves the whole state as one document
+       * The data is serialized immediately, so later changes don't leak in
+       * Falls back to IndexedDB when localStorage runs out of room
+       * Rejected with a ConflictError if another tab saved since this
+       * state was loaded; every later save fails too until load() runs
+       * @param {Object} data - Complete lot state
+       * @returns {Promise<void>}
+       */
+      save(data){
+        const text = JSON.stringify({version: SCHEMA_VERSION, savedAt: Date.now(), data});
+        return enqueue(() => {
+          followChoice();
+          // Taken once the saves before it are done, and moved on only when
+          // the write succeeds: a save that fails for any other reason must
+          // not make every later one look like a conflict
+          const base = revision;
+          const next = newRevision();
+          // The server checks the revision itself, for every device at once
+          if(backend.shared){
+            saving = next;
+            return backend.write(text, base, next).then(() => { revision = next; });
+          }
+          return withLock(() => {
+            if(readRevision() !== base) return Promise.reject(conflictError());
+            return backend.write(text).catch(e => {
+              if(e && e.name === 'QuotaExceededError' && backend === localBackend && idbAvailable()){
+                return switchTo(idbBackend, text);
+              }
+              throw e;
+            }).then(() => {
+              localStorage.setItem(REVISION_KEY, next);
+              revision = next;
+            });
+          });
+        }).then(() => {
+          // The old keys are only dropped once the new document is safely written
+          Object.keys(LEGACY_KEYS).forEach(k => localStorage.removeItem(k));
+        });
+      },
+
+      /**
+       * Calls back when another tab, window or (through the server)
+       * device saves the lot, or another tab moves it to another backend
+       * @param {Function} onChange - Called with no arguments
+       */
+      subscribe(onChange){
+        onRemoteChange = onChange;
+        window.addEventListener('storage', e => {
+          if(!backend.shared && e.key === REVISION_KEY && e.newValue !== revision) onChange();
+          else if(e.key === BACKEND_KEY && e.newValue !== backend.name) onChange();
+        });
+        watchServer();
+      },
+
+      /**
+       * Switches to a backend by name
+       * Browser backends take the current document with them. Joining a
+       * server that already has a lot uses the server's lot (this
+       * browser's copy is left as it was); an empty server gets this
+       * browser's lot. Leaving a server copies its lot into this browser
+       * Call load() afterwards to read the lot from the new backend
+       * @param {string} name - 'local', 'indexeddb' or 'server'
+       * @param {Object} [server] - {url, token} for 'server'
+       * @returns {Promise<void>}
+       */
+      useBackend(name, server){
+        if(name === 'server'){
+          const next = serverBackend(server || {});
+          return enqueue(() => next.read()
+            .then(remote => remote !== null || backend.shared ? null : backend.read().then(text => text && next.write(text, null, newRevision())))
+            .then(() => adopt(next)));
+        }
+        const next = name === 'indexeddb' ? idbBackend : localBackend;
+        if(next === backend) return pending;
+        if(next === idbBackend && !idbAvailable()) return Promise.reject(new Error('IndexedDB is not available'));
+        if(backend.shared){
+          return enqueue(() => backend.read().then(text => next.write(text || '')).then(() => adopt(next)));
+        }
+        return enqueue(() => backend.read().then(text => switchTo(next, text || '')));
+      }
+    };
+  }
+
+  const api = {SCHEMA_VERSION, createStore, migrate};
+
+  // The lot server migrates documents saved by older versions as well
+  if(isNode){
+    module.exports = api;
+  } else {
+    window.SmartParkStorage = api;
+  }
+})();
@@ -0,0 +1,124 @@
+// =============================================
+// SmartPark - Operator Accounts Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Accounts = require('../accounts.js');
+
+/**
+ * Stands in for localStorage
+ */
+function memoryStorage(){
+  const items = {};
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => { items[key] = String(value); },
+    items
+  };
+}
+
+/**
+ * A store holding an admin named "boss"
+ */
+function setup(){
+  const storage = memoryStorage();
+  const store = Accounts.createAccountStore(storage);
+  return store.add('Boss', 'correct horse', 'admin').then(() => ({store, storage}));
+}
+
+test('roles grant their permissions and nothing else', () => {
+  assert.ok(Object.keys(Accounts.PERMISSIONS).every(p => Accounts.can('admin', p)));
+  assert.ok(Accounts.can('attendant', 'reserve'));
+  assert.ok(Accounts.can('attendant', 'export'));
+  assert.ok(Accounts.can('attendant', 'move'));
+  assert.ok(!Accounts.can('attendant', 'block'));
+  assert.ok(!Accounts.can('attendant', 'configure'));
+  assert.ok(!Accounts.can('attendant', 'accounts'));
+  assert.ok(!Accounts.can('viewer', 'reserve'));
+  assert.ok(!Accounts.can('nobody', 'reserve'));
+});
+
+test('hashPassword is salted and verifyPassword checks the password', () => {
+  return Promise.all([
+    Accounts.hashPassword('secret pass', {iterations: 1000}),
+    Accounts.hashPassword('secret pass', {iterations: 1000})
+  ]).then(([a, b]) => {
+    assert.notStrictEqual(a.salt, b.salt);
+    assert.notStrictEqual(a.hash, b.hash);
+    assert.match(a.hash, /^[0-9a-f]{64}$/);
+    return Promise.all([Accounts.verifyPassword('secret pass', a), Accounts.verifyPassword('secret pasS', a)]);
+  }).then(([right, wrong]) => {
+    assert.strictEqual(right, true);
+    assert.strictEqual(wrong, false);
+  });
+});
+
+test('passwords are stored only as hashes', () => {
+  return setup().then(({store, storage}) => {
+    const saved = storage.items[Accounts.ACCOUNTS_KEY];
+    assert.ok(!saved.includes('correct horse'));
+    const doc = JSON.parse(saved);
+    assert.strictEqual(doc.version, 1);
+    assert.deepStrictEqual(Object.keys(doc.accounts[0]).sort(), ['createdAt', 'hash', 'iterations', 'role', 'salt', 'username']);
+    assert.deepStrictEqual(Object.keys(store.find('BOSS')).sort(), ['createdAt', 'role', 'username']);
+  });
+});
+
+test('authenticate accepts the right password in any user name case and nothing else', () => {
+  return setup().then(({store}) => Promise.all([
+    store.authenticate(' BOSS ', 'correct horse'),
+    store.authenticate('boss', 'wrong horse!'),
+    store.authenticate('ghost', 'correct horse')
+  ])).then(([ok, wrongPassword, unknown]) => {
+    assert.strictEqual(ok.username, 'boss');
+    assert.strictEqual(ok.role, 'admin');
+    assert.strictEqual(wrongPassword, null);
+    assert.strictEqual(unknown, null);
+  });
+});
+
+test('the first account must be an admin', () => {
+  const store = Accounts.createAccountStore(memoryStorage());
+  assert.strictEqual(store.isEmpty, true);
+  return assert.rejects(store.add('clerk', 'long enough', 'attendant'), /first account must be an admin/);
+});
+
+test('add rejects bad user names, short passwords, unknown roles and taken names', () => {
+  return setup().then(({store}) => Promise.all([
+    assert.rejects(store.add('a', 'long enough', 'viewer'), Accounts.AccountError),
+    assert.rejects(store.add('with space', 'long enough', 'viewer'), /3-32 letters/),
+    assert.rejects(store.add('clerk', 'short', 'viewer'), /at least 8 characters/),
+    assert.rejects(store.add('clerk', 'long enough', 'owner'), /Unknown role/),
+    assert.rejects(store.add('Boss', 'long enough', 'viewer'), /is taken/)
+  ]));
+});
+
+test('at least one admin always remains', () => {
+  return setup().then(({store}) => store.add('clerk', 'long enough', 'attendant').then(() => {
+    assert.throws(() => store.setRole('boss', 'viewer'), /At least one admin/);
+    assert.throws(() => store.remove('boss'), Accounts.AccountError);
+    assert.strictEqual(store.setRole('clerk', 'admin').role, 'admin');
+    assert.strictEqual(store.setRole('boss', 'viewer').role, 'viewer');
+    store.remove('boss');
+    assert.deepStrictEqual(store.list().map(a => a.username), ['clerk']);
+    assert.throws(() => store.remove('boss'), /no account "boss"/);
+  }));
+});
+
+test('setPassword replaces the old password', () => {
+  return setup().then(({store}) => store.setPassword('boss', 'battery staple')
+    .then(() => Promise.all([store.authenticate('boss', 'battery staple'), store.authenticate('boss', 'correct horse')]))
+    .then(([fresh, old]) => {
+      assert.strictEqual(fresh.username, 'boss');
+      assert.strictEqual(old, null);
+      return assert.rejects(store.setPassword('ghost', 'battery staple'), /no account/);
+    }));
+});
+
+test('an unreadable accounts document counts as no accounts', () => {
+  const storage = memoryStorage();
+  storage.setItem(Accounts.ACCOUNTS_KEY, '{not json');
+  assert.deepStrictEqual(Accounts.createAccountStore(storage).list(), []);
+});
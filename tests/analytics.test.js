@@ -0,0 +1,110 @@
+// =============================================
+// SmartPark - Occupancy Analytics Tests
+// Run with: node --test tests/
+// Days and hours are local time, so the tests fix the time zone
+// =============================================
+
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Analytics = require('../analytics.js');
+const Lot = require('../lot-config.js');
+const Time = require('../time-format.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const D0 = Date.UTC(2030, 0, 1);
+
+const layout = Lot.buildLayout({floors: [{id: 'G', zones: [{id: 'A', slots: [{type: 'regular', count: 2}]}]}]});
+
+/**
+ * Checked-out session on a slot
+ */
+const session = (slot, start, exit) => ({slot, start, exit, durationMs: exit - start});
+
+function state(overrides){
+  return {history: [], arrayList: [], queueHistory: [], layout, ...overrides};
+}
+
+test('occupancy curves average the occupied share of the lot', () => {
+  // Slot 1 busy 08:00-10:00 on both days, slot 2 busy 09:00-09:30 on day one
+  const result = Analytics.computeAnalytics(state({
+    history: [session(1, D0 + 8 * HOUR, D0 + 10 * HOUR), session(1, D0 + DAY + 8 * HOUR, D0 + DAY + 10 * HOUR), session(2, D0 + 9 * HOUR, D0 + 9.5 * HOUR)]
+  }), {from: D0, to: D0 + 2 * DAY, now: D0 + 10 * DAY});
+
+  assert.strictEqual(result.days, 2);
+  assert.strictEqual(result.hourly[8].occupancy, 0.5);
+  assert.strictEqual(result.hourly[9].occupancy, 0.625);
+  assert.strictEqual(result.hourly[10].occupancy, 0);
+  assert.deepStrictEqual(result.daily.map(d => d.day), [D0, D0 + DAY]);
+  assert.strictEqual(result.daily[0].occupancy, 2.5 / 48);
+  assert.strictEqual(result.daily[1].occupancy, 2 / 48);
+  assert.strictEqual(result.occupancy, 4.5 / 96);
+  assert.deepStrictEqual(result.peaks.map(p => p.hour), [9, 8]);
+});
+
+test('stays in progress count up to now and the range is cut off at now', () => {
+  const result = Analytics.computeAnalytics(state({
+    arrayList: [
+      {slot: 2, start: D0 + 6 * HOUR, end: null},
+      {slot: 1, start: D0 + 20 * HOUR, end: D0 + 22 * HOUR}
+    ]
+  }), {from: D0, to: D0 + DAY, now: D0 + 12 * HOUR});
+
+  assert.strictEqual(result.to, D0 + 12 * HOUR);
+  assert.strictEqual(result.daily[0].occupancy, 6 / 24);
+  assert.strictEqual(result.hourly[11].occupancy, 0.5);
+  assert.strictEqual(result.hourly[20].occupancy, 0, 'future bookings are not occupancy');
+  assert.strictEqual(result.sessions, 1);
+  assert.strictEqual(result.averageStayMs, null, 'only finished stays have a length');
+});
+
+test('average stay and turnover per slot use the sessions in range', () => {
+  const result = Analytics.computeAnalytics(state({
+    history: [
+      session(1, D0 + HOUR, D0 + 2 * HOUR),
+      session(1, D0 + 3 * HOUR, D0 + 6 * HOUR),
+      session(2, D0 - 5 * HOUR, D0 + HOUR),
+      session(9, D0 + HOUR, D0 + 2 * HOUR)
+    ]
+  }), {from: D0, to: D0 + 2 * DAY, now: D0 + 3 * DAY});
+
+  assert.strictEqual(result.averageStayMs, (1 + 3 + 6 + 1) / 4 * HOUR);
+  assert.deepStrictEqual(result.turnover, [{slot: 1, sessions: 2, perDay: 1}, {slot: 2, sessions: 0, perDay: 0}]);
+  assert.strictEqual(result.sessions, 3, 'slots no longer in the layout still count as sessions');
+});
+
+test('queue waits are bucketed with average, median and outcomes', () => {
+  const waits = [2, 4, 10, 45, 200];
+  const result = Analytics.computeAnalytics(state({
+    queueHistory: waits.map((minutes, i) => ({queuedAt: D0 + HOUR, leftAt: D0 + HOUR + minutes * MINUTE, outcome: i % 2 ? 'expired' : 'accepted'}))
+      .concat([{queuedAt: D0 - 2 * DAY, leftAt: D0 - DAY, outcome: 'accepted'}])
+  }), {from: D0, to: D0 + DAY, now: D0 + DAY});
+
+  assert.strictEqual(result.waits.count, 5);
+  assert.strictEqual(result.waits.averageMs, 261 / 5 * MINUTE);
+  assert.strictEqual(result.waits.medianMs, 10 * MINUTE);
+  assert.deepStrictEqual(result.waits.buckets.map(b => b.count), [2, 1, 0, 1, 0, 1]);
+  assert.deepStrictEqual(result.waits.outcomes, {accepted: 3, expired: 2});
+});
+
+test('hours and days follow the clock\'s time zone', () => {
+  // Manila is UTC+8: its day starts at 16:00 UTC the day before
+  const clock = Time.createClock({locale: 'en-US', timeZone: 'Asia/Manila'});
+  const result = Analytics.computeAnalytics(state({
+    history: [session(1, D0 - 8 * HOUR + 9 * HOUR, D0 - 8 * HOUR + 11 * HOUR)]
+  }), {from: D0 - 8 * HOUR, to: D0 + 16 * HOUR, now: D0 + DAY, clock});
+
+  assert.deepStrictEqual(result.daily.map(d => d.day), [D0 - 8 * HOUR]);
+  assert.deepStrictEqual(result.peaks.map(p => p.hour), [9, 10]);
+  assert.strictEqual(result.hourly[9].occupancy, 0.5);
+});
+
+test('formatDuration and formatHour', () => {
+  assert.strictEqual(Analytics.formatDuration(125 * MINUTE), '2h 05m');
+  assert.strictEqual(Analytics.formatDuration(45 * MINUTE), '45m');
+  assert.strictEqual(Analytics.formatDuration(null), '—');
+  assert.strictEqual(Analytics.formatHour(23), '23:00-00:00');
+});
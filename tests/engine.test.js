@@ -0,0 +1,843 @@
+// =============================================
+// SmartPark - Reservation Engine Tests
+// Run with: node --test tests/
+// The default lot has 20 slots: 1-6 and 11-14 regular, 7-8 PWD,
+// 9-10 EV, 15-17 compact and 18-20 motorcycle.
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Lot = require('../lot-config.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2030, 0, 1, 8, 0);
+
+// Accepts any short plate, so tests can use readable made-up plates
+const ANY_PLATE = {formats: [], custom: [], allowOther: true};
+
+/**
+ * Creates an engine with a clock the test moves by hand
+ * @returns {{engine: Object, clock: {t: number}, events: Object[][]}}
+ */
+function setup(){
+  const clock = {t: T0};
+  const engine = Engine.createEngine({now: () => clock.t});
+  engine.setPlateRules(ANY_PLATE);
+  const events = [];
+  engine.subscribe(list => events.push(list));
+  return {engine, clock, events};
+}
+
+/**
+ * Fills every slot a car can use for the given window
+ */
+function fillCarSlots(engine, start, end){
+  Lot.buildLayout(Lot.DEFAULT_LOT).forEach((s, i) => {
+    if(s.type === 'regular') engine.insert({plate: `FILL${i+1}`, slot: i+1, start, end});
+  });
+}
+
+// ============================================
+// Pure helpers
+// ============================================
+
+test('windowsOverlap treats windows as half-open and null as open-ended', () => {
+  assert.strictEqual(Engine.windowsOverlap(0, 10, 10, 20), false);
+  assert.strictEqual(Engine.windowsOverlap(0, 11, 10, 20), true);
+  assert.strictEqual(Engine.windowsOverlap(0, null, 100, 200), true);
+  assert.strictEqual(Engine.windowsOverlap(300, null, 100, 200), false);
+});
+
+test('computeFee applies grace period, hourly rates and the daily cap', () => {
+  const rates = Engine.DEFAULT_RATES;
+  assert.strictEqual(Engine.computeFee(10 * MINUTE, rates).fee, 0);
+  assert.strictEqual(Engine.computeFee(HOUR, rates).fee, 50);
+  assert.strictEqual(Engine.computeFee(2.5 * HOUR, rates).fee, 90);
+  assert.strictEqual(Engine.computeFee(20 * HOUR, rates).fee, 300);
+  assert.strictEqual(Engine.computeFee(25 * HOUR, rates).fee, 320);
+});
+
+test('compareWaiters serves higher priority classes first, then arrival order', () => {
+  const a = {priority: 'regular', queuedAt: 1};
+  const b = {priority: 'vip', queuedAt: 2};
+  const c = {priority: 'vip', queuedAt: 3};
+  assert.deepStrictEqual([c, a, b].sort(Engine.compareWaiters), [b, c, a]);
+});
+
+// ============================================
+// Insert
+// ============================================
+
+test('insert reserves the first suitable slot', () => {
+  const {engine, events} = setup();
+  const result = engine.insert({plate: 'ABC123', start: T0});
+  assert.strictEqual(result.status, 'reserved');
+  assert.strictEqual(result.reservation.slot, 1);
+  assert.strictEqual(result.reservation.checkedIn, true);
+  assert.strictEqual(engine.arrayList.length, 1);
+  assert.deepStrictEqual(engine.parkingSlots[0].map(b => b.id), [result.reservation.id]);
+  assert.deepStrictEqual(events[0].map(e => [e.action, e.source]), [['reserve', 'operator']]);
+});
+
+test('insert honours a chosen slot and vehicle suitability', () => {
+  const {engine} = setup();
+  assert.strictEqual(engine.insert({plate: 'MOTO1', start: T0, vehicle: 'motorcycle'}).reservation.slot, 18);
+  assert.strictEqual(engine.insert({plate: 'EV1', slot: '9', start: T0, vehicle: 'ev'}).reservation.slot, 9);
+  assert.throws(() => engine.insert({plate: 'CAR1', slot: 9, start: T0}), Engine.InvalidSlotError);
+});
+
+test('insert books advance reservations as not yet checked in', () => {
+  const {engine} = setup();
+  const {reservation} = engine.insert({plate: 'LATER', start: T0 + HOUR, end: T0 + 2 * HOUR});
+  assert.strictEqual(reservation.checkedIn, false);
+});
+
+test('insert rejects missing or invalid input with InvalidInputError', () => {
+  const {engine} = setup();
+  assert.throws(() => engine.insert({plate: '  ', start: T0}), Engine.InvalidInputError);
+  assert.throws(() => engine.insert({plate: 'A', start: NaN}), Engine.InvalidInputError);
+  assert.throws(() => engine.insert({plate: 'A', start: T0, end: T0}), Engine.InvalidInputError);
+  assert.throws(() => engine.insert({plate: 'A', start: T0, vehicle: 'bus'}), Engine.InvalidInputError);
+  assert.throws(() => engine.insert({plate: 'A', start: T0, priority: 'king'}), Engine.InvalidInputError);
+  assert.strictEqual(engine.arrayList.length, 0);
+});
+
+test('insert rejects an overlapping booking for the same plate with DuplicatePlateError', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'DUP1', start: T0, end: T0 + HOUR});
+  assert.throws(() => engine.insert({plate: 'dup1', start: T0 + 30 * MINUTE}), Engine.DuplicatePlateError);
+  // Back-to-back windows don't overlap
+  assert.strictEqual(engine.insert({plate: 'DUP1', start: T0 + HOUR, end: T0 + 2 * HOUR}).status, 'reserved');
+});
+
+test('insert rejects a taken slot with SlotOccupiedError and a missing one with InvalidSlotError', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'FIRST', slot: 3, start: T0, end: T0 + 2 * HOUR});
+  assert.throws(() => engine.insert({plate: 'SECOND', slot: 3, start: T0 + HOUR}), Engine.SlotOccupiedError);
+  assert.throws(() => engine.insert({plate: 'THIRD', slot: 21, start: T0}), Engine.InvalidSlotError);
+  assert.throws(() => engine.insert({plate: 'THIRD', slot: 'x', start: T0}), Engine.InvalidSlotError);
+  assert.strictEqual(engine.insert({plate: 'SECOND', slot: 3, start: T0 + 2 * HOUR}).status, 'reserved');
+});
+
+test('insert queues when the lot is full, or throws LotFullError if asked not to', () => {
+  const {engine} = setup();
+  fillCarSlots(engine, T0, null);
+  const result = engine.insert({plate: 'WAIT1', start: T0, priority: 'vip'});
+  assert.strictEqual(result.status, 'queued');
+  assert.strictEqual(result.entry.queuedAt, T0);
+  assert.deepStrictEqual(engine.queue.map(q => q.plate), ['WAIT1']);
+  assert.throws(() => engine.insert({plate: 'WAIT2', start: T0, queueIfFull: false}), Engine.LotFullError);
+  assert.strictEqual(engine.queue.length, 1);
+});
+
+test('typed errors carry their name, message and details', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'X1', slot: 2, start: T0});
+  try {
+    engine.insert({plate: 'X2', slot: 2, start: T0});
+    assert.fail('expected an error');
+  } catch (err) {
+    assert.ok(err instanceof Engine.EngineError);
+    assert.strictEqual(err.name, 'SlotOccupiedError');
+    assert.strictEqual(err.message, 'Chosen slot is already booked for that time');
+    assert.deepStrictEqual(err.details, {slot: 2});
+  }
+});
+
+// ============================================
+// Remove, check-in and check-out
+// ============================================
+
+test('remove deletes a reservation and offers the slot to the next waiter', () => {
+  const {engine, events} = setup();
+  fillCarSlots(engine, T0, null);
+  engine.insert({plate: 'REG', start: T0});
+  engine.insert({plate: 'PWD', start: T0, priority: 'pwd'});
+  events.length = 0;
+
+  const removed = engine.remove(engine.arrayList[0].id);
+  assert.strictEqual(removed.slot, 1);
+  assert.strictEqual(engine.parkingSlots[0].length, 0);
+  assert.deepStrictEqual(engine.offers.map(o => [o.slot, o.plate]), [[1, 'PWD']]);
+  assert.strictEqual(engine.offers[0].expiresAt, T0 + Engine.DEFAULT_POLICY.offerMinutes * MINUTE);
+  assert.deepStrictEqual(events[0].map(e => [e.action, e.source]), [['delete', 'operator'], ['offer', 'auto']]);
+  assert.throws(() => engine.remove('nope'), Engine.NotFoundError);
+});
+
+test('checkIn marks an advance booking as arrived', () => {
+  const {engine, events} = setup();
+  const {reservation} = engine.insert({plate: 'ADV', start: T0 + HOUR});
+  events.length = 0;
+  engine.checkIn(reservation.id);
+  assert.strictEqual(reservation.checkedIn, true);
+  engine.checkIn(reservation.id);
+  assert.strictEqual(events.length, 1, 'checking in twice changes nothing');
+  assert.throws(() => engine.checkIn('nope'), Engine.NotFoundError);
+});
+
+test('checkOut bills the stay and moves it to the history', () => {
+  const {engine, clock} = setup();
+  const {reservation} = engine.insert({plate: 'PAY', start: T0});
+  clock.t = T0 + 2.5 * HOUR;
+  const session = engine.checkOut(reservation.id);
+  assert.strictEqual(session.fee, 90);
+  assert.strictEqual(session.exit, clock.t);
+  assert.strictEqual(session.durationMs, 2.5 * HOUR);
+  assert.strictEqual(engine.arrayList.length, 0);
+  assert.deepStrictEqual(engine.history.map(h => h.plate), ['PAY']);
+});
+
+test('checkOut refuses a stay that has not started', () => {
+  const {engine} = setup();
+  const {reservation} = engine.insert({plate: 'EARLY', start: T0 + HOUR});
+  assert.throws(() => engine.checkOut(reservation.id), Engine.InvalidInputError);
+  assert.strictEqual(engine.arrayList.length, 1);
+});
+
+// ============================================
+// Sort and search
+// ============================================
+
+test('sortBySlot, sortByTime and reverse reorder the ArrayList', () => {
+  const {engine, clock, events} = setup();
+  engine.insert({plate: 'B', slot: 5, start: T0});
+  clock.t += 2000;
+  engine.insert({plate: 'A', slot: 2, start: T0});
+  clock.t += 2000;
+  engine.insert({plate: 'C', slot: 9, start: T0, vehicle: 'ev'});
+  events.length = 0;
+
+  assert.deepStrictEqual(engine.sortBySlot().map(r => r.plate), ['A', 'B', 'C']);
+  assert.deepStrictEqual(engine.sortByTime().map(r => r.plate), ['B', 'A', 'C']);
+  assert.deepStrictEqual(engine.reverse().map(r => r.plate), ['C', 'A', 'B']);
+  assert.deepStrictEqual(events.map(list => list[0].action), ['sort', 'sort', 'sort']);
+  assert.deepStrictEqual(events[2][0].after.order, engine.arrayList.map(r => r.id));
+});
+
+test('booking times are stored as epoch ms and sortByTime orders by them, ties kept in place', () => {
+  const {engine, clock} = setup();
+  const first = engine.insert({plate: 'FIRST', slot: 3, start: T0 + HOUR}).reservation;
+  clock.t += 5; // Same second: locale text could not tell these apart
+  engine.insert({plate: 'SECOND', slot: 1, start: T0});
+  engine.insert({plate: 'TIED', slot: 2, start: T0});
+  clock.t = T0 - 10; // Clock set back: the stored times still decide
+  engine.insert({plate: 'EARLY', slot: 4, start: T0});
+
+  assert.strictEqual(first.bookedAt, T0);
+  assert.ok(!('time' in first));
+  assert.deepStrictEqual(engine.sortByTime().map(r => r.plate), ['EARLY', 'FIRST', 'SECOND', 'TIED']);
+
+  const full = setup().engine;
+  fillCarSlots(full, T0, null);
+  const waiter = full.insert({plate: 'WAIT', start: T0}).entry;
+  assert.strictEqual(waiter.bookedAt, waiter.queuedAt);
+});
+
+test('search matches plates in any case or the exact slot number, best first', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'ABC123', slot: 1, start: T0});
+  engine.insert({plate: 'XYZ1', slot: 12, start: T0});
+  assert.deepStrictEqual(engine.search('abc').map(r => r.entry.plate), ['ABC123']);
+  assert.deepStrictEqual(engine.search('12').map(r => r.entry.plate), ['XYZ1', 'ABC123']);
+  assert.deepStrictEqual(engine.search('1').map(r => r.entry.plate), ['ABC123', 'XYZ1']);
+  assert.deepStrictEqual(engine.search('  '), []);
+});
+
+test('search covers the queue and history and tolerates typos', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  const waiting = engine.insert({plate: 'WAIT1234', start: T0}).entry;
+  const parked = engine.insert({plate: 'GONE5678', vehicle: 'motorcycle', start: T0}).reservation;
+  clock.t = T0 + HOUR;
+  engine.checkOut(parked.id);
+
+  const [queued] = engine.search('wait1234');
+  assert.deepStrictEqual([queued.kind, queued.status, queued.entry, queued.slot, queued.score], ['queue', 'queued', waiting, null, 0]);
+  const [done] = engine.search('GONE5687');
+  assert.deepStrictEqual([done.kind, done.status, done.entry.plate, done.score], ['history', 'completed', 'GONE5678', 2]);
+  assert.deepStrictEqual(done.match, {typos: 1, start: 0, end: 7});
+  assert.deepStrictEqual(engine.search('GNE').map(r => r.entry.plate), []);
+  assert.deepStrictEqual(engine.search('FILL').map(r => r.kind), new Array(10).fill('reservation'));
+});
+
+test('search filters by time, floor, zone, slot type and status', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'EARLY', slot: 1, start: T0, end: T0 + HOUR});
+  engine.insert({plate: 'LATE', slot: 11, start: T0 + 3 * HOUR, end: T0 + 4 * HOUR});
+  engine.insert({plate: 'VOLT', slot: 9, vehicle: 'ev', start: T0});
+  const plates = filters => engine.search('', filters).map(r => r.entry.plate);
+
+  assert.deepStrictEqual(plates({}), []);
+  assert.deepStrictEqual(plates({from: T0 + 2 * HOUR}), ['VOLT', 'LATE']);
+  assert.deepStrictEqual(plates({to: T0 + HOUR}), ['EARLY', 'VOLT']);
+  assert.deepStrictEqual(plates({floor: 'L2'}), ['LATE']);
+  assert.deepStrictEqual(plates({floor: 'G', zone: 'B'}), ['VOLT']);
+  assert.deepStrictEqual(plates({slotType: 'regular'}), ['EARLY', 'LATE']);
+  assert.deepStrictEqual(plates({status: 'parked'}), ['EARLY', 'VOLT']);
+  assert.deepStrictEqual(plates({status: 'reserved'}), ['LATE']);
+  assert.deepStrictEqual(engine.search('LATE', {status: 'parked'}), []);
+});
+
+// ============================================
+// Queue offers and timers
+// ============================================
+
+test('acceptOffer books the offered slot for the waiter', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  const waiter = engine.insert({plate: 'WAIT', start: T0, end: T0 + 3 * HOUR}).entry;
+  engine.remove(engine.arrayList[0].id);
+  clock.t = T0 + MINUTE;
+
+  const res = engine.acceptOffer(waiter.id);
+  assert.strictEqual(res.slot, 1);
+  assert.strictEqual(res.start, clock.t);
+  assert.strictEqual(res.end, T0 + 3 * HOUR);
+  assert.strictEqual(engine.queue.length, 0);
+  assert.strictEqual(engine.offers.length, 0);
+  assert.deepStrictEqual(engine.queueHistory.map(h => h.outcome), ['assigned']);
+  assert.throws(() => engine.acceptOffer(waiter.id), Engine.NotFoundError);
+});
+
+test('acceptOffer leaves a waiter whose window starts later to check in on arrival', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0 + HOUR, T0 + 2 * HOUR);
+  const waiter = engine.insert({plate: 'LATER', start: T0 + HOUR, end: T0 + 2 * HOUR}).entry;
+  engine.remove(engine.arrayList[0].id);
+
+  const res = engine.acceptOffer(waiter.id);
+  assert.strictEqual(res.start, T0 + HOUR);
+  assert.strictEqual(res.checkedIn, false);
+
+  // Not arriving makes it a no-show like any advance booking
+  clock.t = T0 + HOUR + engine.policy.noShowMinutes * MINUTE;
+  engine.tick();
+  assert.ok(!engine.arrayList.some(r => r.id === res.id));
+  assert.strictEqual(engine.noShowCount('LATER'), 1);
+});
+
+test('a waiter whose window has ended is passed over for freed slots and dropped by tick', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  const short = engine.insert({plate: 'SHORT', start: T0, end: T0 + 30 * MINUTE}).entry;
+  const open = engine.insert({plate: 'OPEN', start: T0, end: null}).entry;
+
+  clock.t = T0 + 45 * MINUTE;
+  engine.remove(engine.arrayList[0].id);
+  assert.deepStrictEqual(engine.offers.map(o => o.queueId), [open.id]);
+
+  engine.tick();
+  assert.deepStrictEqual(engine.queue.map(q => q.id), [open.id]);
+  assert.deepStrictEqual(engine.queueHistory.map(h => [h.plate, h.outcome]), [['SHORT', 'expired']]);
+  assert.ok(!engine.queue.some(q => q.id === short.id));
+});
+
+test('a waiter whose window ends while holding an offer is dropped and the slot moves on', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  const short = engine.insert({plate: 'SHORT', start: T0, end: T0 + 2 * MINUTE}).entry;
+  const open = engine.insert({plate: 'OPEN', start: T0, end: null}).entry;
+  engine.remove(engine.arrayList[0].id);
+  assert.deepStrictEqual(engine.offers.map(o => o.queueId), [short.id]);
+
+  clock.t = T0 + 2 * MINUTE;
+  engine.tick();
+  assert.deepStrictEqual(engine.offers.map(o => o.queueId), [open.id]);
+  assert.deepStrictEqual(engine.queueHistory.map(h => [h.plate, h.outcome]), [['SHORT', 'expired']]);
+});
+
+test('the operator who booked is kept on the reservation, the queue entry and the promoted booking', () => {
+  const {engine} = setup();
+  fillCarSlots(engine, T0, null);
+  assert.strictEqual(engine.arrayList[0].operator, null);
+  const waiter = engine.insert({plate: 'WAIT', start: T0, operator: 'maria'}).entry;
+  assert.strictEqual(waiter.operator, 'maria');
+  engine.remove(engine.arrayList[0].id);
+  assert.strictEqual(engine.acceptOffer(waiter.id).operator, 'maria');
+});
+
+test('declineOffer keeps the waiter queued and offers the slot to the next one', () => {
+  const {engine} = setup();
+  fillCarSlots(engine, T0, null);
+  const first = engine.insert({plate: 'FIRST', start: T0, priority: 'staff'}).entry;
+  const second = engine.insert({plate: 'SECOND', start: T0}).entry;
+  engine.remove(engine.arrayList[0].id);
+  assert.strictEqual(engine.offers[0].queueId, first.id);
+
+  const next = engine.declineOffer(first.id);
+  assert.strictEqual(next.queueId, second.id);
+  assert.deepStrictEqual(next.skipped, [first.id]);
+  assert.strictEqual(engine.queue.length, 2);
+  assert.strictEqual(engine.declineOffer(second.id), null);
+});
+
+test('tick expires ignored offers and passes the slot on', () => {
+  const {engine, clock, events} = setup();
+  fillCarSlots(engine, T0, null);
+  const first = engine.insert({plate: 'SLOW', start: T0}).entry;
+  const second = engine.insert({plate: 'NEXT', start: T0}).entry;
+  engine.remove(engine.arrayList[0].id);
+  events.length = 0;
+
+  assert.strictEqual(engine.tick(), false);
+  clock.t = T0 + Engine.DEFAULT_POLICY.offerMinutes * MINUTE;
+  assert.strictEqual(engine.tick(), true);
+  assert.deepStrictEqual(engine.queue.map(q => q.id), [second.id]);
+  assert.deepStrictEqual(engine.offers.map(o => o.plate), ['NEXT']);
+  assert.ok(!engine.queue.some(q => q.id === first.id));
+  assert.deepStrictEqual(engine.queueHistory.map(h => h.outcome), ['offer-expired']);
+  assert.ok(events[0].every(e => e.source === 'timer'));
+});
+
+test('tick drops waiters past the queue timeout', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  engine.insert({plate: 'OLD', start: T0});
+  clock.t = T0 + Engine.DEFAULT_POLICY.queueTtlMinutes * MINUTE;
+  engine.insert({plate: 'NEW', start: T0});
+  assert.strictEqual(engine.tick(), true);
+  assert.deepStrictEqual(engine.queue.map(q => q.plate), ['NEW']);
+  assert.deepStrictEqual(engine.queueHistory.map(h => [h.plate, h.outcome]), [['OLD', 'expired']]);
+});
+
+test('tick releases no-shows and records them against the plate', () => {
+  const {engine, clock} = setup();
+  const {reservation} = engine.insert({plate: 'Ghost', start: T0 + HOUR});
+  engine.insert({plate: 'HERE', start: T0 + HOUR}).reservation.checkedIn = true;
+  clock.t = T0 + HOUR + Engine.DEFAULT_POLICY.noShowMinutes * MINUTE;
+  assert.strictEqual(engine.tick(), true);
+  assert.deepStrictEqual(engine.arrayList.map(r => r.plate), ['HERE']);
+  assert.strictEqual(engine.noShowCount('GHOST'), 1);
+  assert.strictEqual(Object.values(engine.noShows)[0].events[0].id, reservation.id);
+});
+
+test('queueLanes groups waiters by vehicle in serving order', () => {
+  const {engine, clock} = setup();
+  fillCarSlots(engine, T0, null);
+  ['motorcycle', 'motorcycle', 'motorcycle'].forEach((vehicle, n) => engine.insert({plate: `M${n}`, start: T0, vehicle}));
+  engine.insert({plate: 'C1', start: T0});
+  clock.t += 1000;
+  engine.insert({plate: 'M3', start: T0, vehicle: 'motorcycle'});
+  clock.t += 1000;
+  engine.insert({plate: 'C2', start: T0, priority: 'pwd'});
+  const lanes = engine.queueLanes();
+  assert.deepStrictEqual(lanes.map(l => [l.vehicle, l.waiters.map(w => w.plate)]), [['car', ['C2', 'C1']], ['motorcycle', ['M3']]]);
+});
+
+test('turnoverInterval averages recent departures', () => {
+  const {engine, clock} = setup();
+  assert.strictEqual(engine.turnoverInterval('car'), null);
+  const a = engine.insert({plate: 'A', start: T0}).reservation;
+  const b = engine.insert({plate: 'B', start: T0}).reservation;
+  clock.t = T0 + HOUR;
+  engine.checkOut(a.id);
+  clock.t = T0 + 3 * HOUR;
+  engine.checkOut(b.id);
+  assert.strictEqual(engine.turnoverInterval('car'), 2 * HOUR);
+});
+
+// ============================================
+// Settings and layout
+// ============================================
+
+test('setRates and setPolicy validate every value before applying any', () => {
+  const {engine} = setup();
+  assert.strictEqual(engine.setRates({hourlyRate: '0'}).hourlyRate, 0);
+  assert.throws(() => engine.setRates({firstHourRate: 10, dailyCap: -1}), Engine.InvalidInputError);
+  assert.strictEqual(engine.rates.firstHourRate, Engine.DEFAULT_RATES.firstHourRate);
+
+  assert.strictEqual(engine.setPolicy({offerMinutes: 10}).offerMinutes, 10);
+  assert.throws(() => engine.setPolicy({noShowMinutes: 0}), Engine.InvalidInputError);
+  assert.throws(() => engine.setPolicy({queueTtlMinutes: 'soon'}), Engine.InvalidInputError);
+  assert.strictEqual(engine.policy.noShowMinutes, Engine.DEFAULT_POLICY.noShowMinutes);
+});
+
+test('applyLotConfig rejects layouts that strand bookings and lists every problem', () => {
+  const {engine, events} = setup();
+  engine.insert({plate: 'M1', start: T0, vehicle: 'motorcycle'});
+  const small = {...Lot.DEFAULT_LOT, floors: [{...Lot.DEFAULT_LOT.floors[0], zones: Lot.DEFAULT_LOT.floors[0].zones.slice(0, 1)}]};
+  events.length = 0;
+  try {
+    engine.applyLotConfig(small);
+    assert.fail('expected an error');
+  } catch (err) {
+    assert.ok(err instanceof Engine.InvalidInputError);
+    assert.deepStrictEqual(err.details.errors, ['M1 is booked on slot 18, which the new layout removes']);
+  }
+  assert.strictEqual(engine.slotCount, 20);
+  assert.strictEqual(events.length, 0);
+  assert.throws(() => engine.applyLotConfig({floors: []}), Engine.InvalidInputError);
+});
+
+test('applyLotConfig rebuilds the slot schedules for the new layout', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'R1', slot: 2, start: T0});
+  const small = {...Lot.DEFAULT_LOT, floors: [{...Lot.DEFAULT_LOT.floors[0], zones: Lot.DEFAULT_LOT.floors[0].zones.slice(0, 1)}]};
+  const layout = engine.applyLotConfig(small);
+  assert.strictEqual(engine.slotCount, layout.length);
+  assert.strictEqual(engine.parkingSlots.length, layout.length);
+  assert.strictEqual(engine.parkingSlots[1].length, 1);
+  assert.strictEqual(engine.lotConfig, small);
+});
+
+test('applyLotConfig withdraws an offer on a slot that no longer suits the waiter and re-offers it', () => {
+  const {engine} = setup();
+  [1, 2, 3, 4, 5, 6, 11, 12, 13, 14].forEach(slot => engine.insert({plate: `R${slot}`, slot, start: T0}));
+  const compact = [15, 16, 17].map(slot => engine.insert({plate: `C${slot}`, slot, start: T0, vehicle: 'compact'}).reservation);
+  [18, 19, 20].forEach(slot => engine.insert({plate: `M${slot}`, slot, start: T0, vehicle: 'motorcycle'}));
+  const car = engine.insert({plate: 'CWAIT', start: T0, vehicle: 'compact'}).entry;
+  const moto = engine.insert({plate: 'MWAIT', start: T0, vehicle: 'motorcycle'}).entry;
+  engine.remove(compact[2].id);
+  assert.deepStrictEqual(engine.offers.map(o => [o.slot, o.queueId]), [[17, car.id]]);
+
+  // Slot 17 becomes a motorcycle slot
+  const floors = Lot.DEFAULT_LOT.floors.map(f => f.id !== 'L2' ? f : {...f, zones: f.zones.map(z => z.id !== 'C' ? z : {...z, slots: [{type: 'regular', count: 4}, {type: 'compact', count: 2}, {type: 'motorcycle', count: 1}]})});
+  engine.applyLotConfig({...Lot.DEFAULT_LOT, floors});
+  assert.deepStrictEqual(engine.offers.map(o => [o.slot, o.queueId]), [[17, moto.id]]);
+  assert.deepStrictEqual(engine.queue.map(q => q.plate), ['CWAIT', 'MWAIT']);
+});
+
+// ============================================
+// Whole state and events
+// ============================================
+
+test('load repairs slot schedules from the ArrayList without sending events', () => {
+  const {engine, events} = setup();
+  const r = {plate: 'SAVED', slot: 4, bookedAt: T0, id: 'r1', start: T0, end: null, vehicle: 'car', priority: 'regular', checkedIn: true};
+  const lost = {...r, plate: 'LOST', slot: 99, id: 'r2'};
+  const repairs = engine.load({
+    arrayList: [r, {...r}, lost],
+    queue: [],
+    parkingSlots: [[{id: 'ghost', start: T0, end: null}]],
+    rates: {hourlyRate: 30}
+  });
+  assert.strictEqual(repairs.length, 4);
+  assert.deepStrictEqual(engine.arrayList.map(x => x.id), ['r1']);
+  assert.deepStrictEqual(engine.queue.map(q => q.plate), ['LOST']);
+  assert.strictEqual(engine.parkingSlots[0].length, 0);
+  assert.deepStrictEqual(engine.parkingSlots[3].map(b => b.id), ['r1']);
+  assert.strictEqual(engine.rates.hourlyRate, 30);
+  assert.strictEqual(engine.rates.dailyCap, Engine.DEFAULT_RATES.dailyCap);
+  assert.strictEqual(events.length, 0);
+});
+
+test('snapshot round-trips through load', () => {
+  const {engine} = setup();
+  engine.insert({plate: 'KEEP', start: T0});
+  engine.setPolicy({offerMinutes: 7});
+  const copy = JSON.parse(JSON.stringify(engine.snapshot()));
+
+  const other = Engine.createEngine({now: () => T0});
+  assert.deepStrictEqual(other.load(copy), []);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(other.snapshot())), copy);
+});
+
+test('subscribe reports each operation once and can be undone', () => {
+  const {engine} = setup();
+  const seen = [];
+  const unsubscribe = engine.subscribe(list => seen.push(list.map(e => e.action)));
+  engine.insert({plate: 'E1', start: T0});
+  assert.throws(() => engine.insert({plate: 'E1', start: T0}), Engine.DuplicatePlateError);
+  unsubscribe();
+  engine.insert({plate: 'E2', start: T0});
+  assert.deepStrictEqual(seen, [['reserve']]);
+});
+
+test('mergeEntries adds valid entries and explains skipped ones', () => {
+  const layout = Lot.buildLayout(Lot.DEFAULT_LOT);
+  const base = {arrayList: [{plate: 'HAVE', slot: 1, id: 'a', start: T0, end: null, vehicle: 'car', priority: 'regular'}], queue: []};
+  const incoming = {
+    arrayList: [
+      {plate: 'NEW', slot: 2, start: T0},
+      {plate: 'HAVE', slot: 3, start: T0},
+      {plate: 'CLASH', slot: 1, start: T0},
+      {plate: 'BIKE', slot: 1, start: T0 + HOUR, end: T0 + 2 * HOUR, vehicle: 'motorcycle'}
+    ],
+    queue: [{plate: 'Q1', start: T0}]
+  };
+  const result = Engine.mergeEntries(base, incoming, layout, {now: T0, plateRules: ANY_PLATE});
+  assert.strictEqual(result.added, 2);
+  assert.deepStrictEqual(result.arrayList.map(r => r.plate), ['HAVE', 'NEW']);
+  assert.deepStrictEqual(result.queue.map(q => [q.plate, q.queuedAt]), [['Q1', T0]]);
+  assert.deepStrictEqual(result.problems, [
+    'Reservation 2 (HAVE): Plate already in system for that time (either reserved or queued)',
+    'Reservation 3 (CLASH): Slot 1 is already booked for that time by HAVE',
+    'Reservation 4 (BIKE): Slot 1 (Regular) is not suitable for a Motorcycle'
+  ]);
+  assert.strictEqual(base.arrayList.length, 1, 'the base lists are not changed');
+});
+
+// ============================================
+// Plate formats
+// ============================================
+
+test('insert stores plates normalized and rejects ones that match no format', () => {
+  const engine = Engine.createEngine({now: () => T0});
+  const {reservation} = engine.insert({plate: ' abc-1234 ', start: T0});
+  assert.strictEqual(reservation.plate, 'ABC 1234');
+  assert.strictEqual(engine.insert({plate: 'xyz.987', start: T0}).reservation.plate, 'XYZ 987');
+
+  assert.throws(() => engine.insert({plate: 'NOT A PLATE', start: T0}), err =>
+    err instanceof Engine.InvalidPlateError && err instanceof Engine.InvalidInputError && /expected ABC 1234 or ABC 123/.test(err.message));
+  assert.throws(() => engine.insert({plate: '', start: T0}), Engine.InvalidPlateError);
+  assert.strictEqual(engine.arrayList.length, 2);
+});
+
+test('duplicate checks and search ignore case, separators and look-alikes', () => {
+  const engine = Engine.createEngine({now: () => T0});
+  engine.insert({plate: 'BOI 1010', start: T0});
+  assert.throws(() => engine.insert({plate: 'b0i-IOIO', start: T0}), Engine.DuplicatePlateError);
+  assert.strictEqual(engine.search('boi1o').length, 1);
+  assert.strictEqual(engine.search('B-0-I').length, 1);
+  assert.strictEqual(engine.search('XYZ').length, 0);
+  assert.deepStrictEqual(engine.search('b0-i1').map(r => r.match), [{typos: 0, start: 0, end: 5}]);
+});
+
+test('setPlateRules validates, changes accepted plates and is saved', () => {
+  const engine = Engine.createEngine({now: () => T0});
+  assert.throws(() => engine.setPlateRules({formats: ['nowhere'], custom: ['LLX'], allowOther: false}), err =>
+    err instanceof Engine.InvalidInputError && err.details.errors.length === 2);
+  assert.throws(() => engine.insert({plate: 'AB 12', start: T0}), Engine.InvalidPlateError);
+
+  engine.setPlateRules({formats: ['uk'], custom: ['LL DD'], allowOther: false});
+  assert.strictEqual(engine.insert({plate: 'ab12', start: T0}).reservation.plate, 'AB 12');
+  assert.strictEqual(engine.insert({plate: 'ab12cde', start: T0}).reservation.plate, 'AB12 CDE');
+  assert.throws(() => engine.insert({plate: 'ABC 1234', start: T0}), /expected AB12 CDE or AB 12/);
+
+  const copy = Engine.createEngine({now: () => T0});
+  copy.load(JSON.parse(JSON.stringify(engine.snapshot())));
+  assert.deepStrictEqual(copy.plateRules, engine.plateRules);
+});
+
+test('mergeEntries turns booking times saved as locale text into epoch ms', () => {
+  const layout = Lot.buildLayout(Lot.DEFAULT_LOT);
+  const booked = Date.parse('1/1/2030, 7:30:00 AM');
+  const incoming = {
+    arrayList: [
+      {plate: 'OLD', slot: 1, start: T0, time: '1/1/2030, 7:30:00 AM'},
+      {plate: 'DAYFIRST', slot: 2, start: T0, time: '13/1/2030, 07:30:00'},
+      {plate: 'LATER', slot: 3, start: T0, time: '2/1/2030, 7:30:00 AM'},
+      {plate: 'NEW', slot: 4, start: T0, bookedAt: T0 - HOUR}
+    ],
+    queue: [{plate: 'WAITER', start: T0 + HOUR, queuedAt: T0 - MINUTE, time: 'whenever'}]
+  };
+  const result = Engine.mergeEntries({arrayList: [], queue: []}, incoming, layout, {now: T0, plateRules: ANY_PLATE});
+  assert.deepStrictEqual(result.arrayList.map(r => r.bookedAt), [booked, T0, T0, T0 - HOUR]);
+  assert.strictEqual(result.queue[0].bookedAt, T0 - MINUTE);
+  assert.ok(result.arrayList.concat(result.queue).every(e => !('time' in e)));
+});
+
+test('setDisplay validates, formats times in the chosen zone and is saved', () => {
+  const {engine, events} = setup();
+  assert.throws(() => engine.setDisplay({locale: 'en-US', timeZone: 'Nowhere/City'}), err =>
+    err instanceof Engine.InvalidInputError && err.details.errors.length === 1);
+
+  engine.setDisplay({locale: 'en-US', timeZone: 'Asia/Manila'});
+  assert.deepStrictEqual(events.pop().map(e => [e.action, e.summary]), [['settings', 'Time display updated']]);
+  engine.insert({plate: 'ZONED', start: T0, end: T0 + HOUR});
+  assert.strictEqual(events.pop()[0].summary, 'ZONED reserved slot 1 for 1/1/2030, 4:00:00 PM → 1/1/2030, 5:00:00 PM');
+  assert.strictEqual(Engine.formatWindow(T0, null, engine.clock), '1/1/2030, 4:00:00 PM → OPEN');
+
+  const copy = Engine.createEngine({now: () => T0});
+  copy.load(JSON.parse(JSON.stringify(engine.snapshot())));
+  assert.deepStrictEqual(copy.display, {locale: 'en-US', timeZone: 'Asia/Manila'});
+  copy.load({display: {locale: 5, timeZone: 'Mars/Base'}});
+  assert.deepStrictEqual(copy.display, {locale: '', timeZone: ''});
+});
+
+test('mergeEntries normalizes imported plates and skips invalid ones', () => {
+  const layout = Lot.buildLayout(Lot.DEFAULT_LOT);
+  const incoming = {arrayList: [{plate: 'abc1234', slot: 1, start: T0}, {plate: '???', slot: 2, start: T0}], queue: [{plate: 'ABC-I234', start: T0}]};
+  const result = Engine.mergeEntries({arrayList: [], queue: []}, incoming, layout, {now: T0});
+  assert.deepStrictEqual(result.arrayList.map(r => r.plate), ['ABC 1234']);
+  assert.deepStrictEqual(result.problems, [
+    'Reservation 2 (???): Plate numbers may only contain letters, digits, spaces and hyphens - "?" is not allowed',
+    'Queue entry 1 (ABC-I234): Plate already in system for that time (either reserved or queued)'
+  ]);
+});
+
+// ============================================
+// Bulk operations and slot blocks
+// ============================================
+
+test('removeMany deletes every reservation as one change, or none if an id is unknown', () => {
+  const {engine, events} = setup();
+  const a = engine.insert({plate: 'A1', start: T0}).reservation;
+  const b = engine.insert({plate: 'B1', start: T0}).reservation;
+  engine.insert({plate: 'C1', start: T0});
+  events.length = 0;
+
+  assert.throws(() => engine.removeMany([a.id, 'nope']), Engine.NotFoundError);
+  assert.strictEqual(engine.arrayList.length, 3);
+  assert.strictEqual(events.length, 0);
+
+  const removed = engine.removeMany([a.id, b.id, a.id]);
+  assert.deepStrictEqual(removed.map(r => r.plate), ['A1', 'B1']);
+  assert.deepStrictEqual(engine.arrayList.map(r => r.plate), ['C1']);
+  assert.strictEqual(events.length, 1);
+  assert.deepStrictEqual(events[0].map(e => e.action), ['delete', 'delete']);
+});
+
+test('move keeps the id and window, updates the slot schedules and offers the old slot', () => {
+  const {engine, events} = setup();
+  fillCarSlots(engine, T0, null);
+  engine.insert({plate: 'WAIT', start: T0});
+  const res = engine.arrayList[0];
+  engine.removeMany([engine.arrayList[3].id]);
+  engine.declineOffer(engine.queue[0].id);
+  events.length = 0;
+
+  const moved = engine.move(res.id, 4);
+  assert.strictEqual(moved, res);
+  assert.deepStrictEqual([res.slot, res.id, res.start, res.bookedAt], [4, engine.arrayList[0].id, T0, T0]);
+  assert.strictEqual(engine.parkingSlots[0].length, 0);
+  assert.deepStrictEqual(engine.parkingSlots[3].map(b => b.id), [res.id]);
+  assert.deepStrictEqual(events[0].map(e => [e.action, e.summary]), [['move', 'FILL1 moved from slot 1 to slot 4'], ['offer', 'Slot 1 offered to WAIT']]);
+
+  assert.throws(() => engine.move(res.id, 4), Engine.InvalidInputError);
+  assert.throws(() => engine.move(res.id, 2), Engine.SlotOccupiedError);
+  assert.throws(() => engine.move(res.id, 18), Engine.InvalidSlotError);
+  assert.throws(() => engine.move(res.id, 1), Engine.SlotOccupiedError, 'held for the offer');
+  assert.throws(() => engine.move(res.id), Engine.LotFullError);
+});
+
+test('moveMany moves to free slots away from the selected ones and reports what could not move', () => {
+  const {engine} = setup();
+  const a = engine.insert({plate: 'A1', slot: 1, start: T0}).reservation;
+  const b = engine.insert({plate: 'B1', slot: 2, start: T0}).reservation;
+  const m = engine.insert({plate: 'M1', slot: 18, start: T0, vehicle: 'motorcycle'}).reservation;
+  engine.insert({plate: 'M2', slot: 19, start: T0, vehicle: 'motorcycle'});
+  engine.insert({plate: 'M3', slot: 20, start: T0, vehicle: 'motorcycle'});
+
+  const result = engine.moveMany([a.id, b.id, m.id], [3]);
+  assert.deepStrictEqual(result.moved.map(r => [r.plate, r.slot]), [['A1', 4], ['B1', 5]]);
+  assert.deepStrictEqual(result.failed.map(f => f.plate), ['M1']);
+  assert.strictEqual(m.slot, 18);
+  assert.throws(() => engine.moveMany(['nope']), Engine.NotFoundError);
+});
+
+test('blockSlots takes slots out of service for auto-assign, chosen slots and queue offers', () => {
+  const {engine, events} = setup();
+  const blocks = engine.blockSlots([1, 2], {reason: 'maintenance', start: T0, end: T0 + HOUR, note: 'Repaint', operator: 'boss'});
+  assert.deepStrictEqual(blocks.map(b => [b.slot, b.reason, b.note, b.operator]), [[1, 'maintenance', 'Repaint', 'boss'], [2, 'maintenance', 'Repaint', 'boss']]);
+  assert.deepStrictEqual(events.pop().map(e => e.action), ['block', 'block']);
+  assert.ok(engine.blockOn(0, T0, T0 + 1));
+  assert.ok(!engine.blockOn(0, T0 + HOUR, null));
+
+  assert.strictEqual(engine.insert({plate: 'AUTO', start: T0}).reservation.slot, 3);
+  assert.throws(() => engine.insert({plate: 'PICK', slot: 1, start: T0}), err =>
+    err instanceof Engine.SlotBlockedError && err instanceof Engine.SlotOccupiedError && err.message === 'Slot 1 is out of service (Maintenance) for that time');
+  assert.strictEqual(engine.insert({plate: 'LATER', slot: 1, start: T0 + HOUR}).reservation.slot, 1);
+  assert.strictEqual(engine.freeSlotCount(T0, T0 + HOUR, 'car'), 7);
+
+  // Releasing a booking on a blocked slot doesn't offer it to a waiter who would overlap the block
+  const other = setup().engine;
+  other.blockSlots([1], {reason: 'maintenance', start: T0, end: T0 + HOUR});
+  fillCarSlots(other, T0 + HOUR, null);
+  assert.strictEqual(other.insert({plate: 'WAIT', start: T0}).status, 'queued');
+  other.remove(other.arrayList[0].id);
+  assert.deepStrictEqual(other.offers, []);
+});
+
+test('blockSlots is all or nothing and lists every conflict', () => {
+  const {engine, events} = setup();
+  engine.insert({plate: 'BUSY', slot: 2, start: T0, end: T0 + HOUR});
+  engine.blockSlots([3], {reason: 'closed', start: T0});
+  events.length = 0;
+
+  try {
+    engine.blockSlots([1, 2, 3], {reason: 'event', start: T0, end: T0 + 2 * HOUR});
+    assert.fail('expected an error');
+  } catch (err) {
+    assert.ok(err instanceof Engine.SlotOccupiedError);
+    assert.strictEqual(err.details.errors.length, 2);
+    assert.match(err.details.errors[0], /^Slot 2 is booked by BUSY for /);
+    assert.strictEqual(err.details.errors[1], 'Slot 3 is already out of service (Closed) for that time');
+  }
+  assert.strictEqual(engine.blocks.length, 1);
+  assert.strictEqual(events.length, 0);
+  assert.throws(() => engine.blockSlots([1], {reason: 'party'}), Engine.InvalidInputError);
+  assert.throws(() => engine.blockSlots([1], {reason: 'event', start: T0, end: T0}), Engine.InvalidInputError);
+  assert.throws(() => engine.blockSlots([99], {reason: 'event'}), Engine.InvalidSlotError);
+  assert.throws(() => engine.blockSlots([], {reason: 'event'}), Engine.InvalidInputError);
+});
+
+test('unblock and the end of a block put the slot back in service and offer it to the queue', () => {
+  const {engine, clock, events} = setup();
+  fillCarSlots(engine, T0, null);
+  engine.removeMany([engine.arrayList[0].id, engine.arrayList[1].id]);
+  const [one, two] = engine.blockSlots([1, 2], {reason: 'maintenance', start: T0, end: T0 + HOUR});
+  engine.insert({plate: 'WAIT1', start: T0});
+  engine.insert({plate: 'WAIT2', start: T0});
+  assert.deepStrictEqual(engine.queue.map(q => q.plate), ['WAIT1', 'WAIT2']);
+  events.length = 0;
+
+  engine.unblock([one.id]);
+  assert.deepStrictEqual(events.pop().map(e => [e.action, e.source]), [['unblock', 'operator'], ['offer', 'auto']]);
+  assert.deepStrictEqual(engine.offers.map(o => [o.slot, o.plate]), [[1, 'WAIT1']]);
+  assert.throws(() => engine.unblock([one.id]), Engine.NotFoundError);
+
+  clock.t = T0 + HOUR;
+  engine.offers.length = 0;
+  assert.strictEqual(engine.tick(), true);
+  assert.strictEqual(engine.blocks.length, 0);
+  const ended = events.pop();
+  assert.deepStrictEqual(ended.map(e => [e.action, e.source]), [['unblock', 'timer'], ['offer', 'timer']]);
+  assert.strictEqual(ended[0].before.id, two.id);
+});
+
+test('blocks are saved, dropped with their slot from the layout and respected by imports', () => {
+  const {engine} = setup();
+  engine.blockSlots([2, 18], {reason: 'event', start: T0});
+  const copy = Engine.createEngine({now: () => T0});
+  copy.load(JSON.parse(JSON.stringify(engine.snapshot())));
+  assert.deepStrictEqual(copy.blocks.map(b => b.slot), [2, 18]);
+
+  const small = {...Lot.DEFAULT_LOT, floors: [{...Lot.DEFAULT_LOT.floors[0], zones: Lot.DEFAULT_LOT.floors[0].zones.slice(0, 1)}]};
+  engine.applyLotConfig(small);
+  assert.deepStrictEqual(engine.blocks.map(b => b.slot), [2]);
+
+  const incoming = {arrayList: [{plate: 'IMP1', slot: 2, start: T0}, {plate: 'IMP2', slot: 3, start: T0}], queue: []};
+  const result = Engine.mergeEntries({arrayList: [], queue: []}, incoming, engine.layout, {now: T0, plateRules: ANY_PLATE, blocks: engine.blocks});
+  assert.deepStrictEqual(result.arrayList.map(r => r.plate), ['IMP2']);
+  assert.deepStrictEqual(result.problems, ['Reservation 1 (IMP1): Slot 2 is out of service (Event) for that time']);
+});
+
+test('swap exchanges the slots of two reservations and keeps their ids and times', () => {
+  const {engine, events} = setup();
+  const a = engine.insert({plate: 'A1', slot: 1, start: T0, end: T0 + HOUR}).reservation;
+  const b = engine.insert({plate: 'B1', slot: 11, start: T0, end: T0 + 2 * HOUR}).reservation;
+  events.length = 0;
+
+  assert.deepStrictEqual(engine.swap(a.id, b.id), [a, b]);
+  assert.deepStrictEqual([a.slot, b.slot], [11, 1]);
+  assert.deepStrictEqual([a.id, a.bookedAt, a.start, b.end], [engine.arrayList[0].id, T0, T0, T0 + 2 * HOUR]);
+  assert.deepStrictEqual(engine.parkingSlots[0].map(x => x.id), [b.id]);
+  assert.deepStrictEqual(engine.parkingSlots[10].map(x => x.id), [a.id]);
+  assert.deepStrictEqual(events[0].map(e => [e.action, e.summary]), [['move', 'A1 and B1 swapped slots (now 11 and 1)']]);
+  assert.strictEqual(events[0][0].before.a.slot, 1);
+});
+
+test('swap is rejected when a slot does not suit or is taken during the other stay', () => {
+  const {engine, events} = setup();
+  const a = engine.insert({plate: 'A1', slot: 1, start: T0, end: T0 + HOUR}).reservation;
+  const b = engine.insert({plate: 'B1', slot: 2, start: T0, end: T0 + HOUR}).reservation;
+  const c = engine.insert({plate: 'C1', slot: 2, start: T0 + 2 * HOUR, end: T0 + 3 * HOUR}).reservation;
+  const long = engine.insert({plate: 'L1', slot: 3, start: T0, end: T0 + 3 * HOUR}).reservation;
+  const m = engine.insert({plate: 'M1', slot: 18, start: T0, vehicle: 'motorcycle'}).reservation;
+  events.length = 0;
+
+  assert.throws(() => engine.swap(a.id, m.id), Engine.InvalidSlotError);
+  assert.throws(() => engine.swap(b.id, c.id), Engine.InvalidInputError);
+  assert.throws(() => engine.swap(long.id, b.id), err =>
+    err instanceof Engine.SlotOccupiedError && err.message === "Slot 2 is also booked by C1 during L1's stay");
+  engine.blockSlots([4], {reason: 'closed', start: T0 + HOUR});
+  const d = engine.insert({plate: 'D1', slot: 4, start: T0, end: T0 + HOUR}).reservation;
+  assert.throws(() => engine.swap(long.id, d.id), Engine.SlotBlockedError);
+  assert.throws(() => engine.swap(a.id, 'nope'), Engine.NotFoundError);
+  assert.deepStrictEqual([a.slot, b.slot, long.slot], [1, 2, 3]);
+  assert.strictEqual(events.filter(list => list.some(e => e.action === 'move')).length, 0);
+  assert.strictEqual(engine.swap(a.id, b.id)[0].slot, 2);
+});
@@ -0,0 +1,68 @@
+// =============================================
+// SmartPark - Plate Rules Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Plates = require('../plate-rules.js');
+
+const rules = Plates.DEFAULT_PLATE_RULES;
+const normalized = raw => Plates.normalizePlate(raw, rules).plate;
+
+test('normalizePlate fixes case and separators', () => {
+  assert.strictEqual(normalized('abc1234'), 'ABC 1234');
+  assert.strictEqual(normalized(' Abc - 1234 '), 'ABC 1234');
+  assert.strictEqual(normalized('abc.123'), 'ABC 123');
+  assert.strictEqual(normalized('ABC_1234'), 'ABC 1234');
+});
+
+test('normalizePlate reads look-alike characters by position', () => {
+  assert.strictEqual(normalized('AB0 I234'), 'ABO 1234');
+  assert.strictEqual(normalized('1OI 00O1'), 'IOI 0001');
+});
+
+test('normalizePlate explains why a plate is rejected', () => {
+  assert.deepStrictEqual(Plates.normalizePlate('  ', rules), {plate: null, error: 'Please enter a plate number'});
+  assert.match(Plates.normalizePlate('ABC/123', rules).error, /"\/" is not allowed/);
+  assert.strictEqual(Plates.normalizePlate('AB 2345', rules).error, '"AB 2345" is not a valid plate number - expected ABC 1234 or ABC 123');
+  assert.strictEqual(Plates.normalizePlate('ABCD 1234', rules).plate, null);
+});
+
+test('normalizePlate accepts other plates only when allowed', () => {
+  const open = {formats: ['ph-private'], custom: [], allowOther: true};
+  assert.strictEqual(Plates.normalizePlate('abc 1234', open).plate, 'ABC 1234');
+  assert.strictEqual(Plates.normalizePlate('my-car', open).plate, 'MYCAR');
+  assert.match(Plates.normalizePlate('ABCDEFGHIJK', open).error, /or up to 10 letters and digits$/);
+});
+
+test('validatePlateRules lists every problem', () => {
+  assert.deepStrictEqual(Plates.validatePlateRules(rules), []);
+  assert.deepStrictEqual(Plates.validatePlateRules({formats: ['uk'], custom: ['LL-DD', 'D LLL'], allowOther: false}), []);
+  assert.strictEqual(Plates.validatePlateRules({formats: ['mars'], custom: ['LLQ', 'L  D', 'LLLLLLDDDDD'], allowOther: false}).length, 4);
+  assert.deepStrictEqual(Plates.validatePlateRules({formats: [], custom: [], allowOther: false}), ['Enable at least one plate format or allow other plates']);
+  assert.strictEqual(Plates.validatePlateRules(null).length, 1);
+});
+
+test('plateKey and plateMatches treat spellings of one plate alike', () => {
+  assert.strictEqual(Plates.plateKey('abo-1234'), Plates.plateKey('AB0 I234'));
+  assert.notStrictEqual(Plates.plateKey('ABC 1234'), Plates.plateKey('ABC 1235'));
+  assert.ok(Plates.plateMatches('ABO 1234', 'b0-i2'));
+  assert.ok(!Plates.plateMatches('ABO 1234', '4321'));
+});
+
+test('examplePlate fills a pattern', () => {
+  assert.strictEqual(Plates.examplePlate('LLL DDDD'), 'ABC 1234');
+  assert.strictEqual(Plates.examplePlate('LLDD LLL'), 'AB12 CDE');
+  assert.strictEqual(Plates.examplePlate('DLLLDDD'), '1ABC234');
+});
+
+test('fuzzyPlateMatch tolerates typos and locates the match in the plate', () => {
+  assert.deepStrictEqual(Plates.fuzzyPlateMatch('ABC 1234', 'c12'), {typos: 0, start: 2, end: 6});
+  assert.deepStrictEqual(Plates.fuzzyPlateMatch('ABC 1234', 'ABD1234'), {typos: 1, start: 0, end: 8});
+  assert.deepStrictEqual(Plates.fuzzyPlateMatch('ABC 1234', 'AC1234'), {typos: 1, start: 0, end: 8});
+  assert.deepStrictEqual(Plates.fuzzyPlateMatch('ABO 1234', 'b0i2'), {typos: 0, start: 1, end: 6});
+  assert.strictEqual(Plates.fuzzyPlateMatch('ABC 1234', 'ABD'), null, 'short terms must match exactly');
+  assert.strictEqual(Plates.fuzzyPlateMatch('ABC 1234', 'XBD 1234'), null);
+  assert.strictEqual(Plates.fuzzyPlateMatch('ABC 1234', ' - '), null);
+});
@@ -0,0 +1,131 @@
+// =============================================
+// SmartPark - QR Code and Sticker Export Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const QR = require('../qrcode.js');
+const Export = require('../sticker-export.js');
+
+/**
+ * Reads the 15 format bits around the top-left finder pattern
+ */
+function formatBits(qr){
+  const m = qr.modules;
+  const bits = [];
+  for(let i=0; i<=5; i++) bits.push(m[i][8]);
+  bits.push(m[7][8], m[8][8], m[8][7]);
+  for(let i=9; i<15; i++) bits.push(m[8][14 - i]);
+  return bits.reduce((value, dark, i) => value | (dark ? 1 << i : 0), 0);
+}
+
+/**
+ * Reads the copy of the format bits split between the other two corners
+ */
+function formatBitsCopy(qr){
+  const m = qr.modules;
+  const size = qr.size;
+  const bits = [];
+  for(let i=0; i<8; i++) bits.push(m[8][size - 1 - i]);
+  for(let i=8; i<15; i++) bits.push(m[size - 15 + i][8]);
+  return bits.reduce((value, dark, i) => value | (dark ? 1 << i : 0), 0);
+}
+
+test('encode picks the smallest version that fits', () => {
+  assert.strictEqual(QR.encode('HELLO', 'M').version, 1);
+  assert.strictEqual(QR.encode('x'.repeat(14), 'M').version, 1);
+  assert.strictEqual(QR.encode('x'.repeat(15), 'M').version, 2);
+  assert.strictEqual(QR.encode('x'.repeat(152), 'M').version, 8);
+  assert.strictEqual(QR.encode('x'.repeat(153), 'M').version, 9);
+  assert.ok(QR.encode('x'.repeat(150), 'H').version > QR.encode('x'.repeat(150), 'L').version);
+});
+
+test('encode draws finder and timing patterns', () => {
+  const qr = QR.encode('SP1.payload.signature', 'M');
+  assert.strictEqual(qr.size, qr.version * 4 + 17);
+  assert.strictEqual(qr.modules.length, qr.size);
+  [[0, 0], [qr.size - 7, 0], [0, qr.size - 7]].forEach(([x0, y0]) => {
+    for(let i=0; i<7; i++){
+      assert.strictEqual(qr.modules[y0][x0 + i], true, 'finder outline');
+      assert.strictEqual(qr.modules[y0 + 3][x0 + 3], true, 'finder centre');
+      assert.strictEqual(qr.modules[y0 + 1][x0 + 1], false, 'finder ring');
+    }
+  });
+  for(let i=8; i<qr.size - 8; i++){
+    assert.strictEqual(qr.modules[6][i], i % 2 === 0);
+    assert.strictEqual(qr.modules[i][6], i % 2 === 0);
+  }
+});
+
+test('encode writes matching, valid format information for each level', () => {
+  const expectedLevel = {L: 1, M: 0, Q: 3, H: 2};
+  Object.keys(expectedLevel).forEach(level => {
+    const qr = QR.encode('SmartPark sticker', level);
+    const bits = formatBits(qr);
+    assert.strictEqual(bits, formatBitsCopy(qr));
+    const data = (bits ^ 0x5412) >>> 10;
+    assert.strictEqual(data >>> 3, expectedLevel[level]);
+
+    let rem = data;
+    for(let i=0; i<10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    assert.strictEqual(((data << 10 | rem) ^ 0x5412), bits, 'BCH check bits');
+  });
+});
+
+test('encode rejects unknown levels and text that cannot fit', () => {
+  assert.throws(() => QR.encode('x', 'Z'), /Unknown error correction level/);
+  assert.throws(() => QR.encode('x'.repeat(3000), 'M'), /too long/);
+});
+
+const sticker = {
+  code: 'SP1.eyJpZCI6ImlkMSJ9.c2lnbmF0dXJl',
+  label: 'SP-ABC(123)-04-C2LNBMF0',
+  plate: 'ABC(123)',
+  slot: 4,
+  time: '1/1/2030, 8:00:00 AM',
+  validity: '1/1/2030, 8:00:00 AM → OPEN'
+};
+
+test('layout places the QR code and every line of text on the page', () => {
+  const sheet = Export.layout(sticker);
+  const qr = sheet.items.find(item => item.type === 'qr');
+  assert.strictEqual(qr.qr.size, QR.encode(sticker.code, 'M').size);
+  sheet.items.filter(item => item.type === 'text').forEach(item => {
+    assert.ok(item.y > 0 && item.y < sheet.height);
+    assert.ok(item.text.length * item.size * 0.6 <= sheet.width - 16, `"${item.text}" fits across the sticker`);
+    assert.match(item.text, /^[\x20-\x7E]*$/);
+  });
+  assert.ok(sheet.items.some(item => item.text === 'VALID 1/1/2030, 8:00:00 AM -> OPEN'));
+});
+
+test('toPdf writes a well-formed single page PDF', () => {
+  const pdf = Export.toPdf(sticker);
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  assert.match(pdf, /^[\x00-\x7F]*$/);
+
+  // Every cross-reference offset points at its object
+  const xrefAt = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(pdf.startsWith('xref\n', xrefAt));
+  const offsets = pdf.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  assert.strictEqual(offsets.length, 6);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset)));
+
+  // The content stream length matches and special characters are escaped
+  const [, length, content] = pdf.match(/<< \/Length (\d+) >>\nstream\n([\s\S]*)\nendstream/);
+  assert.strictEqual(content.length, Number(length));
+  assert.ok(content.includes('(PLATE ABC\\(123\\)   SLOT 4) Tj'));
+  assert.ok(content.includes(' re\n'));
+});
+
+test('toPdf puts several stickers on one page each', () => {
+  const second = {...sticker, plate: 'XYZ 789', slot: 12};
+  const pdf = Export.toPdf([sticker, second]);
+  assert.match(pdf, /\/Kids \[5 0 R 7 0 R\] \/Count 2/);
+  const offsets = pdf.slice(Number(pdf.match(/startxref\n(\d+)\n/)[1])).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  assert.strictEqual(offsets.length, 8);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset)));
+  assert.ok(pdf.includes('(PLATE ABC\\(123\\)   SLOT 4) Tj'));
+  assert.ok(pdf.includes('(PLATE XYZ 789   SLOT 12) Tj'));
+});
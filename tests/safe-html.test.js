@@ -0,0 +1,93 @@
+// =============================================
+// SmartPark - Safe HTML Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const {escapeHtml, html, raw, SafeHtml} = require('../safe-html.js');
+const Plates = require('../plate-rules.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Plates as an attacker might save them, bypassing the form
+const MALICIOUS = [
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(1)</script>',
+  "' onmouseover='alert(1)",
+  '" autofocus onfocus="alert(1)',
+  '`${alert(1)}`',
+  '<svg/onload=alert(1)>',
+  '&lt;script&gt;'
+];
+
+test('escapeHtml escapes every character that can start markup or end an attribute', () => {
+  assert.strictEqual(escapeHtml(`<a href="x" title='y'>&\`</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;');
+  assert.strictEqual(escapeHtml(null), '');
+  assert.strictEqual(escapeHtml(undefined), '');
+  assert.strictEqual(escapeHtml(0), '0');
+});
+
+test('html escapes malicious plates in element content and attributes', () => {
+  MALICIOUS.forEach(plate => {
+    const markup = String(html`<div class="plate" title="Slot for ${plate}" data-plate='${plate}'>${plate}</div>`);
+    assert.ok(!/<(img|script|svg)/i.test(markup), `no element injected by ${plate}`);
+    // The only quotes left are the template's own, so attributes can't be closed early
+    assert.strictEqual(markup.match(/"/g).length, 4, `attributes intact for ${plate}`);
+    assert.strictEqual(markup.match(/'/g).length, 2, `attributes intact for ${plate}`);
+    assert.ok(markup.includes(`>${escapeHtml(plate)}</div>`));
+  });
+});
+
+test('html escapes text that is already escaped again, so it shows as typed', () => {
+  assert.strictEqual(String(html`<b>${'&lt;script&gt;'}</b>`), '<b>&amp;lt;script&amp;gt;</b>');
+});
+
+test('html inserts nested templates and lists of them without escaping them twice', () => {
+  const plate = '<b>';
+  const rows = ['A', '<i>'].map(p => html`<li>${p}</li>`);
+  assert.strictEqual(String(html`<ul>${rows}</ul>`), '<ul><li>A</li><li>&lt;i&gt;</li></ul>');
+  assert.strictEqual(String(html`<p>${true ? html`<em>${plate}</em>` : ''}</p>`), '<p><em>&lt;b&gt;</em></p>');
+  assert.strictEqual(String(html`<p>${false}${null}${undefined}${''}</p>`), '<p></p>');
+  assert.strictEqual(String(html`${raw('<hr>')}`), '<hr>');
+  assert.ok(html`x` instanceof SafeHtml);
+});
+
+test('plates with markup characters are rejected before they are stored', () => {
+  const rules = {...Plates.DEFAULT_PLATE_RULES, allowOther: true};
+  MALICIOUS.forEach(plate => {
+    assert.strictEqual(Plates.normalizePlate(plate, rules).plate, null, plate);
+  });
+});
+
+// ============================================
+// Source checks: every render path escapes and the pages stay CSP-friendly
+// ============================================
+
+const scripts = fs.readdirSync(ROOT).filter(f => f.endsWith('.js'));
+const pages = fs.readdirSync(ROOT).filter(f => f.endsWith('.html'));
+
+test('markup is only built with the html template tag', () => {
+  scripts.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    source.split('\n').forEach((line, i) => {
+      const where = `${file}:${i + 1}`;
+      assert.ok(!/(?<!html)`\s*<[a-zA-Z!\/]/.test(line), `untagged markup template at ${where}`);
+      assert.ok(!/innerHTML\s*=[^=].*\+/.test(line), `markup built by concatenation at ${where}`);
+      assert.ok(!/insertAdjacentHTML|outerHTML\s*=|document\.write/.test(line), `unescaped markup insertion at ${where}`);
+    });
+  });
+});
+
+test('pages have no inline scripts, event handlers or styles', () => {
+  pages.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    assert.ok(!/<script(?![^>]*\bsrc=)[^>]*>/i.test(source), `inline <script> in ${file}`);
+    assert.ok(!/<style[\s>]/i.test(source), `<style> block in ${file}`);
+    assert.ok(!/\sstyle\s*=/i.test(source), `style attribute in ${file}`);
+    assert.ok(!/\son[a-z]+\s*=/i.test(source), `inline event handler in ${file}`);
+    assert.ok(!/javascript:/i.test(source), `javascript: URL in ${file}`);
+  });
+});
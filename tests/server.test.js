@@ -0,0 +1,250 @@
+// =============================================
+// SmartPark - Lot Server Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {createServer, parseArgs} = require('../server.js');
+const Storage = require('../storage.js');
+
+const T0 = Date.UTC(2025, 11, 16, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Starts a server on a free port with a fresh data file
+ * @param {Object} [options] - Passed to createServer
+ * @returns {Promise<{url: string, file: string, call: Function, close: Function}>}
+ */
+function start(options){
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'smartpark-')), 'lot.json');
+  const server = createServer({file, now: () => T0, ...options});
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const call = (method, p, body, headers) => fetch(url + p, {
+      method, headers: {'Content-Type': 'application/json', ...headers}, body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(res => res.text().then(text => ({status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null})));
+    resolve({url, file, call, close: () => new Promise(done => server.close(done))});
+  }));
+}
+
+test('reservations are inserted, listed, saved to the file and deleted', async () => {
+  const s = await start();
+  try {
+    const created = await s.call('POST', '/api/reservations', {plate: 'abc 1234', slot: 2, start: T0, end: T0 + HOUR, operator: 'kiosk'});
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.status, 'reserved');
+    const r = created.body.reservation;
+    assert.deepStrictEqual([r.plate, r.slot, r.start, r.end, r.operator], ['ABC 1234', 2, T0, T0 + HOUR, 'kiosk']);
+
+    assert.deepStrictEqual((await s.call('GET', '/api/reservations')).body.map(x => x.id), [r.id]);
+    assert.strictEqual((await s.call('GET', `/api/reservations/${r.id}`)).body.plate, 'ABC 1234');
+
+    const saved = JSON.parse(fs.readFileSync(s.file, 'utf8'));
+    assert.strictEqual(saved.document.version, Storage.SCHEMA_VERSION);
+    assert.deepStrictEqual(saved.document.data.arrayList.map(x => x.id), [r.id]);
+    assert.deepStrictEqual(saved.document.data.auditLog.map(e => [e.action, e.operator]), [['reserve', 'kiosk']]);
+
+    const removed = await s.call('DELETE', `/api/reservations/${r.id}`);
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual(removed.body.id, r.id);
+    assert.deepStrictEqual((await s.call('GET', '/api/reservations')).body, []);
+    assert.strictEqual((await s.call('DELETE', `/api/reservations/${r.id}`)).status, 404);
+    assert.strictEqual((await s.call('GET', '/api/reservations/%E0%A4%A')).status, 400);
+  } finally {
+    await s.close();
+  }
+});
+
+test('inserts follow the same rules as the desk, with the engine error in the reply', async () => {
+  const s = await start();
+  try {
+    await s.call('POST', '/api/reservations', {plate: 'ABC 1234', slot: 1, start: T0});
+    const cases = [
+      [{plate: '<b>', start: T0}, 400, 'InvalidPlateError'],
+      [{plate: 'ABC 1234', start: T0 + HOUR}, 409, 'DuplicatePlateError'],
+      [{plate: 'XYZ 9876', slot: 1, start: T0}, 409, 'SlotOccupiedError'],
+      [{plate: 'XYZ 9876', slot: 99, start: T0}, 400, 'InvalidSlotError'],
+      [{plate: 'XYZ 9876', start: T0, end: T0 - HOUR}, 400, 'InvalidInputError']
+    ];
+    for(const [request, status, error] of cases){
+      const res = await s.call('POST', '/api/reservations', request);
+      assert.deepStrictEqual([res.status, res.body.error], [status, error], JSON.stringify(request));
+      assert.ok(res.body.message);
+    }
+    assert.strictEqual((await s.call('GET', '/api/reservations')).body.length, 1);
+    const bad = await fetch(`${s.url}/api/reservations`, {method: 'POST', body: '{nope'});
+    assert.strictEqual(bad.status, 400);
+  } finally {
+    await s.close();
+  }
+});
+
+test('search, queue status and slots read the saved lot', async () => {
+  const s = await start();
+  try {
+    for(const slot of [18, 19, 20]) await s.call('POST', '/api/reservations', {plate: `MCA ${100 + slot}`, slot, start: T0, vehicle: 'motorcycle'});
+    const queued = await s.call('POST', '/api/reservations', {plate: 'MCA 999', start: T0, vehicle: 'motorcycle', priority: 'pwd'});
+    assert.strictEqual(queued.body.status, 'queued');
+
+    const found = await s.call('GET', '/api/search?q=MCA%20119');
+    assert.strictEqual(found.body[0].entry.plate, 'MCA 119');
+    assert.strictEqual(found.body[0].slot, 19);
+    for(const bad of ['from=tomorrow', 'to=', 'from=Infinity']){
+      const res = await s.call('GET', `/api/search?q=MCA&${bad}`);
+      assert.strictEqual(res.status, 400, bad);
+      assert.match(res.body.message, /epoch milliseconds/);
+    }
+
+    const queue = (await s.call('GET', '/api/queue')).body;
+    assert.strictEqual(queue.waiting, 1);
+    assert.deepStrictEqual(queue.lanes.map(l => [l.vehicle, l.freeSlots, l.waiters.map(w => [w.position, w.plate])]), [['motorcycle', 0, [[1, 'MCA 999']]]]);
+
+    const slots = (await s.call('GET', '/api/slots')).body;
+    assert.strictEqual(slots.length, 20);
+    assert.deepStrictEqual([slots[17].status, slots[17].booking.plate, slots[0].status], ['occupied', 'MCA 118', 'free']);
+    assert.strictEqual((await s.call('GET', `/api/slots?at=${T0 - HOUR}`)).body[17].status, 'free');
+    assert.strictEqual((await s.call('GET', '/api/slots?at=soon')).status, 400);
+  } finally {
+    await s.close();
+  }
+});
+
+test('each queue lane estimates turnover from the check-outs of its own slots', async () => {
+  const s = await start();
+  try {
+    // Car slots turned over every 20 minutes, motorcycle slots every hour
+    const history = [0, 1, 2, 3].map(i => ({id: `c${i}`, plate: `CAR ${1000 + i}`, slot: 1, vehicle: 'car', start: T0 - 2*HOUR, exit: T0 - HOUR + i * 20 * 60000}))
+      .concat([0, 1].map(i => ({id: `m${i}`, plate: `MCA ${1000 + i}`, slot: 18, vehicle: 'motorcycle', start: T0 - 3*HOUR, exit: T0 - 2*HOUR + i * HOUR})));
+    const doc = {version: Storage.SCHEMA_VERSION, savedAt: T0, data: {arrayList: [], queue: [], history}};
+    assert.strictEqual((await s.call('PUT', '/api/state', doc, {'If-None-Match': '*'})).status, 204);
+    for(const slot of [18, 19, 20]) await s.call('POST', '/api/reservations', {plate: `MCA ${100 + slot}`, slot, start: T0, vehicle: 'motorcycle'});
+    await s.call('POST', '/api/reservations', {plate: 'MCA 999', start: T0, vehicle: 'motorcycle'});
+
+    const queue = (await s.call('GET', '/api/queue')).body;
+    assert.deepStrictEqual(queue.lanes.map(l => [l.vehicle, l.turnoverMinutes]), [['motorcycle', 60]]);
+  } finally {
+    await s.close();
+  }
+});
+
+test('timers that fell due since the last change run before the next one, logged as system', async () => {
+  let clock = T0;
+  const s = await start({now: () => clock});
+  try {
+    const late = (await s.call('POST', '/api/reservations', {plate: 'LTE 1000', slot: 1, start: T0 + HOUR})).body.reservation;
+    clock = T0 + 2*HOUR; // Half an hour past the no-show limit, with nothing ticking in between
+    const next = await s.call('POST', '/api/reservations', {plate: 'NXT 2000', slot: 1, start: clock, operator: 'kiosk'});
+    assert.strictEqual(next.status, 201);
+
+    const saved = JSON.parse(fs.readFileSync(s.file, 'utf8')).document.data;
+    assert.deepStrictEqual(saved.arrayList.map(r => r.plate), ['NXT 2000']);
+    assert.deepStrictEqual(saved.auditLog.map(e => [e.action, e.operator]), [['reserve', 'api'], ['expire', 'system'], ['reserve', 'kiosk']]);
+    assert.strictEqual(saved.auditLog[1].before.id, late.id);
+  } finally {
+    await s.close();
+  }
+});
+
+test('the whole document is replaced only by a device that saw the latest revision', async () => {
+  const s = await start();
+  try {
+    assert.strictEqual((await s.call('GET', '/api/state')).status, 204);
+    const doc = {version: Storage.SCHEMA_VERSION, savedAt: T0, data: {arrayList: [], queue: []}};
+    assert.strictEqual((await s.call('PUT', '/api/state', doc, {'If-Match': '"old"'})).status, 412);
+    const first = await s.call('PUT', '/api/state', doc, {'If-None-Match': '*', 'X-Revision': 'rev-1'});
+    assert.deepStrictEqual([first.status, first.headers.get('etag')], [204, '"rev-1"']);
+    assert.strictEqual((await s.call('PUT', '/api/state', doc, {'If-None-Match': '*'})).status, 412);
+
+    // A REST change moves the revision on, so the browser's next save conflicts
+    await s.call('POST', '/api/reservations', {plate: 'ABC 1234', start: T0});
+    const current = await s.call('GET', '/api/state');
+    assert.notStrictEqual(current.headers.get('etag'), '"rev-1"');
+    assert.strictEqual(current.body.data.arrayList[0].plate, 'ABC 1234');
+    assert.strictEqual((await s.call('PUT', '/api/state', doc, {'If-Match': '"rev-1"'})).status, 412);
+
+    const newer = {...doc, version: Storage.SCHEMA_VERSION + 1};
+    assert.strictEqual((await s.call('PUT', '/api/state', newer, {'If-Match': current.headers.get('etag')})).status, 400);
+  } finally {
+    await s.close();
+  }
+});
+
+test('watching devices hear about every save', async () => {
+  const s = await start();
+  const controller = new AbortController();
+  try {
+    const res = await fetch(`${s.url}/api/events`, {signal: controller.signal});
+    const reader = res.body.getReader();
+    const next = () => reader.read().then(chunk => Buffer.from(chunk.value).toString());
+    assert.strictEqual(await next(), 'event: revision\ndata: \n\n');
+    await s.call('POST', '/api/reservations', {plate: 'ABC 1234', start: T0});
+    const revision = JSON.parse(fs.readFileSync(s.file, 'utf8')).revision;
+    assert.strictEqual(await next(), `event: revision\ndata: ${revision}\n\n`);
+  } finally {
+    controller.abort();
+    await s.close();
+  }
+});
+
+test('a token, when set, is needed for the API but not the app files', async () => {
+  const s = await start({token: 'secret'});
+  try {
+    assert.strictEqual((await s.call('GET', '/api/reservations')).status, 401);
+    assert.strictEqual((await s.call('GET', '/api/reservations', undefined, {Authorization: 'Bearer secret'})).status, 200);
+    assert.strictEqual((await s.call('GET', '/api/queue?token=secret')).status, 200);
+
+    const page = await fetch(`${s.url}/`);
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(page.headers.get('content-security-policy'), /default-src 'self'/);
+    for(const hidden of ['/server.js', '/tests/engine.test.js', '/README.md', '/%2e%2e/etc/passwd', '/lot.json']){
+      assert.strictEqual((await fetch(s.url + hidden)).status, 404, hidden);
+    }
+  } finally {
+    await s.close();
+  }
+});
+
+test('every device gets the same sticker secret, behind the token, kept out of the document', async () => {
+  const s = await start({token: 'secret'});
+  try {
+    assert.strictEqual((await s.call('GET', '/api/sticker-secret')).status, 401);
+    const auth = {Authorization: 'Bearer secret'};
+    const first = (await s.call('GET', '/api/sticker-secret', undefined, auth)).body.secret;
+    assert.match(first, /^[\w-]{43}$/);
+    await s.call('POST', '/api/reservations', {plate: 'ABC 1234', start: T0}, auth);
+    assert.strictEqual((await s.call('GET', '/api/sticker-secret', undefined, auth)).body.secret, first);
+    assert.ok(!fs.readFileSync(s.file, 'utf8').includes(first));
+    assert.strictEqual((await fetch(`${s.url}/lot.json.secret`)).status, 404);
+  } finally {
+    await s.close();
+  }
+});
+
+test('only the listed sites get CORS headers', async () => {
+  const s = await start({origins: ['https://desk.example']});
+  try {
+    const listed = await s.call('GET', '/api/reservations', undefined, {Origin: 'https://desk.example'});
+    assert.strictEqual(listed.headers.get('access-control-allow-origin'), 'https://desk.example');
+    const other = await s.call('GET', '/api/reservations', undefined, {Origin: 'https://evil.example'});
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+
+    const preflight = origin => fetch(`${s.url}/api/state`, {method: 'OPTIONS', headers: {Origin: origin, 'Access-Control-Request-Method': 'PUT'}});
+    const allowed = await preflight('https://desk.example');
+    assert.strictEqual(allowed.status, 204);
+    assert.match(allowed.headers.get('access-control-allow-methods'), /PUT/);
+    assert.strictEqual((await preflight('https://evil.example')).status, 403);
+  } finally {
+    await s.close();
+  }
+});
+
+test('the command line reads the listed origins', () => {
+  const settings = parseArgs(['--port', '9000', '--token', 'secret', '--origin', 'https://desk.example/, https://kiosk.example']);
+  assert.deepStrictEqual([settings.port, settings.token, settings.origins], [9000, 'secret', ['https://desk.example', 'https://kiosk.example']]);
+  assert.deepStrictEqual(parseArgs([]).origins, []);
+});
@@ -0,0 +1,134 @@
+// =============================================
+// SmartPark - Service Worker Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'https://lot.example';
+
+/**
+ * Runs service-worker.js against fake caches and network
+ * @param {Object} [options]
+ * @param {string[]} [options.oldCaches] - Cache names from earlier versions
+ * @param {boolean} [options.offline] - Every network request fails
+ * @returns {Object} {fire(type, event), caches: Map of name → Map of url → response, fetched, skipped, claimed}
+ */
+function loadWorker(options){
+  const opts = options || {};
+  const caches = new Map((opts.oldCaches || []).map(name => [name, new Map()]));
+  const listeners = {};
+  const worker = {fetched: [], skipped: false, claimed: false, caches};
+  const url = u => new URL(u, ORIGIN + '/').href;
+  const network = request => {
+    worker.fetched.push(request.url || url(request));
+    return opts.offline ? Promise.reject(new TypeError('Failed to fetch')) : Promise.resolve({body: `network ${request.url || url(request)}`});
+  };
+  const cacheApi = name => {
+    if(!caches.has(name)) caches.set(name, new Map());
+    const entries = caches.get(name);
+    return {
+      addAll: files => Promise.all(files.map(f => network(f))).then(responses => files.forEach((f, i) => entries.set(url(f), responses[i]))),
+      match: (request, matchOptions) => {
+        const target = new URL(request.url || url(request));
+        if(matchOptions && matchOptions.ignoreSearch) target.search = '';
+        return Promise.resolve(entries.get(target.href));
+      }
+    };
+  };
+  const self = {
+    location: new URL(ORIGIN + '/service-worker.js'),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    skipWaiting: () => { worker.skipped = true; },
+    clients: {claim: () => { worker.claimed = true; return Promise.resolve(); }}
+  };
+  const context = {
+    self, URL,
+    caches: {
+      open: name => Promise.resolve(cacheApi(name)),
+      keys: () => Promise.resolve(Array.from(caches.keys())),
+      delete: name => Promise.resolve(caches.delete(name))
+    },
+    fetch: network
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8'), context);
+
+  /**
+   * Dispatches an event; resolves with what waitUntil/respondWith was given
+   */
+  worker.fire = (type, event) => new Promise(resolve => {
+    const e = {...event, waitUntil: resolve, respondWith: resolve};
+    listeners[type](e);
+    if(type === 'message' || type === 'fetch') setImmediate(() => resolve(undefined));
+  });
+  return worker;
+}
+
+/**
+ * Request for a path on the lot's origin
+ */
+const get = (p, mode) => ({method: 'GET', url: `${ORIGIN}/${p}`, mode: mode || 'no-cors'});
+
+test('install caches every file the pages load', async () => {
+  const worker = loadWorker();
+  await worker.fire('install', {});
+  const cached = Array.from(worker.caches.values())[0];
+  const pages = fs.readdirSync(ROOT).filter(f => f.endsWith('.html'));
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+  const needed = new Set(pages.concat(manifest.icons.map(i => i.src)));
+  pages.forEach(page => {
+    const source = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    for(const m of source.matchAll(/(?:src|href)="([^"#:]+)"/g)) needed.add(m[1]);
+  });
+  needed.forEach(file => {
+    assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} exists`);
+    assert.ok(cached.has(`${ORIGIN}/${file}`), `${file} is cached for offline use`);
+  });
+  assert.ok(cached.has(`${ORIGIN}/`), 'the bare app URL is cached');
+});
+
+test('app files are served from the cache, query included, with no network', async () => {
+  const online = loadWorker();
+  await online.fire('install', {});
+  const worker = loadWorker({offline: true});
+  worker.caches.clear();
+  online.caches.forEach((entries, name) => worker.caches.set(name, entries));
+
+  const sticker = await worker.fire('fetch', {request: get('sticker.html?id=r1', 'navigate')});
+  assert.strictEqual(sticker.body, `network ${ORIGIN}/sticker.html`);
+  const script = await worker.fire('fetch', {request: get('app.js')});
+  assert.strictEqual(script.body, `network ${ORIGIN}/app.js`);
+  assert.deepStrictEqual(worker.fetched, []);
+
+  // Unknown pages fall back to the main page; other files fail as usual
+  const page = await worker.fire('fetch', {request: get('reports.html', 'navigate')});
+  assert.strictEqual(page.body, `network ${ORIGIN}/index.html`);
+  await assert.rejects(worker.fire('fetch', {request: get('missing.png')}), TypeError);
+});
+
+test('requests that are not app files are left to the network', async () => {
+  const worker = loadWorker();
+  assert.strictEqual(await worker.fire('fetch', {request: {method: 'POST', url: `${ORIGIN}/api/reservations`}}), undefined);
+  assert.strictEqual(await worker.fire('fetch', {request: {method: 'GET', url: 'https://cdn.example/lib.js'}}), undefined);
+  assert.strictEqual(await worker.fire('fetch', {request: get('api/events')}), undefined);
+});
+
+test('a new version waits to take over until the page asks, then removes old caches', async () => {
+  const worker = loadWorker({oldCaches: ['smartpark-v0', 'other-app']});
+  await worker.fire('install', {});
+  assert.strictEqual(worker.skipped, false);
+  await worker.fire('message', {data: {type: 'SKIP_WAITING'}});
+  assert.strictEqual(worker.skipped, true);
+
+  await worker.fire('activate', {});
+  const names = Array.from(worker.caches.keys());
+  assert.ok(!names.includes('smartpark-v0'));
+  assert.ok(names.includes('other-app'), "other apps' caches on the origin are kept");
+  assert.strictEqual(names.filter(n => n.startsWith('smartpark-')).length, 1);
+  assert.strictEqual(worker.claimed, true);
+});
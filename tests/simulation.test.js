@@ -0,0 +1,193 @@
+// =============================================
+// SmartPark - Lot Simulation Tests
+// Run with: node --test tests/
+// The default lot has 10 regular car slots (1-6 and 11-14)
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../engine.js');
+const Simulation = require('../simulation.js');
+
+const T0 = Date.UTC(2030, 0, 1, 8, 0);
+const ANY_PLATE = {formats: [], custom: [], allowOther: true};
+
+/**
+ * Engine on a fixed clock, to build the lot a simulation starts from
+ */
+function setup(){
+  const clock = {t: T0};
+  const engine = Engine.createEngine({now: () => clock.t});
+  return {engine, clock};
+}
+
+/**
+ * Simulation of the lot an engine holds, starting at T0
+ */
+const simulate = (engine, settings) => Simulation.createSimulation(engine.snapshot(), settings, T0);
+
+/**
+ * Trace without timings and generated ids, for comparing runs
+ */
+const shape = trace => trace.map(t => [t.step, t.operation, t.plate, t.slot, t.n, t.arrayList, t.queue]);
+
+test('settings are checked', () => {
+  assert.deepStrictEqual(Simulation.validateSettings(Simulation.DEFAULT_SETTINGS), []);
+  assert.strictEqual(Simulation.validateSettings({arrivalsPerHour: -1, departuresPerHour: 10}).length, 1);
+  assert.strictEqual(Simulation.validateSettings({arrivalsPerHour: 10, departuresPerHour: Simulation.MAX_RATE + 1, seed: 1.5}).length, 2);
+  const {engine} = setup();
+  assert.throws(() => simulate(engine, {arrivalsPerHour: 'lots'}), /Arrivals per hour/);
+  const sim = simulate(engine, {seed: 1});
+  assert.throws(() => sim.configure({departuresPerHour: NaN}), /Departures per hour/);
+  sim.configure({arrivalsPerHour: 120});
+  assert.strictEqual(sim.settings.arrivalsPerHour, 120);
+  assert.strictEqual(sim.settings.seed, 1);
+});
+
+test('arrivals are inserted into the ArrayList, then queued once the lot is full', () => {
+  const {engine} = setup();
+  const sim = simulate(engine, {arrivalsPerHour: 600, departuresPerHour: 0, seed: 7});
+  for(let i = 0; i < 10; i++) sim.step();
+  assert.strictEqual(engine.arrayList.length, 0, 'the lot it started from is left alone');
+
+  const inserts = sim.trace.filter(t => t.operation === 'INSERT');
+  const queued = sim.trace.filter(t => t.operation === 'ENQUEUE');
+  assert.ok(inserts.length > 0 && queued.length > 0);
+  assert.strictEqual(inserts.length, sim.engine.arrayList.length);
+  assert.strictEqual(queued.length, sim.engine.queue.length);
+  inserts.forEach((t, i) => {
+    assert.deepStrictEqual([t.structure, t.complexity, t.n], ['ArrayList', 'O(1)', i]);
+    assert.ok(sim.engine.arrayList.some(r => r.plate === t.plate && r.slot === t.slot && r.operator === 'simulation'));
+  });
+  queued.forEach((t, i) => assert.deepStrictEqual([t.structure, t.complexity, t.n, t.slot], ['Queue', 'O(1)', i, null]));
+  // Every arrival got a plate the engine's rules accept
+  assert.ok(sim.trace.every(t => /^[A-Z]{3} \d{4}$/.test(t.plate)));
+});
+
+test('departures delete from the ArrayList and the freed slot is dequeued to a waiter', () => {
+  const {engine} = setup();
+  engine.setPlateRules(ANY_PLATE);
+  for(let i = 1; i <= 10; i++) engine.insert({plate: `CAR${i}`, start: T0, end: null});
+  engine.insert({plate: 'WAIT1', start: T0, end: null});
+  engine.insert({plate: 'WAIT2', start: T0, end: null});
+  assert.strictEqual(engine.queue.length, 2);
+
+  const sim = simulate(engine, {arrivalsPerHour: 0, departuresPerHour: 600, seed: 3});
+  while(sim.engine.queue.length > 0 && sim.steps < 20) sim.step();
+
+  const ops = sim.trace.map(t => t.operation);
+  assert.ok(ops.includes('DELETE') && ops.includes('DEQUEUE'));
+  sim.trace.filter(t => t.operation === 'DELETE').forEach(t => assert.deepStrictEqual([t.structure, t.complexity], ['ArrayList', 'O(n)']));
+  ['WAIT1', 'WAIT2'].forEach(plate => {
+    const peek = sim.trace.findIndex(t => t.operation === 'PEEK' && t.plate === plate);
+    const dequeue = sim.trace.findIndex(t => t.operation === 'DEQUEUE' && t.plate === plate);
+    assert.ok(peek !== -1 && dequeue > peek, `${plate} is offered a slot, then dequeued`);
+    assert.strictEqual(sim.trace[dequeue].slot, sim.trace[peek].slot);
+    assert.strictEqual(sim.trace[dequeue].complexity, 'O(n)');
+  });
+  // The first waiter to be dequeued saw a queue of two
+  assert.strictEqual(sim.trace.find(t => t.operation === 'DEQUEUE').n, 2);
+  assert.strictEqual(sim.engine.queueHistory.filter(h => h.outcome === 'assigned').length, 2);
+});
+
+test('simulated time moves on, so stays lengthen, fees grow and timeouts run', () => {
+  const {engine} = setup();
+  engine.setPlateRules(ANY_PLATE);
+  for(let i = 1; i <= 10; i++) engine.insert({plate: `CAR${i}`, start: T0, end: null});
+  engine.insert({plate: 'WAIT1', start: T0, end: null});
+  engine.setPolicy({queueTtlMinutes: 60});
+  const sim = simulate(engine, {arrivalsPerHour: 0, departuresPerHour: 0, seed: 9});
+
+  for(let i = 0; i < 90; i++) sim.step();
+  assert.strictEqual(sim.now, T0 + 90 * 60000);
+  assert.strictEqual(sim.minute, 90);
+  // The waiter gave up once the queue timeout passed in simulated time
+  assert.strictEqual(sim.engine.queue.length, 0);
+  assert.strictEqual(sim.engine.queueHistory[0].outcome, 'expired');
+
+  sim.configure({departuresPerHour: 600});
+  while(sim.engine.history.length === 0) sim.step();
+  const session = sim.engine.history[0];
+  assert.strictEqual(session.exit, sim.now);
+  assert.ok(session.durationMs > 90 * 60000);
+  assert.strictEqual(session.fee, Engine.computeFee(session.durationMs, sim.engine.rates).fee);
+  assert.ok(session.fee > 0);
+});
+
+test('lapsed offers, queue timeouts and no-shows are traced as the removals they cause', () => {
+  const {engine, clock} = setup();
+  engine.setPlateRules(ANY_PLATE);
+  clock.t = T0 - 60 * 60000;
+  for(let i = 1; i <= 10; i++) engine.insert({plate: `CAR${i}`, start: clock.t, end: null});
+  ['WAIT1', 'WAIT2', 'WAIT3'].forEach(plate => engine.insert({plate, start: clock.t, end: null}));
+  engine.insert({plate: 'MOTO1', slot: 18, start: T0 + 10 * 60000, end: null, vehicle: 'motorcycle'});
+  engine.setPolicy({queueTtlMinutes: 90, noShowMinutes: 30});
+  clock.t = T0 - 10 * 60000;
+  engine.checkOut(engine.arrayList[0].id); // Offered to WAIT1, unanswered by the time the run starts
+  const sim = simulate(engine, {arrivalsPerHour: 0, departuresPerHour: 0, seed: 4});
+
+  for(let i = 0; i < 45; i++) sim.step();
+  const expiries = sim.trace.filter(t => t.action === 'expire');
+  assert.deepStrictEqual(expiries.map(t => [t.minute, t.operation, t.structure, t.complexity, t.plate, t.index]), [
+    [1, 'DEQUEUE', 'Queue', 'O(n)', 'WAIT1', 0],
+    [30, 'DEQUEUE', 'Queue', 'O(n)', 'WAIT3', 0],
+    [40, 'DELETE', 'ArrayList', 'O(n)', 'MOTO1', 9]
+  ]);
+  assert.deepStrictEqual(expiries.map(t => t.detail), [Simulation.EXPIRIES.offer.detail, Simulation.EXPIRIES.waiter.detail, Simulation.EXPIRIES.reservation.detail]);
+  // The slot WAIT1 let lapse went to the next waiter in the same step
+  assert.deepStrictEqual(sim.trace.filter(t => t.minute === 1).map(t => [t.operation, t.plate]), [['DEQUEUE', 'WAIT1'], ['PEEK', 'WAIT2'], ['DEQUEUE', 'WAIT2']]);
+  assert.match(Simulation.traceToCsv(sim.trace), /,DELETE,ArrayList,O\(n\),\d+,9,MOTO1,18,/);
+});
+
+test('the same seed and starting lot repeat the same run', () => {
+  const runs = [1, 2].map(() => {
+    const {engine} = setup();
+    const sim = simulate(engine, {arrivalsPerHour: 300, departuresPerHour: 240, seed: 42});
+    for(let i = 0; i < 30; i++) sim.step();
+    return shape(sim.trace);
+  });
+  assert.ok(runs[0].length > 0);
+  assert.deepStrictEqual(runs[0], runs[1]);
+
+  const {engine} = setup();
+  const sim = simulate(engine, {arrivalsPerHour: 300, departuresPerHour: 240});
+  assert.ok(Number.isInteger(sim.seed), 'a random seed is picked and reported');
+});
+
+test('rejected arrivals are traced, and stopping detaches from the engine', () => {
+  const {engine} = setup();
+  engine.setPlateRules({formats: [], custom: ['DD'], allowOther: false});
+  for(let i = 1; i <= 10; i++) engine.insert({plate: String(10 + i), start: T0, end: null});
+  const sim = simulate(engine, {arrivalsPerHour: 600, departuresPerHour: 0, seed: 5});
+  while(!sim.trace.some(t => t.operation === 'REJECTED') && sim.steps < 50) sim.step();
+  const rejected = sim.trace.find(t => t.operation === 'REJECTED');
+  assert.ok(rejected, 'a plate already parked is rejected as a duplicate');
+  assert.strictEqual(rejected.detail, 'DuplicatePlateError');
+
+  sim.stop();
+  const before = sim.trace.length;
+  sim.engine.insert({plate: '99', start: sim.now, end: null});
+  assert.strictEqual(sim.trace.length, before);
+});
+
+test('a trace exports as CSV and as JSON with a per-operation summary', () => {
+  const {engine} = setup();
+  const sim = simulate(engine, {arrivalsPerHour: 600, departuresPerHour: 300, seed: 11});
+  for(let i = 0; i < 15; i++) sim.step();
+
+  const lines = Simulation.traceToCsv(sim.trace).trim().split('\r\n');
+  assert.strictEqual(lines[0], Simulation.TRACE_COLUMNS.join(','));
+  assert.strictEqual(lines.length, sim.trace.length + 1);
+  assert.ok(lines.slice(1).some(l => l.includes(',INSERT,ArrayList,O(1),')));
+
+  const data = JSON.parse(Simulation.traceToJson(sim, T0));
+  assert.strictEqual(data.exportedAt, new Date(T0).toISOString());
+  assert.deepStrictEqual(data.settings, {arrivalsPerHour: 600, departuresPerHour: 300, seed: 11});
+  assert.strictEqual(data.steps, 15);
+  assert.strictEqual(data.trace.length, sim.trace.length);
+  const counted = data.summary.reduce((sum, s) => sum + s.count, 0);
+  assert.strictEqual(counted, sim.trace.length);
+  const insert = data.summary.find(s => s.operation === 'INSERT');
+  assert.strictEqual(insert.complexity, 'O(1)');
+  assert.strictEqual(insert.count, sim.trace.filter(t => t.operation === 'INSERT').length);
+});
@@ -0,0 +1,88 @@
+// =============================================
+// SmartPark - Sticker Code Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Sticker = require('../sticker-code.js');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2030, 0, 1, 8, 0);
+const SECRET = 'c2VjcmV0LWtleS1mb3ItdGVzdHMtb25seS0wMDAwMDA';
+const OTHER_SECRET = 'b3RoZXItc2VjcmV0LWtleS1mb3ItdGVzdHMtMDAwMDA';
+
+const reservation = {plate: 'ABC123', slot: 4, id: 'id1893484800000123', start: T0, end: T0 + 2 * HOUR, vehicle: 'car', priority: 'regular', checkedIn: true};
+
+/**
+ * Verifies a freshly issued code for `reservation` against the given state
+ */
+function check(state, options){
+  return Sticker.issue(reservation, SECRET).then(code => Sticker.verify(code, SECRET, state, {now: T0 + HOUR, ...options}));
+}
+
+test('issue produces a code that reads back to the reservation', async () => {
+  const code = await Sticker.issue(reservation, SECRET);
+  assert.match(code, /^SP1\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(await Sticker.readCode(code, SECRET), {id: reservation.id, plate: 'ABC123', slot: 4, start: T0, end: T0 + 2 * HOUR});
+  assert.match(Sticker.shortCode(code), /^SP-ABC123-04-[A-Z0-9_-]{8}$/);
+});
+
+test('readCode rejects altered, foreign and malformed codes', async () => {
+  const code = await Sticker.issue(reservation, SECRET);
+  const [prefix, body, sig] = code.split('.');
+  const forged = Buffer.from(JSON.stringify({id: reservation.id, p: 'ABC123', s: 9, st: T0, e: null})).toString('base64url');
+
+  assert.strictEqual(await Sticker.readCode(`${prefix}.${forged}.${sig}`, SECRET), null);
+  assert.strictEqual(await Sticker.readCode(code, OTHER_SECRET), null);
+  assert.strictEqual(await Sticker.readCode(`${prefix}.${body}`, SECRET), null);
+  assert.strictEqual(await Sticker.readCode(`${prefix}.${body}.***`, SECRET), null);
+  assert.strictEqual(await Sticker.readCode('SP-ABC123-04-12345678', SECRET), null);
+  assert.strictEqual(await Sticker.readCode('', SECRET), null);
+});
+
+test('verify reports a current reservation as valid', async () => {
+  const result = await check({arrayList: [reservation], history: []});
+  assert.strictEqual(result.status, 'valid');
+  assert.strictEqual(result.reservation, reservation);
+});
+
+test('verify reports an altered code as invalid', async () => {
+  const result = await Sticker.verify('SP1.e30.AAAA', SECRET, {arrayList: [reservation], history: []});
+  assert.strictEqual(result.status, 'invalid');
+  assert.strictEqual(result.sticker, null);
+});
+
+test('verify reports deleted, released or changed reservations as revoked', async () => {
+  assert.strictEqual((await check({arrayList: [], history: []})).status, 'revoked');
+  assert.strictEqual((await check({arrayList: [{...reservation, end: T0 + 3 * HOUR}], history: []})).status, 'revoked');
+  assert.strictEqual((await check({arrayList: [{...reservation, plate: 'XYZ999'}], history: []})).status, 'revoked');
+});
+
+test('verify reports ended or checked-out stays as expired', async () => {
+  assert.strictEqual((await check({arrayList: [reservation], history: []}, {now: T0 + 2 * HOUR})).status, 'expired');
+  assert.strictEqual((await check({arrayList: [], history: []}, {now: T0 + 3 * HOUR})).status, 'expired');
+  assert.strictEqual((await check({arrayList: [], history: [{...reservation, exit: T0 + HOUR}]})).status, 'expired');
+});
+
+test('verify reports a moved booking or another parking slot as wrong-slot', async () => {
+  const moved = await check({arrayList: [{...reservation, slot: 7}], history: []});
+  assert.strictEqual(moved.status, 'wrong-slot');
+  assert.match(moved.message, /slot 7/);
+  assert.strictEqual((await check({arrayList: [reservation], history: []}, {slot: 5})).status, 'wrong-slot');
+  assert.strictEqual((await check({arrayList: [reservation], history: []}, {slot: 4})).status, 'valid');
+});
+
+test('a moved reservation gets a new code and its old sticker reads as wrong-slot', async () => {
+  const Engine = require('../engine.js');
+  const engine = Engine.createEngine({now: () => T0});
+  const r = engine.insert({plate: 'ABC 1234', slot: 1, start: T0}).reservation;
+  const before = await Sticker.issue(r, SECRET);
+  engine.move(r.id, 2);
+  const after = await Sticker.issue(r, SECRET);
+  assert.notStrictEqual(after, before);
+  assert.match(Sticker.shortCode(after), /^SP-ABC1234-02-/);
+  const state = {arrayList: engine.arrayList, history: []};
+  assert.strictEqual((await Sticker.verify(after, SECRET, state, {now: T0})).status, 'valid');
+  assert.strictEqual((await Sticker.verify(before, SECRET, state, {now: T0})).status, 'wrong-slot');
+});
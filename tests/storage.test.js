@@ -0,0 +1,195 @@
+// =============================================
+// SmartPark - Storage Layer Tests
+// Run with: node --test tests/
+// localStorage and fetch are replaced by in-memory fakes
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * In-memory localStorage; setItem of the state throws while `full` is set
+ */
+function fakeLocalStorage(){
+  const items = new Map();
+  return {
+    full: false,
+    items,
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem(key, value){
+      if(this.full && key === 'smartpark_state'){
+        const err = new Error('The quota has been exceeded');
+        err.name = 'QuotaExceededError';
+        throw err;
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => { items.delete(key); }
+  };
+}
+
+/**
+ * In-memory IndexedDB with just what the storage layer uses; the
+ * storage layer keeps its connection, so one instance serves every test
+ */
+function fakeIndexedDB(){
+  const data = new Map();
+  const db = {
+    transaction(){
+      const tx = {};
+      const request = fn => {
+        const req = {result: fn()};
+        setTimeout(() => tx.oncomplete());
+        return req;
+      };
+      tx.objectStore = () => ({
+        get: key => request(() => data.get(key)),
+        put: (value, key) => request(() => { data.set(key, value); return key; }),
+        delete: key => request(() => { data.delete(key); })
+      });
+      return tx;
+    }
+  };
+  return {
+    data,
+    open(){
+      const req = {result: db};
+      setTimeout(() => req.onsuccess());
+      return req;
+    }
+  };
+}
+
+globalThis.localStorage = fakeLocalStorage();
+const Storage = require('../storage.js');
+const idb = fakeIndexedDB();
+
+test.beforeEach(() => {
+  globalThis.localStorage = fakeLocalStorage();
+  idb.data.clear();
+});
+
+test.afterEach(() => {
+  delete globalThis.indexedDB;
+});
+
+test('a failed write does not turn later saves into conflicts', async () => {
+  const store = Storage.createStore();
+  await store.save({arrayList: [1]});
+
+  localStorage.full = true;
+  await assert.rejects(store.save({arrayList: [1, 2]}), {name: 'QuotaExceededError'});
+  localStorage.full = false;
+
+  await store.save({arrayList: [1, 2, 3]});
+  const {data} = await store.load();
+  assert.deepStrictEqual(data.arrayList, [1, 2, 3]);
+});
+
+test('a save still conflicts once another tab has saved', async () => {
+  const store = Storage.createStore();
+  await store.save({arrayList: []});
+  localStorage.setItem('smartpark_revision', 'other-tab');
+  await assert.rejects(store.save({arrayList: [1]}), {name: 'ConflictError'});
+});
+
+test('saves queued back to back each build on the one before', async () => {
+  const store = Storage.createStore();
+  await Promise.all([store.save({arrayList: [1]}), store.save({arrayList: [1, 2]}), store.save({arrayList: [1, 2, 3]})]);
+  assert.deepStrictEqual((await store.load()).data.arrayList, [1, 2, 3]);
+});
+
+test('a server save that fails is retried against the revision the server still has', async () => {
+  localStorage.setItem('smartpark_backend', 'server');
+  localStorage.setItem('smartpark_server', JSON.stringify({url: 'http://lot.example', token: ''}));
+  const puts = [];
+  let failNext = true;
+  globalThis.fetch = (url, options) => {
+    puts.push(options.headers);
+    if(failNext){
+      failNext = false;
+      return Promise.resolve({ok: false, status: 500, statusText: 'Server Error', json: () => Promise.resolve({message: 'disk full'})});
+    }
+    return Promise.resolve({ok: true, status: 204});
+  };
+  try {
+    const store = Storage.createStore();
+    await assert.rejects(store.save({arrayList: [1]}), /disk full/);
+    await store.save({arrayList: [1]});
+    assert.strictEqual(puts[1]['If-None-Match'], '*', 'the failed revision is not used as the base');
+    await store.save({arrayList: [1, 2]});
+    assert.strictEqual(puts[2]['If-Match'], `"${puts[1]['X-Revision']}"`);
+  } finally {
+    delete globalThis.fetch;
+  }
+});
+
+test('data saved under the old keys is migrated without console output', async () => {
+  localStorage.setItem('smartpark_arraylist', JSON.stringify([{plate: 'ABC 123', slot: 1, time: '2030-01-01T08:00:00Z', id: 'r1'}]));
+  const logged = [];
+  const info = console.info;
+  console.info = (...args) => logged.push(args);
+  try {
+    const {data, report} = await Storage.createStore().load();
+    assert.strictEqual(data.arrayList[0].plate, 'ABC 123');
+    assert.strictEqual(data.arrayList[0].start, Date.parse('2030-01-01T08:00:00Z'));
+    assert.deepStrictEqual(report, []);
+    assert.deepStrictEqual(logged, []);
+  } finally {
+    console.info = info;
+  }
+});
+
+test('a lot shared through the server uses the server\'s sticker secret', async () => {
+  assert.strictEqual(await Storage.createStore().sharedSecret(), null);
+
+  localStorage.setItem('smartpark_backend', 'server');
+  localStorage.setItem('smartpark_server', JSON.stringify({url: 'http://lot.example/', token: 'tok'}));
+  const calls = [];
+  globalThis.fetch = (url, options) => {
+    calls.push([url, options.headers.Authorization]);
+    return Promise.resolve({ok: true, status: 200, json: () => Promise.resolve({secret: 'shared-key'})});
+  };
+  try {
+    const store = Storage.createStore();
+    assert.strictEqual(await store.sharedSecret(), 'shared-key');
+    assert.strictEqual(await store.sharedSecret(), 'shared-key');
+    assert.deepStrictEqual(calls, [['http://lot.example/api/sticker-secret', 'Bearer tok']]);
+  } finally {
+    delete globalThis.fetch;
+  }
+});
+
+test('a full localStorage moves the lot to IndexedDB', async () => {
+  globalThis.indexedDB = idb;
+  const store = Storage.createStore();
+  await store.save({arrayList: [1]});
+
+  localStorage.full = true;
+  await store.save({arrayList: [1, 2]});
+  assert.strictEqual(store.backend, 'indexeddb');
+  assert.strictEqual(localStorage.getItem('smartpark_backend'), 'indexeddb');
+  assert.strictEqual(localStorage.getItem('smartpark_state'), null);
+  assert.deepStrictEqual(JSON.parse(idb.data.get('smartpark_state')).data.arrayList, [1, 2]);
+  assert.deepStrictEqual((await store.load()).data.arrayList, [1, 2]);
+});
+
+test('other tabs follow the lot to IndexedDB instead of saving over it', async () => {
+  globalThis.indexedDB = idb;
+  const tab = Storage.createStore();
+  const other = Storage.createStore();
+  await tab.save({arrayList: [1]});
+  await other.load();
+
+  localStorage.full = true;
+  await tab.save({arrayList: [1, 2]});
+  // The other tab's copy is out of date: its save is refused, not written anywhere
+  await assert.rejects(other.save({arrayList: ['stale']}), {name: 'ConflictError'});
+  const {data} = await other.load();
+  assert.strictEqual(other.backend, 'indexeddb');
+  assert.deepStrictEqual(data.arrayList, [1, 2]);
+
+  await other.save({arrayList: [1, 2, 3]});
+  assert.deepStrictEqual((await tab.load()).data.arrayList, [1, 2, 3]);
+  assert.strictEqual(localStorage.getItem('smartpark_state'), null);
+});
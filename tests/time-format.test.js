@@ -0,0 +1,64 @@
+// =============================================
+// SmartPark - Time Display Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Time = require('../time-format.js');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2030, 0, 1, 16, 30); // 00:30 on Jan 2 in Manila
+
+test('createClock shows times in the chosen locale and time zone', () => {
+  const manila = Time.createClock({locale: 'en-US', timeZone: 'Asia/Manila'});
+  assert.strictEqual(manila.dateTime(T0), '1/2/2030, 12:30:00 AM');
+  assert.strictEqual(manila.date(T0), '1/2/2030');
+  assert.strictEqual(manila.dayLabel(T0), 'Jan 2');
+  assert.strictEqual(manila.hourOf(T0), 0);
+  assert.strictEqual(manila.fileStamp(T0), '20300102-0030');
+  assert.strictEqual(manila.timeZone, 'Asia/Manila');
+
+  const london = Time.createClock({locale: 'en-GB', timeZone: 'Europe/London'});
+  assert.strictEqual(london.dateTime(T0), '01/01/2030, 16:30:00');
+});
+
+test('input values are read and written in the clock\'s time zone', () => {
+  const manila = Time.createClock({locale: 'en-US', timeZone: 'Asia/Manila'});
+  assert.strictEqual(manila.toInput(T0), '2030-01-02T00:30');
+  assert.strictEqual(manila.fromInput('2030-01-02T00:30'), T0);
+  assert.strictEqual(manila.fromInput('2030-01-02'), Date.UTC(2030, 0, 1, 16));
+  assert.strictEqual(manila.fromInput(''), null);
+  assert.strictEqual(manila.fromInput('soon'), null);
+});
+
+test('days and hours follow the zone, daylight saving included', () => {
+  const newYork = Time.createClock({locale: 'en-US', timeZone: 'America/New_York'});
+  const springDay = newYork.fromInput('2030-03-10');
+  assert.strictEqual(newYork.nextDay(springDay) - springDay, 23 * HOUR);
+  assert.strictEqual(newYork.startOfDay(springDay + 20 * HOUR), springDay);
+  // 02:30 doesn't exist that night; it is read as just after the change
+  assert.strictEqual(newYork.toInput(newYork.fromInput('2030-03-10T02:30')), '2030-03-10T03:30');
+
+  const kolkata = Time.createClock({timeZone: 'Asia/Kolkata'});
+  assert.strictEqual(kolkata.startOfHour(Date.UTC(2030, 0, 1, 10, 10)), Date.UTC(2030, 0, 1, 9, 30));
+});
+
+test('validateDisplay explains what is wrong', () => {
+  assert.deepStrictEqual(Time.validateDisplay(Time.DEFAULT_DISPLAY), []);
+  assert.deepStrictEqual(Time.validateDisplay({locale: 'fil-PH', timeZone: 'Asia/Manila'}), []);
+  assert.deepStrictEqual(Time.validateDisplay({locale: 'not a locale!', timeZone: 'Mars/Base'}), [
+    '"not a locale!" is not a locale - use a tag such as en-PH or fil-PH',
+    '"Mars/Base" is not a time zone - use a name such as Asia/Manila'
+  ]);
+  assert.deepStrictEqual(Time.usableDisplay({locale: 1}), Time.DEFAULT_DISPLAY);
+});
+
+test('parseLegacyStamp only believes old text that reads as a time no later than the start', () => {
+  const start = Date.parse('1/1/2030, 8:00:00 AM');
+  assert.strictEqual(Time.parseLegacyStamp('1/1/2030, 7:59:30 AM', start), start - 30000);
+  assert.strictEqual(Time.parseLegacyStamp('1/1/2030, 8:00:00 AM', start + 400), start);
+  assert.strictEqual(Time.parseLegacyStamp('31/12/2029, 23:00:00', start), start);
+  assert.strictEqual(Time.parseLegacyStamp('2/1/2030, 8:00:00 AM', start), start, 'read month-first, the day-first date is in the future');
+  assert.strictEqual(Time.parseLegacyStamp(undefined, start), start);
+});
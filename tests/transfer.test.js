@@ -0,0 +1,64 @@
+// =============================================
+// SmartPark - Import/Export Format Tests
+// Run with: node --test tests/
+// =============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transfer = require('../transfer.js');
+
+const T0 = Date.UTC(2030, 0, 1, 8, 0);
+const HOUR = 60 * 60 * 1000;
+
+const reservation = overrides => ({
+  id: 'r1', plate: 'ABC 1234', slot: 3, vehicle: 'car', priority: 'regular',
+  start: T0, end: T0 + 2 * HOUR, checkedIn: true, bookedAt: T0 - HOUR, operator: 'maria', ...overrides
+});
+
+test('reservations round-trip through CSV, times as ISO 8601 and an empty end as open-ended', () => {
+  const rows = [reservation(), reservation({id: 'r2', slot: 4, end: null, checkedIn: false, operator: null})];
+  const text = Transfer.toCsv(rows, 'reservations');
+  assert.ok(text.includes(new Date(T0).toISOString()));
+  assert.ok(text.endsWith('\r\n'));
+
+  const {kind, rows: parsed} = Transfer.fromCsv(text);
+  assert.strictEqual(kind, 'reservations');
+  assert.deepStrictEqual(parsed[0], rows[0]);
+  assert.strictEqual(parsed[1].end, null);
+  assert.strictEqual(parsed[1].checkedIn, false);
+  assert.strictEqual(parsed[1].operator, '');
+});
+
+test('quoted fields keep commas, quotes and line breaks', () => {
+  const rows = [reservation({operator: 'Cruz, "Jun"\nnight shift'})];
+  const text = Transfer.toCsv(rows, 'reservations');
+  assert.ok(text.includes('"Cruz, ""Jun""\nnight shift"'));
+  assert.strictEqual(Transfer.fromCsv(text).rows[0].operator, 'Cruz, "Jun"\nnight shift');
+});
+
+test('files with a BOM, LF or CRLF line endings and blank lines parse the same', () => {
+  const lines = ['plate,vehicle,start,end', 'ABC 1234,car,2030-01-01T08:00:00Z,', '', 'XYZ 987,motorcycle,2030-01-01T09:00:00Z,2030-01-01T10:00:00Z'];
+  const expected = [
+    {plate: 'ABC 1234', vehicle: 'car', start: T0, end: null},
+    {plate: 'XYZ 987', vehicle: 'motorcycle', start: T0 + HOUR, end: T0 + 2 * HOUR}
+  ];
+  ['\n', '\r\n'].forEach(eol => {
+    const {kind, rows} = Transfer.fromCsv('\uFEFF' + lines.join(eol) + eol);
+    assert.strictEqual(kind, 'queue');
+    assert.deepStrictEqual(rows, expected);
+  });
+});
+
+test('unreadable times and missing columns are reported', () => {
+  const {rows} = Transfer.fromCsv('plate,start\nABC 1234,next tuesday\n');
+  assert.ok(Number.isNaN(rows[0].start));
+  assert.throws(() => Transfer.fromCsv('plate,slot\nABC 1234,1\n'), /missing column\(s\): start/);
+  assert.throws(() => Transfer.fromCsv('\uFEFF'), /empty/);
+});
+
+test('the full state round-trips through JSON and other files are refused', () => {
+  const data = {arrayList: [reservation()], queue: []};
+  const parsed = Transfer.fromJson(Transfer.toJson(data, 2));
+  assert.deepStrictEqual(parsed, {version: 2, data});
+  assert.throws(() => Transfer.fromJson('{"data": {}}'), /Not a SmartPark export/);
+});
@@ -0,0 +1,225 @@
+// =============================================
+// SmartPark - Time Display & Time Zones
+// Description: Every time is stored as epoch milliseconds. This module
+//              turns them into text, form values, hours and days in the
+//              lot's configured locale and time zone, so the display is
+//              the same whatever the browser's own settings are.
+// =============================================
+
+(function(){
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  /**
+   * Default display settings: '' uses the browser's own locale or time zone
+   * Structure: {locale: BCP 47 tag, timeZone: IANA zone name}
+   */
+  const DEFAULT_DISPLAY = {locale: '', timeZone: ''};
+
+  /**
+   * Checks display settings
+   * @param {Object} display - {locale, timeZone}
+   * @returns {string[]} Problems found (empty if valid)
+   */
+  function validateDisplay(display){
+    const errors = [];
+    if(!display || typeof display !== 'object') return ['Display settings are missing'];
+    if(typeof display.locale !== 'string') errors.push('The locale must be text');
+    else if(display.locale !== ''){
+      try {
+        if(Intl.DateTimeFormat.supportedLocalesOf([display.locale]).length === 0) errors.push(`The locale "${display.locale}" is not supported`);
+      } catch (e) {
+        errors.push(`"${display.locale}" is not a locale - use a tag such as en-PH or fil-PH`);
+      }
+    }
+    if(typeof display.timeZone !== 'string') errors.push('The time zone must be text');
+    else if(display.timeZone !== ''){
+      try {
+        new Intl.DateTimeFormat('en-US', {timeZone: display.timeZone});
+      } catch (e) {
+        errors.push(`"${display.timeZone}" is not a time zone - use a name such as Asia/Manila`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Saved display settings if they are valid, else the defaults
+   * @param {*} display
+   * @returns {Object} {locale, timeZone}
+   */
+  const usableDisplay = display => display && validateDisplay(display).length === 0 ? display : DEFAULT_DISPLAY;
+
+  /**
+   * Time zone names the browser knows, for suggestions
+   * @returns {string[]} Empty where the browser can't list them
+   */
+  const timeZones = () => typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+  /**
+   * Reads a timestamp saved as locale text by older versions
+   * Only a time at or before `latest` is believed: text written in a
+   * day/month locale can parse as the wrong date, or not at all
+   * @param {*} text - The old `time` field
+   * @param {number} latest - Latest plausible time (the booking's start)
+   * @returns {number} Epoch ms (latest if the text can't be trusted)
+   */
+  function parseLegacyStamp(text, latest){
+    const t = typeof text === 'string' ? Date.parse(text) : NaN;
+    // Locale text has whole seconds, so allow for the start's milliseconds
+    return isNaN(t) || t > latest + 1000 ? latest : t;
+  }
+
+  /**
+   * Creates the formatter for one set of display settings
+   * Conversions to and from wall-clock time follow the zone's offset,
+   * daylight saving included
+   * Time Complexity: O(1) per call (one Intl format)
+   * @param {Object} [display] - {locale, timeZone} (default DEFAULT_DISPLAY)
+   * @returns {Object} Clock API
+   */
+  function createClock(display){
+    const locale = (display && display.locale) || undefined;
+    const timeZone = (display && display.timeZone) || undefined;
+    const formats = {
+      dateTime: new Intl.DateTimeFormat(locale, {timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit', second: '2-digit'}),
+      date: new Intl.DateTimeFormat(locale, {timeZone, year: 'numeric', month: 'numeric', day: 'numeric'}),
+      time: new Intl.DateTimeFormat(locale, {timeZone, hour: '2-digit', minute: '2-digit'}),
+      day: new Intl.DateTimeFormat(locale, {timeZone, month: 'short', day: 'numeric'})
+    };
+    // Fixed numeric fields for arithmetic, whatever the locale
+    const parts = new Intl.DateTimeFormat('en-US', {timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'});
+
+    /**
+     * Wall-clock fields of a time in the zone
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+     */
+    function wallClock(t){
+      const fields = {};
+      parts.formatToParts(t).forEach(p => {
+        if(p.type !== 'literal') fields[p.type] = Number(p.value);
+      });
+      return fields;
+    }
+
+    /**
+     * Milliseconds the zone is ahead of UTC at a time
+     */
+    function offsetAt(t){
+      const w = wallClock(t);
+      return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - (t - ((t % 1000) + 1000) % 1000);
+    }
+
+    /**
+     * The time at which the zone's clock shows the given fields
+     * A wall time skipped by a daylight-saving change maps to just after it
+     * @returns {number} Epoch ms
+     */
+    function fromWallClock(year, month, day, hour, minute){
+      const guess = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+      const first = guess - offsetAt(guess);
+      const second = guess - offsetAt(first);
+      return first === second ? first : Math.max(first, second);
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+
+    /**
+     * Formats a time as date and time, e.g. "12/16/2025, 8:00:00 AM"
+     * @param {number} t - Epoch ms
+     * @returns {string}
+     */
+    const dateTime = t => formats.dateTime.format(t);
+
+    /**
+     * Formats the date only, e.g. "12/16/2025"
+     */
+    const date = t => formats.date.format(t);
+
+    /**
+     * Formats the time of day only, e.g. "08:00 AM"
+     */
+    const time = t => formats.time.format(t);
+
+    /**
+     * Formats a short day label for charts, e.g. "Dec 16"
+     */
+    const dayLabel = t => formats.day.format(t);
+
+    /**
+     * Converts a time to a datetime-local input value in the zone
+     * @param {number} t - Epoch ms
+     * @returns {string} e.g. "2025-12-16T08:00"
+     */
+    function toInput(t){
+      const w = wallClock(t);
+      return `${String(w.year).padStart(4, '0')}-${pad(w.month)}-${pad(w.day)}T${pad(w.hour)}:${pad(w.minute)}`;
+    }
+
+    /**
+     * Converts a date or datetime-local input value, read in the zone
+     * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"
+     * @returns {number|null} Epoch ms, or null if empty or invalid
+     */
+    function fromInput(value){
+      const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(value || '');
+      if(!m) return null;
+      const t = fromWallClock(+m[1], +m[2], +m[3], m[4] === undefined ? 0 : +m[4], m[5] === undefined ? 0 : +m[5]);
+      return isNaN(t) ? null : t;
+    }
+
+    /**
+     * Start of the zone's hour containing t
+     */
+    function startOfHour(t){
+      const offset = offsetAt(t);
+      return Math.floor((t + offset) / HOUR) * HOUR - offset;
+    }
+
+    /**
+     * Start of the zone's day containing t
+     */
+    function startOfDay(t){
+      const w = wallClock(t);
+      return fromWallClock(w.year, w.month, w.day, 0, 0);
+    }
+
+    /**
+     * Start of the zone's day after the one containing t
+     * Calendar days, so days around daylight-saving changes stay whole
+     */
+    function nextDay(t){
+      const w = wallClock(t);
+      return fromWallClock(w.year, w.month, w.day + 1, 0, 0);
+    }
+
+    /**
+     * Hour of the day (0-23) on the zone's clock
+     */
+    const hourOf = t => wallClock(t).hour;
+
+    /**
+     * Compact stamp for file names, e.g. "20251216-0800"
+     */
+    function fileStamp(t){
+      const w = wallClock(t);
+      return `${w.year}${pad(w.month)}${pad(w.day)}-${pad(w.hour)}${pad(w.minute)}`;
+    }
+
+    const resolved = formats.dateTime.resolvedOptions();
+
+    return {
+      locale: resolved.locale, timeZone: resolved.timeZone,
+      dateTime, date, time, dayLabel, toInput, fromInput, startOfHour, startOfDay, nextDay, hourOf, fileStamp
+    };
+  }
+
+  const api = {DEFAULT_DISPLAY, validateDisplay, usableDisplay, timeZones, parseLegacyStamp, createClock};
+
+  // Loaded by the reservation engine and analytics under Node as well as in the browser
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    window.SmartParkTime = api;
+  }
+})();
@@ -0,0 +1,158 @@
+// =============================================
+// SmartPark - Import/Export Formats
+// Description: Serializes the lot state to JSON (full, exact round-trip)
+//              and the reservation/queue lists to CSV, and parses both
+//              back. Validation against the live lot happens in app.js.
+// =============================================
+
+(function(root){
+  const FORMAT = 'smartpark-export';
+
+  /**
+   * CSV columns for each list, in file order
+   * Timestamps are written as ISO 8601 so spreadsheets can read them
+   */
+  const CSV_COLUMNS = {
+    reservations: ['id', 'plate', 'slot', 'vehicle', 'priority', 'start', 'end', 'checkedIn', 'bookedAt', 'operator'],
+    queue: ['id', 'plate', 'vehicle', 'priority', 'start', 'end', 'queuedAt', 'bookedAt', 'operator']
+  };
+  const TIME_COLUMNS = ['start', 'end', 'queuedAt', 'bookedAt'];
+
+  // ============================================
+  // JSON
+  // ============================================
+
+  /**
+   * Serializes the complete lot state
+   * @param {Object} data - Complete lot state
+   * @param {number} version - Storage schema version of the data
+   * @returns {string} JSON text
+   */
+  function toJson(data, version){
+    return JSON.stringify({format: FORMAT, version, exportedAt: new Date().toISOString(), data}, null, 2);
+  }
+
+  /**
+   * Parses an exported JSON file
+   * @param {string} text - File contents
+   * @returns {{version: number, data: Object}}
+   * @throws {Error} If the file is not a SmartPark export
+   */
+  function fromJson(text){
+    const doc = JSON.parse(text);
+    if(!doc || doc.format !== FORMAT || typeof doc.version !== 'number' || !doc.data){
+      throw new Error('Not a SmartPark export file');
+    }
+    return {version: doc.version, data: doc.data};
+  }
+
+  // ============================================
+  // CSV
+  // ============================================
+
+  /**
+   * Quotes a CSV field when it contains a separator, quote or newline
+   * @param {*} value
+   * @returns {string}
+   */
+  function csvField(value){
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  /**
+   * Serializes the reservation or queue list as CSV
+   * @param {Object[]} rows - arrayList or queue entries
+   * @param {string} kind - 'reservations' or 'queue'
+   * @returns {string} CSV text with a header row
+   */
+  function toCsv(rows, kind){
+    const columns = CSV_COLUMNS[kind];
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(col => {
+        const value = row[col];
+        return csvField(TIME_COLUMNS.includes(col) && typeof value === 'number' ? new Date(value).toISOString() : value);
+      }).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Splits CSV text into rows of fields (RFC 4180 quoting)
+   * Time Complexity: O(n) in the length of the text
+   * @param {string} text
+   * @returns {string[][]}
+   */
+  function parseCsvRows(text){
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for(let i=0; i<text.length; i++){
+      const ch = text[i];
+      if(quoted){
+        if(ch === '"' && text[i+1] === '"'){ field += '"'; i++; }
+        else if(ch === '"'){ quoted = false; }
+        else { field += ch; }
+      } else if(ch === '"'){
+        quoted = true;
+      } else if(ch === ','){
+        row.push(field); field = '';
+      } else if(ch === '\n' || ch === '\r'){
+        if(ch === '\r' && text[i+1] === '\n') i++;
+        row.push(field); field = '';
+        if(row.some(f => f !== '')) rows.push(row);
+        row = [];
+      } else {
+        field += ch;
+      }
+    }
+    row.push(field);
+    if(row.some(f => f !== '')) rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Parses a reservation or queue CSV written by toCsv (or by hand)
+   * The list kind is detected from the header row
+   * @param {string} text - File contents
+   * @returns {{kind: string, rows: Object[]}}
+   * @throws {Error} If the header doesn't match either list
+   */
+  function fromCsv(text){
+    const [header, ...body] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if(!header) throw new Error('The CSV file is empty');
+    const cols = header.map(h => h.trim());
+    const kind = cols.includes('slot') ? 'reservations' : 'queue';
+    const missing = ['plate', 'start'].concat(kind === 'reservations' ? ['slot'] : []).filter(c => !cols.includes(c));
+    if(missing.length > 0) throw new Error(`The CSV file is missing column(s): ${missing.join(', ')}`);
+
+    const rows = body.map(fields => {
+      const row = {};
+      cols.forEach((col, i) => {
+        const raw = (fields[i] || '').trim();
+        if(TIME_COLUMNS.includes(col)){
+          const t = raw === '' ? null : Date.parse(raw);
+          row[col] = t === null || isNaN(t) ? (raw === '' ? null : NaN) : t;
+        } else if(col === 'slot'){
+          row[col] = Number(raw);
+        } else if(col === 'checkedIn'){
+          row[col] = raw.toLowerCase() === 'true';
+        } else {
+          row[col] = raw;
+        }
+      });
+      return row;
+    });
+    return {kind, rows};
+  }
+
+  const api = {toJson, fromJson, toCsv, fromCsv, csvField};
+
+  if(typeof module !== 'undefined' && module.exports){
+    module.exports = api;
+  } else {
+    root.SmartParkTransfer = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
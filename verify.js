@@ -0,0 +1,113 @@
+// =============================================
+// SmartPark - Sticker Verification Page
+// Description: Checks a scanned or pasted sticker code against the saved
+//              lot state and shows whether the vehicle may enter.
+// =============================================
+
+(function(){
+  function initVerify() {
+    const Sticker = window.SmartParkSticker;
+    const Time = window.SmartParkTime;
+    const store = window.SmartParkStorage.createStore();
+    const codeInput = document.getElementById('code-input');
+    const slotInput = document.getElementById('slot-input');
+    const video = document.getElementById('scan-video');
+    const result = document.getElementById('verify-result');
+    const scanBtn = document.querySelector('.btn-scan');
+    let scanning = null;
+
+    function showResult(outcome, clock) {
+      const status = Sticker.STATUSES[outcome.status];
+      result.className = 'verify-result ' + outcome.status;
+      result.querySelector('.verify-status').textContent = status.icon + ' ' + status.label;
+      result.querySelector('.verify-message').textContent = outcome.message;
+
+      const details = result.querySelector('.verify-details');
+      details.innerHTML = '';
+      if (outcome.sticker) {
+        const s = outcome.sticker;
+        [
+          ['PLATE', s.plate],
+          ['SLOT', s.slot],
+          ['FROM', clock.dateTime(s.start)],
+          ['UNTIL', s.end === null ? 'OPEN' : clock.dateTime(s.end)]
+        ].forEach(([label, value]) => {
+          const row = document.createElement('div');
+          row.className = 'verify-row';
+          row.innerHTML = '<span></span><span></span>';
+          row.children[0].textContent = label;
+          row.children[1].textContent = value;
+          details.appendChild(row);
+        });
+      }
+    }
+
+    // The lot state is read fresh for every check, so changes made
+    // at the desk since this page opened are taken into account
+    function verify() {
+      const code = codeInput.value.trim();
+      if (!code) return;
+      const slot = parseInt(slotInput.value, 10);
+      store.load()
+        .then(({data}) => {
+          // Times are shown in the lot's locale and time zone
+          const clock = Time.createClock(Time.usableDisplay(data && data.display));
+          return Sticker.lotSecret(store)
+            .then(secret => Sticker.verify(code, secret, data || {arrayList: [], history: []}, {slot: isNaN(slot) ? undefined : slot, clock}))
+            .then(outcome => showResult(outcome, clock));
+        })
+        .catch(e => showResult({status: 'invalid', message: 'Could not read the lot data: ' + e.message}));
+    }
+
+    function stopScan() {
+      if (!scanning) return;
+      clearInterval(scanning.timer);
+      scanning.stream.getTracks().forEach(t => t.stop());
+      scanning = null;
+      video.classList.remove('active');
+      scanBtn.lastChild.textContent = ' SCAN QR';
+    }
+
+    function startScan() {
+      const detector = new BarcodeDetector({formats: ['qr_code']});
+      navigator.mediaDevices.getUserMedia({video: {facingMode: 'environment'}}).then(stream => {
+        video.srcObject = stream;
+        video.play();
+        video.classList.add('active');
+        scanBtn.lastChild.textContent = ' STOP';
+        scanning = {stream, timer: setInterval(() => {
+          detector.detect(video).then(codes => {
+            if (codes.length === 0) return;
+            codeInput.value = codes[0].rawValue;
+            stopScan();
+            verify();
+          }).catch(() => {});
+        }, 300)};
+      }).catch(e => window.SmartParkDialog.alert('⚠️ Camera unavailable: ' + e.message));
+    }
+
+    if (typeof BarcodeDetector === 'undefined' || !navigator.mediaDevices) {
+      scanBtn.disabled = true;
+      scanBtn.title = 'QR scanning is not supported in this browser - paste the code instead';
+    }
+
+    scanBtn.addEventListener('click', () => scanning ? stopScan() : startScan());
+    document.querySelector('.btn-verify').addEventListener('click', verify);
+    codeInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        verify();
+      }
+    });
+    slotInput.addEventListener('change', verify);
+    codeInput.focus();
+  }
+
+  window.SmartParkOffline.register();
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initVerify);
+  } else {
+    initVerify();
+  }
+})();